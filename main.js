@@ -1,26 +1,37 @@
 import * as THREE from 'three';
 import Stats from 'stats.js';
+import { SnakeSimulation } from './src/SnakeSimulation.js';
+import { parseSeed } from './src/Random.js';
+import { InputManager } from './src/InputManager.js';
+import { EventEmitter, GAME_EVENTS } from './src/EventEmitter.js';
+import { PluginManager } from './src/PluginManager.js';
+import { RecordStore } from './src/RecordStore.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay } from './src/Replay.js';
+import { downloadJson } from './src/Download.js';
+import { loadLevelPack } from './src/LevelLoader.js';
+import { LevelEditor } from './src/LevelEditor.js';
+import { NetworkClient } from './src/NetworkClient.js';
+import { applySnapshot } from './src/Snapshot.js';
+import { AttractDemo } from './src/AttractDemo.js';
+import { AudioSystem } from './src/AudioSystem.js';
+import { SettingsStore, SETTING_DEFINITIONS, SETTING_GROUPS } from './src/Settings.js';
+import { InstancedBatch } from './src/InstancedBatch.js';
+import { TICK_MS, MAX_FRAME_TIME, LEVEL_DEFINITIONS, FOOD_CONFIG, SNAKE_COLORS, MAX_PLAYERS, NETWORK_CONFIG, BOT_CONFIG, BOT_DIFFICULTIES, BOT_COLORS, ATTRACT_CONFIG, CAMERA_CONFIG, CAMERA_MODES, SHADOW_MAP_SIZES } from './src/config.js';
 
-// 第三人称相机类
+// 第三人称相机类 - 默认围绕蛇头的轨道相机，另有俯视全局、追尾和第一人称模式（见 CAMERA_MODES）
 class ThirdPersonCamera {
-    constructor(camera, target) {
+    /**
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {THREE.Object3D} target - 跟随的目标
+     * @param {object} [options]
+     * @param {boolean} [options.listen] - 为 false 时不响应鼠标和触控（分屏中玩家2的相机只跟随蛇头）
+     */
+    constructor(camera, target, options = {}) {
         this.camera = camera;
         this.target = target;
         
-        // 相机配置
-        this.config = {
-            distance: 80,          // 相机距离目标的距离
-            minDistance: 30,       // 最小距离
-            maxDistance: 150,      // 最大距离
-            height: 40,            // 相机高度偏移
-            rotationSpeed: 0.05,   // 旋转速度
-            followSpeed: 0.1,      // 跟随速度
-            lookAtSpeed: 0.1,      // 看向目标的速度
-            mouseSensitivity: 0.003, // 鼠标敏感度
-            dampingFactor: 0.35,   // 阻尼因子
-            minPolarAngle: 0.1,    // 最小极角
-            maxPolarAngle: Math.PI - 0.1 // 最大极角
-        };
+        // 相机配置（每个相机一份，设置界面修改的是这里的值）
+        this.config = { ...CAMERA_CONFIG };
         
         // 相机状态
         this.spherical = new THREE.Spherical();
@@ -33,6 +44,12 @@ class ThirdPersonCamera {
         this.mouseDownY = 0;
         this.isMouseDown = false;
         
+        // 双指触控（旋转 + 缩放）
+        this.isTouchGesture = false;
+        this.touchCenterX = 0;
+        this.touchCenterY = 0;
+        this.touchDistance = 0;
+        
         // 相机位置和目标
         this.currentTarget = new THREE.Vector3();
         this.currentPosition = new THREE.Vector3();
@@ -41,9 +58,25 @@ class ThirdPersonCamera {
         // 抖动偏移
         this.shakeOffset = null;
         
+        // 相机模式，切换时从切换前的位置和视线目标平滑过渡
+        this.mode = 'orbit';
+        this.transition = null;        // { position, lookAt, elapsed }，不在过渡中时为 null
+        this.currentLookAt = new THREE.Vector3();
+        
+        // 追尾和第一人称模式的朝向、俯视模式的棋盘边长，由游戏每帧设置（棋盘中心在原点）
+        this.heading = 0;
+        this.currentHeading = 0;       // 平滑后的朝向
+        this.boardSize = 0;
+        
+        // 动态取景，由游戏每帧设置：超出初始长度的段数、速度比例（0~1）、需要留在画面中的物体位置
+        this.framing = { growth: 0, speedRatio: 0, points: [] };
+        this.framingScale = 1;         // 平滑后的距离倍率，叠加在玩家缩放的距离上
+        
         // 初始化
         this.init();
-        this.setupEventListeners();
+        if (options.listen !== false) {
+            this.setupEventListeners();
+        }
     }
     
     init() {
@@ -54,6 +87,7 @@ class ThirdPersonCamera {
         // 设置初始位置
         this.currentTarget.copy(this.target.position);
         this.currentPosition.copy(this.camera.position);
+        this.currentLookAt.copy(this.target.position);
         
         // 确保相机朝向目标
         this.camera.lookAt(this.target.position);
@@ -68,6 +102,12 @@ class ThirdPersonCamera {
         // 滚轮事件
         document.addEventListener('wheel', this.onWheel.bind(this));
         
+        // 触控事件 - 双指拖动旋转视角，双指捏合缩放
+        document.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
+        document.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: false });
+        document.addEventListener('touchend', this.onTouchEnd.bind(this));
+        document.addEventListener('touchcancel', this.onTouchEnd.bind(this));
+        
         // 右键菜单禁用
         document.addEventListener('contextmenu', (e) => e.preventDefault());
     }
@@ -83,8 +123,10 @@ class ThirdPersonCamera {
     onMouseMove(event) {
         if (!this.isMouseDown) return;
         
-        const deltaX = event.clientX - this.mouseDownX;
-        const deltaY = event.clientY - this.mouseDownY;
+        // 指针锁定时光标位置不变，使用移动量
+        const locked = Boolean(document.pointerLockElement);
+        const deltaX = locked ? event.movementX : event.clientX - this.mouseDownX;
+        const deltaY = locked ? event.movementY : event.clientY - this.mouseDownY;
         
         // 更新球坐标
         this.sphericalDelta.theta = -deltaX * this.config.mouseSensitivity;
@@ -109,10 +151,69 @@ class ThirdPersonCamera {
         );
     }
     
-    update() {
+    // 读取双指的中心点和间距
+    getTouchGesture(touches) {
+        const dx = touches[1].clientX - touches[0].clientX;
+        const dy = touches[1].clientY - touches[0].clientY;
+        return {
+            centerX: (touches[0].clientX + touches[1].clientX) / 2,
+            centerY: (touches[0].clientY + touches[1].clientY) / 2,
+            distance: Math.hypot(dx, dy)
+        };
+    }
+    
+    onTouchStart(event) {
+        if (event.touches.length !== 2) return;
+        
+        event.preventDefault();
+        const gesture = this.getTouchGesture(event.touches);
+        this.isTouchGesture = true;
+        this.touchCenterX = gesture.centerX;
+        this.touchCenterY = gesture.centerY;
+        this.touchDistance = gesture.distance;
+    }
+    
+    onTouchMove(event) {
+        if (!this.isTouchGesture || event.touches.length !== 2) return;
+        
+        event.preventDefault();
+        const gesture = this.getTouchGesture(event.touches);
+        
+        // 双指拖动 - 与鼠标拖拽相同的轨道旋转
+        this.sphericalDelta.theta = -(gesture.centerX - this.touchCenterX) * this.config.touchSensitivity;
+        this.sphericalDelta.phi = -(gesture.centerY - this.touchCenterY) * this.config.touchSensitivity;
+        
+        // 双指捏合 - 按间距比例缩放相机距离
+        if (gesture.distance > 0 && this.touchDistance > 0) {
+            this.config.distance *= this.touchDistance / gesture.distance;
+            this.config.distance = Math.max(
+                this.config.minDistance,
+                Math.min(this.config.maxDistance, this.config.distance)
+            );
+        }
+        
+        this.touchCenterX = gesture.centerX;
+        this.touchCenterY = gesture.centerY;
+        this.touchDistance = gesture.distance;
+    }
+    
+    onTouchEnd(event) {
+        if (event.touches.length < 2) {
+            this.isTouchGesture = false;
+        }
+    }
+    
+    /**
+     * 更新相机位置
+     * @param {number} deltaTime - 距上一帧的毫秒数，插值系数按60FPS标准化，保证不同刷新率下手感一致
+     */
+    update(deltaTime = 16.67) {
+        const frameScale = deltaTime / 16.67;
+        const followFactor = 1 - Math.pow(1 - this.config.followSpeed, frameScale);
+        
         // 应用鼠标输入
-        this.spherical.theta += this.sphericalDelta.theta;
-        this.spherical.phi += this.sphericalDelta.phi;
+        this.spherical.theta += this.sphericalDelta.theta * frameScale;
+        this.spherical.phi += this.sphericalDelta.phi * frameScale;
         
         // 限制极角
         this.spherical.phi = Math.max(
@@ -120,35 +221,136 @@ class ThirdPersonCamera {
             Math.min(this.config.maxPolarAngle, this.spherical.phi)
         );
         
-        // 更新半径
-        this.spherical.radius = this.config.distance;
+        // 更新半径（玩家缩放的距离乘以动态取景倍率）
+        const framingFactor = 1 - Math.pow(1 - this.config.framingSpeed, frameScale);
+        this.framingScale += (this.getFramingScale() - this.framingScale) * framingFactor;
+        this.spherical.radius = this.config.distance * this.framingScale;
+        this.updateFov(framingFactor);
         
         // 应用阻尼
-        this.sphericalDelta.theta *= this.config.dampingFactor;
-        this.sphericalDelta.phi *= this.config.dampingFactor;
+        const damping = Math.pow(this.config.dampingFactor, frameScale);
+        this.sphericalDelta.theta *= damping;
+        this.sphericalDelta.phi *= damping;
         
         // 平滑跟随目标
-        this.currentTarget.lerp(this.target.position, this.config.followSpeed);
+        this.currentTarget.lerp(this.target.position, followFactor);
         
         // 计算期望的相机位置
         this.desiredPosition.setFromSpherical(this.spherical);
         this.desiredPosition.add(this.currentTarget);
         
         // 平滑移动相机
-        this.currentPosition.lerp(this.desiredPosition, this.config.followSpeed);
+        this.currentPosition.lerp(this.desiredPosition, followFactor);
+        
+        // 平滑转向，按最短角度插值
+        const headingDelta = this.heading - this.currentHeading;
+        this.currentHeading += Math.atan2(Math.sin(headingDelta), Math.cos(headingDelta)) * followFactor;
+        
+        const pose = this.getModePose();
+        
+        // 切换模式后从切换时的位置过渡到新模式的位置（先快后慢）
+        if (this.transition) {
+            this.transition.elapsed += deltaTime;
+            const progress = Math.min(1, this.transition.elapsed / this.config.modeTransitionTime);
+            const eased = progress * progress * (3 - 2 * progress);
+            pose.position.lerpVectors(this.transition.position, pose.position, eased);
+            pose.lookAt.lerpVectors(this.transition.lookAt, pose.lookAt, eased);
+            if (progress >= 1) {
+                this.transition = null;
+            }
+        }
+        this.currentLookAt.copy(pose.lookAt);
         
         // 应用抖动偏移
-        const finalPosition = this.currentPosition.clone();
         if (this.shakeOffset) {
-            finalPosition.add(this.shakeOffset);
+            pose.position.add(this.shakeOffset);
         }
         
-        this.camera.position.copy(finalPosition);
+        this.camera.position.copy(pose.position);
+        this.camera.lookAt(pose.lookAt);
+    }
+    
+    // 动态取景的目标倍率：按蛇长和速度拉远，并尽量看到蛇头附近的物体
+    getFramingScale() {
+        const config = this.config;
+        if (!config.dynamicFraming) return 1;
+        
+        const { growth, speedRatio, points } = this.framing;
+        let scale = 1 + Math.min(config.framingLengthMax, growth * config.framingPerSegment) + speedRatio * config.framingSpeedPull;
+        
+        // 按较窄方向的视野估算看到某个水平距离所需的相机距离
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) * Math.min(1, this.camera.aspect);
+        points.forEach(point => {
+            const distance = point.distanceTo(this.target.position);
+            if (distance <= config.framingRadius) {
+                scale = Math.max(scale, distance * config.framingMargin / tanHalfFov / config.distance);
+            }
+        });
+        
+        return Math.min(scale, config.framingMaxScale);
+    }
+    
+    // 高速时稍微扩大视野
+    updateFov(factor) {
+        const config = this.config;
+        const targetFov = config.fov + (config.dynamicFraming ? this.framing.speedRatio * config.framingFovBoost : 0);
+        if (Math.abs(targetFov - this.camera.fov) < 0.01) return;
+        
+        this.camera.fov += (targetFov - this.camera.fov) * factor;
+        this.camera.updateProjectionMatrix();
+    }
+    
+    /**
+     * 当前模式下期望的相机位置和视线目标
+     * @returns {{position: THREE.Vector3, lookAt: THREE.Vector3}}
+     */
+    getModePose() {
+        const config = this.config;
+        const target = this.target.position;
+        const forward = new THREE.Vector3(Math.cos(this.currentHeading), 0, Math.sin(this.currentHeading));
+        
+        switch (this.mode) {
+            case 'topDown': {
+                // 按视野和宽高比算出能看到整个棋盘的高度，窄屏时按宽度计算
+                const halfSize = this.boardSize / 2 * config.topDownPadding;
+                const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+                const height = halfSize / (tanHalfFov * Math.min(1, this.camera.aspect));
+                return {
+                    position: new THREE.Vector3(0, height, height * config.topDownTilt),
+                    lookAt: new THREE.Vector3()
+                };
+            }
+            case 'chase':
+                return {
+                    position: target.clone().addScaledVector(forward, -config.chaseDistance * this.framingScale).setY(config.chaseHeight * this.framingScale),
+                    lookAt: target.clone().addScaledVector(forward, config.chaseLookAhead)
+                };
+            case 'firstPerson':
+                return {
+                    position: target.clone().addScaledVector(forward, config.firstPersonForward).setY(config.firstPersonHeight),
+                    lookAt: target.clone().addScaledVector(forward, config.firstPersonLookAhead)
+                };
+            default: {
+                const lookAt = this.currentTarget.clone();
+                lookAt.y += config.height * 0.1; // 稍微向上偏移视线
+                return { position: this.currentPosition.clone(), lookAt };
+            }
+        }
+    }
+    
+    /**
+     * 切换相机模式
+     * @param {string} mode - CAMERA_MODES 中的 id
+     */
+    setMode(mode) {
+        if (mode === this.mode) return;
         
-        // 平滑朝向目标
-        const lookAtTarget = this.currentTarget.clone();
-        lookAtTarget.y += this.config.height * 0.1; // 稍微向上偏移视线
-        this.camera.lookAt(lookAtTarget);
+        this.transition = {
+            position: this.camera.position.clone(),
+            lookAt: this.currentLookAt.clone(),
+            elapsed: 0
+        };
+        this.mode = mode;
     }
     
     // 设置目标
@@ -163,6 +365,32 @@ class ThirdPersonCamera {
         this.currentTarget.copy(this.target.position);
     }
     
+    /**
+     * 应用设置界面中的相机设置（模式、灵敏度、跟随速度、阻尼和距离范围），当前距离限制在新的范围内
+     * @param {object} settings - 设置键 -> 值（见 src/Settings.js）
+     */
+    applySettings(settings) {
+        SETTING_DEFINITIONS.filter(definition => definition.key in CAMERA_CONFIG).forEach(({ key }) => {
+            this.config[key] = settings[key];
+        });
+        this.config.distance = Math.max(
+            this.config.minDistance,
+            Math.min(this.config.maxDistance, this.config.distance)
+        );
+        this.setMode(settings.cameraMode);
+    }
+    
+    // 绕目标水平旋转（弧度），用于待机演示中的环绕镜头
+    orbit(angle) {
+        this.spherical.theta += angle;
+    }
+    
+    // 目标瞬间平移时（穿越边界）相机一起平移，保持视角不变，不会横扫整个棋盘
+    translate(offset) {
+        this.currentTarget.add(offset);
+        this.currentPosition.add(offset);
+    }
+    
     // 获取相机前方向量
     getForwardVector() {
         return new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
@@ -172,160 +400,133 @@ class ThirdPersonCamera {
     getRightVector() {
         return new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
     }
+    
+    // 获取相机在地面上的朝向（弧度，与蛇的朝向同一坐标系）
+    getGroundHeading() {
+        const forward = this.getForwardVector();
+        return Math.atan2(forward.z, forward.x);
+    }
 }
 
 class SnakeGame {
     constructor() {
-        // 游戏配置
-        this.GRID_SIZE = 10;
-        this.BOARD_SIZE = 30;
-        this.GAME_SPEED = 50; // 毫秒
-        this.TURN_SPEED = 0.16; // 增加转弯速度让移动更平滑
-        this.SMOOTH_FACTOR = 0.6; // 平滑移动因子
-        
-        // 难度控制配置
-        this.DIFFICULTY_CONFIG = {
-            baseSpeed: 10.5,           // 基础移动速度
-            initialLength: 3,          // 初始蛇长度
-            maxSpeed: 25.0,            // 最大移动速度
-            linearGrowth: 0.8,         // 线性增长系数
-            exponentialGrowth: 1.05,   // 指数增长系数
-            logGrowth: 2.0,            // 对数增长系数
-            speedIncreaseThreshold: 5, // 每增长多少长度显著提升速度
-            // 新增动态平衡参数
-            dynamicFactor: 0.6,        // 动态调节系数
-            minSafeLength: 8,          // 安全长度阈值
-            recoveryRate: 0.15,        // 恢复速率
-            maxRecoveryTime: 15000,    // 最大恢复时间(毫秒)
-            comboMultiplier: 1.2,      // 连击倍数
-            safetyBuffDuration: 3000   // 安全期持续时间
-        };
+        // 固定随机种子（来自URL参数 ?seed= 或关卡面板输入），为 null 时每局随机
+        this.fixedSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+        
+        // 纯逻辑模拟（蛇、食物、障碍物、得分、关卡）
+        this.sim = new SnakeSimulation({ seed: this.fixedSeed });
+        this.botDifficulty = 'normal'; // 新加入的电脑对手的难度档位
+        
+        // 游戏事件总线和插件（音效、成就、统计等可通过插件扩展）
+        this.events = new EventEmitter(GAME_EVENTS);
+        this.plugins = new PluginManager(this, this.events);
+        
+        // 音效和背景音乐（作为插件订阅游戏事件，每帧调度背景音乐）
+        this.audio = new AudioSystem();
+        this.registerPlugin(this.audio);
+        
+        // 相机、画面和界面设置（localStorage），修改后立即生效
+        this.settings = new SettingsStore();
+        
+        // 最高分和关卡个人最佳（localStorage）
+        this.records = new RecordStore();
+        this.lastRecordResult = null;  // 最近一局的记录结果，用于结算对话框中的“新纪录”提示
+        
+        // 关卡文件（public/levels）加载失败或校验不通过时的错误信息，显示在关卡选择界面
+        this.levelLoadErrors = [];
+        
+        // 回放系统 - 每局自动录制，观看回放时 this.sim 临时切换为回放模拟
+        this.recorder = new ReplayRecorder();
+        this.lastReplay = null;    // 最近一局的回放数据
+        this.replayViewer = null;  // 回放播放状态 { player, playing, speed, isSeeking }
+        this.liveSim = null;       // 观看回放、待机演示或联机对战期间保存的实际游戏模拟
+        
+        // 待机演示 - 等待开始时无操作超过 idleDelay 后进入，演示期间 this.sim 临时切换为演示的模拟
+        this.attract = null;       // 待机演示状态 { demo, restartTime }
+        this.lastActivityTime = performance.now();
+        
+        // 联机对战 - 连接本地权威服务器，进入房间后 this.sim 临时切换为由服务器快照驱动的镜像模拟
+        this.networkClient = null; // 首次打开联机面板时创建
+        this.network = null;       // 联机状态 { lobby, match, result, connection }，不在房间中时为 null
+        
+        // 渲染配置
+        this.GRID_SIZE = this.sim.GRID_SIZE;
+        this.BOARD_SIZE = this.sim.BOARD_SIZE;
         
         // 蛇身体缩放比例
         this.SNAKE_SCALE_START = 1.5;    // 蛇身体起始缩放比例
         this.SNAKE_SCALE_END = 0.2;    // 蛇身体末端缩放比例
         
-        // 障碍物系统
-        this.obstacles = [];              // 障碍物数组
+        // 障碍物渲染
+        this.obstacleViews = new Map();   // 障碍物ID -> 渲染对象
         this.obstacleGeometry = null;     // 障碍物几何体
         this.obstacleMaterial = null;     // 障碍物材质
-        this.nextObstacleTime = 0;        // 下一个障碍物生成时间
-        this.obstacleMinInterval = 8000;  // 最小生成间隔（毫秒）
-        this.obstacleMaxInterval = 15000; // 最大生成间隔（毫秒）
-        this.maxObstacles = 5;            // 最大障碍物数量
+        this.obstacleBatches = new Map(); // "类型:reward|penalty" -> InstancedBatch，同类型同状态的障碍物一次绘制
+        this.obstacleShadowBatch = null;  // 所有障碍物的地面阴影（InstancedBatch）
+        this.shadowColor = new THREE.Color(); // 计算阴影实例颜色用
         this.obstacleTextMaterial = null; // 障碍物文本材质
         
-        // 新增障碍物类型系统 - 儿童友好色彩
-        this.obstacleTypes = {
-            WEAK: { color: 0x98FB98, emissive: 0x004400, geometry: 'box', effect: 'stun' }, // 淡绿色，温和
-            NORMAL: { color: 0xFFE135, emissive: 0x664400, geometry: 'octahedron', effect: 'shrink' }, // 明亮黄色，阳光感
-            STRONG: { color: 0xFF6B6B, emissive: 0x440000, geometry: 'tetrahedron', effect: 'halve' }, // 温暖红色，不太刺眼
-            SPECIAL: { color: 0x74C0FC, emissive: 0x004466, geometry: 'sphere', effect: 'teleport' } // 天蓝色，梦幻感
-        };
-        
-        // 相机抖动和眩晕效果
+        // 相机抖动效果
         this.cameraShake = {
             isShaking: false,
             intensity: 0,
             duration: 0,
             elapsed: 0
         };
-        this.snakeStunned = {
-            isStunned: false,
-            duration: 0,
-            elapsed: 0,
-            originalSpeed: 0
-        };
-        
-        // 游戏状态
-        this.gameState = 'waiting'; // 'waiting', 'playing', 'paused', 'gameOver'
-        this.score = 0;
-        
-        // 新增游戏状态变量
-        this.gameStartTime = 0;        // 游戏开始时间
-        this.survivalTime = 0;         // 存活时间
-        this.comboCount = 0;           // 连击计数
-        this.lastFoodTime = 0;         // 上次吃食物时间
-        this.isInvulnerable = false;   // 无敌状态
-        this.invulnerableEndTime = 0;  // 无敌结束时间
-        this.speedLaneActive = false;  // 加速通道激活状态
-        this.consecutiveAvoids = 0;    // 连续躲避障碍物计数
-
-        // 蛇的运动状态
-        this.snake = [
-            { 
-                x: 15, 
-                y: 15, 
-                actualX: 15 * this.GRID_SIZE, 
-                actualY: 15 * this.GRID_SIZE,
-                targetX: 15 * this.GRID_SIZE,
-                targetY: 15 * this.GRID_SIZE,
-                rotation: 0 
-            },
-            { 
-                x: 14, 
-                y: 15, 
-                actualX: 14 * this.GRID_SIZE, 
-                actualY: 15 * this.GRID_SIZE,
-                targetX: 14 * this.GRID_SIZE,
-                targetY: 15 * this.GRID_SIZE,
-                rotation: 0 
-            },
-            { 
-                x: 13, 
-                y: 15, 
-                actualX: 13 * this.GRID_SIZE, 
-                actualY: 15 * this.GRID_SIZE,
-                targetX: 13 * this.GRID_SIZE,
-                targetY: 15 * this.GRID_SIZE,
-                rotation: 0 
-            }
-        ];
-        
-        // 目标方向和当前方向
-        this.targetDirection = 0; // 弧度
-        this.currentDirection = 0; // 弧度
-        this.moveSpeed = this.DIFFICULTY_CONFIG.baseSpeed; // 使用配置中的基础速度
-        
-        // 食物位置
-        this.food = { x: 20, y: 20 };
         
         // 鼠标位置
         this.mouse = new THREE.Vector2();
         this.targetPosition = new THREE.Vector3();
         
+        // 输入抽象层（鼠标、键盘、手柄），使用最近操作的设备控制方向
+        this.input = new InputManager({
+            onAction: (action) => this.handleInputAction(action)
+        });
+        
         // Three.js 相关
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.thirdPersonCamera = null;
         this.cameraTarget = null;
-        this.snakeMeshes = [];
-        this.foodMesh = null;
+        this.snakeHeadMesh = null;   // 玩家1的蛇头
+        this.snakeBodyBatch = null;  // 玩家1的蛇身（InstancedBatch，所有蛇段一次绘制）
+        this.foodViews = new Map();  // 食物ID -> mesh
         this.boardMesh = null;
+        this.boardGroup = null;      // 棋盘和网格线，关卡棋盘大小改变时整体重建
+        this.wallMesh = null;        // 关卡墙体（InstancedMesh）
+        this.renderedWalls = null;   // 当前墙体mesh对应的模拟墙体列表
         this.warningWalls = {
             top: null,
             bottom: null,
             left: null,
             right: null
         };
+        this.boundaryWarningActive = false; // 上一帧是否显示了警告墙体
         
-        // 性能优化相关 - Mesh池系统
+        // 性能优化相关 - 共享几何体和材质，蛇身和障碍物使用实例化渲染
         this.snakeGeometry = null;
         this.headGeometry = null;
-        this.snakeMaterial = null;
+        this.snakeMaterial = null;   // 所有蛇身共用的白色材质，颜色来自实例颜色
         this.headMaterial = null;
-        this.foodGeometry = null;
-        this.foodMaterial = null;
-        this.meshPool = {
-            headMeshes: [],      // 蛇头mesh池
-            bodyMeshes: [],      // 蛇身mesh池
-            usedHeadMeshes: 0,   // 已使用的蛇头mesh数量
-            usedBodyMeshes: 0    // 已使用的蛇身mesh数量
-        };
+        this.snakeBodyColor = null;  // 玩家1的蛇身颜色
+        this.instanceDummy = new THREE.Object3D(); // 计算蛇身和障碍物的实例矩阵用
+        this.foodGeometries = {};    // 食物类型 -> 共享几何体
+        this.foodMaterials = {};     // 食物类型 -> 共享材质
         this.lastSnakeLength = 0;
         this.lastUpdateTime = 0;
-        this.targetFPS = 60;
+        
+        // 玩家1以外的蛇（分屏双人的玩家2）- 玩家编号 -> 渲染对象，玩家1使用上面的 snakeHeadMesh / snakeBodyBatch
+        this.extraSnakeViews = new Map();
+        
+        // 分屏双人 - 玩家2的相机 { camera, cameraTarget, thirdPersonCamera }，单人时为 null
+        this.splitScreen = null;
+        
+        // 固定步长模拟 - 累积真实时间，按 TICK_MS 推进模拟，渲染时在两步之间插值
+        this.tickAccumulator = 0;
+        this.previousPositions = [];  // 上一模拟步各蛇段的位置
+        this.renderAlpha = 1;         // 当前帧在两个模拟步之间的插值比例
+        this.targetFPS = this.settings.get('targetFPS');
         this.frameInterval = 1000 / this.targetFPS;
         
         // 性能监视器
@@ -334,130 +535,217 @@ class SnakeGame {
         // UI 元素
         this.scoreElement = document.getElementById('score-value');
         this.statusElement = document.getElementById('game-status');
+        this.effectsElement = document.getElementById('status-effects');
+        this.effectsHTML = '';
+        this.seedElement = document.getElementById('seed-value');
         
         this.init();
         this.setupEventListeners();
         this.animate();
+        this.loadLevelFiles();
     }
     
     /**
-     * 难度控制曲线函数 - 根据蛇的长度计算移动速度
-     * 使用组合曲线：线性 + 指数 + 对数增长，确保平滑且有挑战性的难度提升
-     * @param {number} length - 当前蛇的长度
-     * @returns {number} 计算出的移动速度
+     * 更新状态栏显示（长度、速度、难度和特殊状态）
      */
-    calculateSpeedFromLength(length) {
-        const config = this.DIFFICULTY_CONFIG;
-        const lengthDiff = Math.max(0, length - config.initialLength);
+    updateStatusText() {
+        const sim = this.sim;
+        if (sim.gameState !== 'playing') return;
         
-        if (lengthDiff === 0) {
-            return config.baseSpeed;
+        if (this.attract) {
+            this.statusElement.textContent = '📺 演示中 - 按任意键或点击屏幕开始游戏';
+            return;
         }
         
-        // 分阶段增长曲线
-        let speedIncrease = 0;
-        
-        // 第一阶段：线性增长 (长度3-8)
-        if (lengthDiff <= 10) {
-            speedIncrease = lengthDiff * config.linearGrowth;
-        } 
-        // 第二阶段：指数增长 (长度8-15)
-        else if (lengthDiff <= 30) {
-            const baseIncrease = 5 * config.linearGrowth;
-            const exponentialPart = (lengthDiff - 5) * config.linearGrowth * Math.pow(config.exponentialGrowth, (lengthDiff - 5) * 0.1);
-            speedIncrease = baseIncrease + exponentialPart;
-        }
-        // 第三阶段：对数增长 (长度15+) - 防止速度过快
-        else {
-            const baseIncrease = 5 * config.linearGrowth;
-            const exponentialPart = 7 * config.linearGrowth * Math.pow(config.exponentialGrowth, 0.7);
-            const logPart = Math.log(lengthDiff - 7) * config.logGrowth;
-            speedIncrease = baseIncrease + exponentialPart + logPart;
+        // 双人对战时各玩家的详细状态显示在各自的半边画面中
+        if (sim.isMatch()) {
+            this.statusElement.textContent = `${this.network ? '联机' : '双人'}对战中 - ${sim.players.map(player => `${this.getPlayerName(player.index)} 长度: ${player.snake.length}`).join(' | ')}`;
+            return;
         }
         
-        // 动态平衡机制
-        this.updateSurvivalTime();
+        const difficultyLevel = sim.getDifficultyLevel(sim.snake.length);
+        const speedDisplay = sim.getEffectiveSpeed().toFixed(2);
+        let statusText = `游戏进行中 - 长度: ${sim.snake.length} | 速度: ${speedDisplay}格/秒 | 难度: ${difficultyLevel}`;
         
-        // 如果蛇长度较短，减缓速度增长
-        if (length < config.minSafeLength) {
-            speedIncrease *= config.dynamicFactor;
-        } else {
-            // 长度足够时，根据存活时间逐步恢复难度
-            const survivalBonus = Math.min(1, this.survivalTime / config.maxRecoveryTime);
-            speedIncrease *= (1 + survivalBonus * config.recoveryRate);
+        // 电脑对手的长度，被淘汰等待重生时显示为 💤
+        const bots = sim.players.filter(player => player.bot);
+        if (bots.length > 0) {
+            statusText += ` | ${bots.map(player => `${this.getPlayerName(player.index)}: ${player.alive ? player.snake.length : '💤'}`).join(' ')}`;
+        }
+        
+        // 添加特殊状态指示
+        const statusIndicators = sim.effects.list().map(effect => `${effect.icon}${effect.name}`);
+        if (sim.comboCount > 1) {
+            statusIndicators.push(`🔥连击x${sim.comboCount}`);
         }
         
-        // 连击奖励机制
-        if (this.comboCount > 3) {
-            speedIncrease *= Math.pow(config.comboMultiplier, Math.min(this.comboCount - 3, 5));
+        if (statusIndicators.length > 0) {
+            statusText += ` | ${statusIndicators.join(' ')}`;
         }
         
-        // 计算最终速度并限制在最大值内
-        const finalSpeed = config.baseSpeed + speedIncrease;
-        return Math.min(finalSpeed, config.maxSpeed);
+        this.statusElement.textContent = statusText;
     }
     
     /**
-     * 获取当前难度等级描述
-     * @param {number} length - 当前蛇的长度
-     * @returns {string} 难度等级描述
+     * 处理模拟层产生的事件，驱动视觉效果和UI
      */
-    getDifficultyLevel(length) {
-        if (length <= 12) return "简单";
-        if (length <= 25) return "普通";
-        if (length <= 40) return "困难";
-        if (length <= 60) return "极难";
-        return "地狱";
+    processSimulationEvents() {
+        const events = this.sim.drainEvents();
+        if (events.length === 0) return;
+        
+        events.forEach(event => this.handleSimulationEvent(event));
+        
+        this.updateScore();
     }
     
     /**
-     * 更新存活时间
+     * 订阅游戏事件
+     * @param {string} type - 事件类型，见 GAME_EVENTS
+     * @param {Function} handler - 回调，参数为事件数据
+     * @returns {Function} 取消订阅的函数
      */
-    updateSurvivalTime() {
-        if (this.gameState === 'playing' && this.gameStartTime > 0) {
-            this.survivalTime = Date.now() - this.gameStartTime;
-        }
+    on(type, handler) {
+        return this.events.on(type, handler);
     }
     
     /**
-     * 更新移动速度和相关UI显示
+     * 注册插件，插件可以订阅事件并挂接到每帧的 update / render 阶段
+     * @param {object} plugin - 插件对象，格式见 src/PluginManager.js
+     * @returns {Function} 注销插件的函数
      */
-    updateDifficulty() {
-        const oldSpeed = this.moveSpeed;
-        const newSpeed = this.calculateSpeedFromLength(this.snake.length);
-        
-        this.moveSpeed = newSpeed;
-        
-        // 更新UI显示当前难度
-        const difficultyLevel = this.getDifficultyLevel(this.snake.length);
-        const speedDisplay = newSpeed.toFixed(1);
-        
-        // 在控制台显示难度变化信息
-        if (Math.abs(newSpeed - oldSpeed) > 0.1) {
-            console.log(`难度提升！长度: ${this.snake.length}, 速度: ${speedDisplay}, 等级: ${difficultyLevel}`);
+    registerPlugin(plugin) {
+        return this.plugins.register(plugin);
+    }
+    
+    // 注销插件
+    unregisterPlugin(plugin) {
+        this.plugins.unregister(plugin);
+    }
+    
+    // 事件是否来自电脑对手（电脑对手的奖励和惩罚不抖动、不闪烁玩家的画面）
+    isBotEvent(event) {
+        const player = this.sim.players[event.player];
+        return Boolean(player && player.bot);
+    }
+    
+    // 发出游戏事件，标明是否来自回放或待机演示
+    emitGameEvent(type, payload = {}) {
+        this.events.emit(type, { ...payload, isReplay: Boolean(this.replayViewer), isDemo: Boolean(this.attract) });
+    }
+    
+    // 游戏从等待或暂停状态进入进行中时通知订阅者
+    emitStartEvent(previousState) {
+        if (previousState === 'waiting') {
+            this.emitGameEvent('gameStarted', {
+                score: this.sim.score,
+                seed: this.sim.seed,
+                level: this.sim.levelSystem.currentLevel
+            });
+        } else if (previousState === 'paused') {
+            this.emitGameEvent('gameResumed', { score: this.sim.score });
         }
-        
-        // 更新状态显示
-        if (this.gameState === 'playing') {
-            let statusText = `游戏进行中 - 长度: ${this.snake.length} | 速度: ${speedDisplay} | 难度: ${difficultyLevel}`;
-            
-            // 添加特殊状态指示
-            const statusIndicators = [];
-            if (this.isInvulnerable) {
-                statusIndicators.push('🛡️无敌');
-            }
-            if (this.snakeStunned.isStunned) {
-                statusIndicators.push('😵眩晕');
-            }
-            if (this.comboCount > 1) {
-                statusIndicators.push(`🔥连击x${this.comboCount}`);
-            }
-            
-            if (statusIndicators.length > 0) {
-                statusText += ` | ${statusIndicators.join(' ')}`;
+    }
+    
+    handleSimulationEvent(event) {
+        const sim = this.sim;
+        
+        switch (event.type) {
+            case 'difficultyUpdated':
+                // 在控制台显示难度变化信息
+                if (Math.abs(event.newSpeed - event.oldSpeed) > 0.01 && !this.isBotEvent(event)) {
+                    console.log(`难度提升！长度: ${sim.snake.length}, 速度: ${event.newSpeed.toFixed(2)}格/秒, 等级: ${sim.getDifficultyLevel(sim.snake.length)}`);
+                }
+                this.updateStatusText();
+                break;
+            case 'foodEaten':
+                this.onFoodEaten(event);
+                break;
+            case 'foodSpawned':
+            case 'foodExpired':
+                this.syncFoodViews();
+                break;
+            case 'obstacleSpawned':
+                console.log('🌟 生成障碍物:', event.obstacle.x, event.obstacle.y, '类型:', event.obstacle.type, '等级:', event.obstacle.level, '蛇长度:', sim.snake.length, '从天而降中... 当前障碍物数量:', event.count);
+                break;
+            case 'obstacleLanded':
+                // 落地震动效果
+                this.startCameraShake(1.0, 400); // 强度1.0，持续400毫秒
+                console.log('💥 障碍物落地震动！类型:', event.obstacle.type);
+                break;
+            case 'obstacleReward':
+                this.onObstacleReward(event);
+                break;
+            case 'obstaclePenalty':
+                this.onObstaclePenalty(event);
+                break;
+            case 'stunEnded':
+                console.log('眩晕结束，速度恢复');
+                break;
+            case 'invulnerabilityStarted':
+                this.onInvulnerabilityStarted(event);
+                break;
+            case 'invulnerabilityEnded':
+                console.log('🛡️ 安全期结束');
+                break;
+            case 'speedBoostStarted':
+                this.updateStatusText();
+                console.log('🌶️ 加速', event.multiplier, '倍，持续', event.duration / 1000, '秒');
+                break;
+            case 'speedBoostEnded':
+                this.updateStatusText();
+                console.log('🌶️ 加速结束');
+                break;
+            case 'teleported':
+                // 传送特效（电脑对手传送时不抖动玩家的画面）
+                if (!this.isBotEvent(event)) {
+                    this.startCameraShake(0.8, 300);
+                }
+                this.getPreviousPositions(event.player).length = 0; // 传送不做插值，避免蛇头划过棋盘
+                console.log('🌀 蛇头传送到:', event.x, event.y);
+                break;
+            case 'wrapped': {
+                // 跟随该玩家的相机随蛇头一起平移（联机时对手的蛇没有相机）
+                const camera = this.getPlayerCamera(event.player);
+                if (camera) {
+                    camera.translate(new THREE.Vector3(event.dx * this.GRID_SIZE, 0, event.dy * this.GRID_SIZE));
+                }
+                break;
             }
-            
-            this.statusElement.textContent = statusText;
+            case 'obstacleDecay':
+                this.onObstacleDecay(event);
+                break;
+            case 'levelCompleted':
+                this.finishRecording();
+                this.saveRunRecord(event);
+                this.onLevelCompleted(event);
+                break;
+            case 'levelFailed':
+                this.finishRecording();
+                this.saveRunRecord(event);
+                this.onLevelFailed(event);
+                break;
+            case 'playerEliminated':
+                if (!this.isBotEvent(event)) {
+                    this.flashScreenColor(0xFF6B6B, 0.3, 300);
+                }
+                console.log(`💥 ${this.getPlayerName(event.player)} 被淘汰！得分: ${event.score}，长度: ${event.length}`);
+                break;
+            case 'botRespawned':
+                this.getPreviousPositions(event.player).length = 0; // 重生不做插值，避免蛇身从淘汰处划过棋盘
+                console.log(`🤖 ${this.getPlayerName(event.player)} 重新出现在:`, event.x, event.y);
+                break;
+            case 'gameOver':
+                this.finishRecording();
+                this.saveRunRecord(event);
+                this.onGameOver(event);
+                break;
+        }
+        
+        // 转发给事件订阅者
+        const { type, ...payload } = event;
+        this.emitGameEvent(type, payload);
+        if (type === 'foodEaten' && event.combo > 1) {
+            this.emitGameEvent('combo', { combo: event.combo, points: event.points, player: event.player });
         }
     }
     
@@ -468,7 +756,7 @@ class SnakeGame {
         
         // 创建相机 - 第三人称视角
         this.camera = new THREE.PerspectiveCamera(
-            60,
+            CAMERA_CONFIG.fov,
             window.innerWidth / window.innerHeight,
             0.1,
             1000
@@ -476,11 +764,10 @@ class SnakeGame {
         // 初始相机位置
         this.camera.position.set(0, 80, 40);
         
-        // 创建渲染器
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        
-        document.getElementById('game-canvas').appendChild(this.renderer.domElement);
+        // 创建渲染器（画布事件监听在容器上，重新创建渲染器后仍然有效）
+        this.canvasContainer = document.getElementById('game-canvas');
+        this.renderer = null;
+        this.createRenderer();
         
         // 创建相机目标对象（用于跟随蛇头）
         this.cameraTarget = new THREE.Object3D();
@@ -493,15 +780,17 @@ class SnakeGame {
         
         // 初始化性能监视器
         this.stats = new Stats();
-        this.stats.showPanel(0); // 0: fps, 1: ms, 2: mb
+        this.stats.showPanel(this.settings.get('statsPanel')); // 0: fps, 1: ms, 2: mb
         this.stats.dom.style.position = 'absolute';
         this.stats.dom.style.left = '10px';
         this.stats.dom.style.top = '100px';
         this.stats.dom.style.zIndex = '1000';
+        this.stats.dom.classList.add('debug-overlay');
         document.body.appendChild(this.stats.dom);
         
-        // 添加mesh池状态显示
+        // 添加渲染统计显示
         this.meshPoolInfo = document.createElement('div');
+        this.meshPoolInfo.className = 'debug-overlay';
         this.meshPoolInfo.style.position = 'absolute';
         this.meshPoolInfo.style.left = '10px';
         this.meshPoolInfo.style.top = '150px';
@@ -516,6 +805,7 @@ class SnakeGame {
         
         // 添加调试面板
         this.debugPanel = document.createElement('div');
+        this.debugPanel.className = 'debug-overlay';
         this.debugPanel.style.position = 'absolute';
         this.debugPanel.style.right = '10px';
         this.debugPanel.style.top = '100px';
@@ -535,48 +825,32 @@ class SnakeGame {
         // 创建关卡UI
         this.createLevelUI();
         
+        // 创建回放控制UI
+        this.createReplayUI();
+        
+        // 创建触屏控制UI
+        this.createTouchUI();
+        
+        // 创建分屏双人的分隔线和玩家标签
+        this.createSplitScreenUI();
+        
+        // 创建联机对战面板
+        this.createOnlineUI();
+        
+        // 创建音量控制和设置按钮
+        this.createAudioUI();
+        
+        // 创建设置界面
+        this.createSettingsUI();
+        
+        // 关卡编辑器
+        this.levelEditor = new LevelEditor(this);
+        
         // 视觉效果系统
         this.floatingTexts = [];           // 浮动文字数组
         this.screenFlash = null;           // 屏幕闪烁效果
         this.particleEffects = [];         // 粒子效果数组
         
-        // 关卡系统
-        this.levelSystem = {
-            currentLevel: 1,               // 当前关卡
-            levelType: 'free',             // 关卡类型：'free', 'score', 'length', 'obstacle'
-            isActive: false,               // 关卡是否激活
-            startTime: 0,                  // 关卡开始时间
-            timeLimit: 0,                  // 时间限制（毫秒）
-            targetScore: 0,                // 目标分数
-            targetLength: 0,               // 目标长度
-            maxObstacles: 0,               // 最大障碍物数量
-            decayRate: 0,                  // 衰减速率
-            lastDecayTime: 0,              // 上次衰减时间
-            completed: false,              // 是否完成
-            failed: false                  // 是否失败
-        };
-        
-        // 预定义关卡
-        this.levelDefinitions = [
-            // 自由模式关卡
-            { type: 'free', name: '自由探索', description: '熟悉游戏操作' },
-            
-            // 分数挑战关卡
-            { type: 'score', name: '速度得分', timeLimit: 60000, targetScore: 200, description: '60秒内获得200分' },
-            { type: 'score', name: '高分冲刺', timeLimit: 90000, targetScore: 500, description: '90秒内获得500分' },
-            
-            // 长度挑战关卡
-            { type: 'length', name: '成长之路', timeLimit: 120000, targetLength: 15, description: '2分钟内达到15段长度' },
-            { type: 'length', name: '巨蛇传说', timeLimit: 180000, targetLength: 25, description: '3分钟内达到25段长度' },
-            
-            // 障碍物控制关卡
-            { type: 'obstacle', name: '清理专家', maxObstacles: 3, decayRate: 0.5, description: '保持场上障碍物不超过3个' },
-            { type: 'obstacle', name: '极限控制', maxObstacles: 2, decayRate: 1.0, description: '保持场上障碍物不超过2个' },
-            
-            // 混合挑战关卡
-            { type: 'score', name: '终极挑战', timeLimit: 300000, targetScore: 1000, description: '5分钟内获得1000分' }
-        ];
-        
         // 添加灯光
         this.setupLighting();
         
@@ -586,6 +860,9 @@ class SnakeGame {
         // 创建游戏板
         this.createBoard();
         
+        // 创建关卡墙体
+        this.createWalls();
+        
         // 创建警告墙体
         this.createWarningWalls();
         
@@ -596,24 +873,33 @@ class SnakeGame {
         this.createSnake();
         
         // 创建食物
-        this.createFood();
-        
-        // 初始化难度
-        this.updateDifficulty();
+        this.syncFoodViews();
         
         // 初始化关卡系统
         this.initializeLevelSystem();
+        
+        // 显示随机种子
+        this.updateSeedDisplay();
+        
+        // 应用保存的设置
+        this.applySettings();
     }
     
     getSnakeHeadWorldPosition() {
-        const head = this.snake[0];
+        const head = this.getInterpolatedSegmentPosition(0);
         return new THREE.Vector3(
-            head.actualX - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
+            head.x - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
             0,
-            head.actualY - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
+            head.y - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
         );
     }
     
+    // 棋盘中心的格子坐标
+    getBoardCenter() {
+        const center = Math.floor(this.BOARD_SIZE / 2);
+        return { x: center, y: center };
+    }
+    
     setupLighting() {
         // 环境光 - 更明亮温暖
         const ambientLight = new THREE.AmbientLight(0xFFFFE0, 0.7); // 淡黄色环境光，更明亮温暖
@@ -622,9 +908,7 @@ class SnakeGame {
         // 方向光 - 从上方照射
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
         directionalLight.position.set(0, 50, 20);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
+        directionalLight.castShadow = true; // 阴影贴图尺寸和开关按设置（见 applyGraphicsSettings）
         directionalLight.shadow.camera.near = 0.5;
         directionalLight.shadow.camera.far = 100;
         directionalLight.shadow.camera.left = -50;
@@ -632,6 +916,7 @@ class SnakeGame {
         directionalLight.shadow.camera.top = 50;
         directionalLight.shadow.camera.bottom = -50;
         this.scene.add(directionalLight);
+        this.directionalLight = directionalLight;
         
         // 点光源跟随蛇头 - 温暖的光线
         this.snakeLight = new THREE.PointLight(0xFFD700, 0.8, 100); // 金黄色光线，温暖舒适
@@ -654,50 +939,103 @@ class SnakeGame {
         this.boardMesh = new THREE.Mesh(boardGeometry, boardMaterial);
         this.boardMesh.rotation.x = -Math.PI / 2;
         this.boardMesh.receiveShadow = true;
-        this.scene.add(this.boardMesh);
+        
+        this.boardGroup = new THREE.Group();
+        this.boardGroup.add(this.boardMesh);
+        this.scene.add(this.boardGroup);
         
         // 创建网格线
         this.createGridLines();
     }
     
+    // 所有网格线合并为一个 LineSegments，只需一次绘制调用
     createGridLines() {
         const material = new THREE.LineBasicMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0.4 }); // 白色网格线，更明亮适合儿童
+        const half = (this.BOARD_SIZE * this.GRID_SIZE) / 2;
+        const points = [];
         
-        // 垂直线
         for (let i = 0; i <= this.BOARD_SIZE; i++) {
-            const geometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(
-                    i * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2,
-                    0.1,
-                    -(this.BOARD_SIZE * this.GRID_SIZE) / 2
-                ),
-                new THREE.Vector3(
-                    i * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2,
-                    0.1,
-                    (this.BOARD_SIZE * this.GRID_SIZE) / 2
-                )
-            ]);
-            const line = new THREE.Line(geometry, material);
-            this.scene.add(line);
-        }
-        
-        // 水平线
-        for (let i = 0; i <= this.BOARD_SIZE; i++) {
-            const geometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(
-                    -(this.BOARD_SIZE * this.GRID_SIZE) / 2,
-                    0.1,
-                    i * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2
-                ),
-                new THREE.Vector3(
-                    (this.BOARD_SIZE * this.GRID_SIZE) / 2,
-                    0.1,
-                    i * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2
-                )
-            ]);
-            const line = new THREE.Line(geometry, material);
-            this.scene.add(line);
+            const offset = i * this.GRID_SIZE - half;
+            // 垂直线
+            points.push(new THREE.Vector3(offset, 0.1, -half), new THREE.Vector3(offset, 0.1, half));
+            // 水平线
+            points.push(new THREE.Vector3(-half, 0.1, offset), new THREE.Vector3(half, 0.1, offset));
+        }
+        
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        this.boardGroup.add(new THREE.LineSegments(geometry, material));
+    }
+    
+    // 棋盘大小或墙体与模拟不一致时（加载了其他关卡）重建棋盘和墙体
+    syncLevelLayout() {
+        if (this.BOARD_SIZE !== this.sim.BOARD_SIZE) {
+            this.BOARD_SIZE = this.sim.BOARD_SIZE;
+            this.rebuildBoard();
+            this.renderedWalls = null;
+        }
+        
+        if (this.renderedWalls !== this.sim.walls) {
+            this.createWalls();
+        }
+    }
+    
+    // 创建关卡墙体 - 所有墙格共用一个 InstancedMesh，只需一次绘制调用
+    createWalls() {
+        if (this.wallMesh) {
+            this.scene.remove(this.wallMesh);
+            this.wallMesh.geometry.dispose();
+            this.wallMesh.material.dispose();
+            this.wallMesh = null;
         }
+        
+        this.renderedWalls = this.sim.walls;
+        
+        const cells = [];
+        this.sim.walls.forEach(wall => {
+            for (let y = wall.y; y < wall.y + wall.height; y++) {
+                for (let x = wall.x; x < wall.x + wall.width; x++) {
+                    cells.push({ x, y });
+                }
+            }
+        });
+        if (cells.length === 0) return;
+        
+        const wallGeometry = new THREE.BoxGeometry(this.GRID_SIZE, this.GRID_SIZE, this.GRID_SIZE);
+        const wallMaterial = new THREE.MeshLambertMaterial({ color: 0x8B7355 }); // 木头色墙体
+        this.wallMesh = new THREE.InstancedMesh(wallGeometry, wallMaterial, cells.length);
+        
+        const boardHalfSize = (this.BOARD_SIZE * this.GRID_SIZE) / 2;
+        const matrix = new THREE.Matrix4();
+        cells.forEach((cell, index) => {
+            matrix.setPosition(
+                cell.x * this.GRID_SIZE - boardHalfSize + this.GRID_SIZE / 2,
+                this.GRID_SIZE / 2,
+                cell.y * this.GRID_SIZE - boardHalfSize + this.GRID_SIZE / 2
+            );
+            this.wallMesh.setMatrixAt(index, matrix);
+        });
+        this.wallMesh.instanceMatrix.needsUpdate = true;
+        this.wallMesh.castShadow = true;
+        this.wallMesh.receiveShadow = true;
+        this.scene.add(this.wallMesh);
+    }
+    
+    // 销毁并重新创建棋盘、网格线和警告墙体
+    rebuildBoard() {
+        this.boardGroup.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.scene.remove(this.boardGroup);
+        
+        Object.values(this.warningWalls).forEach(wall => {
+            this.scene.remove(wall);
+            wall.geometry.dispose();
+            wall.material.dispose();
+        });
+        
+        this.createBoard();
+        this.createWarningWalls();
     }
     
     // 创建警告墙体
@@ -743,10 +1081,13 @@ class SnakeGame {
         this.scene.add(this.warningWalls.right);
     }
     
-    // 更新边界警告
+    // 更新边界警告（穿越边界模式下边缘显示为蓝色，提示蛇头会从对侧出现）
     updateBoundaryWarning(head) {
         const warningDistance = this.GRID_SIZE * 3; // 警告距离
         const maxBoundary = this.BOARD_SIZE * this.GRID_SIZE;
+        const wrapAround = this.sim.wrapAround;
+        this.warningWalls.top.material.color.setHex(wrapAround ? 0x00BFFF : 0xFFA500);
+        this.warningWalls.top.material.emissive.setHex(wrapAround ? 0x002244 : 0x442200);
         
         // 检查蛇头距离各边界的距离
         const distanceToTop = head.actualY;              // 距离顶部边界(y=0)
@@ -769,8 +1110,14 @@ class SnakeGame {
             if (this.warningWalls.bottom.visible) warnings.push('下');
             if (this.warningWalls.left.visible) warnings.push('左');
             if (this.warningWalls.right.visible) warnings.push('右');
-            console.log('⚠️ 边界警告:', warnings.join(', '));
+            console.log(wrapAround ? '🌐 即将穿越边界:' : '⚠️ 边界警告:', warnings.join(', '));
+            
+            // 刚进入警告范围时通知订阅者（音效提示）
+            if (!this.boundaryWarningActive) {
+                this.emitGameEvent('boundaryWarning', { sides: warnings, wrapAround });
+            }
         }
+        this.boundaryWarningActive = hasWarning;
         
         // 添加闪烁效果
         const time = Date.now() * 0.005;
@@ -803,16 +1150,20 @@ class SnakeGame {
         });
         
         this.snakeMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0xFF69B4, // 热粉色，活泼可爱
+            color: 0xFFFFFF, // 实际颜色由每条蛇的实例颜色决定
             shininess: 80
         });
-        
-        // 创建共享的食物几何体和材质
-        this.foodGeometry = new THREE.SphereGeometry(this.GRID_SIZE * 0.3, 16, 16);
-        this.foodMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0xFFD700, // 金黄色，像阳光一样温暖
-            shininess: 100,
-            emissive: 0x664400 // 温暖的金色发光
+        this.snakeBodyColor = new THREE.Color(0xFF69B4); // 热粉色，活泼可爱
+        
+        // 创建每种食物共享的几何体和材质
+        Object.entries(this.sim.foodTypes).forEach(([type, foodTypeConfig]) => {
+            this.foodGeometries[type] = this.createFoodGeometry(foodTypeConfig.geometry);
+            this.foodMaterials[type] = new THREE.MeshPhongMaterial({ 
+                color: foodTypeConfig.color,
+                shininess: 100,
+                emissive: foodTypeConfig.emissive,
+                transparent: true
+            });
         });
         
         // 创建共享的障碍物几何体和材质
@@ -822,169 +1173,52 @@ class SnakeGame {
             shininess: 80,
             emissive: 0x664400 // 温暖的黄色发光
         });
-    }
-    
-    // 生成障碍物等级和类型
-    generateObstacleLevel() {
-        const snakeLength = this.snake.length;
-        
-        // 根据蛇长度智能选择障碍物类型
-        const typeChance = Math.random();
-        let obstacleType, level;
-        
-        if (snakeLength <= 5) {
-            // 早期：主要是弱障碍物
-            if (typeChance < 0.6) {
-                obstacleType = 'WEAK';
-                level = Math.max(1, snakeLength - 2);
-            } else if (typeChance < 0.9) {
-                obstacleType = 'NORMAL';
-                level = snakeLength;
-            } else {
-                obstacleType = 'STRONG';
-                level = snakeLength + 2;
-            }
-        } else if (snakeLength <= 15) {
-            // 中期：平衡分布
-            if (typeChance < 0.3) {
-                obstacleType = 'WEAK';
-                level = Math.max(1, snakeLength - 3);
-            } else if (typeChance < 0.7) {
-                obstacleType = 'NORMAL';
-                level = snakeLength + Math.floor(Math.random() * 3) - 1;
-            } else if (typeChance < 0.95) {
-                obstacleType = 'STRONG';
-                level = snakeLength + Math.floor(Math.random() * 5) + 1;
-            } else {
-                obstacleType = 'SPECIAL';
-                level = snakeLength + Math.floor(Math.random() * 3);
-            }
-        } else {
-            // 后期：更多危险障碍物
-            if (typeChance < 0.2) {
-                obstacleType = 'WEAK';
-                level = Math.max(1, snakeLength - 5);
-            } else if (typeChance < 0.5) {
-                obstacleType = 'NORMAL';
-                level = snakeLength + Math.floor(Math.random() * 3);
-            } else if (typeChance < 0.9) {
-                obstacleType = 'STRONG';
-                level = snakeLength + Math.floor(Math.random() * 8) + 2;
-            } else {
-                obstacleType = 'SPECIAL';
-                level = snakeLength + Math.floor(Math.random() * 5);
-            }
-        }
         
-        return { type: obstacleType, level: level };
+        this.createObstacleBatches();
     }
     
+    // 蛇长度变化时调用：首次调用时创建玩家1的蛇头mesh和蛇身批次，之后只更新位置和统计信息
     createSnake() {
-        const currentLength = this.snake.length;
-        
-        // 重置mesh使用计数
-        this.meshPool.usedHeadMeshes = 0;
-        this.meshPool.usedBodyMeshes = 0;
-        
-        // 隐藏所有mesh
-        this.meshPool.headMeshes.forEach(mesh => mesh.visible = false);
-        this.meshPool.bodyMeshes.forEach(mesh => mesh.visible = false);
-
-        // 为每个蛇段分配mesh
-        this.snake.forEach((segment, index) => {
-            let mesh;
-            
-            if (index === 0) {
-                // 蛇头
-                mesh = this.getHeadMesh();
-                // 蛇头保持原始大小
-                mesh.scale.set(1, 1, 1);
-            } else {
-                // 蛇身
-                mesh = this.getBodyMesh();
-                mesh.rotation.x = Math.PI / 8;
-                mesh.rotation.z = index * 0.1;
-                // 蛇身从大到小逐渐缩放
-                const scale = this.SNAKE_SCALE_START + (this.SNAKE_SCALE_END - this.SNAKE_SCALE_START) * index / (currentLength - 1);
-                mesh.scale.set(scale, scale, scale);
-            }
-            
-            // 显示mesh
-            mesh.visible = true;
-            
-            // 更新snakeMeshes数组
-            this.snakeMeshes[index] = mesh;
-        });
-        
-        // 移除多余的引用
-        this.snakeMeshes.length = currentLength;
+        if (!this.snakeHeadMesh) {
+            this.snakeHeadMesh = new THREE.Mesh(this.headGeometry, this.headMaterial);
+            this.snakeHeadMesh.castShadow = true;
+            this.scene.add(this.snakeHeadMesh);
+            this.snakeBodyBatch = new InstancedBatch(this.scene, this.snakeGeometry, this.snakeMaterial, { capacity: 64, castShadow: true });
+        }
+        this.lastSnakeLength = this.sim.snake.length;
         
-        // 更新所有mesh的位置
+        // 更新所有蛇段的位置
         this.updateSnakePositions();
         
-        // 更新mesh池信息显示
+        // 更新渲染统计显示
         this.updateMeshPoolInfo();
         
         // 更新调试面板
         this.updateDebugPanel();
     }
     
-    // 获取蛇头mesh（从池中或创建新的）
-    getHeadMesh() {
-        if (this.meshPool.usedHeadMeshes < this.meshPool.headMeshes.length) {
-            return this.meshPool.headMeshes[this.meshPool.usedHeadMeshes++];
-        }
-        
-        // 创建新的蛇头mesh
-        const mesh = new THREE.Mesh(this.headGeometry, this.headMaterial);
-        mesh.castShadow = true;
-        this.scene.add(mesh);
-        this.meshPool.headMeshes.push(mesh);
-        this.meshPool.usedHeadMeshes++;
-        
-        return mesh;
-    }
-    
-    // 获取蛇身mesh（从池中或创建新的）
-    getBodyMesh() {
-        if (this.meshPool.usedBodyMeshes < this.meshPool.bodyMeshes.length) {
-            return this.meshPool.bodyMeshes[this.meshPool.usedBodyMeshes++];
-        }
-        
-        // 创建新的蛇身mesh
-        const mesh = new THREE.Mesh(this.snakeGeometry, this.snakeMaterial);
-        mesh.castShadow = true;
-        this.scene.add(mesh);
-        this.meshPool.bodyMeshes.push(mesh);
-        this.meshPool.usedBodyMeshes++;
-        
-        return mesh;
-    }
-    
-    // 更新mesh池信息显示
+    // 更新渲染统计显示（实例批次的使用量和上一帧的绘制调用次数）
     updateMeshPoolInfo() {
-        const headPoolSize = this.meshPool.headMeshes.length;
-        const bodyPoolSize = this.meshPool.bodyMeshes.length;
-        const usedHead = this.meshPool.usedHeadMeshes;
-        const usedBody = this.meshPool.usedBodyMeshes;
+        const bodyBatch = this.snakeBodyBatch;
+        const activeObstacleBatches = [...this.obstacleBatches.values()].filter(batch => batch.count > 0).length;
         
         // 统计下落中的障碍物数量
-        const fallingObstacles = this.obstacles.filter(obs => obs.isFalling).length;
-        const landedObstacles = this.obstacles.filter(obs => obs.hasLanded).length;
+        const fallingObstacles = this.sim.obstacles.filter(obs => obs.isFalling).length;
+        const landedObstacles = this.sim.obstacles.filter(obs => obs.hasLanded).length;
         
         this.meshPoolInfo.innerHTML = `
-            <div>Mesh池状态:</div>
-            <div>蛇头: ${usedHead}/${headPoolSize}</div>
-            <div>蛇身: ${usedBody}/${bodyPoolSize}</div>
-            <div>总复用: ${headPoolSize + bodyPoolSize}</div>
-            <div>蛇长度: ${this.snake.length}</div>
-            <div>障碍物: ${this.obstacles.length}</div>
+            <div>渲染统计:</div>
+            <div>绘制调用: ${this.renderer.info.render.calls}</div>
+            <div>蛇身实例: ${bodyBatch.count}/${bodyBatch.capacity}</div>
+            <div>障碍物批次: ${activeObstacleBatches}</div>
+            <div>蛇长度: ${this.sim.snake.length}</div>
+            <div>障碍物: ${this.sim.obstacles.length}</div>
             <div>下落中: ${fallingObstacles}</div>
             <div>已落地: ${landedObstacles}</div>
-            <div>眩晕: ${this.snakeStunned.isStunned ? '是' : '否'}</div>
-            <div>无敌: ${this.isInvulnerable ? '是' : '否'}</div>
-            <div>连击: ${this.comboCount}</div>
-            <div>存活: ${(this.survivalTime / 1000).toFixed(1)}s</div>
+            <div>眩晕: ${this.sim.effects.has('stun') ? '是' : '否'}</div>
+            <div>无敌: ${this.sim.effects.has('invulnerable') ? '是' : '否'}</div>
+            <div>连击: ${this.sim.comboCount}</div>
+            <div>存活: ${(this.sim.survivalTime / 1000).toFixed(1)}s</div>
         `;
     }
     
@@ -998,36 +1232,38 @@ class SnakeGame {
         this.debugPanel.style.display = 'block';
         
         // 计算各种统计数据
-        const difficultyLevel = this.getDifficultyLevel(this.snake.length);
-        const speedPercent = ((this.moveSpeed / this.DIFFICULTY_CONFIG.maxSpeed) * 100).toFixed(1);
-        const survivalMinutes = (this.survivalTime / 60000).toFixed(1);
+        const difficultyLevel = this.sim.getDifficultyLevel(this.sim.snake.length);
+        const speedPercent = ((this.sim.moveSpeed / this.sim.DIFFICULTY_CONFIG.maxSpeed) * 100).toFixed(1);
+        const survivalMinutes = (this.sim.survivalTime / 60000).toFixed(1);
         
         // 障碍物类型统计
         const obstacleStats = {};
-        this.obstacles.forEach(obs => {
+        this.sim.obstacles.forEach(obs => {
             obstacleStats[obs.type] = (obstacleStats[obs.type] || 0) + 1;
         });
         
         this.debugPanel.innerHTML = `
             <div><strong>🎮 游戏调试面板</strong></div>
             <div>━━━━━━━━━━━━━━━━</div>
-            <div>🐍 蛇长度: ${this.snake.length}</div>
-            <div>⚡ 速度: ${this.moveSpeed.toFixed(1)} (${speedPercent}%)</div>
+            <div>🐍 蛇长度: ${this.sim.snake.length}</div>
+            <div>⚡ 速度: ${this.sim.moveSpeed.toFixed(2)}格/秒 (${speedPercent}%)，实际 ${this.sim.getEffectiveSpeed().toFixed(2)}格/秒</div>
             <div>🎯 难度: ${difficultyLevel}</div>
-            <div>🏆 得分: ${this.score}</div>
-            <div>🔥 连击: ${this.comboCount}</div>
+            <div>🏆 得分: ${this.sim.score}</div>
+            <div>🔥 连击: ${this.sim.comboCount}</div>
             <div>⏱️ 存活: ${survivalMinutes}分钟</div>
+            <div>🕰️ 游戏时钟: ${(this.sim.now() / 1000).toFixed(1)}s (x${this.sim.clock.getTimeScale().toFixed(2)})</div>
             <div>━━━━━━━━━━━━━━━━</div>
             <div>🟢 弱障碍: ${obstacleStats.WEAK || 0}</div>
             <div>🟡 普通障碍: ${obstacleStats.NORMAL || 0}</div>
             <div>🔴 强障碍: ${obstacleStats.STRONG || 0}</div>
             <div>🔵 特殊障碍: ${obstacleStats.SPECIAL || 0}</div>
             <div>━━━━━━━━━━━━━━━━</div>
-            <div>🛡️ 无敌: ${this.isInvulnerable ? '激活' : '关闭'}</div>
-            <div>😵 眩晕: ${this.snakeStunned.isStunned ? '激活' : '关闭'}</div>
+            <div>🛡️ 无敌: ${this.sim.effects.has('invulnerable') ? '激活' : '关闭'}</div>
+            <div>😵 眩晕: ${this.sim.effects.has('stun') ? '激活' : '关闭'}</div>
+            <div>🌶️ 加速: ${this.sim.effects.has('speedBoost') ? `激活 x${this.sim.effects.get('speedBoost').stacks}` : '关闭'}</div>
             <div>📳 抖动: ${this.cameraShake.isShaking ? '激活' : '关闭'}</div>
             <div>━━━━━━━━━━━━━━━━</div>
-            <div style="font-size: 10px; color: #888;">按 D 键切换调试模式</div>
+            <div style="font-size: 10px; color: #888;">按 \` 键切换调试模式</div>
         `;
     }
     
@@ -1184,8 +1420,10 @@ class SnakeGame {
         });
     }
     
-    // 更新视觉效果
-    updateVisualEffects() {
+    // 更新视觉效果（deltaTime 为距上一帧的毫秒数）
+    updateVisualEffects(deltaTime) {
+        const frameScale = deltaTime / 16.67;
+        
         // 更新浮动文字
         for (let i = this.floatingTexts.length - 1; i >= 0; i--) {
             const floatingText = this.floatingTexts[i];
@@ -1224,9 +1462,9 @@ class SnakeGame {
                     effect.particles.splice(j, 1);
                 } else {
                     // 更新粒子
-                    particle.mesh.position.add(particle.velocity.clone().multiplyScalar(0.016));
-                    particle.velocity.y -= 0.5; // 重力
-                    particle.life -= particle.decay;
+                    particle.mesh.position.add(particle.velocity.clone().multiplyScalar(deltaTime / 1000));
+                    particle.velocity.y -= 0.5 * frameScale; // 重力
+                    particle.life -= particle.decay * frameScale;
                     particle.mesh.material.opacity = particle.life;
                     
                     allParticlesDead = false;
@@ -1243,6 +1481,7 @@ class SnakeGame {
     createLevelUI() {
         // 关卡信息面板
         this.levelPanel = document.createElement('div');
+        this.levelPanel.id = 'level-panel';
         this.levelPanel.style.position = 'absolute';
         this.levelPanel.style.top = '10px';
         this.levelPanel.style.left = '50%';
@@ -1260,6 +1499,7 @@ class SnakeGame {
         
         // 关卡选择面板
         this.levelSelectPanel = document.createElement('div');
+        this.levelSelectPanel.id = 'level-select';
         this.levelSelectPanel.style.position = 'absolute';
         this.levelSelectPanel.style.top = '50%';
         this.levelSelectPanel.style.left = '50%';
@@ -1279,6 +1519,7 @@ class SnakeGame {
         
         // 进度条
         this.progressBar = document.createElement('div');
+        this.progressBar.id = 'level-progress';
         this.progressBar.style.position = 'absolute';
         this.progressBar.style.top = '80px';
         this.progressBar.style.left = '50%';
@@ -1302,13 +1543,12 @@ class SnakeGame {
     
     // 初始化关卡系统
     initializeLevelSystem() {
-        this.loadLevel(1);
         this.updateLevelUI();
     }
     
     // 加载关卡
     loadLevel(levelNumber) {
-        if (levelNumber < 1 || levelNumber > this.levelDefinitions.length) {
+        if (!this.sim.loadLevel(levelNumber)) {
             console.log('关卡不存在:', levelNumber);
             return;
         }
@@ -1316,24 +1556,15 @@ class SnakeGame {
         // 清理所有对话框
         this.clearAllDialogs();
         
-        const levelDef = this.levelDefinitions[levelNumber - 1];
-        this.levelSystem.currentLevel = levelNumber;
-        this.levelSystem.levelType = levelDef.type;
-        this.levelSystem.isActive = false;
-        this.levelSystem.completed = false;
-        this.levelSystem.failed = false;
-        this.levelSystem.startTime = 0;
-        this.levelSystem.lastDecayTime = 0;
-        
-        // 设置关卡参数
-        this.levelSystem.timeLimit = levelDef.timeLimit || 0;
-        this.levelSystem.targetScore = levelDef.targetScore || 0;
-        this.levelSystem.targetLength = levelDef.targetLength || 0;
-        this.levelSystem.maxObstacles = levelDef.maxObstacles || 0;
-        this.levelSystem.decayRate = levelDef.decayRate || 0;
-        
-        console.log('加载关卡:', levelNumber, levelDef.name);
-        this.updateLevelUI();
+        // 还没开始时蛇已按新关卡重新摆放；进行中的一局无法换到不同的棋盘布局，直接重新开始
+        if (this.sim.gameState === 'waiting') {
+            this.syncViewsToSimulation();
+        } else if (this.sim.BOARD_SIZE !== this.BOARD_SIZE || this.sim.walls !== this.renderedWalls) {
+            this.resetGame();
+        }
+        
+        console.log('加载关卡:', levelNumber, this.sim.getCurrentLevelDefinition().name);
+        this.updateLevelUI();
     }
     
     // 开始关卡
@@ -1341,21 +1572,22 @@ class SnakeGame {
         // 清理所有对话框
         this.clearAllDialogs();
         
-        if (this.levelSystem.levelType === 'free') {
-            // 自由模式直接开始游戏
-            this.levelSystem.isActive = true;
+        // 双人对战只使用关卡布局，不激活关卡目标
+        if (this.sim.isMatch()) {
             this.startGame();
-        } else {
-            // 挑战模式需要重置游戏状态
+            return;
+        }
+        
+        // 挑战模式需要重置游戏状态，自由模式直接开始游戏
+        if (this.sim.levelSystem.levelType !== 'free') {
             this.resetGame();
-            // 重置后重新激活关卡系统
-            this.levelSystem.isActive = true;
-            this.levelSystem.completed = false;
-            this.levelSystem.failed = false;
-            this.levelSystem.startTime = Date.now();
-            this.levelSystem.lastDecayTime = Date.now();
-            this.startGame();
         }
+        
+        const previousState = this.sim.gameState;
+        this.startRecording(true);
+        this.sim.beginLevel();
+        this.emitStartEvent(previousState);
+        this.startGame();
     }
     
     // 加载并开始关卡（用于"下一关"按钮）
@@ -1367,25 +1599,32 @@ class SnakeGame {
         
         // 然后立即开始关卡
         setTimeout(() => {
-            console.log('🚀 开始关卡:', this.levelSystem.levelType, '时间限制:', this.levelSystem.timeLimit);
+            console.log('🚀 开始关卡:', this.sim.levelSystem.levelType, '时间限制:', this.sim.levelSystem.timeLimit);
             this.startLevel();
         }, 100); // 短暂延迟确保UI更新完成
     }
     
     // 更新关卡UI
     updateLevelUI() {
-        const levelDef = this.levelDefinitions[this.levelSystem.currentLevel - 1];
+        // 联机对战时显示房间信息
+        if (this.network) {
+            this.levelPanel.innerHTML = this.getOnlineLevelInfoHTML();
+            this.progressBar.style.display = 'none';
+            return;
+        }
+        
+        const levelDef = this.sim.getCurrentLevelDefinition();
         
         if (!levelDef) return;
         
-        let levelInfo = `<div><strong>关卡 ${this.levelSystem.currentLevel}: ${levelDef.name}</strong></div>`;
+        let levelInfo = `<div><strong>关卡 ${this.sim.levelSystem.currentLevel}: ${levelDef.name}</strong></div>`;
         levelInfo += `<div style="font-size: 12px; margin-top: 5px;">${levelDef.description}</div>`;
         
-        if (this.levelSystem.isActive && this.gameState === 'playing') {
+        if (this.sim.levelSystem.isActive && this.sim.gameState === 'playing') {
             // 显示关卡进度
-            if (this.levelSystem.timeLimit > 0) {
-                const elapsed = Date.now() - this.levelSystem.startTime;
-                const remaining = Math.max(0, this.levelSystem.timeLimit - elapsed);
+            if (this.sim.levelSystem.timeLimit > 0) {
+                const elapsed = this.sim.getLevelElapsed();
+                const remaining = Math.max(0, this.sim.levelSystem.timeLimit - elapsed);
                 const minutes = Math.floor(remaining / 60000);
                 const seconds = Math.floor((remaining % 60000) / 1000);
                 
@@ -1394,79 +1633,155 @@ class SnakeGame {
                 levelInfo += `<div style="margin-top: 5px; color: ${timeColor};">⏰ 剩余时间: ${minutes}:${seconds.toString().padStart(2, '0')}</div>`;
                 
                 // 更新进度条
-                const progress = Math.min(100, (elapsed / this.levelSystem.timeLimit) * 100);
+                const progress = Math.min(100, (elapsed / this.sim.levelSystem.timeLimit) * 100);
                 this.progressFill.style.width = progress + '%';
                 // 时间不足时进度条变红
                 this.progressFill.style.backgroundColor = remaining < 10000 ? '#ff4444' : '#00ff88';
                 this.progressBar.style.display = 'block';
             }
             
-            if (this.levelSystem.targetScore > 0) {
-                const progress = Math.min(100, (this.score / this.levelSystem.targetScore) * 100);
-                levelInfo += `<div style="margin-top: 5px;">🎯 分数: ${this.score}/${this.levelSystem.targetScore} (${progress.toFixed(1)}%)</div>`;
+            if (this.sim.levelSystem.targetScore > 0) {
+                const progress = Math.min(100, (this.sim.score / this.sim.levelSystem.targetScore) * 100);
+                levelInfo += `<div style="margin-top: 5px;">🎯 分数: ${this.sim.score}/${this.sim.levelSystem.targetScore} (${progress.toFixed(1)}%)</div>`;
             }
             
-            if (this.levelSystem.targetLength > 0) {
-                const progress = Math.min(100, (this.snake.length / this.levelSystem.targetLength) * 100);
-                levelInfo += `<div style="margin-top: 5px;">🐍 长度: ${this.snake.length}/${this.levelSystem.targetLength} (${progress.toFixed(1)}%)</div>`;
+            if (this.sim.levelSystem.targetLength > 0) {
+                const progress = Math.min(100, (this.sim.snake.length / this.sim.levelSystem.targetLength) * 100);
+                levelInfo += `<div style="margin-top: 5px;">🐍 长度: ${this.sim.snake.length}/${this.sim.levelSystem.targetLength} (${progress.toFixed(1)}%)</div>`;
             }
             
-            if (this.levelSystem.maxObstacles > 0) {
-                const currentObstacles = this.obstacles.length;
-                const isOverLimit = currentObstacles > this.levelSystem.maxObstacles;
+            if (this.sim.levelSystem.maxObstacles > 0) {
+                const currentObstacles = this.sim.obstacles.length;
+                const isOverLimit = currentObstacles > this.sim.levelSystem.maxObstacles;
                 const color = isOverLimit ? 'red' : 'white';
-                levelInfo += `<div style="margin-top: 5px; color: ${color};">⚠️ 障碍物: ${currentObstacles}/${this.levelSystem.maxObstacles}</div>`;
+                levelInfo += `<div style="margin-top: 5px; color: ${color};">⚠️ 障碍物: ${currentObstacles}/${this.sim.levelSystem.maxObstacles}</div>`;
             }
         } else {
             // 显示关卡要求
-            if (this.levelSystem.timeLimit > 0) {
-                const minutes = Math.floor(this.levelSystem.timeLimit / 60000);
-                const seconds = Math.floor((this.levelSystem.timeLimit % 60000) / 1000);
+            if (this.sim.levelSystem.timeLimit > 0) {
+                const minutes = Math.floor(this.sim.levelSystem.timeLimit / 60000);
+                const seconds = Math.floor((this.sim.levelSystem.timeLimit % 60000) / 1000);
                 levelInfo += `<div style="margin-top: 5px;">⏰ 时间限制: ${minutes}:${seconds.toString().padStart(2, '0')}</div>`;
             }
             
-            if (this.levelSystem.targetScore > 0) {
-                levelInfo += `<div style="margin-top: 5px;">🎯 目标分数: ${this.levelSystem.targetScore}</div>`;
+            if (this.sim.levelSystem.targetScore > 0) {
+                levelInfo += `<div style="margin-top: 5px;">🎯 目标分数: ${this.sim.levelSystem.targetScore}</div>`;
             }
             
-            if (this.levelSystem.targetLength > 0) {
-                levelInfo += `<div style="margin-top: 5px;">🐍 目标长度: ${this.levelSystem.targetLength}</div>`;
+            if (this.sim.levelSystem.targetLength > 0) {
+                levelInfo += `<div style="margin-top: 5px;">🐍 目标长度: ${this.sim.levelSystem.targetLength}</div>`;
             }
             
-            if (this.levelSystem.maxObstacles > 0) {
-                levelInfo += `<div style="margin-top: 5px;">⚠️ 最大障碍物: ${this.levelSystem.maxObstacles}</div>`;
-                levelInfo += `<div style="margin-top: 5px;">📉 超限衰减: ${this.levelSystem.decayRate}/秒</div>`;
+            if (this.sim.levelSystem.maxObstacles > 0) {
+                levelInfo += `<div style="margin-top: 5px;">⚠️ 最大障碍物: ${this.sim.levelSystem.maxObstacles}</div>`;
+                levelInfo += `<div style="margin-top: 5px;">📉 超限衰减: ${this.sim.levelSystem.decayRate}/秒</div>`;
             }
             
             this.progressBar.style.display = 'none';
         }
         
+        if (this.sim.wrapAround) {
+            levelInfo += '<div style="margin-top: 5px;">🌐 穿越边界：从一侧离开会从对侧出现</div>';
+        }
+        
+        if (this.sim.isMatch()) {
+            levelInfo += '<div style="margin-top: 5px;">👥 分屏双人：玩家1 鼠标控制（左），玩家2 方向键/WASD 控制（右），不计关卡目标</div>';
+        }
+        
+        const botDifficulties = this.sim.getBotDifficulties();
+        if (botDifficulties.length > 0) {
+            levelInfo += `<div style="margin-top: 5px;">🤖 电脑对手 ${botDifficulties.length} 名（${botDifficulties.map(difficulty => BOT_DIFFICULTIES[difficulty].name).join('、')}），被淘汰后会重新出现，不计入排行榜</div>`;
+        }
+        
         // 添加关卡选择按钮
-        if (this.gameState === 'waiting') {
+        if (this.sim.gameState === 'waiting') {
+            const levelForcesWrap = Boolean(this.sim.getCurrentLevelDefinition().wrap);
+            const wrapLabel = levelForcesWrap ? '关卡默认' : (this.sim.wrapMode ? '开' : '关');
+            const isSplit = this.sim.isMatch();
             levelInfo += `<div style="margin-top: 10px;">
                 <button onclick="game.showLevelSelect()" style="margin: 5px; padding: 5px 10px; background: #444; color: white; border: none; border-radius: 5px; cursor: pointer;">选择关卡</button>
                 <button onclick="game.startLevel()" style="margin: 5px; padding: 5px 10px; background: #00aa44; color: white; border: none; border-radius: 5px; cursor: pointer;">开始关卡</button>
+                <button onclick="game.toggleWrapMode()" ${levelForcesWrap ? 'disabled' : ''} style="margin: 5px; padding: 5px 10px; background: ${this.sim.wrapAround ? '#0077aa' : '#444'}; color: white; border: none; border-radius: 5px; cursor: pointer;">🌐 穿越边界: ${wrapLabel}</button>
+                <button onclick="game.toggleSplitScreen()" style="margin: 5px; padding: 5px 10px; background: ${isSplit ? '#0077aa' : '#444'}; color: white; border: none; border-radius: 5px; cursor: pointer;">👥 分屏双人: ${isSplit ? '开' : '关'}</button>
+                <button onclick="game.cycleBotCount()" style="margin: 5px; padding: 5px 10px; background: ${botDifficulties.length > 0 ? '#0077aa' : '#444'}; color: white; border: none; border-radius: 5px; cursor: pointer;">🤖 电脑对手: ${botDifficulties.length}</button>
+                <button onclick="game.cycleBotDifficulty()" style="margin: 5px; padding: 5px 10px; background: #444; color: white; border: none; border-radius: 5px; cursor: pointer;">难度: ${BOT_DIFFICULTIES[this.botDifficulty].name}</button>
+                <button onclick="game.showOnlinePanel()" style="margin: 5px; padding: 5px 10px; background: #444; color: white; border: none; border-radius: 5px; cursor: pointer;">🛰️ 联机对战</button>
+            </div>
+            <div style="margin-top: 5px; font-size: 12px;">
+                🎲 种子: <input id="seed-input" value="${this.fixedSeed ?? ''}" placeholder="随机" onchange="game.setSeed(this.value)" style="width: 110px; padding: 3px; border: none; border-radius: 3px;">
+                <button onclick="game.openReplayFile()" style="margin-left: 5px; padding: 3px 8px; background: #444; color: white; border: none; border-radius: 3px; cursor: pointer;">📂 加载回放</button>
+                <button onclick="game.levelEditor.open()" style="margin-left: 5px; padding: 3px 8px; background: #444; color: white; border: none; border-radius: 3px; cursor: pointer;">🛠️ 编辑器</button>
             </div>`;
         }
         
         this.levelPanel.innerHTML = levelInfo;
     }
     
+    // 切换穿越边界模式（只能在开局前切换）
+    toggleWrapMode() {
+        if (!this.sim.setWrapMode(!this.sim.wrapMode)) return;
+        
+        this.hideAllWarningWalls();
+        console.log('穿越边界模式:', this.sim.wrapMode ? '开启' : '关闭');
+        this.updateLevelUI();
+    }
+    
+    // 切换分屏双人模式（只能在开局前切换）
+    toggleSplitScreen() {
+        this.setPlayerCount(this.sim.isMatch() ? 1 : 2);
+    }
+    
+    /**
+     * 设置玩家数量并同步画面，只能在开局前设置
+     * @param {number} count - 1 为单人，2 为分屏双人
+     */
+    setPlayerCount(count) {
+        if (this.replayViewer || !this.sim.setPlayerCount(count)) return;
+        
+        console.log('玩家数量:', count);
+        this.syncViewsToSimulation();
+    }
+    
+    // 切换电脑对手数量（0 到 maxBots 循环，只能在开局前切换）
+    cycleBotCount() {
+        const count = (this.sim.getBotDifficulties().length + 1) % (BOT_CONFIG.maxBots + 1);
+        this.setBots(Array(count).fill(this.botDifficulty));
+    }
+    
+    // 切换电脑对手难度，已加入的电脑对手一起切换
+    cycleBotDifficulty() {
+        const difficulties = Object.keys(BOT_DIFFICULTIES);
+        this.botDifficulty = difficulties[(difficulties.indexOf(this.botDifficulty) + 1) % difficulties.length];
+        this.setBots(this.sim.getBotDifficulties().map(() => this.botDifficulty));
+    }
+    
+    /**
+     * 设置电脑对手并同步画面，只能在开局前设置
+     * @param {string[]} difficulties - 每名电脑对手的难度档位，见 BOT_DIFFICULTIES
+     */
+    setBots(difficulties) {
+        if (this.replayViewer || !this.sim.setBots(difficulties)) return;
+        
+        console.log('电脑对手:', difficulties.map(difficulty => BOT_DIFFICULTIES[difficulty].name).join('、') || '无');
+        this.syncViewsToSimulation();
+    }
+    
     // 显示关卡选择界面
     showLevelSelect() {
         let content = '<div style="text-align: center; margin-bottom: 15px;"><strong>选择关卡</strong></div>';
         
-        this.levelDefinitions.forEach((levelDef, index) => {
+        this.sim.levelDefinitions.forEach((levelDef, index) => {
             const levelNumber = index + 1;
-            const isCurrentLevel = levelNumber === this.levelSystem.currentLevel;
+            const isCurrentLevel = levelNumber === this.sim.levelSystem.currentLevel;
             const buttonStyle = isCurrentLevel ? 
                 'background: #00aa44; color: white;' : 
                 'background: #666; color: white;';
             
             content += `
                 <div style="margin: 10px 0; padding: 10px; border: 1px solid #666; border-radius: 5px; ${isCurrentLevel ? 'border-color: #00aa44;' : ''}">
-                    <div><strong>关卡 ${levelNumber}: ${levelDef.name}</strong></div>
+                    <div><strong>关卡 ${levelNumber}: ${levelDef.name}</strong>${levelDef.wrap ? ' 🌐' : ''}</div>
                     <div style="font-size: 12px; margin: 5px 0;">${levelDef.description}</div>
+                    ${this.getLevelRecordHTML(levelDef.id)}
                     <button onclick="game.selectLevel(${levelNumber})" style="padding: 5px 15px; ${buttonStyle} border: none; border-radius: 3px; cursor: pointer;">
                         ${isCurrentLevel ? '当前关卡' : '选择'}
                     </button>
@@ -1474,6 +1789,19 @@ class SnakeGame {
             `;
         });
         
+        // 关卡文件错误
+        if (this.levelLoadErrors.length > 0) {
+            content += `
+                <div style="margin: 10px 0; padding: 10px; border: 1px solid #ff6b6b; border-radius: 5px; font-size: 12px; color: #ff9999; white-space: pre-wrap; text-align: left;">⚠️ 部分关卡文件无法加载：
+${this.levelLoadErrors.join('\n')}</div>
+            `;
+        }
+        
+        // 各模式最高分榜
+        Object.keys(this.getModeNames()).forEach(mode => {
+            content += this.getHighScoreTableHTML(mode, 3);
+        });
+        
         content += `
             <div style="text-align: center; margin-top: 15px;">
                 <button onclick="game.hideLevelSelect()" style="padding: 8px 20px; background: #888; color: white; border: none; border-radius: 5px; cursor: pointer;">关闭</button>
@@ -1484,6 +1812,27 @@ class SnakeGame {
         this.levelSelectPanel.style.display = 'block';
     }
     
+    // 加载关卡目录中的关卡文件，追加在内置关卡之后；目录不存在时只使用内置关卡
+    async loadLevelFiles() {
+        try {
+            const { levels, errors } = await loadLevelPack(`${import.meta.env.BASE_URL}levels/`, fetch, LEVEL_DEFINITIONS.map(level => level.id));
+            this.levelLoadErrors = errors;
+            errors.forEach(message => console.error('❌', message));
+            
+            if (levels.length > 0) {
+                (this.liveSim || this.sim).levelDefinitions = [...LEVEL_DEFINITIONS, ...levels];
+                console.log('📦 已加载关卡文件:', levels.map(level => level.name).join(', '));
+            }
+        } catch (error) {
+            this.levelLoadErrors = [`关卡目录加载失败: ${error.message}`];
+            console.warn('关卡目录加载失败，只使用内置关卡:', error);
+        }
+        
+        if (this.levelSelectPanel.style.display === 'block') {
+            this.showLevelSelect();
+        }
+    }
+    
     // 选择关卡
     selectLevel(levelNumber) {
         this.loadLevel(levelNumber);
@@ -1495,114 +1844,11 @@ class SnakeGame {
         this.levelSelectPanel.style.display = 'none';
     }
     
-    // 更新关卡系统
-    updateLevelSystem() {
-        if (!this.levelSystem.isActive || this.gameState !== 'playing') {
-            return;
-        }
-        
-        const currentTime = Date.now();
-        
-        // 调试信息（每5秒输出一次）
-        if (currentTime % 5000 < 16) { // 大约每5秒
-            console.log('⏰ 关卡系统更新:', {
-                type: this.levelSystem.levelType,
-                isActive: this.levelSystem.isActive,
-                timeLimit: this.levelSystem.timeLimit,
-                elapsed: currentTime - this.levelSystem.startTime,
-                gameState: this.gameState
-            });
-        }
-        
-        // 检查时间限制
-        if (this.levelSystem.timeLimit > 0) {
-            const elapsed = currentTime - this.levelSystem.startTime;
-            if (elapsed >= this.levelSystem.timeLimit) {
-                this.checkLevelCompletion();
-                if (!this.levelSystem.completed) {
-                    this.levelFailed('时间到！');
-                    return;
-                }
-            }
-        }
-        
-        // 检查障碍物控制关卡的衰减机制
-        if (this.levelSystem.maxObstacles > 0) {
-            const currentObstacles = this.obstacles.length;
-            if (currentObstacles > this.levelSystem.maxObstacles) {
-                // 超过限制，开始衰减
-                const timeSinceLastDecay = currentTime - this.levelSystem.lastDecayTime;
-                if (timeSinceLastDecay >= 1000) { // 每秒衰减一次
-                    this.applyObstacleDecay();
-                    this.levelSystem.lastDecayTime = currentTime;
-                }
-            } else {
-                // 重置衰减时间
-                this.levelSystem.lastDecayTime = currentTime;
-            }
-        }
-        
-        // 检查关卡完成条件
-        this.checkLevelCompletion();
-        
-        // 更新UI
-        this.updateLevelUI();
-    }
-    
-    // 检查关卡完成条件
-    checkLevelCompletion() {
-        if (this.levelSystem.completed || this.levelSystem.failed) {
-            return;
-        }
-        
-        let completed = false;
-        
-        switch (this.levelSystem.levelType) {
-            case 'free':
-                // 自由模式没有完成条件
-                completed = false;
-                break;
-                
-            case 'score':
-                // 分数挑战：达到目标分数
-                if (this.score >= this.levelSystem.targetScore) {
-                    completed = true;
-                }
-                break;
-                
-            case 'length':
-                // 长度挑战：达到目标长度
-                if (this.snake.length >= this.levelSystem.targetLength) {
-                    completed = true;
-                }
-                break;
-                
-            case 'obstacle':
-                // 障碍物控制：持续一定时间保持在限制内
-                const currentObstacles = this.obstacles.length;
-                if (currentObstacles <= this.levelSystem.maxObstacles) {
-                    // 可以设置一个持续时间要求，这里简化为持续30秒
-                    const elapsed = Date.now() - this.levelSystem.startTime;
-                    if (elapsed >= 30000) { // 30秒
-                        completed = true;
-                    }
-                }
-                break;
-        }
-        
-        if (completed) {
-            this.levelCompleted();
-        }
-    }
-    
     // 关卡完成
-    levelCompleted() {
-        this.levelSystem.completed = true;
-        this.levelSystem.isActive = false;
-        
+    onLevelCompleted(event) {
         // 显示完成信息
-        const levelDef = this.levelDefinitions[this.levelSystem.currentLevel - 1];
-        this.showFloatingText('关卡完成!', { x: 15, y: 15 }, 0xFFD700); // 金黄色，庆祝感
+        const levelDef = this.sim.levelDefinitions[event.level - 1];
+        this.showFloatingText('关卡完成!', this.getBoardCenter(), 0xFFD700); // 金黄色，庆祝感
         this.flashScreenColor(0xFFD700, 0.4, 500);
         
         // 暂停游戏
@@ -1610,53 +1856,40 @@ class SnakeGame {
         
         console.log('🎉 关卡完成!', levelDef.name);
         
-        // 显示完成UI
+        // 显示完成UI（观看回放和待机演示时不弹出）
+        if (this.replayViewer || this.attract) return;
         setTimeout(() => {
             this.showLevelCompleteDialog();
         }, 1000);
     }
     
     // 关卡失败
-    levelFailed(reason) {
-        this.levelSystem.failed = true;
-        this.levelSystem.isActive = false;
-        
+    onLevelFailed(event) {
         // 显示失败信息和视觉效果
-        this.showFloatingText('关卡失败!', { x: 15, y: 15 }, 0xFF6B6B); // 温暖的红色，不太刺眼
+        this.showFloatingText('关卡失败!', this.getBoardCenter(), 0xFF6B6B); // 温暖的红色，不太刺眼
         this.flashScreenColor(0xFF6B6B, 0.5, 600);
         this.startCameraShake(1.5, 800);
         
         // 暂停游戏
         this.pauseGame();
         
-        console.log('💥 关卡失败:', reason);
+        console.log('💥 关卡失败:', event.reason);
         
-        // 显示失败UI
+        // 显示失败UI（观看回放和待机演示时不弹出）
+        if (this.replayViewer || this.attract) return;
         setTimeout(() => {
-            this.showLevelFailedDialog(reason);
+            this.showLevelFailedDialog(event.reason);
         }, 1000);
     }
     
-    // 应用障碍物衰减
-    applyObstacleDecay() {
-        const decayAmount = this.levelSystem.decayRate;
-        
-        // 减少分数
-        this.score = Math.max(0, this.score - Math.floor(decayAmount * 10));
-        
-        // 减少蛇长度
-        if (this.snake.length > 3 && Math.random() < decayAmount * 0.1) {
-            this.snake.pop();
-            this.createSnake();
-            this.updateDifficulty();
-        }
-        
+    // 障碍物衰减
+    onObstacleDecay(event) {
         // 显示衰减效果
-        this.showFloatingText(`-${Math.floor(decayAmount * 10)}分`, { x: 15, y: 13 }, 0xFFA500); // 橙色，温和的警告
+        const center = this.getBoardCenter();
+        this.showFloatingText(`-${event.penalty}分`, { x: center.x, y: center.y - 2 }, 0xFFA500); // 橙色，温和的警告
         this.flashScreenColor(0xFFA500, 0.2, 200);
         
-        this.updateScore();
-        console.log('📉 障碍物过多，衰减中...', '分数:', this.score, '长度:', this.snake.length);
+        console.log('📉 障碍物过多，衰减中...', '分数:', event.score, '长度:', event.length);
     }
     
     // 显示关卡完成对话框
@@ -1676,15 +1909,17 @@ class SnakeGame {
         dialog.style.fontSize = '18px';
         dialog.style.fontFamily = 'Arial, sans-serif';
         
-        const levelDef = this.levelDefinitions[this.levelSystem.currentLevel - 1];
-        const nextLevel = this.levelSystem.currentLevel + 1;
-        const hasNextLevel = nextLevel <= this.levelDefinitions.length;
+        const levelDef = this.sim.getCurrentLevelDefinition();
+        const nextLevel = this.sim.levelSystem.currentLevel + 1;
+        const hasNextLevel = nextLevel <= this.sim.levelDefinitions.length;
         
         dialog.innerHTML = `
             <div style="font-size: 24px; margin-bottom: 15px;">🎉 关卡完成！</div>
             <div style="margin-bottom: 10px;"><strong>${levelDef.name}</strong></div>
-            <div style="margin-bottom: 15px;">最终分数: ${this.score}</div>
-            <div style="margin-bottom: 15px;">最终长度: ${this.snake.length}</div>
+            <div style="margin-bottom: 15px;">最终分数: ${this.sim.score}</div>
+            <div style="margin-bottom: 15px;">最终长度: ${this.sim.snake.length}</div>
+            <div style="margin-bottom: 15px; font-size: 14px;">🎲 种子: ${this.sim.seed}</div>
+            ${this.getRunRecordHTML()}
             <div style="margin-bottom: 20px;">
                                  ${hasNextLevel ? 
                      `<button onclick="game.loadAndStartLevel(${nextLevel})" style="margin: 5px; padding: 10px 20px; background: #00aa44; color: white; border: none; border-radius: 5px; cursor: pointer;">下一关</button>` : 
@@ -1692,6 +1927,7 @@ class SnakeGame {
                  }
                 <button onclick="game.removeDialog(this.parentElement)" style="margin: 5px; padding: 10px 20px; background: #666; color: white; border: none; border-radius: 5px; cursor: pointer;">关闭</button>
             </div>
+            ${this.getReplayButtonsHTML()}
         `;
         
         document.body.appendChild(dialog);
@@ -1717,12 +1953,15 @@ class SnakeGame {
         dialog.innerHTML = `
             <div style="font-size: 24px; margin-bottom: 15px;">💥 关卡失败</div>
             <div style="margin-bottom: 10px;">${reason}</div>
-            <div style="margin-bottom: 15px;">最终分数: ${this.score}</div>
-            <div style="margin-bottom: 15px;">最终长度: ${this.snake.length}</div>
+            <div style="margin-bottom: 15px;">最终分数: ${this.sim.score}</div>
+            <div style="margin-bottom: 15px;">最终长度: ${this.sim.snake.length}</div>
+            <div style="margin-bottom: 15px; font-size: 14px;">🎲 种子: ${this.sim.seed}</div>
+            ${this.getRunRecordHTML()}
             <div style="margin-bottom: 20px;">
                                  <button onclick="game.startLevel()" style="margin: 5px; padding: 10px 20px; background: #aa4400; color: white; border: none; border-radius: 5px; cursor: pointer;">重试</button>
                 <button onclick="game.removeDialog(this.parentElement)" style="margin: 5px; padding: 10px 20px; background: #666; color: white; border: none; border-radius: 5px; cursor: pointer;">关闭</button>
             </div>
+            ${this.getReplayButtonsHTML()}
         `;
         
         document.body.appendChild(dialog);
@@ -1748,12 +1987,51 @@ class SnakeGame {
         dialog.innerHTML = `
             <div style="font-size: 24px; margin-bottom: 15px;">💀 游戏结束</div>
             <div style="margin-bottom: 10px;">撞墙或撞到自己！</div>
-            <div style="margin-bottom: 15px;">最终分数: ${this.score}</div>
-            <div style="margin-bottom: 15px;">最终长度: ${this.snake.length}</div>
+            <div style="margin-bottom: 15px;">最终分数: ${this.sim.score}</div>
+            <div style="margin-bottom: 15px;">最终长度: ${this.sim.snake.length}</div>
+            <div style="margin-bottom: 15px; font-size: 14px;">🎲 种子: ${this.sim.seed}</div>
+            ${this.getRunRecordHTML()}
+            ${this.getHighScoreTableHTML('free', 5)}
             <div style="margin-bottom: 20px;">
                 <button onclick="game.resetGame(); game.removeDialog(this.parentElement)" style="margin: 5px; padding: 10px 20px; background: #aa4400; color: white; border: none; border-radius: 5px; cursor: pointer;">重新开始</button>
                 <button onclick="game.removeDialog(this.parentElement)" style="margin: 5px; padding: 10px 20px; background: #666; color: white; border: none; border-radius: 5px; cursor: pointer;">关闭</button>
             </div>
+            ${this.getReplayButtonsHTML()}
+        `;
+        
+        document.body.appendChild(dialog);
+    }
+    
+    // 显示双人对战结算对话框
+    showMatchResultDialog(event) {
+        const dialog = document.createElement('div');
+        dialog.className = 'level-dialog';
+        dialog.style.position = 'absolute';
+        dialog.style.top = '50%';
+        dialog.style.left = '50%';
+        dialog.style.transform = 'translate(-50%, -50%)';
+        dialog.style.backgroundColor = 'rgba(80, 80, 80, 0.9)';
+        dialog.style.color = 'white';
+        dialog.style.padding = '30px';
+        dialog.style.borderRadius = '15px';
+        dialog.style.textAlign = 'center';
+        dialog.style.zIndex = '1002';
+        dialog.style.fontSize = '18px';
+        dialog.style.fontFamily = 'Arial, sans-serif';
+        
+        const title = event.winner === null ? '🤝 平局' : `🏆 ${this.getPlayerName(event.winner)} 获胜`;
+        const results = this.sim.players.map(player => `
+            <div style="margin-bottom: 10px;">${this.getPlayerName(player.index)}: ${player.score}分 · 长度 ${player.snake.length}</div>
+        `).join('');
+        
+        dialog.innerHTML = `
+            <div style="font-size: 24px; margin-bottom: 15px;">${title}</div>
+            ${results}
+            <div style="margin-bottom: 15px; font-size: 14px;">🎲 种子: ${this.sim.seed}</div>
+            <div style="margin-bottom: 20px;">
+                <button onclick="game.resetGame(); game.removeDialog(this.parentElement)" style="margin: 5px; padding: 10px 20px; background: #aa4400; color: white; border: none; border-radius: 5px; cursor: pointer;">再来一局</button>
+                <button onclick="game.removeDialog(this.parentElement)" style="margin: 5px; padding: 10px 20px; background: #666; color: white; border: none; border-radius: 5px; cursor: pointer;">关闭</button>
+            </div>
         `;
         
         document.body.appendChild(dialog);
@@ -1778,271 +2056,599 @@ class SnakeGame {
     }
     
     updateSnakePositions() {
-        this.snake.forEach((segment, index) => {
-            const mesh = this.snakeMeshes[index];
-            if (mesh) {
-                // 更新位置
-                mesh.position.set(
-                    segment.actualX - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
-                    this.GRID_SIZE / 2,
-                    segment.actualY - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
-                );
-                
-                // 蛇身的旋转动画
-                if (index > 0) {
-                    mesh.rotation.y = index * 0.1 + Date.now() * 0.001;
-                }
+        this.updateSnakeMeshes(this.snakeHeadMesh, this.snakeBodyBatch, this.sim.snake, this.previousPositions, this.snakeBodyColor);
+    }
+    
+    // 把一条蛇写入蛇头mesh和蛇身批次：位置在两个模拟步之间插值，蛇身从大到小逐渐缩放并带旋转动画
+    updateSnakeMeshes(headMesh, bodyBatch, snake, previousPositions, bodyColor) {
+        const offset = -(this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2;
+        const time = Date.now() * 0.001;
+        const dummy = this.instanceDummy;
+        
+        bodyBatch.begin();
+        snake.forEach((segment, index) => {
+            const position = this.interpolateSegment(segment, previousPositions[index]);
+            if (index === 0) {
+                headMesh.position.set(position.x + offset, this.GRID_SIZE / 2, position.y + offset);
+                return;
             }
+            
+            const scale = this.SNAKE_SCALE_START + (this.SNAKE_SCALE_END - this.SNAKE_SCALE_START) * index / (snake.length - 1);
+            dummy.position.set(position.x + offset, this.GRID_SIZE / 2, position.y + offset);
+            dummy.rotation.set(Math.PI / 8, index * 0.1 + time, index * 0.1);
+            dummy.scale.setScalar(scale);
+            dummy.updateMatrix();
+            bodyBatch.add(dummy.matrix, bodyColor);
         });
+        bodyBatch.end();
     }
     
-    createFood() {
-        // 如果食物mesh不存在，创建它
-        if (!this.foodMesh) {
-            this.foodMesh = new THREE.Mesh(this.foodGeometry, this.foodMaterial);
-            this.foodMesh.castShadow = true;
-            this.scene.add(this.foodMesh);
+    // 根据食物类型配置的 geometry 字段创建几何体
+    createFoodGeometry(geometryType) {
+        switch (geometryType) {
+            case 'dodecahedron':
+                return new THREE.DodecahedronGeometry(this.GRID_SIZE * 0.35);
+            case 'cone':
+                return new THREE.ConeGeometry(this.GRID_SIZE * 0.2, this.GRID_SIZE * 0.6, 12);
+            case 'icosahedron':
+                return new THREE.IcosahedronGeometry(this.GRID_SIZE * 0.3);
+            case 'torus':
+                return new THREE.TorusGeometry(this.GRID_SIZE * 0.25, this.GRID_SIZE * 0.1, 8, 16);
+            case 'octahedron':
+                return new THREE.OctahedronGeometry(this.GRID_SIZE * 0.35);
+            default:
+                return new THREE.SphereGeometry(this.GRID_SIZE * 0.3, 16, 16);
         }
-        
-        // 更新食物位置
-        this.updateFoodPosition();
     }
     
-    updateFoodPosition() {
-        if (this.foodMesh) {
-            this.foodMesh.position.set(
-                this.food.x * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
+    // 让食物mesh与模拟层的食物列表保持一致
+    syncFoodViews() {
+        const aliveIds = new Set();
+        
+        this.sim.foods.forEach(food => {
+            aliveIds.add(food.id);
+            let mesh = this.foodViews.get(food.id);
+            if (!mesh) {
+                // 材质克隆一份，限时食物闪烁时单独调整透明度
+                mesh = new THREE.Mesh(this.foodGeometries[food.type], this.foodMaterials[food.type].clone());
+                mesh.castShadow = true;
+                this.foodViews.set(food.id, mesh);
+                this.scene.add(mesh);
+            }
+            mesh.position.set(
+                food.x * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
                 this.GRID_SIZE / 2,
-                this.food.y * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
+                food.y * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
             );
-        }
+        });
+        
+        this.foodViews.forEach((mesh, id) => {
+            if (!aliveIds.has(id)) {
+                this.removeFoodView(id);
+            }
+        });
     }
     
-    generateFood() {
-        let newFood;
-        let attempts = 0;
-        do {
-            newFood = {
-                x: Math.floor(Math.random() * this.BOARD_SIZE),
-                y: Math.floor(Math.random() * this.BOARD_SIZE)
-            };
-            attempts++;
-        } while (this.isPositionOccupied(newFood.x, newFood.y) && attempts < 100);
-        
-        if (attempts >= 100) {
-            console.log('无法找到合适的食物位置');
-            // 如果找不到位置，随机选择一个不与蛇身重叠的位置
-            do {
-                newFood = {
-                    x: Math.floor(Math.random() * this.BOARD_SIZE),
-                    y: Math.floor(Math.random() * this.BOARD_SIZE)
-                };
-            } while (this.snake.some(segment => 
-                Math.floor(segment.actualX / this.GRID_SIZE) === newFood.x && 
-                Math.floor(segment.actualY / this.GRID_SIZE) === newFood.y
-            ));
+    // 移除食物mesh（几何体为同类型共享，只释放克隆的材质）
+    removeFoodView(id) {
+        const mesh = this.foodViews.get(id);
+        this.scene.remove(mesh);
+        mesh.material.dispose();
+        this.foodViews.delete(id);
+    }
+    
+    // 食物旋转、浮动动画，限时食物快消失时闪烁
+    updateFoodDisplay(deltaTime, currentTime) {
+        const frameScale = deltaTime / 16.67; // 标准化到60fps
+        const simTime = this.sim.now();
+        
+        this.sim.foods.forEach(food => {
+            const mesh = this.foodViews.get(food.id);
+            if (!mesh) return;
+            
+            mesh.rotation.y += 0.02 * frameScale;
+            mesh.position.y = this.GRID_SIZE / 2 + Math.sin(currentTime * 0.005 + food.id) * 3;
+            
+            const remaining = food.expireTime === null ? Infinity : food.expireTime - simTime;
+            mesh.material.opacity = remaining < FOOD_CONFIG.expireWarning && Math.sin(currentTime * 0.02) < 0 ? 0.3 : 1;
+        });
+    }
+    
+    // 吃到食物
+    onFoodEaten(event) {
+        const food = event.food;
+        const foodTypeConfig = this.sim.foodTypes[food.type];
+        
+        this.syncFoodViews();
+        
+        // 特殊食物显示名称和得分
+        if (food.type !== 'NORMAL') {
+            this.showFloatingText(`${foodTypeConfig.name} +${event.points}分`, food, foodTypeConfig.color);
         }
         
-        this.food = newFood;
-        this.updateFoodPosition(); // 使用updateFoodPosition而不是createFood
+        console.log('🍎 食物被吃掉！类型：', foodTypeConfig.name, '蛇长度：', event.length, '得分：+', event.points, '连击：', event.combo, '当前速度：', this.sim.moveSpeed.toFixed(2));
     }
     
     setupEventListeners() {
         // 鼠标移动事件
         document.addEventListener('mousemove', (event) => {
-            this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+            // 指针锁定时水平移动相对转向，按住按键时只拖拽旋转视角（由相机处理）
+            if (document.pointerLockElement === this.canvasContainer) {
+                if (event.buttons === 0 && this.canPointerLock()) {
+                    const direction = this.settings.get('pointerInvert') ? -1 : 1;
+                    this.input.addMouseTurn(event.movementX * this.settings.get('pointerSensitivity') * direction);
+                }
+                return;
+            }
+            
+            // 分屏时鼠标对应左半边（玩家1）的画面
+            const viewWidth = this.splitScreen ? window.innerWidth / 2 : window.innerWidth;
+            this.mouse.x = (event.clientX / viewWidth) * 2 - 1;
             this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
             
-            // 计算目标方向
-            if (this.gameState === 'playing') {
+            // 使用键盘/手柄时，按住鼠标拖拽视角不抢占方向控制
+            if (event.buttons !== 0 && this.input.activeDevice !== 'mouse') return;
+            
+            // 计算目标方向（观看回放时由回放数据控制，待机演示时由自动驾驶控制）
+            if (this.sim.gameState === 'playing' && !this.replayViewer && !this.attract) {
                 this.updateTargetDirection();
             }
         });
         
-        // 键盘事件保留部分功能
+        // 键盘事件：转向键交给输入层，其余为功能快捷键
         document.addEventListener('keydown', (event) => {
+            // 在输入框中输入时不触发游戏快捷键
+            if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') return;
+            
+            // 待机演示中按任意键回到游戏并开始，这次按键不再触发其他操作
+            if (this.attract) {
+                event.preventDefault();
+                this.stopAttractMode();
+                return;
+            }
+            
+            // 编辑关卡时游戏快捷键不生效
+            if (this.levelEditor.isOpen) {
+                this.levelEditor.onKeyDown(event);
+                return;
+            }
+            
+            if (this.input.onKeyDown(event)) {
+                event.preventDefault(); // 防止方向键滚动页面
+                if (!this.replayViewer && !this.network && !event.repeat) {
+                    this.recorder.recordKey(event.key);
+                }
+                return;
+            }
+            
             this.handleKeyPress(event.key);
         });
         
+        document.addEventListener('keyup', (event) => {
+            this.input.onKeyUp(event);
+        });
+        
+        window.addEventListener('blur', () => {
+            this.input.releaseAllKeys();
+        });
+        
+        // 任何操作都重新开始计算待机时间，待机演示中点击鼠标回到游戏并开始
+        ['keydown', 'mousedown', 'mousemove', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivityTime = performance.now();
+            }, { passive: true });
+        });
+        document.addEventListener('mousedown', () => {
+            if (this.attract) {
+                this.stopAttractMode();
+            }
+        });
+        
+        // 指针锁定转向：游戏进行中点击画面锁定鼠标
+        this.canvasContainer.addEventListener('mousedown', () => {
+            if (this.canPointerLock() && !document.pointerLockElement) {
+                const request = this.canvasContainer.requestPointerLock();
+                if (request) request.catch(() => {}); // 浏览器拒绝时仍使用普通的鼠标指向
+            }
+        });
+        
+        // 触屏单指转向（双指手势由相机处理）
+        const canvas = this.canvasContainer;
+        canvas.addEventListener('touchstart', (event) => this.onTouchStart(event), { passive: false });
+        canvas.addEventListener('touchmove', (event) => this.onTouchMove(event), { passive: false });
+        canvas.addEventListener('touchend', (event) => this.onTouchEnd(event));
+        canvas.addEventListener('touchcancel', (event) => this.onTouchEnd(event));
+        
         window.addEventListener('resize', () => {
             this.onWindowResize();
         });
     }
     
+    // 是否可以用指针锁定转向：设置中开启，且正在玩（不在回放、演示或编辑关卡中）
+    canPointerLock() {
+        return this.settings.get('pointerLock') && this.sim.gameState === 'playing' && !this.replayViewer && !this.attract && !this.levelEditor.isOpen;
+    }
+    
+    // 暂停、结束或关闭设置后释放鼠标，方便点击界面
+    updatePointerLock() {
+        if (document.pointerLockElement === this.canvasContainer && !this.canPointerLock()) {
+            document.exitPointerLock();
+        }
+    }
+    
     updateTargetDirection() {
-        // 将鼠标坐标转换为世界坐标
+        const heading = this.getHeadingToScreenPoint(this.mouse);
+        if (heading !== null) {
+            this.input.setMouseHeading(heading);
+        }
+    }
+    
+    /**
+     * 计算从蛇头指向屏幕上某点（地面投影）的朝向
+     * @param {THREE.Vector2} point - 标准化设备坐标（-1~1）
+     * @returns {number|null} 弧度，该点在地平线以上（追尾和第一人称模式）时为 null
+     */
+    getHeadingToScreenPoint(point) {
+        // 将屏幕坐标转换为世界坐标
         const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(this.mouse, this.camera);
+        raycaster.setFromCamera(point, this.camera);
         
         // 与地面平面相交
         const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
         const intersection = new THREE.Vector3();
-        raycaster.ray.intersectPlane(plane, intersection);
+        if (!raycaster.ray.intersectPlane(plane, intersection)) return null;
         
         // 计算从蛇头到鼠标位置的方向
-        const head = this.snake[0];
-        const headWorldPos = new THREE.Vector3(
-            head.actualX - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
-            0,
-            head.actualY - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
-        );
+        const headWorldPos = this.getSnakeHeadWorldPosition();
         
         const direction = intersection.sub(headWorldPos);
-        this.targetDirection = Math.atan2(direction.z, direction.x);
+        return Math.atan2(direction.z, direction.x);
     }
     
-    handleKeyPress(key) {
-        switch (key.toLowerCase()) {
-            case ' ':
-                this.toggleGame();
-                break;
-            case 'r':
-                this.resetGame();
-                break;
-            case 'd':
-                this.debugMode = !this.debugMode;
-                console.log('调试模式:', this.debugMode ? '开启' : '关闭');
-                break;
-        }
-    }
+    // 触屏转向方法
     
-    toggleGame() {
-        if (this.gameState === 'waiting' || this.gameState === 'paused') {
+    onTouchStart(event) {
+        event.preventDefault(); // 阻止模拟鼠标事件和页面滚动
+        
+        // 编辑关卡时单指用于绘制（由编辑器的指针事件处理）
+        if (this.levelEditor.isOpen) return;
+        
+        // 待机演示中点击屏幕回到游戏并开始
+        if (this.attract) {
+            this.stopAttractMode();
+            return;
+        }
+        
+        // 多指为相机手势，取消单指转向
+        if (event.touches.length > 1) {
+            this.endTouchSteering();
+            return;
+        }
+        
+        const touch = event.changedTouches[0];
+        this.touchSteering = {
+            id: touch.identifier,
+            startX: touch.clientX,
+            startY: touch.clientY
+        };
+        
+        // 等待开始或暂停时，点击屏幕开始游戏
+        if (!this.replayViewer && (this.sim.gameState === 'waiting' || this.sim.gameState === 'paused')) {
             this.startGame();
-        } else if (this.gameState === 'playing') {
-            this.pauseGame();
-        } else if (this.gameState === 'gameOver') {
-            this.resetGame();
+            return;
         }
-    }
-    
-    startGame() {
-        if (this.gameState === 'waiting') {
-            this.gameState = 'playing';
-            this.gameStartTime = Date.now(); // 记录游戏开始时间
-            this.updateDifficulty(); // 更新难度显示
-            this.scheduleNextObstacle(); // 安排第一个障碍物
-            this.gameLoop();
-        } else if (this.gameState === 'paused') {
-            this.gameState = 'playing';
-            this.updateDifficulty(); // 更新难度显示
-            this.gameLoop();
+        
+        if (this.input.touchMode === 'joystick') {
+            this.showTouchJoystick(touch.clientX, touch.clientY);
+        } else {
+            this.steerTowardsTouch(touch);
         }
     }
     
-    pauseGame() {
-        this.gameState = 'paused';
-        this.statusElement.textContent = '游戏已暂停';
-        this.statusElement.className = 'game-paused';
+    onTouchMove(event) {
+        event.preventDefault();
+        if (!this.touchSteering || event.touches.length > 1) return;
         
-        // 隐藏所有警告墙体
-        this.hideAllWarningWalls();
-    }
-    
-    resetGame() {
-        // 清理所有对话框
-        this.clearAllDialogs();
+        const touch = Array.from(event.changedTouches).find(t => t.identifier === this.touchSteering.id);
+        if (!touch) return;
         
-        this.gameState = 'waiting';
-        this.score = 0;
-        this.currentDirection = 0;
-        this.targetDirection = 0;
-        
-        // 重置新增状态
-        this.gameStartTime = 0;
-        this.survivalTime = 0;
-        this.comboCount = 0;
-        this.lastFoodTime = 0;
-        this.isInvulnerable = false;
-        this.invulnerableEndTime = 0;
-        this.speedLaneActive = false;
-        this.consecutiveAvoids = 0;
-        
-        // 重置关卡状态（但保留当前关卡选择和类型）
-        const preserveLevel = this.levelSystem.currentLevel;
-        const preserveType = this.levelSystem.levelType;
-        const preserveTimeLimit = this.levelSystem.timeLimit;
-        const preserveTargetScore = this.levelSystem.targetScore;
-        const preserveTargetLength = this.levelSystem.targetLength;
-        const preserveMaxObstacles = this.levelSystem.maxObstacles;
-        const preserveDecayRate = this.levelSystem.decayRate;
-        
-        this.levelSystem.isActive = false;
-        this.levelSystem.completed = false;
-        this.levelSystem.failed = false;
-        this.levelSystem.startTime = 0;
-        this.levelSystem.lastDecayTime = 0;
-        
-        // 恢复关卡配置
-        this.levelSystem.currentLevel = preserveLevel;
-        this.levelSystem.levelType = preserveType;
-        this.levelSystem.timeLimit = preserveTimeLimit;
-        this.levelSystem.targetScore = preserveTargetScore;
-        this.levelSystem.targetLength = preserveTargetLength;
-        this.levelSystem.maxObstacles = preserveMaxObstacles;
-        this.levelSystem.decayRate = preserveDecayRate;
-        
-        this.snake = [
-            { 
-                x: 15, 
-                y: 15, 
-                actualX: 15 * this.GRID_SIZE, 
-                actualY: 15 * this.GRID_SIZE,
-                targetX: 15 * this.GRID_SIZE,
-                targetY: 15 * this.GRID_SIZE,
-                rotation: 0 
-            },
-            { 
-                x: 14, 
-                y: 15, 
-                actualX: 14 * this.GRID_SIZE, 
-                actualY: 15 * this.GRID_SIZE,
-                targetX: 14 * this.GRID_SIZE,
-                targetY: 15 * this.GRID_SIZE,
-                rotation: 0 
-            },
-            { 
-                x: 13, 
-                y: 15, 
-                actualX: 13 * this.GRID_SIZE, 
-                actualY: 15 * this.GRID_SIZE,
-                targetX: 13 * this.GRID_SIZE,
-                targetY: 15 * this.GRID_SIZE,
-                rotation: 0 
-            }
-        ];
-        this.food = { x: 20, y: 20 };
+        if (this.input.touchMode === 'tap') {
+            this.steerTowardsTouch(touch);
+            return;
+        }
         
-        // 重置难度到初始状态
-        this.updateDifficulty();
+        // 虚拟摇杆：以按下位置为中心，偏移超过死区后转向
+        const radius = this.touchJoystickRadius;
+        let dx = touch.clientX - this.touchSteering.startX;
+        let dy = touch.clientY - this.touchSteering.startY;
+        const length = Math.hypot(dx, dy);
+        if (length > radius) {
+            dx = dx / length * radius;
+            dy = dy / length * radius;
+        }
         
-        this.updateScore();
-        this.statusElement.textContent = '按空格键开始游戏';
-        this.statusElement.className = '';
+        this.touchJoystickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
         
-        // 使用mesh池系统重置蛇，而不是销毁mesh
-        this.snakeMeshes = [];
-        this.lastSnakeLength = 0;
+        if (length > radius * 0.2) {
+            this.input.setTouchStick(dx / radius, dy / radius);
+        }
+    }
+    
+    onTouchEnd(event) {
+        if (!this.touchSteering) return;
         
-        this.createSnake();
-        this.createFood();
+        const ended = Array.from(event.changedTouches).some(t => t.identifier === this.touchSteering.id);
+        if (ended) {
+            this.endTouchSteering();
+        }
+    }
+    
+    // 点按模式：蛇转向手指所在位置
+    steerTowardsTouch(touch) {
+        if (this.sim.gameState !== 'playing' || this.replayViewer) return;
         
-        // 重置相机目标位置
-        const headWorldPos = this.getSnakeHeadWorldPosition();
+        const point = new THREE.Vector2(
+            (touch.clientX / window.innerWidth) * 2 - 1,
+            -(touch.clientY / window.innerHeight) * 2 + 1
+        );
+        const heading = this.getHeadingToScreenPoint(point);
+        if (heading !== null) {
+            this.input.setTouchHeading(heading);
+        }
+    }
+    
+    // 结束单指转向并隐藏摇杆
+    endTouchSteering() {
+        this.touchSteering = null;
+        this.input.releaseTouchStick();
+        this.touchJoystick.style.display = 'none';
+    }
+    
+    // 在手指按下位置显示虚拟摇杆
+    showTouchJoystick(x, y) {
+        this.touchJoystick.style.left = `${x - this.touchJoystickRadius}px`;
+        this.touchJoystick.style.top = `${y - this.touchJoystickRadius}px`;
+        this.touchJoystickKnob.style.transform = 'translate(0px, 0px)';
+        this.touchJoystick.style.display = 'block';
+    }
+    
+    // 创建触屏控制：虚拟摇杆和按钮栏（开始/暂停、重新开始、转向模式）
+    createTouchUI() {
+        this.touchSteering = null;
+        this.touchJoystickRadius = 50;
+        
+        this.touchJoystick = document.createElement('div');
+        this.touchJoystick.style.position = 'absolute';
+        this.touchJoystick.style.width = `${this.touchJoystickRadius * 2}px`;
+        this.touchJoystick.style.height = `${this.touchJoystickRadius * 2}px`;
+        this.touchJoystick.style.borderRadius = '50%';
+        this.touchJoystick.style.backgroundColor = 'rgba(255,255,255,0.2)';
+        this.touchJoystick.style.border = '2px solid rgba(255,255,255,0.5)';
+        this.touchJoystick.style.pointerEvents = 'none';
+        this.touchJoystick.style.zIndex = '999';
+        this.touchJoystick.style.display = 'none';
+        document.body.appendChild(this.touchJoystick);
+        
+        this.touchJoystickKnob = document.createElement('div');
+        this.touchJoystickKnob.style.position = 'absolute';
+        this.touchJoystickKnob.style.left = `${this.touchJoystickRadius - 20}px`;
+        this.touchJoystickKnob.style.top = `${this.touchJoystickRadius - 20}px`;
+        this.touchJoystickKnob.style.width = '40px';
+        this.touchJoystickKnob.style.height = '40px';
+        this.touchJoystickKnob.style.borderRadius = '50%';
+        this.touchJoystickKnob.style.backgroundColor = 'rgba(255,255,255,0.7)';
+        this.touchJoystick.appendChild(this.touchJoystickKnob);
+        
+        // 按钮栏只在触屏设备上显示
+        this.touchControls = document.createElement('div');
+        this.touchControls.id = 'touch-controls';
+        this.touchControls.innerHTML = `
+            <button onclick="game.toggleGame()">⏯️</button>
+            <button onclick="game.resetGame()">🔄</button>
+            <button data-touch="mode" onclick="game.toggleTouchMode()">🕹️ 摇杆</button>
+        `;
+        this.touchModeButton = this.touchControls.querySelector('[data-touch="mode"]');
+        document.body.appendChild(this.touchControls);
+        
+        const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        this.touchControls.style.display = isTouchDevice ? 'flex' : 'none';
+    }
+    
+    // 切换触屏转向模式（虚拟摇杆 / 点按指向）
+    toggleTouchMode() {
+        const mode = this.input.toggleTouchMode();
+        this.touchModeButton.textContent = mode === 'joystick' ? '🕹️ 摇杆' : '👆 点按';
+        this.endTouchSteering();
+        console.log('触屏转向模式:', mode === 'joystick' ? '虚拟摇杆' : '点按指向');
+    }
+    
+    // 把输入层给出的期望朝向应用到模拟
+    applyInput(deltaTime) {
+        if (this.splitScreen) {
+            this.applySplitInput(deltaTime);
+            return;
+        }
+        
+        // 联机时模拟中的目标方向来自服务器，相对转向以本机最近一次输入为准
+        const localDirection = this.network ? this.networkClient.targetDirection : null;
+        const heading = this.input.update(deltaTime, {
+            targetDirection: localDirection ?? this.sim.targetDirection,
+            cameraHeading: this.thirdPersonCamera.getGroundHeading()
+        });
+        
+        if (heading === null || this.sim.gameState !== 'playing' || this.replayViewer || this.attract) return;
+        
+        if (this.network) {
+            this.networkClient.sendInput(heading);
+        } else {
+            this.sim.targetDirection = heading;
+        }
+    }
+    
+    // 分屏双人：鼠标控制玩家1，键盘按玩家2相机的朝向控制玩家2
+    applySplitInput(deltaTime) {
+        const players = this.sim.players;
+        const headings = this.input.updateSplit(deltaTime, [
+            { targetDirection: players[0].targetDirection, cameraHeading: this.thirdPersonCamera.getGroundHeading() },
+            { targetDirection: players[1].targetDirection, cameraHeading: this.splitScreen.thirdPersonCamera.getGroundHeading() }
+        ]);
+        
+        if (this.sim.gameState !== 'playing' || this.replayViewer) return;
+        
+        headings.forEach((heading, index) => {
+            if (heading !== null) {
+                players[index].targetDirection = heading;
+            }
+        });
+    }
+    
+    // 手柄功能按钮
+    handleInputAction(action) {
+        // 待机演示中按手柄功能按钮回到游戏并开始
+        if (this.attract) {
+            this.stopAttractMode();
+            return;
+        }
+        
+        if (this.replayViewer) {
+            if (action === 'toggle') {
+                this.toggleReplayPlayback();
+            }
+            return;
+        }
+        
+        // 联机时只能由房主开始对局
+        if (this.network) {
+            if (action === 'toggle') {
+                this.startOnlineMatch();
+            }
+            return;
+        }
+        
+        switch (action) {
+            case 'toggle':
+                this.toggleGame();
+                break;
+            case 'reset':
+                this.resetGame();
+                break;
+        }
+    }
+    
+    handleKeyPress(key) {
+        if (this.replayViewer) {
+            this.handleReplayKeyPress(key);
+            return;
+        }
+        
+        // 联机时空格、R键、Esc由联机模式处理，其余快捷键照常
+        if (this.network && this.handleOnlineKeyPress(key)) return;
+        
+        this.recorder.recordKey(key);
+        
+        switch (key.toLowerCase()) {
+            case ' ':
+                this.toggleGame();
+                break;
+            case 'r':
+                this.resetGame();
+                break;
+            case '`':
+                this.debugMode = !this.debugMode;
+                console.log('调试模式:', this.debugMode ? '开启' : '关闭');
+                break;
+            case 'k': {
+                const mode = this.input.toggleKeyboardMode();
+                console.log('方向键模式:', mode === 'relative' ? '相对转向' : '绝对8方向');
+                break;
+            }
+            case 'm':
+                this.toggleMute();
+                break;
+            case 'c':
+                this.cycleCameraMode();
+                break;
+        }
+    }
+    
+    toggleGame() {
+        if (this.sim.gameState === 'waiting' || this.sim.gameState === 'paused') {
+            this.startGame();
+        } else if (this.sim.gameState === 'playing') {
+            this.pauseGame();
+        } else if (this.sim.gameState === 'gameOver') {
+            this.resetGame();
+        }
+    }
+    
+    startGame() {
+        if (this.sim.gameState !== 'waiting' && this.sim.gameState !== 'paused') return;
+        
+        const previousState = this.sim.gameState;
+        this.startRecording(false);
+        this.sim.start();
+        this.emitStartEvent(previousState);
+        this.processSimulationEvents(); // 更新难度显示
+        this.tickAccumulator = 0;
+    }
+    
+    pauseGame() {
+        const wasPlaying = this.sim.gameState === 'playing';
+        this.sim.pause();
+        if (wasPlaying) {
+            this.emitGameEvent('gamePaused', { score: this.sim.score });
+        }
+        
+        this.statusElement.textContent = '游戏已暂停';
+        this.statusElement.className = 'game-paused';
+        
+        // 隐藏所有警告墙体
+        this.hideAllWarningWalls();
+    }
+    
+    resetGame() {
+        // 清理所有对话框
+        this.clearAllDialogs();
+        
+        // 重置模拟状态（保留当前关卡选择和类型）
+        this.recorder.cancel();
+        this.sim.reset(this.fixedSeed);
+        this.sim.drainEvents();
+        this.emitGameEvent('gameReset', { seed: this.sim.seed });
+        this.tickAccumulator = 0;
+        this.previousPositions.length = 0;
+        this.renderAlpha = 1;
+        this.syncLevelLayout();
+        
+        this.updateScore();
+        this.updateSeedDisplay();
+        this.statusElement.textContent = '按空格键开始游戏';
+        this.statusElement.className = '';
+        
+        this.createSnake();
+        this.syncExtraSnakeViews();
+        this.syncFoodViews();
+        
+        // 重置相机目标位置
+        const headWorldPos = this.getSnakeHeadWorldPosition();
         this.cameraTarget.position.copy(headWorldPos);
         
         // 重置第三人称相机
         this.thirdPersonCamera.reset();
+        this.syncSplitScreen();
         
         // 隐藏所有警告墙体
         this.hideAllWarningWalls();
         
-        // 清理所有障碍物
-        this.clearAllObstacles();
+        // 清理所有障碍物（保留关卡预置障碍物）
+        this.clearAllObstacleViews();
+        this.syncObstacleViews();
         
-        // 重置相机抖动和眩晕状态
+        // 重置相机抖动
         this.cameraShake.isShaking = false;
-        this.snakeStunned.isStunned = false;
+        
+        // 恢复蛇头材质
+        this.headMaterial.emissive.setHex(0x441100);
         
         // 清理视觉效果
         this.clearAllVisualEffects();
@@ -2083,210 +2689,178 @@ class SnakeGame {
         this.warningWalls.bottom.visible = false;
         this.warningWalls.left.visible = false;
         this.warningWalls.right.visible = false;
+        this.boundaryWarningActive = false;
     }
     
-    gameLoop() {
-        if (this.gameState !== 'playing') return;
-        
-        this.update();
-
-        requestAnimationFrame(this.gameLoop.bind(this));
-    }
-    
-    update() {
-        // 圆滑转弯 - 插值当前方向到目标方向
-        let angleDiff = this.targetDirection - this.currentDirection;
-        
-        // 处理角度环绕
-        if (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
-        if (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
-        
-        this.currentDirection += angleDiff * this.TURN_SPEED;
-        
-        // 移动蛇头 - 使用目标位置实现平滑移动
-        const head = this.snake[0];
-        let moveSpeedFactor = Math.min(this.moveSpeed * 0.02, 1.0); // 限制最大移动速度
-        
-        // 如果蛇头眩晕，添加后仰效果
-        let currentDirection = this.currentDirection;
-        if (this.snakeStunned.isStunned) {
-            // 眩晕时后仰（反方向移动）
-            const stunProgress = this.snakeStunned.elapsed / this.snakeStunned.duration;
-            if (stunProgress < 0.5) { // 前半段时间后仰
-                currentDirection = this.currentDirection + Math.PI; // 反方向
-                moveSpeedFactor *= 0.5; // 后仰速度较慢
-            }
-        }
-        
-        head.targetX += Math.cos(currentDirection) * moveSpeedFactor;
-        head.targetY += Math.sin(currentDirection) * moveSpeedFactor;
-        head.rotation = this.currentDirection;
-        
-        // 平滑插值到目标位置
-        head.actualX += (head.targetX - head.actualX) * this.SMOOTH_FACTOR;
-        head.actualY += (head.targetY - head.actualY) * this.SMOOTH_FACTOR;
-        
-        // 检查边界碰撞 - 蛇头出地图就游戏结束
-        const minBoundary = 0;
-        const maxBoundary = this.BOARD_SIZE * this.GRID_SIZE;
-        
-        // 直接检查边界，不阻拦移动
-        if (head.actualX < minBoundary || head.actualX >= maxBoundary || 
-            head.actualY < minBoundary || head.actualY >= maxBoundary) {
-            this.gameOver();
-            return;
+    /**
+     * 每帧更新游戏
+     * 按真实经过时间累积，以固定步长 TICK_MS 推进模拟，剩余时间用于渲染插值
+     * @param {number} deltaTime - 距上一帧的毫秒数
+     */
+    update(deltaTime) {
+        // 联机时先应用服务器快照，对局状态随快照变化
+        if (this.network) {
+            this.updateNetwork();
         }
         
-        // 检查是否靠近边界，显示警告墙体
-        this.updateBoundaryWarning(head);
-        
-        // 更新网格位置
-        head.x = Math.floor(head.actualX / this.GRID_SIZE);
-        head.y = Math.floor(head.actualY / this.GRID_SIZE);
-        
-        // 更新障碍物系统
-        this.updateObstacleSpawning();
-        this.updateCameraShake();
-        this.updateSnakeStun();
-        this.updateInvulnerability();
-        
-        // 更新视觉效果
-        this.updateVisualEffects();
-        
-        // 更新关卡系统
-        this.updateLevelSystem();
-        
-        // 检查障碍物碰撞（在眩晕状态下也要检查）
-        this.checkObstacleCollision();
-        
-        // 优化的自身碰撞检测（跳过前3个段避免误判）
-        const collisionRadius = this.GRID_SIZE * 0.8;
-        const collisionRadiusSq = collisionRadius * collisionRadius; // 使用平方距离避免开方运算
-        
-        for (let i = 3; i < this.snake.length; i++) {
-            const segment = this.snake[i];
-            const dx = head.actualX - segment.actualX;
-            const dy = head.actualY - segment.actualY;
-            const distanceSq = dx * dx + dy * dy;
-            
-            if (distanceSq < collisionRadiusSq) {
-                this.gameOver();
-                return;
+        if (this.sim.gameState !== 'playing') return;
+        
+        // 推进模拟并处理产生的事件（联机时模拟在服务器上推进）
+        if (this.replayViewer) {
+            this.advanceReplay(deltaTime);
+        } else if (this.attract) {
+            this.advanceAttractDemo(deltaTime);
+        } else if (!this.network) {
+            // 按游戏时钟的时间缩放累积（慢动作时每秒执行的模拟步更少）
+            this.tickAccumulator += this.sim.clock.toGameTime(Math.min(deltaTime, MAX_FRAME_TIME));
+            while (this.tickAccumulator >= TICK_MS && this.sim.gameState === 'playing') {
+                this.capturePreviousPositions();
+                this.recorder.recordTick(this.sim);
+                this.sim.step();
+                this.tickAccumulator -= TICK_MS;
             }
         }
+        this.renderAlpha = Math.min(1, this.tickAccumulator / TICK_MS);
+        this.processSimulationEvents();
         
-        // 食物碰撞检测 - 使用实际坐标距离检测，只要蛇头碰到食物就算吃到
-        const foodWorldX = this.food.x * this.GRID_SIZE;
-        const foodWorldY = this.food.y * this.GRID_SIZE;
-        const dx = head.actualX - foodWorldX;
-        const dy = head.actualY - foodWorldY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const foodCollisionRadius = this.GRID_SIZE * 0.7; // 碰撞半径，比网格稍小以保持合理性
+        if (this.sim.gameState === 'gameOver') return;
         
-        if (distance < foodCollisionRadius) {
-            // 连击机制
-            const currentTime = Date.now();
-            if (currentTime - this.lastFoodTime < 3000) { // 3秒内算连击
-                this.comboCount++;
-            } else {
-                this.comboCount = 1;
-            }
-            this.lastFoodTime = currentTime;
-            
-            // 根据连击计算得分
-            const baseScore = 10;
-            const comboBonus = this.comboCount > 1 ? (this.comboCount - 1) * 5 : 0;
-            const totalScore = baseScore + comboBonus;
-            
-            this.score += totalScore;
-            this.updateScore();
-            
-            // 增加蛇的长度 - 复制蛇尾并添加到末尾
-            const tail = this.snake[this.snake.length - 1];
-            const newSegment = {
-                x: tail.x,
-                y: tail.y,
-                actualX: tail.actualX,
-                actualY: tail.actualY,
-                targetX: tail.actualX,
-                targetY: tail.actualY,
-                rotation: tail.rotation
-            };
-            this.snake.push(newSegment);
-            
-            // 创建新的蛇段mesh
+        // 蛇长度变化时更新统计信息和障碍物颜色
+        if (this.sim.snake.length !== this.lastSnakeLength) {
             this.createSnake();
-            
-            // 更新难度（根据新长度计算速度）
-            this.updateDifficulty();
-            
-            // 更新障碍物颜色（因为蛇长度变化了）
             this.updateObstacleColors();
-            
-            // 生成新食物
-            this.generateFood();
-            
-            console.log('🍎 食物被吃掉！蛇长度：', this.snake.length, '得分：+', totalScore, '连击：', this.comboCount, '当前速度：', this.moveSpeed.toFixed(1));
         }
         
-        // 优化的蛇身跟随 - 平滑跟随
-        const gridSizeSq = this.GRID_SIZE * this.GRID_SIZE;
+        // 检查是否靠近边界，显示警告墙体（分屏时两个画面共用警告墙体，不显示）
+        if (this.sim.gameState === 'playing' && !this.splitScreen) {
+            this.updateBoundaryWarning(this.sim.snake[0]);
+        }
         
-        for (let i = 1; i < this.snake.length; i++) {
-            const current = this.snake[i];
-            const target = this.snake[i - 1];
-            
-            const dx = target.actualX - current.actualX;
-            const dy = target.actualY - current.actualY;
-            const distanceSq = dx * dx + dy * dy;
-            
-            if (distanceSq > gridSizeSq) {
-                const distance = Math.sqrt(distanceSq); // 只有需要时才计算平方根
-                const ratio = (distance - this.GRID_SIZE) / distance * 0.8; // 减少跟随速度
-                current.targetX = current.actualX + dx * ratio;
-                current.targetY = current.actualY + dy * ratio;
-            }
-            
-            // 平滑插值到目标位置
-            current.actualX += (current.targetX - current.actualX) * this.SMOOTH_FACTOR;
-            current.actualY += (current.targetY - current.actualY) * this.SMOOTH_FACTOR;
-            current.x = Math.floor(current.actualX / this.GRID_SIZE);
-            current.y = Math.floor(current.actualY / this.GRID_SIZE);
+        this.updateCameraShake(deltaTime);
+        this.updateInvulnerabilityEffect();
+        
+        // 更新视觉效果
+        this.updateVisualEffects(deltaTime);
+        
+        // 更新关卡UI
+        if (this.sim.levelSystem.isActive) {
+            this.updateLevelUI();
         }
         
         // 更新蛇的3D模型位置
         this.updateSnakePositions();
+        this.updateExtraSnakeViews();
         
         // 在所有物体位置更新完成后，再更新相机位置
-        this.updateCameraTarget();
+        this.updateCameraTarget(deltaTime);
+    }
+    
+    // 记录模拟步之前的蛇段位置，用于渲染插值
+    capturePreviousPositions() {
+        this.sim.players.forEach(player => {
+            const snake = player.snake;
+            const previousPositions = this.getPreviousPositions(player.index);
+            previousPositions.length = snake.length;
+            for (let i = 0; i < snake.length; i++) {
+                const previous = previousPositions[i] || (previousPositions[i] = { x: 0, y: 0 });
+                previous.x = snake[i].actualX;
+                previous.y = snake[i].actualY;
+            }
+        });
+    }
+    
+    // 玩家的蛇在上一模拟步的位置
+    getPreviousPositions(playerIndex) {
+        const view = this.extraSnakeViews.get(playerIndex);
+        return view ? view.previousPositions : this.previousPositions;
+    }
+    
+    // 获取玩家1的蛇段在当前帧的插值位置（棋盘坐标）
+    getInterpolatedSegmentPosition(index) {
+        return this.interpolateSegment(this.sim.snake[index], this.previousPositions[index]);
+    }
+    
+    // 在上一模拟步的位置和当前位置之间插值，没有上一步位置时使用当前位置
+    interpolateSegment(segment, previous) {
+        if (!previous) {
+            return { x: segment.actualX, y: segment.actualY };
+        }
+        
+        // 从当前位置往回插值，穿越边界时按最短距离计算，蛇段不会划过整个棋盘
+        const remaining = 1 - this.renderAlpha;
+        return {
+            x: segment.actualX - this.sim.wrapDelta(segment.actualX - previous.x) * remaining,
+            y: segment.actualY - this.sim.wrapDelta(segment.actualY - previous.y) * remaining
+        };
     }
     
-    updateCameraTarget() {
+    updateCameraTarget(deltaTime) {
         const headWorldPos = this.getSnakeHeadWorldPosition();
         
         // 更新相机目标位置
         this.cameraTarget.position.copy(headWorldPos);
         
-        // 更新第三人称相机
-        this.thirdPersonCamera.update();
+        // 更新第三人称相机（待机演示中缓慢环绕蛇头）
+        if (this.attract) {
+            this.thirdPersonCamera.orbit(ATTRACT_CONFIG.orbitSpeed * deltaTime / 1000);
+        }
+        this.updateCameraFraming(this.thirdPersonCamera, 0);
+        this.thirdPersonCamera.update(deltaTime);
+        
+        // 分屏时玩家2的相机跟随玩家2的蛇头
+        if (this.splitScreen) {
+            this.splitScreen.cameraTarget.position.copy(this.getPlayerHeadWorldPosition(1));
+            this.updateCameraFraming(this.splitScreen.thirdPersonCamera, 1);
+            this.splitScreen.thirdPersonCamera.update(deltaTime);
+        }
         
         // 更新点光源位置
         this.snakeLight.position.copy(headWorldPos);
         this.snakeLight.position.y = 10;
     }
     
-    gameOver() {
-        // 检查是否在关卡模式下
-        if (this.levelSystem.isActive && !this.levelSystem.completed && !this.levelSystem.failed) {
-            // 在关卡模式下，调用关卡失败
-            console.log('💥 关卡模式下游戏结束，触发关卡失败');
-            this.levelFailed('撞墙或撞到自己！');
-            return;
+    // 追尾和第一人称模式朝向蛇的前进方向，俯视模式按棋盘大小取景；
+    // 动态取景按蛇长和速度拉远相机，并尽量让附近的食物和已落地的障碍物留在画面中
+    updateCameraFraming(thirdPersonCamera, playerIndex) {
+        const sim = this.sim;
+        const player = sim.players[playerIndex];
+        const difficulty = sim.DIFFICULTY_CONFIG;
+        const speed = player.moveSpeed * player.effects.getSpeedMultiplier();
+        const offset = (this.BOARD_SIZE * this.GRID_SIZE) / 2 - this.GRID_SIZE / 2;
+        
+        thirdPersonCamera.heading = player.currentDirection;
+        thirdPersonCamera.boardSize = this.BOARD_SIZE * this.GRID_SIZE;
+        thirdPersonCamera.framing = {
+            growth: Math.max(0, player.snake.length - difficulty.initialLength),
+            speedRatio: Math.max(0, Math.min(1, (speed - difficulty.baseSpeed) / (difficulty.maxSpeed - difficulty.baseSpeed))),
+            points: [...sim.foods, ...sim.obstacles.filter(obstacle => obstacle.hasLanded)].map(item => new THREE.Vector3(
+                item.x * this.GRID_SIZE - offset,
+                0,
+                item.y * this.GRID_SIZE - offset
+            ))
+        };
+    }
+    
+    // 切换到下一个相机模式（C键），保存在设置中
+    cycleCameraMode() {
+        const index = CAMERA_MODES.findIndex(mode => mode.id === this.settings.get('cameraMode'));
+        const next = CAMERA_MODES[(index + 1) % CAMERA_MODES.length];
+        this.changeSetting('cameraMode', next.id);
+        console.log('相机模式:', next.label);
+        
+        if (this.settingsPanel.style.display === 'block') {
+            this.renderSettingsPanel();
+        }
+    }
+    
+    // 游戏结束（自由模式或双人对战）
+    onGameOver(event) {
+        const isMatch = this.sim.isMatch();
+        if (isMatch) {
+            this.statusElement.textContent = `对战结束！${event.winner === null ? '平局' : `${this.getPlayerName(event.winner)} 获胜`}`;
+        } else {
+            this.statusElement.textContent = `游戏结束！得分: ${event.score}`;
         }
-        
-        // 普通游戏结束
-        this.gameState = 'gameOver';
-        this.statusElement.textContent = `游戏结束！得分: ${this.score}`;
         this.statusElement.className = 'game-over';
         
         // 添加游戏结束视觉效果
@@ -2297,446 +2871,1029 @@ class SnakeGame {
         this.hideAllWarningWalls();
         
         // 清理所有障碍物
-        this.clearAllObstacles();
+        this.clearAllObstacleViews();
         
-        // 重置相机抖动和眩晕状态
+        // 重置相机抖动
         this.cameraShake.isShaking = false;
-        this.snakeStunned.isStunned = false;
         
-        // 显示游戏结束对话框
+        // 显示游戏结束对话框（观看回放和待机演示时不弹出，联机时在联机面板中显示结果）
+        if (this.replayViewer || this.attract) return;
+        if (this.network) {
+            this.network.result = event;
+            setTimeout(() => this.showOnlinePanel(), 1000);
+            return;
+        }
         setTimeout(() => {
-            this.showGameOverDialog();
+            if (isMatch) {
+                this.showMatchResultDialog(event);
+            } else {
+                this.showGameOverDialog();
+            }
         }, 1000);
     }
     
     updateScore() {
-        this.scoreElement.textContent = this.score;
+        // 双人对战时显示比分
+        this.scoreElement.textContent = this.sim.isMatch()
+            ? this.sim.getHumanPlayers().map(player => player.score).join(' : ')
+            : this.sim.score;
     }
     
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    // 更新种子显示
+    updateSeedDisplay() {
+        this.seedElement.textContent = this.sim.seed;
     }
     
-    // 清理所有mesh资源（用于游戏结束或重新初始化）
-    cleanup() {
-        // 清理蛇的mesh池
-        this.meshPool.headMeshes.forEach(mesh => {
-            this.scene.remove(mesh);
-            mesh.geometry.dispose();
-            mesh.material.dispose();
-        });
+    // 设置固定种子（空值恢复为每局随机），等待开始时立即生效
+    setSeed(value) {
+        this.fixedSeed = parseSeed(value);
+        console.log('🎲 随机种子:', this.fixedSeed ?? '每局随机');
         
-        this.meshPool.bodyMeshes.forEach(mesh => {
-            this.scene.remove(mesh);
-            mesh.geometry.dispose();
-            mesh.material.dispose();
-        });
+        if (this.sim.gameState === 'waiting') {
+            this.resetGame();
+        }
+    }
+    
+    // 成绩记录方法
+    
+    // 模式（关卡类型）显示名称
+    getModeNames() {
+        return {
+            free: '自由模式',
+            score: '分数挑战',
+            length: '长度挑战',
+            obstacle: '障碍物控制'
+        };
+    }
+    
+    // 格式化用时 m:ss.s
+    formatDuration(ms) {
+        const totalSeconds = ms / 1000;
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${seconds}`;
+    }
+    
+    // 保存本局成绩（观看回放和待机演示时不保存）
+    saveRunRecord(event) {
+        if (this.replayViewer || this.attract) return;
         
-        // 清理食物mesh
-        if (this.foodMesh) {
-            this.scene.remove(this.foodMesh);
-            this.foodMesh.geometry.dispose();
-            this.foodMesh.material.dispose();
+        // 双人对战、联机对战和有电脑对手的对局不计入单人排行榜
+        if (this.sim.players.length > 1 || this.network) {
+            this.lastRecordResult = null;
+            return;
         }
         
-        // 清理警告墙体
-        Object.values(this.warningWalls).forEach(wall => {
-            if (wall) {
-                this.scene.remove(wall);
-                wall.geometry.dispose();
-                wall.material.dispose();
-            }
-        });
+        // 试玩编辑器关卡不计入成绩
+        if (this.sim.getCurrentLevelDefinition().isTestLevel) {
+            this.lastRecordResult = null;
+            return;
+        }
         
-        // 清理障碍物
-        this.obstacles.forEach(obstacle => {
-            this.scene.remove(obstacle.mesh);
-            this.scene.remove(obstacle.shadowMesh);
-            // 清理障碍物的独立材质
-            obstacle.mesh.material.dispose();
-            obstacle.shadowMesh.material.dispose();
-            // 注意：obstacle.mesh使用的是共享的geometry，不需要dispose
+        const levelSystem = this.sim.levelSystem;
+        const completed = event.type === 'levelCompleted';
+        
+        // 未激活关卡时死亡（gameOver）按自由模式计入，只有自由关卡才更新关卡个人最佳
+        // 关卡个人最佳按关卡 id 记录，关卡编号只用于排行榜显示
+        const mode = event.type === 'gameOver' ? 'free' : levelSystem.levelType;
+        const level = mode === levelSystem.levelType ? levelSystem.currentLevel : null;
+        const levelId = level !== null ? this.sim.getCurrentLevelDefinition().id : null;
+        
+        const result = this.records.recordRun({
+            mode,
+            level,
+            levelId,
+            score: event.score,
+            length: event.length,
+            seed: this.sim.seed,
+            completed,
+            completionTime: completed ? this.sim.getLevelElapsed() : undefined
         });
+        this.lastRecordResult = { ...result, mode, level, levelId };
         
-        // 重置mesh池
-        this.meshPool = {
-            headMeshes: [],
-            bodyMeshes: [],
-            usedHeadMeshes: 0,
-            usedBodyMeshes: 0
-        };
+        if (result.newBestScore || result.newBestLength || result.newFastestTime) {
+            console.log('🏆 新纪录！', result);
+        }
+    }
+    
+    // 结算对话框中的纪录信息和“新纪录”提示
+    getRunRecordHTML() {
+        const result = this.lastRecordResult;
+        if (!result) return '';
+        
+        let html = '';
+        const callouts = [];
+        if (result.newBestScore) callouts.push('最高分');
+        if (result.newBestLength) callouts.push('最长长度');
+        if (result.newFastestTime) callouts.push('最快通关');
+        if (callouts.length > 0) {
+            html += `<div style="margin-bottom: 10px; color: #ffff00; font-weight: bold;">🎉 新纪录！${callouts.join('、')}</div>`;
+        }
         
-        this.snakeMeshes = [];
-        this.foodMesh = null;
-        this.obstacles = [];
-        this.warningWalls = {
-            top: null,
-            bottom: null,
-            left: null,
-            right: null
-        };
+        if (result.isHighScore) {
+            html += `<div style="margin-bottom: 10px; font-size: 14px;">🏅 ${this.getModeNames()[result.mode] || result.mode}排行榜第 ${result.rank} 名</div>`;
+        }
         
-        console.log('游戏资源已清理');
+        if (result.levelId !== null) {
+            html += this.getLevelRecordHTML(result.levelId);
+        }
+        
+        return html;
     }
     
-    // 障碍物系统方法
+    // 关卡个人最佳
+    getLevelRecordHTML(levelId) {
+        const record = this.records.getLevelRecord(levelId);
+        if (!record) return '';
+        
+        let html = `🏆 最高分: ${record.bestScore} | 🐍 最长: ${record.bestLength}`;
+        if (record.fastestTime !== null) {
+            html += ` | ⏱️ 最快: ${this.formatDuration(record.fastestTime)}`;
+        }
+        if (record.completions > 0) {
+            html += ` | ✅ 通关 ${record.completions} 次`;
+        }
+        
+        return `<div style="margin: 5px 0; font-size: 12px; color: #ffd700;">${html}</div>`;
+    }
     
-    // 生成障碍物
-    generateObstacle() {
-        // 检查是否达到最大障碍物数量
-        if (this.obstacles.length >= this.maxObstacles) {
-            return;
+    // 某种模式的最高分榜
+    getHighScoreTableHTML(mode, limit) {
+        const highScores = this.records.getHighScores(mode).slice(0, limit);
+        if (highScores.length === 0) return '';
+        
+        const rows = highScores.map((entry, index) => `
+            <div>${index + 1}. ${entry.score}分 · 长度 ${entry.length}${entry.level !== null ? ` · 关卡 ${entry.level}` : ''} · ${new Date(entry.date).toLocaleDateString()}</div>
+        `).join('');
+        
+        return `
+            <div style="margin: 10px 0; font-size: 12px; text-align: left;">
+                <div style="font-weight: bold; margin-bottom: 3px;">🏆 ${this.getModeNames()[mode] || mode}排行榜</div>
+                ${rows}
+            </div>
+        `;
+    }
+    
+    // 回放系统方法
+    
+    // 开始录制本局（仅在从等待状态开始时录制）
+    startRecording(levelStarted) {
+        // 回放只记录一名玩家的输入，双人对战不录制（电脑对手的操作由种子决定，不需要录制）
+        if (this.replayViewer || this.sim.gameState !== 'waiting' || this.sim.isMatch()) return;
+        
+        this.recorder.begin(this.sim, levelStarted);
+    }
+    
+    // 结束录制并保存为最近一局的回放
+    finishRecording() {
+        if (this.replayViewer || this.network) return;
+        
+        const replay = this.recorder.finish(this.sim);
+        if (replay) {
+            this.lastReplay = replay;
+            console.log('🎬 回放已录制，模拟步数:', replay.ticks, '方向输入:', replay.inputs.length);
         }
+    }
+    
+    // 结算对话框中的回放按钮
+    getReplayButtonsHTML() {
+        if (!this.lastReplay) return '';
+        
+        return `
+            <div>
+                <button onclick="game.watchLastReplay()" style="margin: 5px; padding: 8px 16px; background: #3366aa; color: white; border: none; border-radius: 5px; cursor: pointer;">🎬 观看回放</button>
+                <button onclick="game.downloadReplay()" style="margin: 5px; padding: 8px 16px; background: #3366aa; color: white; border: none; border-radius: 5px; cursor: pointer;">💾 保存回放</button>
+            </div>
+        `;
+    }
+    
+    // 创建音量控制：静音按钮，点击 🎚️ 展开总音量、音效和音乐的音量滑块，⚙️ 打开设置界面
+    createAudioUI() {
+        this.audioPanel = document.createElement('div');
+        this.audioPanel.id = 'audio-panel';
+        this.audioPanel.style.position = 'absolute';
+        this.audioPanel.style.top = '10px';
+        this.audioPanel.style.right = '10px';
+        this.audioPanel.style.color = 'white';
+        this.audioPanel.style.fontSize = '14px';
+        this.audioPanel.style.fontFamily = 'Arial, sans-serif';
+        this.audioPanel.style.backgroundColor = 'rgba(0,0,0,0.6)';
+        this.audioPanel.style.padding = '6px 10px';
+        this.audioPanel.style.borderRadius = '10px';
+        this.audioPanel.style.zIndex = '1000';
+        
+        const buttonStyle = 'padding: 4px 8px; font-size: 18px; background: #444; color: white; border: none; border-radius: 5px; cursor: pointer;';
+        const sliders = [['masterVolume', '总音量'], ['sfxVolume', '音效'], ['musicVolume', '音乐']].map(([key, label]) => `
+            <div style="margin-top: 6px; text-align: right;">${label}
+                <input type="range" min="0" max="100" value="${Math.round(this.audio.settings[key] * 100)}" oninput="game.setVolume('${key}', this.value / 100)" style="width: 110px; vertical-align: middle;">
+            </div>
+        `).join('');
+        this.audioPanel.innerHTML = `
+            <div style="text-align: right;">
+                <button data-audio="mute" onclick="game.toggleMute()" title="静音（M键）" style="${buttonStyle}"></button>
+                <button onclick="game.toggleAudioSliders()" title="音量" style="${buttonStyle}">🎚️</button>
+                <button onclick="game.toggleSettings()" title="设置" style="${buttonStyle}">⚙️</button>
+            </div>
+            <div data-audio="sliders" style="display: none;">${sliders}</div>
+        `;
+        document.body.appendChild(this.audioPanel);
         
-        // 随机生成位置，确保不与蛇身和食物重叠
-        let position;
-        let attempts = 0;
-        do {
-            position = {
-                x: Math.floor(Math.random() * this.BOARD_SIZE),
-                y: Math.floor(Math.random() * this.BOARD_SIZE)
-            };
-            attempts++;
-        } while (this.isPositionOccupied(position.x, position.y) && attempts < 50);
+        this.muteButton = this.audioPanel.querySelector('[data-audio="mute"]');
+        this.audioSliders = this.audioPanel.querySelector('[data-audio="sliders"]');
+        this.updateAudioUI();
+    }
+    
+    // 切换静音（M键）
+    toggleMute() {
+        const muted = this.audio.toggleMute();
+        console.log('声音:', muted ? '静音' : '开启');
+        this.updateAudioUI();
+    }
+    
+    /**
+     * 设置音量
+     * @param {'masterVolume'|'sfxVolume'|'musicVolume'} key
+     * @param {number} value - 0~1
+     */
+    setVolume(key, value) {
+        this.audio.setVolume(key, Number(value));
+    }
+    
+    // 展开/收起音量滑块
+    toggleAudioSliders() {
+        this.audioSliders.style.display = this.audioSliders.style.display === 'none' ? 'block' : 'none';
+    }
+    
+    updateAudioUI() {
+        this.muteButton.textContent = this.audio.settings.muted ? '🔇' : '🔊';
+    }
+    
+    // 创建渲染器；抗锯齿在 WebGL 上下文创建后无法修改，切换时替换为新的渲染器和画布
+    createRenderer() {
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+            this.renderer.domElement.remove();
+            
+            // 阴影贴图属于旧的上下文，由新的渲染器重新创建
+            if (this.directionalLight.shadow.map) {
+                this.directionalLight.shadow.map.dispose();
+                this.directionalLight.shadow.map = null;
+            }
+        }
         
-        if (attempts >= 50) {
-            console.log('无法找到合适的障碍物位置');
-            return;
+        this.renderer = new THREE.WebGLRenderer({ antialias: this.settings.get('antialias') });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.canvasContainer.appendChild(this.renderer.domElement);
+    }
+    
+    // 应用所有设置
+    applySettings() {
+        this.thirdPersonCamera.applySettings(this.settings.values);
+        if (this.splitScreen) {
+            this.splitScreen.thirdPersonCamera.applySettings(this.settings.values);
         }
         
-        // 生成障碍物等级和类型
-        const obstacleInfo = this.generateObstacleLevel();
-        const obstacleTypeConfig = this.obstacleTypes[obstacleInfo.type];
+        this.targetFPS = this.settings.get('targetFPS');
+        this.frameInterval = 1000 / this.targetFPS;
         
-        // 根据类型创建对应的几何体
-        let obstacleGeometry;
-        switch (obstacleTypeConfig.geometry) {
-            case 'box':
-                obstacleGeometry = new THREE.BoxGeometry(this.GRID_SIZE * 0.6, this.GRID_SIZE * 0.6, this.GRID_SIZE * 0.6);
-                break;
-            case 'octahedron':
-                obstacleGeometry = new THREE.OctahedronGeometry(this.GRID_SIZE * 0.4);
-                break;
-            case 'tetrahedron':
-                obstacleGeometry = new THREE.TetrahedronGeometry(this.GRID_SIZE * 0.5);
-                break;
-            case 'sphere':
-                obstacleGeometry = new THREE.SphereGeometry(this.GRID_SIZE * 0.4, 16, 16);
-                break;
-            default:
-                obstacleGeometry = this.obstacleGeometry;
+        this.applyGraphicsSettings();
+        this.applyInterfaceSettings();
+    }
+    
+    // 像素比和阴影质量
+    applyGraphicsSettings() {
+        const pixelRatio = this.settings.get('pixelRatio');
+        this.renderer.setPixelRatio(pixelRatio === 'device' ? window.devicePixelRatio : pixelRatio);
+        
+        const shadowMapSize = SHADOW_MAP_SIZES[this.settings.get('shadowQuality')];
+        const shadowsEnabled = shadowMapSize > 0;
+        if (this.renderer.shadowMap.enabled !== shadowsEnabled) {
+            this.renderer.shadowMap.enabled = shadowsEnabled;
+            this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+            
+            // 材质的着色器按是否开启阴影编译，开关阴影后需要重新编译
+            this.scene.traverse(object => {
+                if (!object.material) return;
+                [].concat(object.material).forEach(material => {
+                    material.needsUpdate = true;
+                });
+            });
         }
         
-        // 根据类型创建对应的材质
-        const obstacleMaterial = new THREE.MeshPhongMaterial({ 
-            color: obstacleTypeConfig.color,
-            shininess: 80,
-            emissive: obstacleTypeConfig.emissive
+        const shadow = this.directionalLight.shadow;
+        if (shadowsEnabled && shadow.mapSize.width !== shadowMapSize) {
+            shadow.mapSize.set(shadowMapSize, shadowMapSize);
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        }
+    }
+    
+    // HUD 和调试信息的显示
+    applyInterfaceSettings() {
+        const hud = this.settings.get('hud');
+        document.body.classList.toggle('hud-minimal', hud === 'minimal');
+        document.body.classList.toggle('hud-hidden', hud === 'hidden');
+        
+        this.stats.showPanel(this.settings.get('statsPanel'));
+        this.stats.dom.style.display = this.settings.get('showStats') ? '' : 'none';
+        this.meshPoolInfo.style.display = this.settings.get('showMeshPoolInfo') ? '' : 'none';
+    }
+    
+    // 创建设置界面（内容由 renderSettingsPanel 按设置定义生成）
+    createSettingsUI() {
+        this.settingsPanel = document.createElement('div');
+        this.settingsPanel.id = 'settings-panel';
+        this.settingsPanel.style.position = 'absolute';
+        this.settingsPanel.style.top = '50%';
+        this.settingsPanel.style.left = '50%';
+        this.settingsPanel.style.transform = 'translate(-50%, -50%)';
+        this.settingsPanel.style.color = 'white';
+        this.settingsPanel.style.fontSize = '14px';
+        this.settingsPanel.style.fontFamily = 'Arial, sans-serif';
+        this.settingsPanel.style.backgroundColor = 'rgba(0,0,0,0.9)';
+        this.settingsPanel.style.padding = '20px';
+        this.settingsPanel.style.borderRadius = '15px';
+        this.settingsPanel.style.zIndex = '1002';
+        this.settingsPanel.style.width = '380px';
+        this.settingsPanel.style.maxWidth = '90vw';
+        this.settingsPanel.style.maxHeight = '80vh';
+        this.settingsPanel.style.overflowY = 'auto';
+        this.settingsPanel.style.display = 'none';
+        
+        // 在面板上拖动滑块时不旋转相机
+        this.settingsPanel.addEventListener('mousedown', (event) => event.stopPropagation());
+        document.body.appendChild(this.settingsPanel);
+    }
+    
+    // 按设置定义生成各分组的控件
+    renderSettingsPanel() {
+        let content = '<div style="text-align: center; margin-bottom: 10px;"><strong>⚙️ 设置</strong></div>';
+        
+        Object.entries(SETTING_GROUPS).forEach(([group, title]) => {
+            content += `<div style="margin: 12px 0 6px; color: #00ff88;"><strong>${title}</strong></div>`;
+            SETTING_DEFINITIONS.filter(definition => definition.group === group).forEach(definition => {
+                content += `
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin: 6px 0;">
+                        <span>${definition.label}</span>
+                        <span>${this.getSettingControlHTML(definition)}</span>
+                    </div>
+                `;
+            });
         });
         
-        // 创建阴影材质
-        const shadowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x000000,
-            transparent: true,
-            opacity: 0.3
-        });
+        content += `
+            <div style="text-align: center; margin-top: 15px;">
+                <button onclick="game.resetSettings()" style="margin: 5px; padding: 8px 16px; background: #aa6633; color: white; border: none; border-radius: 5px; cursor: pointer;">恢复默认</button>
+                <button onclick="game.toggleSettings()" style="margin: 5px; padding: 8px 16px; background: #888; color: white; border: none; border-radius: 5px; cursor: pointer;">关闭</button>
+            </div>
+        `;
         
-        // 创建地面阴影
-        const shadowGeometry = new THREE.CircleGeometry(this.GRID_SIZE * 0.4, 16);
-        const shadowMesh = new THREE.Mesh(shadowGeometry, shadowMaterial);
-        shadowMesh.rotation.x = -Math.PI / 2;
-        shadowMesh.position.set(
-            position.x * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
-            0.1, // 略高于地面
-            position.y * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
-        );
+        this.settingsPanel.innerHTML = content;
+    }
+    
+    // 单项设置的控件（滑块、开关或下拉框），修改时调用 changeSetting
+    getSettingControlHTML(definition) {
+        const { key } = definition;
+        const value = this.settings.get(key);
+        
+        switch (definition.type) {
+            case 'range':
+                return `
+                    <input type="range" min="${definition.min}" max="${definition.max}" step="${definition.step}" value="${value}" oninput="game.changeSetting('${key}', this.value)" style="width: 140px; vertical-align: middle;">
+                    <span data-setting-value="${key}" style="display: inline-block; width: 50px; text-align: right;">${this.formatSettingValue(value)}</span>
+                `;
+            case 'checkbox':
+                return `<input type="checkbox" ${value ? 'checked' : ''} onchange="game.changeSetting('${key}', this.checked)">`;
+            case 'select':
+                return `
+                    <select onchange="game.changeSetting('${key}', this.value)" style="padding: 3px; border: none; border-radius: 3px;">
+                        ${definition.options.map(([optionValue, label]) => `<option value="${optionValue}" ${optionValue === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                `;
+            default:
+                return '';
+        }
+    }
+    
+    // 滑块旁显示的数值，去掉浮点误差
+    formatSettingValue(value) {
+        return String(Number(value.toFixed(4)));
+    }
+    
+    // 打开/关闭设置界面，打开时暂停进行中的本地游戏
+    toggleSettings() {
+        if (this.settingsPanel.style.display === 'block') {
+            this.settingsPanel.style.display = 'none';
+            return;
+        }
         
-        // 预判碰撞结果
-        const snakeLength = this.snake.length;
-        const willGetReward = snakeLength >= obstacleInfo.level;
+        if (!this.network && !this.replayViewer && !this.attract && this.sim.gameState === 'playing') {
+            this.pauseGame();
+        }
+        this.renderSettingsPanel();
+        this.settingsPanel.style.display = 'block';
+    }
+    
+    /**
+     * 修改一项设置，保存并立即生效
+     * @param {string} key - 设置键（见 src/Settings.js）
+     * @param {*} value - 控件的值
+     */
+    changeSetting(key, value) {
+        if (!this.settings.set(key, value)) return;
         
-        // 根据预判结果调整材质
-        if (willGetReward) {
-            // 奖励状态：添加金色光环
-            obstacleMaterial.emissive.multiplyScalar(1.5);
-            obstacleMaterial.emissiveIntensity = 0.8;
-        } else {
-            // 惩罚状态：添加红色警告
-            const warningColor = new THREE.Color(0.3, 0, 0);
-            obstacleMaterial.emissive.add(warningColor);
-        }
-        
-        // 创建障碍物
-        const obstacle = {
-            x: position.x,
-            y: position.y,
-            level: obstacleInfo.level,
-            type: obstacleInfo.type,
-            effect: obstacleTypeConfig.effect,
-            mesh: new THREE.Mesh(obstacleGeometry, obstacleMaterial),
-            shadowMesh: shadowMesh,
-            id: Date.now() + Math.random(), // 唯一ID
-            // 下落动画相关
-            isFalling: true,
-            fallSpeed: 0,
-            targetY: this.GRID_SIZE / 2,
-            startY: this.GRID_SIZE * 8, // 从高空开始
-            hasLanded: false,
-            // 旋转动画
-            rotationSpeed: {
-                x: (Math.random() - 0.5) * 0.02,
-                y: (Math.random() - 0.5) * 0.02,
-                z: (Math.random() - 0.5) * 0.02
-            },
-            // 碰撞预判
-            willGetReward: willGetReward,
-            originalEmissive: obstacleTypeConfig.emissive
-        };
+        if (key === 'antialias') {
+            this.createRenderer();
+        }
+        this.applySettings();
         
-        // 设置障碍物初始位置（从天空开始）
-        obstacle.mesh.position.set(
-            position.x * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
-            obstacle.startY,  // 从高空开始
-            position.y * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
-        );
-        obstacle.mesh.castShadow = true;
+        const valueElement = this.settingsPanel.querySelector(`[data-setting-value="${key}"]`);
+        if (valueElement) {
+            valueElement.textContent = this.formatSettingValue(this.settings.get(key));
+        }
+    }
+    
+    // 恢复所有默认设置
+    resetSettings() {
+        const antialias = this.settings.get('antialias');
+        this.settings.reset();
         
-        this.obstacles.push(obstacle);
-        this.scene.add(obstacle.mesh);
-        this.scene.add(obstacle.shadowMesh);
+        if (this.settings.get('antialias') !== antialias) {
+            this.createRenderer();
+        }
+        this.applySettings();
+        this.renderSettingsPanel();
+    }
+    
+    // 创建回放控制面板和文件选择框
+    createReplayUI() {
+        this.replayPanel = document.createElement('div');
+        this.replayPanel.id = 'replay-panel';
+        this.replayPanel.style.position = 'absolute';
+        this.replayPanel.style.bottom = '20px';
+        this.replayPanel.style.left = '50%';
+        this.replayPanel.style.transform = 'translateX(-50%)';
+        this.replayPanel.style.color = 'white';
+        this.replayPanel.style.fontSize = '14px';
+        this.replayPanel.style.fontFamily = 'Arial, sans-serif';
+        this.replayPanel.style.backgroundColor = 'rgba(0,0,0,0.8)';
+        this.replayPanel.style.padding = '10px 15px';
+        this.replayPanel.style.borderRadius = '10px';
+        this.replayPanel.style.zIndex = '1001';
+        this.replayPanel.style.display = 'none';
+        this.replayPanel.innerHTML = `
+            <span style="margin-right: 10px;">🎬 回放</span>
+            <button data-replay="toggle" onclick="game.toggleReplayPlayback()" style="padding: 5px 10px; background: #444; color: white; border: none; border-radius: 5px; cursor: pointer;">⏸</button>
+            <select onchange="game.setReplaySpeed(this.value)" style="margin: 0 5px; padding: 4px; border: none; border-radius: 3px;">
+                <option value="0.25">0.25x</option>
+                <option value="0.5">0.5x</option>
+                <option value="1" selected>1x</option>
+                <option value="2">2x</option>
+                <option value="4">4x</option>
+            </select>
+            <input data-replay="seek" type="range" min="0" max="0" value="0" oninput="game.seekReplay(this.value)" style="width: 260px; vertical-align: middle;">
+            <span data-replay="time" style="display: inline-block; min-width: 90px; margin: 0 5px; font-family: monospace;">0:00 / 0:00</span>
+            <span data-replay="key" style="display: inline-block; min-width: 60px; font-size: 12px; color: #ccc;"></span>
+            <button onclick="game.exitReplay()" style="margin-left: 5px; padding: 5px 10px; background: #aa4400; color: white; border: none; border-radius: 5px; cursor: pointer;">退出回放</button>
+        `;
+        document.body.appendChild(this.replayPanel);
+        
+        this.replayToggleButton = this.replayPanel.querySelector('[data-replay="toggle"]');
+        this.replaySeekBar = this.replayPanel.querySelector('[data-replay="seek"]');
+        this.replayTimeLabel = this.replayPanel.querySelector('[data-replay="time"]');
+        this.replayKeyLabel = this.replayPanel.querySelector('[data-replay="key"]');
+        
+        // 拖动进度条期间不由播放进度覆盖滑块位置
+        this.replaySeekBar.addEventListener('pointerdown', () => {
+            if (this.replayViewer) this.replayViewer.isSeeking = true;
+        });
+        this.replaySeekBar.addEventListener('pointerup', () => {
+            if (this.replayViewer) this.replayViewer.isSeeking = false;
+        });
         
-        console.log('🌟 生成障碍物:', position.x, position.y, '类型:', obstacleInfo.type, '等级:', obstacleInfo.level, '蛇长度:', this.snake.length, '从天而降中... 当前障碍物数量:', this.obstacles.length);
+        // 回放文件选择框
+        this.replayFileInput = document.createElement('input');
+        this.replayFileInput.type = 'file';
+        this.replayFileInput.accept = '.json,application/json';
+        this.replayFileInput.style.display = 'none';
+        this.replayFileInput.addEventListener('change', () => {
+            const file = this.replayFileInput.files[0];
+            this.replayFileInput.value = '';
+            if (file) {
+                this.loadReplayFile(file);
+            }
+        });
+        document.body.appendChild(this.replayFileInput);
     }
     
-    // 检查位置是否被占用
-    isPositionOccupied(x, y) {
-        // 检查是否与蛇身重叠
-        for (let segment of this.snake) {
-            if (segment.x === x && segment.y === y) {
-                return true;
+    // 打开回放文件选择框
+    openReplayFile() {
+        this.replayFileInput.click();
+    }
+    
+    // 读取并播放回放文件
+    loadReplayFile(file) {
+        file.text()
+            .then(text => this.startReplay(parseReplay(text)))
+            .catch(error => {
+                console.error('回放加载失败:', error);
+                this.statusElement.textContent = `回放加载失败: ${error.message}`;
+                this.statusElement.className = 'game-over';
+            });
+    }
+    
+    // 下载最近一局的回放文件
+    downloadReplay() {
+        if (!this.lastReplay) return;
+        
+        downloadJson(`snake-replay-${this.lastReplay.seed}-level${this.lastReplay.level}.json`, serializeReplay(this.lastReplay));
+    }
+    
+    // 观看最近一局的回放
+    watchLastReplay() {
+        if (this.lastReplay) {
+            this.startReplay(this.lastReplay);
+        }
+    }
+    
+    // 进入回放模式
+    startReplay(replay) {
+        const player = new ReplayPlayer(replay, (this.liveSim || this.sim).levelDefinitions);
+        
+        // 暂停实际游戏，观看结束后恢复
+        if (!this.replayViewer) {
+            if (this.sim.gameState === 'playing') {
+                this.pauseGame();
             }
+            this.liveSim = this.sim;
         }
         
-        // 检查是否与食物重叠
-        if (this.food.x === x && this.food.y === y) {
-            return true;
+        this.hideLevelSelect();
+        this.replayViewer = { player, playing: true, speed: 1, isSeeking: false };
+        this.sim = player.sim;
+        this.syncViewsToSimulation();
+        
+        this.replaySeekBar.max = player.totalTicks;
+        this.replayPanel.querySelector('select').value = '1';
+        this.replayPanel.style.display = 'block';
+        this.updateReplayUI();
+        
+        console.log('🎬 开始回放 - 种子:', replay.seed, '关卡:', replay.level, '模拟步数:', replay.ticks);
+    }
+    
+    // 退出回放模式，回到实际游戏
+    exitReplay() {
+        if (!this.replayViewer) return;
+        
+        this.sim = this.liveSim;
+        this.liveSim = null;
+        this.replayViewer = null;
+        this.replayPanel.style.display = 'none';
+        this.syncViewsToSimulation();
+        this.restoreStatusText();
+    }
+    
+    // 回到实际游戏后按游戏状态恢复状态栏
+    restoreStatusText() {
+        const statusTexts = {
+            waiting: '按空格键开始游戏',
+            paused: '游戏已暂停',
+            gameOver: `游戏结束！得分: ${this.sim.score}`
+        };
+        this.statusElement.textContent = statusTexts[this.sim.gameState] || '';
+        this.statusElement.className = this.sim.gameState === 'paused' ? 'game-paused' : '';
+    }
+    
+    // 回放模式下的按键：空格播放/暂停，Esc 退出
+    handleReplayKeyPress(key) {
+        switch (key.toLowerCase()) {
+            case ' ':
+                this.toggleReplayPlayback();
+                break;
+            case 'escape':
+                this.exitReplay();
+                break;
+            case 'c':
+                this.cycleCameraMode();
+                break;
+        }
+    }
+    
+    // 播放/暂停回放，已播放完毕时从头开始
+    toggleReplayPlayback() {
+        const viewer = this.replayViewer;
+        if (!viewer) return;
+        
+        if (!viewer.playing && viewer.player.isFinished()) {
+            viewer.player.restart();
+            this.syncViewsToSimulation();
+        }
+        viewer.playing = !viewer.playing;
+        this.updateReplayUI();
+    }
+    
+    // 设置回放速度倍率
+    setReplaySpeed(value) {
+        if (this.replayViewer) {
+            this.replayViewer.speed = Number(value);
+        }
+    }
+    
+    // 跳转到回放的指定模拟步
+    seekReplay(value) {
+        const viewer = this.replayViewer;
+        if (!viewer) return;
+        
+        viewer.player.seek(Number(value));
+        this.syncViewsToSimulation();
+        this.updateReplayUI();
+    }
+    
+    // 按倍速推进回放
+    advanceReplay(deltaTime) {
+        const viewer = this.replayViewer;
+        if (!viewer.playing) return;
+        
+        this.tickAccumulator += this.sim.clock.toGameTime(Math.min(deltaTime, MAX_FRAME_TIME)) * viewer.speed;
+        while (this.tickAccumulator >= TICK_MS && !viewer.player.isFinished()) {
+            this.capturePreviousPositions();
+            viewer.player.stepOnce();
+            this.tickAccumulator -= TICK_MS;
         }
         
-        // 检查是否与其他障碍物重叠
-        for (let obstacle of this.obstacles) {
-            if (obstacle.x === x && obstacle.y === y) {
-                return true;
-            }
+        if (viewer.player.isFinished()) {
+            viewer.playing = false;
+            this.tickAccumulator = 0;
         }
+    }
+    
+    // 更新回放控制面板
+    updateReplayUI() {
+        const viewer = this.replayViewer;
+        if (!viewer) return;
+        
+        const player = viewer.player;
+        const formatTime = (ticks) => {
+            const totalSeconds = Math.floor(ticks * TICK_MS / 1000);
+            return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+        };
         
-        return false;
+        this.replayToggleButton.textContent = viewer.playing ? '⏸' : '▶';
+        if (!viewer.isSeeking) {
+            this.replaySeekBar.value = player.tick;
+        }
+        this.replayTimeLabel.textContent = `${formatTime(player.tick)} / ${formatTime(player.totalTicks)}`;
+        this.replayKeyLabel.textContent = player.lastKey ? `⌨️ ${player.lastKey === ' ' ? 'Space' : player.lastKey}` : '';
     }
     
-    // 更新障碍物生成
-    updateObstacleSpawning() {
-        if (this.gameState !== 'playing') return;
+    // 待机演示方法
+    
+    // 等待开始时无操作超过 idleDelay 进入待机演示；演示的蛇被淘汰后稍等片刻开始新一轮
+    updateAttractMode() {
+        const now = performance.now();
         
-        const currentTime = Date.now();
+        if (this.attract) {
+            if (!this.attract.demo.isFinished()) return;
+            
+            if (this.attract.restartTime === null) {
+                this.attract.restartTime = now + ATTRACT_CONFIG.restartDelay;
+            } else if (now >= this.attract.restartTime) {
+                this.startAttractMode();
+            }
+            return;
+        }
         
-        // 检查是否到了生成下一个障碍物的时间
-        if (currentTime >= this.nextObstacleTime) {
-            this.generateObstacle();
-            this.scheduleNextObstacle();
+        // 观看回放、联机、编辑关卡或打开设置界面时不进入演示
+        const idle = this.sim.gameState === 'waiting' && !this.replayViewer && !this.network && !this.levelEditor.isOpen && this.settingsPanel.style.display !== 'block';
+        if (idle && now - this.lastActivityTime >= ATTRACT_CONFIG.idleDelay) {
+            this.startAttractMode();
         }
     }
     
-    // 安排下一个障碍物的生成时间
-    scheduleNextObstacle() {
-        // 根据游戏难度调整生成频率
-        const difficultyMultiplier = this.getDifficultyMultiplier();
-        const minInterval = this.obstacleMinInterval / difficultyMultiplier;
-        const maxInterval = this.obstacleMaxInterval / difficultyMultiplier;
+    // 进入待机演示（或开始新一轮演示），实际游戏的模拟保存在 liveSim 中
+    startAttractMode() {
+        if (!this.attract) {
+            this.liveSim = this.sim;
+        }
         
-        const interval = minInterval + Math.random() * (maxInterval - minInterval);
-        this.nextObstacleTime = Date.now() + interval;
+        const demo = new AttractDemo(this.liveSim);
+        this.attract = { demo, restartTime: null };
+        this.hideLevelSelect();
+        this.sim = demo.sim;
+        this.syncViewsToSimulation();
+        this.thirdPersonCamera.reset();
         
-        console.log('下一个障碍物将在', (interval / 1000).toFixed(1), '秒后生成，难度倍数:', difficultyMultiplier.toFixed(2));
+        console.log('📺 待机演示 - 种子:', this.sim.seed);
     }
     
-    // 获取难度倍数
-    getDifficultyMultiplier() {
-        const baseMultiplier = 1.0;
-        const lengthBonus = (this.snake.length - 3) * 0.1; // 每增加一段，生成频率增加10%
-        const scoreBonus = this.score * 0.001; // 每10分，生成频率增加1%
-        
-        return Math.max(baseMultiplier + lengthBonus + scoreBonus, 0.3); // 最少是原来的3倍频率
+    // 退出待机演示，回到实际游戏：重置后直接开始
+    stopAttractMode() {
+        if (!this.attract) return;
+        
+        this.sim = this.liveSim;
+        this.liveSim = null;
+        this.attract = null;
+        this.lastActivityTime = performance.now();
+        this.syncViewsToSimulation();
+        this.resetGame();
+        this.startGame();
     }
     
-    // 检查障碍物碰撞
-    checkObstacleCollision() {
-        // 如果处于无敌状态，跳过碰撞检测
-        if (this.isInvulnerable) {
-            return false;
+    // 按游戏时钟推进演示
+    advanceAttractDemo(deltaTime) {
+        const demo = this.attract.demo;
+        
+        this.tickAccumulator += this.sim.clock.toGameTime(Math.min(deltaTime, MAX_FRAME_TIME));
+        while (this.tickAccumulator >= TICK_MS && !demo.isFinished()) {
+            this.capturePreviousPositions();
+            demo.stepOnce();
+            this.tickAccumulator -= TICK_MS;
         }
+    }
+    
+    // 模拟状态被整体替换（切换回放、跳转进度）后重建所有渲染对象
+    syncViewsToSimulation() {
+        this.sim.drainEvents();
+        this.tickAccumulator = 0;
+        this.previousPositions.length = 0;
+        this.renderAlpha = 1;
+        this.syncLevelLayout();
         
-        const head = this.snake[0];
-        const collisionRadius = this.GRID_SIZE * 0.7;
+        this.clearAllDialogs();
+        this.clearAllVisualEffects();
+        this.hideAllWarningWalls();
+        this.cameraShake.isShaking = false;
+        this.headMaterial.emissive.setHex(0x441100);
         
-        for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            const obstacle = this.obstacles[i];
-            
-            // 只有已落地的障碍物才能被碰撞
-            if (!obstacle.hasLanded) {
-                continue;
-            }
-            
-            const obstacleWorldX = obstacle.x * this.GRID_SIZE;
-            const obstacleWorldY = obstacle.y * this.GRID_SIZE;
-            
-            const dx = head.actualX - obstacleWorldX;
-            const dy = head.actualY - obstacleWorldY;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            if (distance < collisionRadius) {
-                // 碰撞发生
-                this.handleObstacleCollision(obstacle, i);
-                return true;
-            }
-        }
+        this.createSnake();
+        this.syncExtraSnakeViews();
+        this.syncFoodViews();
+        
+        this.clearAllObstacleViews();
+        this.syncObstacleViews();
         
-        return false;
+        this.cameraTarget.position.copy(this.getSnakeHeadWorldPosition());
+        this.syncSplitScreen();
+        
+        this.updateScore();
+        this.updateSeedDisplay();
+        this.updateStatusText();
+        this.updateLevelUI();
     }
     
-    // 处理障碍物碰撞
-    handleObstacleCollision(obstacle, index) {
-        const snakeLength = this.snake.length;
-        const obstacleLevel = obstacle.level;
+    onWindowResize() {
+        // 分屏时每个相机只占半个画面
+        const aspect = (this.splitScreen ? window.innerWidth / 2 : window.innerWidth) / window.innerHeight;
+        this.camera.aspect = aspect;
+        this.camera.updateProjectionMatrix();
+        if (this.splitScreen) {
+            this.splitScreen.camera.aspect = aspect;
+            this.splitScreen.camera.updateProjectionMatrix();
+        }
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+    
+    // 清理所有mesh资源（用于游戏结束或重新初始化）
+    cleanup() {
+        // 清理玩家1的蛇
+        if (this.snakeHeadMesh) {
+            this.scene.remove(this.snakeHeadMesh);
+            this.snakeBodyBatch.dispose();
+            this.snakeHeadMesh = null;
+            this.snakeBodyBatch = null;
+        }
+        this.headGeometry.dispose();
+        this.snakeGeometry.dispose();
+        this.headMaterial.dispose();
+        this.snakeMaterial.dispose();
         
-        console.log('碰撞障碍物！蛇长度:', snakeLength, '障碍物类型:', obstacle.type, '等级:', obstacleLevel);
+        // 清理其他玩家的蛇
+        this.extraSnakeViews.forEach(view => this.removeSnakeView(view));
+        this.extraSnakeViews.clear();
         
-        // 移除障碍物（不管结果如何，障碍物都会消失）
-        this.scene.remove(obstacle.mesh);
-        this.scene.remove(obstacle.shadowMesh);
-        this.clearObstaclePreview(obstacle); // 清理预览文字
-        this.obstacles.splice(index, 1);
+        // 清理食物mesh
+        this.foodViews.forEach((mesh, id) => this.removeFoodView(id));
         
-        // 根据障碍物类型和蛇长度关系决定效果
-        if (snakeLength >= obstacleLevel) {
-            // 蛇长度 >= 障碍物等级，获得奖励
-            this.handleObstacleReward(obstacle, snakeLength, obstacleLevel);
-        } else {
-            // 蛇长度 < 障碍物等级，受到惩罚
-            this.handleObstaclePenalty(obstacle, snakeLength, obstacleLevel);
+        // 清理警告墙体
+        Object.values(this.warningWalls).forEach(wall => {
+            if (wall) {
+                this.scene.remove(wall);
+                wall.geometry.dispose();
+                wall.material.dispose();
+            }
+        });
+        
+        // 清理障碍物和障碍物批次（同类型的两个批次共用几何体）
+        this.clearAllObstacleViews();
+        const obstacleGeometries = new Set();
+        this.obstacleBatches.forEach(batch => {
+            batch.dispose();
+            batch.material.dispose();
+            obstacleGeometries.add(batch.geometry);
+        });
+        obstacleGeometries.forEach(geometry => geometry.dispose());
+        this.obstacleBatches.clear();
+        this.obstacleShadowBatch.dispose();
+        this.obstacleShadowBatch.geometry.dispose();
+        this.obstacleShadowBatch.material.dispose();
+        
+        this.warningWalls = {
+            top: null,
+            bottom: null,
+            left: null,
+            right: null
+        };
+        
+        console.log('游戏资源已清理');
+    }
+    
+    // 障碍物系统方法
+    
+    // 根据障碍物类型配置的 geometry 字段创建几何体
+    createObstacleGeometry(geometryType) {
+        switch (geometryType) {
+            case 'box':
+                return new THREE.BoxGeometry(this.GRID_SIZE * 0.6, this.GRID_SIZE * 0.6, this.GRID_SIZE * 0.6);
+            case 'octahedron':
+                return new THREE.OctahedronGeometry(this.GRID_SIZE * 0.4);
+            case 'tetrahedron':
+                return new THREE.TetrahedronGeometry(this.GRID_SIZE * 0.5);
+            case 'sphere':
+                return new THREE.SphereGeometry(this.GRID_SIZE * 0.4, 16, 16);
+            default:
+                return this.obstacleGeometry;
         }
+    }
+    
+    // 为每种障碍物的奖励/惩罚状态创建实例批次，以及所有障碍物共用的阴影批次
+    createObstacleBatches() {
+        Object.entries(this.sim.obstacleTypes).forEach(([type, obstacleTypeConfig]) => {
+            const geometry = this.createObstacleGeometry(obstacleTypeConfig.geometry);
+            
+            [true, false].forEach(willGetReward => {
+                const material = new THREE.MeshPhongMaterial({ 
+                    color: obstacleTypeConfig.color,
+                    shininess: 80,
+                    emissive: obstacleTypeConfig.emissive
+                });
+                
+                // 根据预判结果调整材质
+                if (willGetReward) {
+                    // 奖励状态：添加金色光环
+                    material.emissive.multiplyScalar(1.5);
+                    material.emissiveIntensity = 0.8;
+                } else {
+                    // 惩罚状态：添加红色警告
+                    material.emissive.add(new THREE.Color(0.3, 0, 0));
+                }
+                
+                this.obstacleBatches.set(this.getObstacleBatchKey(type, willGetReward), new InstancedBatch(this.scene, geometry, material, { castShadow: true }));
+            });
+        });
         
-        // 重新创建蛇的mesh
-        this.createSnake();
+        // 阴影使用正片叠底混合：实例颜色为 1 - 不透明度，与半透明黑色的效果相同，每个阴影可以有不同的透明度
+        const shadowGeometry = new THREE.CircleGeometry(this.GRID_SIZE * 0.4, 16);
+        shadowGeometry.rotateX(-Math.PI / 2);
+        const shadowMaterial = new THREE.MeshBasicMaterial({
+            color: 0xFFFFFF,
+            transparent: true,
+            blending: THREE.MultiplyBlending
+        });
+        this.obstacleShadowBatch = new InstancedBatch(this.scene, shadowGeometry, shadowMaterial);
+    }
+    
+    getObstacleBatchKey(type, willGetReward) {
+        return `${type}:${willGetReward ? 'reward' : 'penalty'}`;
+    }
+    
+    // 为模拟层的障碍物创建渲染对象，实际绘制由 updateObstacleDisplay 写入实例批次
+    createObstacleView(obstacle) {
+        const view = {
+            obstacle: obstacle,
+            previewText: null,
+            // 旋转动画
+            rotation: new THREE.Euler(),
+            rotationSpeed: {
+                x: (Math.random() - 0.5) * 0.02,
+                y: (Math.random() - 0.5) * 0.02,
+                z: (Math.random() - 0.5) * 0.02
+            },
+            // 当前显示的奖励/惩罚状态
+            willGetReward: obstacle.willGetReward
+        };
         
-        // 更新难度（因为蛇长度变化了）
-        this.updateDifficulty();
+        this.obstacleViews.set(obstacle.id, view);
+        return view;
+    }
+    
+    // 移除障碍物渲染对象
+    removeObstacleView(view) {
+        this.clearObstaclePreview(view); // 清理预览文字
+        this.obstacleViews.delete(view.obstacle.id);
+    }
+    
+    // 让渲染对象与模拟层的障碍物列表保持一致
+    syncObstacleViews() {
+        const aliveIds = new Set();
+        
+        this.sim.obstacles.forEach(obstacle => {
+            aliveIds.add(obstacle.id);
+            if (!this.obstacleViews.has(obstacle.id)) {
+                this.createObstacleView(obstacle);
+            }
+        });
         
-        // 更新障碍物颜色（因为蛇长度变化了）
-        this.updateObstacleColors();
+        this.obstacleViews.forEach((view, id) => {
+            if (!aliveIds.has(id)) {
+                this.removeObstacleView(view);
+            }
+        });
     }
     
-    // 处理障碍物奖励
-    handleObstacleReward(obstacle, snakeLength, obstacleLevel) {
+    // 障碍物奖励
+    onObstacleReward(event) {
+        const obstacle = event.obstacle;
+        
+        console.log('碰撞障碍物！蛇长度:', event.snakeLength, '障碍物类型:', obstacle.type, '等级:', event.obstacleLevel);
         console.log('🎉 ✅ 成功击破障碍物！获得奖励');
         
         // 显示奖励特效
         this.showRewardEffect(obstacle);
         
-        // 根据障碍物类型给予不同奖励
-        switch (obstacle.effect) {
+        // 根据障碍物类型显示不同奖励
+        switch (event.effect) {
             case 'stun':
                 // 弱障碍物：得分奖励
-                this.score += 20;
-                this.showFloatingText('+20分', obstacle, 0xFFD700); // 金黄色，庆祝感
-                console.log('💰 得分奖励 +20');
+                this.showFloatingText(`+${event.points}分`, obstacle, 0xFFD700); // 金黄色，庆祝感
+                console.log('💰 得分奖励 +', event.points);
                 break;
             case 'shrink':
                 // 普通障碍物：增加连击
-                this.comboCount++;
-                this.score += 30 * this.comboCount;
-                this.showFloatingText(`连击 x${this.comboCount}`, obstacle, 0xFFE135); // 明亮黄色，阳光感
-                console.log('🔥 连击奖励 +', 30 * this.comboCount);
+                this.showFloatingText(`连击 x${event.combo}`, obstacle, 0xFFE135); // 明亮黄色，阳光感
+                console.log('🔥 连击奖励 +', event.points);
                 break;
             case 'halve':
                 // 强障碍物：增加蛇长度
-                this.snake.push(this.createNewSnakeSegment());
-                this.score += 50;
                 this.showFloatingText('蛇身+1', obstacle, 0x74C0FC); // 天蓝色，梦幻感
-                console.log('🐍 蛇长度增加 +1, 得分 +50');
+                console.log('🐍 蛇长度增加 +1, 得分 +', event.points);
                 break;
             case 'teleport':
                 // 特殊障碍物：激活无敌状态
-                this.activateSafetyBuff(this.DIFFICULTY_CONFIG.safetyBuffDuration);
-                this.score += 100;
                 this.showFloatingText('无敌状态!', obstacle, 0xDDA0DD); // 淡紫色，神奇感
-                console.log('🛡️ 无敌状态激活，得分 +100');
+                console.log('🛡️ 无敌状态激活，得分 +', event.points);
                 break;
         }
         
         // 正面震动和音效提示
-        this.startCameraShake(0.5, 200);
-        this.flashScreenColor(0xFFD700, 0.3, 150); // 金黄色闪烁，庆祝感
+        if (!this.isBotEvent(event)) {
+            this.startCameraShake(0.5, 200);
+            this.flashScreenColor(0xFFD700, 0.3, 150); // 金黄色闪烁，庆祝感
+        }
     }
     
-    // 处理障碍物惩罚
-    handleObstaclePenalty(obstacle, snakeLength, obstacleLevel) {
+    // 障碍物惩罚
+    onObstaclePenalty(event) {
+        const obstacle = event.obstacle;
+        
+        console.log('碰撞障碍物！蛇长度:', event.snakeLength, '障碍物类型:', obstacle.type, '等级:', event.obstacleLevel);
         console.log('💥 ❌ 碰撞障碍物！受到惩罚');
-        console.log(`😵 蛇长度 ${snakeLength} < 障碍物等级 ${obstacleLevel}`);
+        console.log(`😵 蛇长度 ${event.snakeLength} < 障碍物等级 ${event.obstacleLevel}`);
         
         // 显示惩罚特效
         this.showPenaltyEffect(obstacle);
         
-        let newLength = snakeLength;
-        
-        // 根据障碍物类型给予不同惩罚
-        switch (obstacle.effect) {
+        // 根据障碍物类型显示不同惩罚
+        switch (event.effect) {
             case 'stun':
                 // 弱障碍物：短暂眩晕
-                this.startSnakeStun(800);
                 this.showFloatingText('眩晕!', obstacle, 0xFFA500); // 橙色，温和的警告
                 console.log('😵 短暂眩晕');
                 break;
             case 'shrink':
                 // 普通障碍物：减少1-2段
-                newLength = Math.max(3, snakeLength - Math.floor(Math.random() * 2) - 1);
-                this.showFloatingText(`-${snakeLength - newLength}段`, obstacle, 0xFF6B6B); // 温暖的红色，不太刺眼
-                console.log(`📉 蛇长度: ${snakeLength} → ${newLength}`);
+                this.showFloatingText(`-${event.snakeLength - event.newLength}段`, obstacle, 0xFF6B6B); // 温暖的红色，不太刺眼
+                console.log(`📉 蛇长度: ${event.snakeLength} → ${event.newLength}`);
                 break;
             case 'halve':
                 // 强障碍物：减半
-                newLength = Math.max(3, Math.floor(snakeLength / 2));
                 this.showFloatingText('减半!', obstacle, 0xFF6B6B); // 温暖的红色，不太刺眼
-                console.log(`📉 蛇长度: ${snakeLength} → ${newLength}`);
+                console.log(`📉 蛇长度: ${event.snakeLength} → ${event.newLength}`);
                 break;
             case 'teleport':
                 // 特殊障碍物：随机传送蛇头
-                this.teleportSnakeHead();
                 this.showFloatingText('传送!', obstacle, 0xDDA0DD); // 淡紫色，神奇感
                 console.log('🌀 蛇头被传送');
                 break;
         }
         
-        // 应用长度变化
-        if (newLength < snakeLength) {
-            this.snake = this.snake.slice(0, newLength);
-        }
-        
-        // 重置连击
-        this.comboCount = 0;
-        
-        // 检查是否需要安全期
-        if (newLength <= this.DIFFICULTY_CONFIG.minSafeLength) {
-            this.activateSafetyBuff(this.DIFFICULTY_CONFIG.safetyBuffDuration);
-            console.log('🛡️ 触发安全期保护');
-        }
-        
         // 触发相机抖动和负面视觉效果
-        this.startCameraShake(1.0, 400);
-        this.flashScreenColor(0xFF6B6B, 0.5, 300); // 温暖的红色闪烁，不太刺眼
-        
-        // 触发蛇头眩晕
-        this.startSnakeStun(600);
+        if (!this.isBotEvent(event)) {
+            this.startCameraShake(1.0, 400);
+            this.flashScreenColor(0xFF6B6B, 0.5, 300); // 温暖的红色闪烁，不太刺眼
+        }
     }
     
     // 开始相机抖动
@@ -2747,76 +3904,19 @@ class SnakeGame {
         this.cameraShake.elapsed = 0;
     }
     
-    // 开始蛇头眩晕
-    startSnakeStun(duration) {
-        this.snakeStunned.isStunned = true;
-        this.snakeStunned.duration = duration;
-        this.snakeStunned.elapsed = 0;
-        this.snakeStunned.originalSpeed = this.moveSpeed;
-        
-        // 眩晕期间减速
-        this.moveSpeed *= 0.3;
-    }
-    
-    // 激活安全期保护
-    activateSafetyBuff(duration) {
-        this.isInvulnerable = true;
-        this.invulnerableEndTime = Date.now() + duration;
-        
+    // 安全期保护激活
+    onInvulnerabilityStarted(event) {
         // 视觉效果：蛇头材质变为温暖的金色发光
-        if (this.snakeMeshes[0]) {
-            this.snakeMeshes[0].material.emissive.setHex(0x664400);
-        }
+        this.getHeadMaterial(event.player).emissive.setHex(0x664400);
         
-        console.log('🛡️ 安全期激活，持续', duration / 1000, '秒');
-    }
-    
-    // 创建新的蛇身段
-    createNewSnakeSegment() {
-        const tail = this.snake[this.snake.length - 1];
-        return {
-            x: tail.x,
-            y: tail.y,
-            actualX: tail.actualX,
-            actualY: tail.actualY,
-            targetX: tail.actualX,
-            targetY: tail.actualY,
-            rotation: tail.rotation
-        };
-    }
-    
-    // 传送蛇头到随机位置
-    teleportSnakeHead() {
-        const head = this.snake[0];
-        let newX, newY;
-        let attempts = 0;
-        
-        // 尝试找到一个安全的传送位置
-        do {
-            newX = Math.floor(Math.random() * this.BOARD_SIZE);
-            newY = Math.floor(Math.random() * this.BOARD_SIZE);
-            attempts++;
-        } while (this.isPositionOccupied(newX, newY) && attempts < 50);
-        
-        if (attempts < 50) {
-            head.x = newX;
-            head.y = newY;
-            head.actualX = newX * this.GRID_SIZE;
-            head.actualY = newY * this.GRID_SIZE;
-            head.targetX = head.actualX;
-            head.targetY = head.actualY;
-            
-            // 传送特效
-            this.startCameraShake(0.8, 300);
-            console.log('🌀 蛇头传送到:', newX, newY);
-        }
+        console.log('🛡️ 安全期激活，持续', event.duration / 1000, '秒');
     }
     
     // 更新相机抖动
-    updateCameraShake() {
+    updateCameraShake(deltaTime) {
         if (!this.cameraShake.isShaking) return;
         
-        this.cameraShake.elapsed += 16; // 假设60FPS
+        this.cameraShake.elapsed += deltaTime;
         
         if (this.cameraShake.elapsed >= this.cameraShake.duration) {
             this.cameraShake.isShaking = false;
@@ -2842,184 +3942,172 @@ class SnakeGame {
         this.thirdPersonCamera.shakeOffset.set(shakeX, shakeY, shakeZ);
     }
     
-    // 更新蛇头眩晕
-    updateSnakeStun() {
-        if (!this.snakeStunned.isStunned) return;
-        
-        this.snakeStunned.elapsed += 16; // 假设60FPS
-        
-        if (this.snakeStunned.elapsed >= this.snakeStunned.duration) {
-            // 眩晕结束，恢复速度
-            this.snakeStunned.isStunned = false;
-            this.moveSpeed = this.snakeStunned.originalSpeed;
-            console.log('眩晕结束，速度恢复');
-        }
+    // 在HUD中显示激活的状态效果图标、层数和剩余时间
+    updateStatusEffectsHUD() {
+        // 双人对战时状态效果显示在各自的半边画面中
+        const html = this.splitScreen ? '' : this.sim.effects.list().map(effect => `
+            <span class="status-effect" title="${effect.name}">${effect.icon}${effect.stacks > 1 ? `x${effect.stacks}` : ''} ${(effect.remaining / 1000).toFixed(1)}s</span>
+        `).join('');
+        
+        // 内容不变时不重写DOM
+        if (html === this.effectsHTML) return;
+        this.effectsHTML = html;
+        this.effectsElement.innerHTML = html;
+        this.effectsElement.style.display = html ? 'block' : 'none';
     }
     
-    // 更新无敌状态
-    updateInvulnerability() {
-        if (!this.isInvulnerable) return;
-        
-        const currentTime = Date.now();
-        if (currentTime >= this.invulnerableEndTime) {
-            // 无敌状态结束
-            this.isInvulnerable = false;
-            
-            // 恢复蛇头材质
-            if (this.snakeMeshes[0]) {
-                this.snakeMeshes[0].material.emissive.setHex(0x441100);
+    // 更新无敌状态的蛇头闪烁效果
+    updateInvulnerabilityEffect() {
+        this.sim.players.forEach(player => {
+            const headMaterial = this.getHeadMaterial(player.index);
+            const baseEmissive = this.getSnakeColors(player.index).emissive;
+            const invulnerable = player.effects.get('invulnerable');
+            if (!invulnerable) {
+                // 恢复蛇头材质
+                headMaterial.emissive.setHex(baseEmissive);
+                return;
             }
             
-            console.log('🛡️ 安全期结束');
-        } else {
             // 闪烁效果
-            const remaining = this.invulnerableEndTime - currentTime;
+            const currentTime = this.sim.now();
+            const remaining = invulnerable.endTime - currentTime;
             const flashRate = remaining < 1000 ? 0.1 : 0.3; // 剩余时间少时闪烁更快
             const flash = Math.sin(currentTime * flashRate) > 0;
             
-            if (this.snakeMeshes[0]) {
-                this.snakeMeshes[0].material.emissive.setHex(flash ? 0x664400 : 0x441100);
-            }
-        }
+            headMaterial.emissive.setHex(flash ? 0x664400 : baseEmissive);
+        });
     }
     
-    // 清理所有障碍物
-    clearAllObstacles() {
-        this.obstacles.forEach(obstacle => {
-            this.scene.remove(obstacle.mesh);
-            this.scene.remove(obstacle.shadowMesh);
-            this.clearObstaclePreview(obstacle); // 清理预览文字
-        });
-        this.obstacles = [];
-        this.nextObstacleTime = 0;
+    // 清理所有障碍物渲染对象
+    clearAllObstacleViews() {
+        this.obstacleViews.forEach(view => this.removeObstacleView(view));
     }
     
-    // 更新障碍物显示（包含下落动画）
-    updateObstacleDisplay() {
-        this.obstacles.forEach((obstacle, index) => {
-            // 应用旋转动画
-            if (obstacle.rotationSpeed) {
-                obstacle.mesh.rotation.x += obstacle.rotationSpeed.x;
-                obstacle.mesh.rotation.y += obstacle.rotationSpeed.y;
-                obstacle.mesh.rotation.z += obstacle.rotationSpeed.z;
-            }
+    // 更新障碍物显示（包含下落动画），把所有障碍物和阴影写入实例批次
+    updateObstacleDisplay(deltaTime) {
+        const frameScale = deltaTime / 16.67;
+        const dummy = this.instanceDummy;
+        
+        this.syncObstacleViews();
+        this.updateObstacleMaterials();
+        
+        this.obstacleBatches.forEach(batch => batch.begin());
+        this.obstacleShadowBatch.begin();
+        
+        this.obstacleViews.forEach(view => {
+            const obstacle = view.obstacle;
+            const x = obstacle.x * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2;
+            const z = obstacle.y * this.GRID_SIZE - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2;
             
-            // 根据类型添加特殊效果
-            if (obstacle.type === 'SPECIAL') {
-                // 特殊障碍物：悬浮效果
-                const time = Date.now() * 0.003;
-                obstacle.mesh.position.y = obstacle.targetY + Math.sin(time + obstacle.id) * 2;
-            }
+            // 应用旋转动画
+            view.rotation.x += view.rotationSpeed.x * frameScale;
+            view.rotation.y += view.rotationSpeed.y * frameScale;
+            view.rotation.z += view.rotationSpeed.z * frameScale;
             
-            // 添加预览指示器
-            if (obstacle.hasLanded) {
-                this.updateObstaclePreview(obstacle);
-            }
+            // 跟随模拟层的下落高度
+            let y = obstacle.height;
+            let scale = 1;
+            let shadowScale = 1;
+            let shadowOpacity = 0.3;
             
             if (obstacle.isFalling) {
-                // 更新下落动画
-                obstacle.fallSpeed += 0.5; // 重力加速度
-                obstacle.mesh.position.y -= obstacle.fallSpeed;
-                
                 // 根据高度调整阴影大小和透明度
-                const height = obstacle.mesh.position.y;
-                const progress = Math.max(0, (obstacle.startY - height) / (obstacle.startY - obstacle.targetY));
+                const progress = Math.max(0, (obstacle.startY - obstacle.height) / (obstacle.startY - obstacle.targetY));
                 
                 // 阴影随着障碍物接近地面而变大变暗
-                const shadowScale = 0.5 + progress * 0.5; // 从0.5到1.0
-                const shadowOpacity = 0.1 + progress * 0.3; // 从0.1到0.4
-                
-                obstacle.shadowMesh.scale.set(shadowScale, shadowScale, 1);
-                obstacle.shadowMesh.material.opacity = shadowOpacity;
+                shadowScale = 0.5 + progress * 0.5; // 从0.5到1.0
+                shadowOpacity = 0.1 + progress * 0.3; // 从0.1到0.4
+            } else if (obstacle.hasLanded) {
+                // 落地时阴影达到最大值
+                shadowOpacity = 0.4;
                 
-                // 检查是否落地
-                if (obstacle.mesh.position.y <= obstacle.targetY) {
-                    obstacle.mesh.position.y = obstacle.targetY;
-                    obstacle.isFalling = false;
-                    obstacle.hasLanded = true;
-                    
-                    // 落地时阴影达到最大值
-                    obstacle.shadowMesh.scale.set(1, 1, 1);
-                    obstacle.shadowMesh.material.opacity = 0.4;
-                    
-                    // 落地震动效果
-                    this.startCameraShake(1.0, 400); // 强度1.0，持续400毫秒
-                    
-                    console.log('💥 障碍物落地震动！类型:', obstacle.type);
+                // 根据类型添加特殊效果
+                if (obstacle.type === 'SPECIAL') {
+                    // 特殊障碍物：悬浮效果
+                    const time = Date.now() * 0.003;
+                    y = obstacle.targetY + Math.sin(time + obstacle.id) * 2;
                 }
-            } else if (obstacle.hasLanded) {
+                
+                // 添加预览指示器
+                this.updateObstaclePreview(view);
+                
                 // 已落地的障碍物：脉冲效果
                 const time = Date.now() * 0.005;
-                const pulse = 1 + Math.sin(time + obstacle.id) * 0.1;
-                obstacle.mesh.scale.set(pulse, pulse, pulse);
-                
+                scale = 1 + Math.sin(time + obstacle.id) * 0.1;
+            }
+            
+            dummy.position.set(x, y, z);
+            dummy.rotation.copy(view.rotation);
+            dummy.scale.setScalar(scale);
+            dummy.updateMatrix();
+            this.obstacleBatches.get(this.getObstacleBatchKey(obstacle.type, view.willGetReward)).add(dummy.matrix);
+            
+            // 地面阴影略高于地面
+            dummy.position.set(x, 0.1, z);
+            dummy.rotation.set(0, 0, 0);
+            dummy.scale.set(shadowScale, 1, shadowScale);
+            dummy.updateMatrix();
+            this.shadowColor.setRGB(1 - shadowOpacity, 1 - shadowOpacity, 1 - shadowOpacity, THREE.SRGBColorSpace);
+            this.obstacleShadowBatch.add(dummy.matrix, this.shadowColor);
+        });
+        
+        this.obstacleBatches.forEach(batch => batch.end());
+        this.obstacleShadowBatch.end();
+    }
+    
+    // 障碍物的发光动画：同一批次的障碍物共用材质，发光强度按状态统一变化
+    updateObstacleMaterials() {
+        const now = Date.now();
+        this.obstacleBatches.forEach((batch, key) => {
+            const [type, state] = key.split(':');
+            if (type === 'STRONG') {
                 // 危险障碍物额外发光
-                if (obstacle.type === 'STRONG') {
-                    const glowIntensity = 0.5 + Math.sin(time * 2) * 0.3;
-                    obstacle.mesh.material.emissiveIntensity = glowIntensity;
-                }
+                batch.material.emissiveIntensity = 0.5 + Math.sin(now * 0.01) * 0.3;
+            } else if (state === 'reward') {
+                // 奖励状态：金色光环脉冲
+                batch.material.emissiveIntensity = 0.8 * (1 + Math.sin(now * 0.008) * 0.3);
+            } else {
+                // 惩罚状态：红色警告闪烁
+                batch.material.emissiveIntensity = Math.sin(now * 0.016) > 0 ? 1 : 0.5;
             }
         });
     }
     
-    // 动态更新所有障碍物的危险等级和颜色
+    // 动态更新所有障碍物的奖励/惩罚状态，状态改变后写入对应的实例批次
     updateObstacleColors() {
-        const snakeLength = this.snake.length;
-        
-        this.obstacles.forEach(obstacle => {
-            const willGetReward = snakeLength >= obstacle.level;
-            
-            // 重置材质发光效果
-            obstacle.mesh.material.emissive.setHex(obstacle.originalEmissive);
-            obstacle.mesh.material.emissiveIntensity = 1.0;
+        this.obstacleViews.forEach(view => {
+            const willGetReward = view.obstacle.willGetReward;
             
             // 根据当前蛇长度重新判断奖励/惩罚状态
-            if (willGetReward !== obstacle.willGetReward) {
-                obstacle.willGetReward = willGetReward;
-                
-                if (willGetReward) {
-                    // 变为奖励状态：添加金色光环
-                    obstacle.mesh.material.emissive.multiplyScalar(1.5);
-                    obstacle.mesh.material.emissiveIntensity = 0.8;
-                    console.log(`障碍物 ${obstacle.type} 变为奖励状态`);
-                } else {
-                    // 变为惩罚状态：添加红色警告
-                    const warningColor = new THREE.Color(0.3, 0, 0);
-                    obstacle.mesh.material.emissive.add(warningColor);
-                    console.log(`障碍物 ${obstacle.type} 变为惩罚状态`);
-                }
+            if (willGetReward !== view.willGetReward) {
+                view.willGetReward = willGetReward;
+                // 预览文字随状态重新创建
+                this.clearObstaclePreview(view);
+                console.log(`障碍物 ${view.obstacle.type} 变为${willGetReward ? '奖励' : '惩罚'}状态`);
             }
         });
     }
     
     // 更新障碍物预览效果
-    updateObstaclePreview(obstacle) {
-        const time = Date.now() * 0.008;
-        
-        // 根据奖励/惩罚状态添加不同的预览效果
-        if (obstacle.willGetReward) {
-            // 奖励状态：金色光环脉冲
-            const pulse = 1 + Math.sin(time) * 0.3;
-            obstacle.mesh.material.emissiveIntensity = 0.8 * pulse;
-            
+    updateObstaclePreview(view) {
+        // 根据奖励/惩罚状态添加不同的预览文字，发光动画见 updateObstacleMaterials
+        if (view.willGetReward) {
             // 创建预览文字（如果还没有）
-            if (!obstacle.previewText) {
-                this.createObstaclePreview(obstacle, '奖励!', 0xFFD700); // 金黄色，庆祝感
+            if (!view.previewText) {
+                this.createObstaclePreview(view, '奖励!', 0xFFD700); // 金黄色，庆祝感
             }
         } else {
-            // 惩罚状态：红色警告闪烁
-            const flash = Math.sin(time * 2) > 0 ? 1 : 0.5;
-            obstacle.mesh.material.emissiveIntensity = flash;
-            
             // 创建预览文字（如果还没有）
-            if (!obstacle.previewText) {
-                this.createObstaclePreview(obstacle, '危险!', 0xFF6B6B); // 温暖的红色，不太刺眼
+            if (!view.previewText) {
+                this.createObstaclePreview(view, '危险!', 0xFF6B6B); // 温暖的红色，不太刺眼
             }
         }
     }
     
     // 创建障碍物预览指示器
-    createObstaclePreview(obstacle, text, color) {
+    createObstaclePreview(view, text, color) {
+        const obstacle = view.obstacle;
+        
         // 创建简单的文字指示器
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
@@ -3055,23 +4143,594 @@ class SnakeGame {
         textMesh.lookAt(this.camera.position);
         
         this.scene.add(textMesh);
-        obstacle.previewText = textMesh;
+        view.previewText = textMesh;
     }
     
     // 清理障碍物预览
-    clearObstaclePreview(obstacle) {
-        if (obstacle.previewText) {
-            this.scene.remove(obstacle.previewText);
-            obstacle.previewText.geometry.dispose();
-            obstacle.previewText.material.dispose();
-            obstacle.previewText = null;
+    clearObstaclePreview(view) {
+        if (view.previewText) {
+            this.scene.remove(view.previewText);
+            view.previewText.geometry.dispose();
+            view.previewText.material.dispose();
+            view.previewText = null;
+        }
+    }
+    
+    // 联机对战
+    
+    // 联机客户端，首次使用时创建
+    getNetworkClient() {
+        if (!this.networkClient) {
+            this.networkClient = new NetworkClient({
+                onLobby: (lobby) => this.onOnlineLobby(lobby),
+                onError: (message) => this.onOnlineError(message),
+                onStatus: (status) => {
+                    if (this.network) this.network.connection = status;
+                },
+                onLeft: () => {
+                    this.exitOnlineMode();
+                    this.showOnlinePanel();
+                }
+            });
+        }
+        return this.networkClient;
+    }
+    
+    // 玩家显示名称：联机时本机玩家总是 0 号
+    getPlayerName(playerIndex) {
+        if (this.network) {
+            return playerIndex === 0 ? '你' : '对手';
+        }
+        const player = this.sim.players[playerIndex];
+        if (player && player.bot) {
+            return `电脑${player.bot.number + 1}`;
+        }
+        return `玩家${playerIndex + 1}`;
+    }
+    
+    // 玩家的蛇的配色：电脑对手使用 BOT_COLORS，其余玩家使用 SNAKE_COLORS
+    getSnakeColors(playerIndex) {
+        const player = this.sim.players[playerIndex];
+        if (player && player.bot) {
+            return BOT_COLORS[player.bot.number % BOT_COLORS.length];
+        }
+        return SNAKE_COLORS[playerIndex % SNAKE_COLORS.length];
+    }
+    
+    // 进入联机模式：暂停并保存实际游戏，画面切换到镜像模拟
+    enterOnlineMode() {
+        if (this.network) return;
+        
+        if (this.sim.gameState === 'playing') {
+            this.pauseGame();
+        }
+        this.liveSim = this.sim;
+        this.sim = new SnakeSimulation();
+        this.network = {
+            lobby: null,          // 最近的房间信息
+            lobbyReceivedAt: 0,   // 收到房间信息的时间，用于重连倒计时
+            match: null,          // 当前显示的对局编号
+            result: null,         // 最近一局的 gameOver 事件
+            connection: 'connecting'
+        };
+        this.syncViewsToSimulation();
+        this.statusElement.textContent = '📡 正在连接联机服务器…';
+        this.statusElement.className = '';
+        this.showOnlinePanel();
+    }
+    
+    // 退出联机模式，回到实际游戏
+    exitOnlineMode() {
+        if (!this.network) return;
+        
+        this.sim = this.liveSim;
+        this.liveSim = null;
+        this.network = null;
+        this.syncViewsToSimulation();
+        this.restoreStatusText();
+    }
+    
+    // 读取联机面板中的服务器地址
+    readOnlineUrl() {
+        const input = document.getElementById('online-url');
+        this.onlineUrl = input && input.value.trim() ? input.value.trim() : NetworkClient.getDefaultUrl();
+        return this.onlineUrl;
+    }
+    
+    // 创建房间
+    async createOnlineRoom() {
+        const url = this.readOnlineUrl();
+        const wrapInput = document.getElementById('online-wrap');
+        this.onlineError = null;
+        this.enterOnlineMode();
+        
+        try {
+            await this.getNetworkClient().createRoom(url, Boolean(wrapInput && wrapInput.checked));
+        } catch (error) {
+            this.onOnlineConnectFailed(error);
+        }
+    }
+    
+    // 按房间码加入房间
+    async joinOnlineRoom() {
+        const url = this.readOnlineUrl();
+        const codeInput = document.getElementById('online-code');
+        const code = codeInput ? codeInput.value.trim() : '';
+        if (!code) {
+            this.onOnlineError('请输入房间码');
+            return;
+        }
+        
+        this.onlineError = null;
+        this.enterOnlineMode();
+        try {
+            await this.getNetworkClient().joinRoom(url, code);
+        } catch (error) {
+            this.onOnlineConnectFailed(error);
+        }
+    }
+    
+    // 回到刷新页面前所在的房间
+    async rejoinOnlineRoom() {
+        const session = NetworkClient.getSavedSession();
+        if (!session) return;
+        
+        this.onlineError = null;
+        this.enterOnlineMode();
+        try {
+            await this.getNetworkClient().rejoinRoom(session);
+        } catch (error) {
+            this.onOnlineConnectFailed(error);
+        }
+    }
+    
+    // 离开房间，回到实际游戏
+    leaveOnlineRoom() {
+        if (this.networkClient) {
+            this.networkClient.leaveRoom();
+        }
+        this.exitOnlineMode();
+        this.hideOnlinePanel();
+    }
+    
+    // 房主开始对局（对局结束后再来一局）
+    startOnlineMatch() {
+        const lobby = this.network && this.network.lobby;
+        if (!lobby || lobby.state === 'playing') return;
+        
+        if (!lobby.players[lobby.you].host) {
+            this.onOnlineError('只有房主可以开始对局');
+            return;
+        }
+        if (lobby.players.filter(player => player.connected).length < NETWORK_CONFIG.minPlayers) {
+            this.onOnlineError(`至少需要 ${NETWORK_CONFIG.minPlayers} 名在线玩家才能开始对局`);
+            return;
+        }
+        this.networkClient.startMatch();
+    }
+    
+    // 联机时的快捷键，返回是否已处理
+    handleOnlineKeyPress(key) {
+        switch (key.toLowerCase()) {
+            case ' ':
+                this.startOnlineMatch();
+                return true;
+            case 'escape':
+                this.showOnlinePanel();
+                return true;
+            case 'r':
+                return true; // 对局在服务器上，不能在本地重新开始
+            default:
+                return false;
+        }
+    }
+    
+    // 连接服务器失败
+    onOnlineConnectFailed(error) {
+        console.warn('联机服务器连接失败:', error);
+        this.exitOnlineMode();
+        this.onlineError = `${error.message}，请先运行 npm run server 启动联机服务器`;
+        this.showOnlinePanel();
+    }
+    
+    // 服务器返回错误：还没进入房间时退出联机模式
+    onOnlineError(message) {
+        console.warn('联机:', message);
+        this.onlineError = message;
+        if (this.network && !this.networkClient.inRoom) {
+            this.networkClient.disconnect();
+            this.exitOnlineMode();
+        }
+        this.showOnlinePanel();
+    }
+    
+    // 房间信息更新
+    onOnlineLobby(lobby) {
+        if (!this.network) return;
+        
+        this.network.lobby = lobby;
+        this.network.lobbyReceivedAt = performance.now();
+        if (lobby.state === 'playing') {
+            this.network.result = null;
+        }
+        
+        this.updateLevelUI();
+        if (this.onlinePanel.style.display === 'block') {
+            this.showOnlinePanel();
+        }
+    }
+    
+    /**
+     * 每帧应用服务器快照：新的一局时重建渲染对象，快照附带的事件交给 handleSimulationEvent 照常处理
+     */
+    updateNetwork() {
+        const frame = this.networkClient.update(performance.now());
+        this.updateOnlineStatusText();
+        if (!frame) return;
+        
+        const previousState = this.sim.gameState;
+        const isNewMatch = frame.state.match !== this.network.match;
+        applySnapshot(this.sim, frame.state);
+        
+        if (isNewMatch) {
+            this.network.match = frame.state.match;
+            this.syncViewsToSimulation();
+            if (this.sim.gameState === 'playing') {
+                this.hideOnlinePanel();
+                this.emitStartEvent('waiting');
+            }
+        } else if (previousState === 'playing' && this.sim.gameState === 'paused') {
+            this.emitGameEvent('gamePaused', { score: this.sim.score });
+            this.hideAllWarningWalls();
+        } else if (previousState === 'paused' && this.sim.gameState === 'playing') {
+            this.emitStartEvent('paused');
+            this.updateStatusText();
+        }
+        
+        this.sim.events.push(...frame.events);
+        this.processSimulationEvents();
+        this.syncFoodViews();
+    }
+    
+    // 联机状态栏：连接中、等待断线玩家重连（倒计时）、等待开始
+    updateOnlineStatusText() {
+        const { lobby, connection } = this.network;
+        let text = null;
+        
+        if (connection === 'connecting' || connection === 'reconnecting') {
+            text = '📡 正在连接联机服务器…';
+        } else if (lobby && lobby.state === 'playing') {
+            const elapsed = performance.now() - this.network.lobbyReceivedAt;
+            const waiting = lobby.players
+                .map((player, index) => ({ ...player, index }))
+                .filter(player => !player.connected && !player.left);
+            if (waiting.length > 0) {
+                const remaining = Math.max(0, Math.ceil((Math.max(...waiting.map(player => player.reconnectRemaining)) - elapsed) / 1000));
+                text = `⏳ 等待${waiting.map(player => player.index === lobby.you ? '你' : '对手').join('、')}重新连接… ${remaining}秒`;
+            }
+        } else if (lobby && lobby.state === 'lobby') {
+            text = lobby.players[lobby.you].host ? `房间 ${lobby.code} - 按空格键开始对局` : `房间 ${lobby.code} - 等待房主开始对局`;
+        }
+        
+        if (text !== null && this.statusElement.textContent !== text) {
+            this.statusElement.textContent = text;
+            this.statusElement.className = 'game-paused';
+        }
+    }
+    
+    // 联机时关卡面板显示的房间信息
+    getOnlineLevelInfoHTML() {
+        const lobby = this.network.lobby;
+        let info = '<div><strong>🛰️ 联机对战</strong></div>';
+        
+        if (!lobby) {
+            info += '<div style="font-size: 12px; margin-top: 5px;">正在连接服务器…</div>';
+        } else {
+            const count = lobby.players.filter(player => !player.left).length;
+            info += `<div style="font-size: 12px; margin-top: 5px;">房间 ${lobby.code} · 玩家 ${count}/${MAX_PLAYERS}${lobby.wrapAround ? ' · 🌐 穿越边界' : ''}</div>`;
+        }
+        
+        if (this.sim.gameState !== 'playing') {
+            info += `<div style="margin-top: 10px;">
+                <button onclick="game.showOnlinePanel()" style="margin: 5px; padding: 5px 10px; background: #444; color: white; border: none; border-radius: 5px; cursor: pointer;">🛰️ 房间</button>
+                <button onclick="game.leaveOnlineRoom()" style="margin: 5px; padding: 5px 10px; background: #aa4400; color: white; border: none; border-radius: 5px; cursor: pointer;">离开房间</button>
+            </div>`;
+        }
+        return info;
+    }
+    
+    // 创建联机面板
+    createOnlineUI() {
+        this.onlinePanel = document.createElement('div');
+        this.onlinePanel.id = 'online-panel';
+        this.onlinePanel.style.position = 'absolute';
+        this.onlinePanel.style.top = '50%';
+        this.onlinePanel.style.left = '50%';
+        this.onlinePanel.style.transform = 'translate(-50%, -50%)';
+        this.onlinePanel.style.color = 'white';
+        this.onlinePanel.style.fontSize = '14px';
+        this.onlinePanel.style.fontFamily = 'Arial, sans-serif';
+        this.onlinePanel.style.backgroundColor = 'rgba(0,0,0,0.9)';
+        this.onlinePanel.style.padding = '20px';
+        this.onlinePanel.style.borderRadius = '15px';
+        this.onlinePanel.style.zIndex = '1001';
+        this.onlinePanel.style.minWidth = '320px';
+        this.onlinePanel.style.display = 'none';
+        document.body.appendChild(this.onlinePanel);
+        
+        this.onlineUrl = NetworkClient.getDefaultUrl();
+        this.onlineError = null;
+    }
+    
+    // 显示联机面板：不在房间中时创建/加入房间，在房间中时显示成员和对局结果
+    showOnlinePanel() {
+        if (this.replayViewer) return;
+        
+        const buttonStyle = 'margin: 5px; padding: 6px 14px; color: white; border: none; border-radius: 5px; cursor: pointer;';
+        let content = '<div style="text-align: center; margin-bottom: 15px;"><strong>🛰️ 联机对战</strong></div>';
+        
+        const lobby = this.network && this.network.lobby;
+        if (!this.network) {
+            const session = NetworkClient.getSavedSession();
+            content += `
+                <div style="font-size: 12px; color: #ccc; margin-bottom: 10px;">先在本机运行 <code>npm run server</code> 启动联机服务器，同一局域网的电脑填写本机地址即可加入</div>
+                <div style="margin: 8px 0;">服务器: <input id="online-url" value="${this.onlineUrl}" style="width: 200px; padding: 3px; border: none; border-radius: 3px;"></div>
+                <div style="margin: 8px 0;">
+                    <label><input id="online-wrap" type="checkbox"> 🌐 穿越边界</label>
+                    <button onclick="game.createOnlineRoom()" style="${buttonStyle} background: #00aa44;">创建房间</button>
+                </div>
+                <div style="margin: 8px 0;">
+                    房间码: <input id="online-code" maxlength="${NETWORK_CONFIG.roomCodeLength}" style="width: 70px; padding: 3px; border: none; border-radius: 3px; text-transform: uppercase;">
+                    <button onclick="game.joinOnlineRoom()" style="${buttonStyle} background: #0077aa;">加入房间</button>
+                </div>
+                ${session ? `<div style="margin: 8px 0;"><button onclick="game.rejoinOnlineRoom()" style="${buttonStyle} background: #3366aa;">🔁 重新加入房间 ${session.code}</button></div>` : ''}
+            `;
+        } else if (!lobby) {
+            content += '<div style="margin: 10px 0; text-align: center;">正在连接服务器…</div>';
+        } else {
+            content += `<div style="text-align: center; font-size: 20px; letter-spacing: 4px; margin-bottom: 5px;">${lobby.code}</div>`;
+            content += '<div style="text-align: center; font-size: 12px; color: #ccc; margin-bottom: 10px;">把房间码告诉朋友即可加入</div>';
+            
+            lobby.players.forEach((player, index) => {
+                const status = player.left ? '已离开' : (player.connected ? '在线' : '断线，等待重连');
+                content += `<div style="margin: 5px 0;">${player.host ? '👑' : '👤'} ${index === lobby.you ? '你' : `玩家${index + 1}`} · ${status}</div>`;
+            });
+            
+            const result = this.network.result;
+            if (result && lobby.state === 'finished') {
+                const title = result.winner === null ? '🤝 平局' : (result.winner === 0 ? '🏆 你赢了！' : '😢 对手获胜');
+                const scores = (result.scores || [result.score]).map((score, index) => `${this.getPlayerName(index)} ${score}分`).join(' · ');
+                content += `<div style="margin: 12px 0; padding: 10px; border: 1px solid #666; border-radius: 5px; text-align: center;"><div style="font-size: 18px;">${title}</div><div style="margin-top: 5px;">${scores}</div></div>`;
+            }
+            
+            if (lobby.state !== 'playing') {
+                if (!lobby.players[lobby.you].host) {
+                    content += '<div style="text-align: center; margin: 8px 0; color: #ccc;">等待房主开始对局…</div>';
+                } else if (lobby.players.filter(player => player.connected).length < NETWORK_CONFIG.minPlayers) {
+                    content += '<div style="text-align: center; margin: 8px 0; color: #ccc;">等待其他玩家加入…</div>';
+                } else {
+                    content += `<div style="text-align: center;"><button onclick="game.startOnlineMatch()" style="${buttonStyle} background: #00aa44;">${lobby.state === 'finished' ? '再来一局' : '开始对局'}</button></div>`;
+                }
+            }
+        }
+        
+        if (this.onlineError) {
+            content += `<div style="margin: 10px 0; color: #ff9999; font-size: 12px;">⚠️ ${this.onlineError}</div>`;
+        }
+        
+        content += `
+            <div style="text-align: center; margin-top: 15px;">
+                ${this.network ? `<button onclick="game.leaveOnlineRoom()" style="${buttonStyle} background: #aa4400;">离开房间</button>` : ''}
+                <button onclick="game.hideOnlinePanel()" style="${buttonStyle} background: #888;">关闭</button>
+            </div>
+        `;
+        
+        this.onlinePanel.innerHTML = content;
+        this.onlinePanel.style.display = 'block';
+    }
+    
+    // 隐藏联机面板
+    hideOnlinePanel() {
+        this.onlinePanel.style.display = 'none';
+    }
+    
+    // 多条蛇和分屏双人
+    
+    // 玩家的第三人称相机，单人或观看回放时都是玩家1的相机，其他玩家没有自己的相机时为 null
+    getPlayerCamera(playerIndex) {
+        if (playerIndex === 0) return this.thirdPersonCamera;
+        return this.splitScreen ? this.splitScreen.thirdPersonCamera : null;
+    }
+    
+    // 玩家的蛇头材质
+    getHeadMaterial(playerIndex) {
+        const view = this.extraSnakeViews.get(playerIndex);
+        return view ? view.headMaterial : this.headMaterial;
+    }
+    
+    // 玩家蛇头在当前帧的世界坐标
+    getPlayerHeadWorldPosition(playerIndex) {
+        const view = this.extraSnakeViews.get(playerIndex);
+        if (!view) return this.getSnakeHeadWorldPosition();
+        
+        const head = this.interpolateSegment(this.sim.players[playerIndex].snake[0], view.previousPositions[0]);
+        return new THREE.Vector3(
+            head.x - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2,
+            0,
+            head.y - (this.BOARD_SIZE * this.GRID_SIZE) / 2 + this.GRID_SIZE / 2
+        );
+    }
+    
+    // 创建一条蛇的渲染对象，蛇头材质和蛇身实例颜色使用该玩家的配色
+    createSnakeView(playerIndex) {
+        const colors = this.getSnakeColors(playerIndex);
+        const headMaterial = new THREE.MeshPhongMaterial({
+            color: colors.head,
+            shininess: 100,
+            emissive: colors.emissive
+        });
+        const headMesh = new THREE.Mesh(this.headGeometry, headMaterial);
+        headMesh.castShadow = true;
+        this.scene.add(headMesh);
+        
+        return {
+            index: playerIndex,
+            headMaterial,
+            headMesh,
+            bodyBatch: new InstancedBatch(this.scene, this.snakeGeometry, this.snakeMaterial, { castShadow: true }),
+            bodyColor: new THREE.Color(colors.body),
+            lastLength: 0,
+            previousPositions: []  // 上一模拟步各蛇段的位置
+        };
+    }
+    
+    // 移除一条蛇的渲染对象
+    removeSnakeView(view) {
+        this.scene.remove(view.headMesh);
+        view.bodyBatch.dispose();
+        view.headMaterial.dispose();
+    }
+    
+    // 让其他玩家的蛇的渲染对象与模拟中的玩家一致
+    syncExtraSnakeViews() {
+        const players = this.sim.players;
+        
+        this.extraSnakeViews.forEach((view, index) => {
+            if (index < players.length) return;
+            this.removeSnakeView(view);
+            this.extraSnakeViews.delete(index);
+        });
+        
+        players.forEach(player => {
+            if (player.index === 0) return;
+            
+            if (!this.extraSnakeViews.has(player.index)) {
+                this.extraSnakeViews.set(player.index, this.createSnakeView(player.index));
+            }
+            const view = this.extraSnakeViews.get(player.index);
+            view.previousPositions.length = 0;
+            // 同一编号可能从玩家换成电脑对手，每次同步都重新设置配色
+            const colors = this.getSnakeColors(player.index);
+            view.headMaterial.color.setHex(colors.head);
+            view.headMaterial.emissive.setHex(colors.emissive);
+            view.bodyColor.setHex(colors.body);
+        });
+        
+        this.updateExtraSnakeViews();
+    }
+    
+    // 更新其他玩家的蛇的位置，长度变化时更新障碍物颜色
+    updateExtraSnakeViews() {
+        this.extraSnakeViews.forEach(view => {
+            const snake = this.sim.players[view.index].snake;
+            if (snake.length !== view.lastLength) {
+                view.lastLength = snake.length;
+                this.updateObstacleColors();
+            }
+            
+            this.updateSnakeMeshes(view.headMesh, view.bodyBatch, snake, view.previousPositions, view.bodyColor);
+        });
+    }
+    
+    // 本地模拟中有两名玩家时开启分屏：左半边为玩家1的视角，右半边为玩家2的视角（联机时每台电脑只显示自己的视角）
+    syncSplitScreen() {
+        const enabled = this.sim.isMatch() && !this.network;
+        
+        if (enabled && !this.splitScreen) {
+            const camera = new THREE.PerspectiveCamera(CAMERA_CONFIG.fov, 1, 0.1, 1000);
+            camera.position.set(0, 80, 40);
+            const cameraTarget = new THREE.Object3D();
+            this.scene.add(cameraTarget);
+            this.splitScreen = {
+                camera,
+                cameraTarget,
+                thirdPersonCamera: new ThirdPersonCamera(camera, cameraTarget, { listen: false })
+            };
+            this.splitScreen.thirdPersonCamera.applySettings(this.settings.values);
+        } else if (!enabled && this.splitScreen) {
+            this.scene.remove(this.splitScreen.cameraTarget);
+            this.splitScreen = null;
+        }
+        
+        if (this.splitScreen) {
+            this.splitScreen.cameraTarget.position.copy(this.getPlayerHeadWorldPosition(1));
+            this.splitScreen.thirdPersonCamera.reset();
+        }
+        
+        this.splitOverlay.style.display = enabled ? 'block' : 'none';
+        this.splitLabelHTML = [];
+        this.onWindowResize();
+    }
+    
+    // 创建分屏的分隔线和两名玩家的标签
+    createSplitScreenUI() {
+        this.splitOverlay = document.createElement('div');
+        this.splitOverlay.style.position = 'absolute';
+        this.splitOverlay.style.left = '0';
+        this.splitOverlay.style.top = '0';
+        this.splitOverlay.style.width = '100%';
+        this.splitOverlay.style.height = '100%';
+        this.splitOverlay.style.pointerEvents = 'none';
+        this.splitOverlay.style.zIndex = '900';
+        this.splitOverlay.style.display = 'none';
+        this.splitOverlay.innerHTML = `
+            <div style="position: absolute; left: 50%; top: 0; bottom: 0; width: 4px; margin-left: -2px; background: rgba(255,255,255,0.8);"></div>
+            <div data-split-label style="position: absolute; left: 25%; bottom: 20px; transform: translateX(-50%);"></div>
+            <div data-split-label style="position: absolute; left: 75%; bottom: 20px; transform: translateX(-50%);"></div>
+        `;
+        this.splitLabels = Array.from(this.splitOverlay.querySelectorAll('[data-split-label]'));
+        this.splitLabelHTML = [];
+        document.body.appendChild(this.splitOverlay);
+    }
+    
+    // 在各自的半边画面中显示玩家的得分、长度、连击和状态效果
+    updateSplitScreenHUD() {
+        if (!this.splitScreen) return;
+        
+        const controls = ['鼠标', '方向键/WASD'];
+        this.sim.getHumanPlayers().forEach((player, index) => {
+            const color = `#${SNAKE_COLORS[index % SNAKE_COLORS.length].head.toString(16).padStart(6, '0')}`;
+            const effects = player.effects.list().map(effect => `${effect.icon}${effect.stacks > 1 ? `x${effect.stacks}` : ''} ${(effect.remaining / 1000).toFixed(1)}s`);
+            if (player.comboCount > 1) {
+                effects.push(`🔥连击x${player.comboCount}`);
+            }
+            
+            const html = `
+                <div style="padding: 6px 14px; border-radius: 8px; background: rgba(0,0,0,0.6); color: white; font-family: Arial, sans-serif; font-size: 16px; white-space: nowrap; border-bottom: 4px solid ${color}; opacity: ${player.alive ? 1 : 0.5};">
+                    <strong style="color: ${color};">玩家${index + 1}</strong>（${controls[index]}）· 得分 ${player.score} · 长度 ${player.snake.length}${effects.length > 0 ? ` · ${effects.join(' ')}` : ''}
+                </div>
+            `;
+            
+            // 内容不变时不重写DOM
+            if (html === this.splitLabelHTML[index]) return;
+            this.splitLabelHTML[index] = html;
+            this.splitLabels[index].innerHTML = html;
+        });
+    }
+    
+    // 渲染画面，分屏时用视口和裁剪区域把两个相机分别渲染到左右半边
+    renderScene() {
+        if (!this.splitScreen) {
+            this.renderer.render(this.scene, this.camera);
+            return;
         }
+        
+        const width = window.innerWidth / 2;
+        const height = window.innerHeight;
+        this.renderer.setScissorTest(true);
+        [this.camera, this.splitScreen.camera].forEach((camera, index) => {
+            this.renderer.setViewport(index * width, 0, width, height);
+            this.renderer.setScissor(index * width, 0, width, height);
+            this.renderer.render(this.scene, camera);
+        });
+        this.renderer.setScissorTest(false);
+        this.renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
     }
     
     animate() {
         requestAnimationFrame(() => this.animate());
         
-        const currentTime = Date.now();
+        const currentTime = performance.now();
         const deltaTime = currentTime - this.lastUpdateTime;
         
         // 帧率限制 - 只在达到目标帧间隔时才渲染
@@ -3079,16 +4738,28 @@ class SnakeGame {
             // 更新性能监视器
             this.stats.begin();
             
-            // 添加食物旋转动画（使用deltaTime实现帧率无关的动画）
-            if (this.foodMesh) {
-                this.foodMesh.rotation.y += 0.02 * (deltaTime / 16.67); // 标准化到60fps
-                this.foodMesh.position.y = this.GRID_SIZE / 2 + Math.sin(currentTime * 0.005) * 3;
+            // 推进游戏（模拟步数只取决于真实经过时间，与帧率无关）
+            const frameTime = Math.min(deltaTime, MAX_FRAME_TIME);
+            this.updatePointerLock();
+            this.applyInput(frameTime);
+            this.update(frameTime);
+            this.plugins.runHook('update', frameTime);
+            
+            if (this.replayViewer) {
+                this.updateReplayUI();
             }
+            this.updateAttractMode();
+            
+            // 添加食物旋转动画（使用deltaTime实现帧率无关的动画）
+            this.updateFoodDisplay(frameTime, currentTime);
+            this.updateStatusEffectsHUD();
+            this.updateSplitScreenHUD();
             
             // 更新障碍物显示
-            this.updateObstacleDisplay();
+            this.updateObstacleDisplay(frameTime);
             
-            this.renderer.render(this.scene, this.camera);
+            this.plugins.runHook('render', frameTime);
+            this.renderScene();
             
             // 结束性能监视器计时
             this.stats.end();
@@ -0,0 +1,292 @@
+import { SnakeSimulation } from '../src/SnakeSimulation.js';
+import { serializeSnapshot } from '../src/Snapshot.js';
+import { TICK_MS, MAX_FRAME_TIME, MAX_PLAYERS, NETWORK_CONFIG } from '../src/config.js';
+
+/**
+ * 客户端消息必须是带字符串 type 字段的普通对象
+ * JSON.parse 也会返回 null、数字、字符串和数组，这些都不是有效的消息
+ * @param {*} message
+ */
+export function isValidMessage(message) {
+    return message !== null && typeof message === 'object' && !Array.isArray(message) && typeof message.type === 'string';
+}
+
+/**
+ * 一个联机房间：房间内的玩家共享一个权威模拟，服务器推进模拟并定时广播快照
+ *
+ * 房间状态：
+ * - 'lobby'    等待开始，可以加入
+ * - 'playing'  对局中（有玩家断线时模拟暂停），只能重连，不能加入
+ * - 'finished' 对局结束，房主可以再来一局，可以加入
+ *
+ * 成员在成员列表中的位置就是其在对局中的玩家编号，对局中离开的成员在对局结束后才移出列表
+ */
+export class GameRoom {
+    /**
+     * @param {string} code - 房间码
+     * @param {object} [options]
+     * @param {boolean} [options.wrapAround] - 是否开启穿越边界模式
+     * @param {Function} [options.onEmpty] - 所有成员都离开后调用
+     */
+    constructor(code, options = {}) {
+        this.code = code;
+        this.onEmpty = options.onEmpty || (() => {});
+        this.sim = new SnakeSimulation({ wrapAround: options.wrapAround });
+
+        this.members = [];    // { token, socket, connected, left, disconnectTimer, disconnectedAt }
+        this.state = 'lobby';
+        this.match = 0;       // 对局编号，客户端据此区分新的一局，不在两局之间插值
+        this.pendingEvents = [];
+
+        this.tickAccumulator = 0;
+        this.lastUpdateTime = performance.now();
+        this.lastSnapshotTime = 0;
+        this.timer = setInterval(() => this.update(), TICK_MS);
+    }
+
+    // 房主为第一个未离开的成员
+    getHost() {
+        return this.members.find(member => !member.left) || null;
+    }
+
+    // 是否还能加入新成员
+    canJoin() {
+        return this.state !== 'playing' && this.members.filter(member => !member.left).length < MAX_PLAYERS;
+    }
+
+    /**
+     * 加入房间
+     * @param {import('ws').WebSocket} socket
+     * @param {string} token - 重连凭证
+     * @returns {object} 成员
+     */
+    addMember(socket, token) {
+        const member = { token, socket, connected: true, left: false, disconnectTimer: null, disconnectedAt: 0 };
+        this.members.push(member);
+        this.sendJoined(member, false);
+        this.broadcastLobby();
+        return member;
+    }
+
+    /**
+     * 断线后重新连接，恢复原来的位置
+     * @returns {object|null} 成员，凭证无效或已超时时为 null
+     */
+    rejoinMember(socket, token) {
+        const member = this.members.find(candidate => candidate.token === token && !candidate.left);
+        if (!member) return null;
+
+        if (member.connected) {
+            member.socket.close();
+        }
+        clearTimeout(member.disconnectTimer);
+        member.socket = socket;
+        member.connected = true;
+        member.disconnectTimer = null;
+
+        this.sendJoined(member, true);
+        this.resumeIfReady();
+        this.broadcastLobby();
+        this.send(member, this.createSnapshotMessage([]));
+        console.log(`🔁 房间 ${this.code}: 玩家${this.members.indexOf(member) + 1} 重新连接`);
+        return member;
+    }
+
+    /**
+     * 处理成员发来的消息
+     * @param {object} member
+     * @param {object} message
+     */
+    handleMessage(member, message) {
+        if (!isValidMessage(message)) {
+            this.send(member, { type: 'error', message: '消息格式错误' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'input':
+                this.applyInput(member, message.heading);
+                break;
+            case 'start':
+                if (member !== this.getHost()) {
+                    this.send(member, { type: 'error', message: '只有房主可以开始对局' });
+                    return;
+                }
+                if (this.members.filter(candidate => candidate.connected).length < NETWORK_CONFIG.minPlayers) {
+                    this.send(member, { type: 'error', message: `至少需要 ${NETWORK_CONFIG.minPlayers} 名在线玩家才能开始对局` });
+                    return;
+                }
+                this.startMatch();
+                break;
+            case 'leave':
+                this.removeMember(member);
+                break;
+            default:
+                this.send(member, { type: 'error', message: `未知的消息类型: ${message.type}` });
+        }
+    }
+
+    // 把成员的转向输入写入对应玩家的目标方向
+    applyInput(member, heading) {
+        if (this.state !== 'playing' || !Number.isFinite(heading)) return;
+
+        const player = this.sim.players[this.members.indexOf(member)];
+        if (player && player.alive) {
+            player.targetDirection = heading;
+        }
+    }
+
+    // 开始新的一局，玩家数量为当前成员数；有成员断线时先暂停，与对局中断线一样等待重连
+    startMatch() {
+        if (this.state === 'playing') return;
+
+        this.sim.reset();
+        this.sim.setPlayerCount(this.members.length);
+        this.sim.drainEvents();
+        this.sim.start();
+        if (this.members.some(member => !member.connected)) {
+            this.sim.pause();
+        }
+
+        this.state = 'playing';
+        this.match++;
+        this.tickAccumulator = 0;
+        this.pendingEvents = [];
+        this.broadcastLobby();
+        this.broadcastSnapshot();
+        console.log(`🏁 房间 ${this.code}: 第 ${this.match} 局开始，玩家数 ${this.members.length}，种子 ${this.sim.seed}`);
+    }
+
+    // 成员断开连接：保留位置等待重连，对局中暂停模拟
+    handleDisconnect(member) {
+        if (member.left || !member.connected) return;
+
+        member.connected = false;
+        member.disconnectedAt = performance.now();
+        member.disconnectTimer = setTimeout(() => this.removeMember(member), NETWORK_CONFIG.disconnectTimeout);
+
+        if (this.state === 'playing' && this.sim.gameState === 'playing') {
+            this.sim.pause();
+        }
+        this.broadcastLobby();
+        console.log(`⚠️ 房间 ${this.code}: 玩家${this.members.indexOf(member) + 1} 断开连接，等待重连`);
+    }
+
+    // 成员离开或重连超时：对局中判负，对局结束后移出成员列表
+    removeMember(member) {
+        if (member.left) return;
+
+        const index = this.members.indexOf(member);
+        clearTimeout(member.disconnectTimer);
+        member.left = true;
+        if (member.connected) {
+            member.connected = false;
+            this.send(member, { type: 'left' });
+        }
+
+        if (this.state === 'playing') {
+            this.sim.forfeitPlayer(index);
+            this.resumeIfReady();
+        } else {
+            this.compactMembers();
+        }
+        console.log(`👋 房间 ${this.code}: 玩家${index + 1} 离开`);
+
+        if (!this.members.some(candidate => !candidate.left)) {
+            this.destroy();
+            return;
+        }
+        this.broadcastLobby();
+    }
+
+    // 移出已离开的成员
+    compactMembers() {
+        this.members = this.members.filter(member => !member.left);
+    }
+
+    // 所有对局中的成员都在线时继续模拟
+    resumeIfReady() {
+        const waiting = this.members.some(member => !member.left && !member.connected);
+        if (this.state === 'playing' && this.sim.gameState === 'paused' && !waiting) {
+            this.sim.start();
+            this.tickAccumulator = 0;
+        }
+    }
+
+    // 按真实经过时间推进模拟，定时广播快照
+    update() {
+        const now = performance.now();
+        const elapsed = Math.min(now - this.lastUpdateTime, MAX_FRAME_TIME);
+        this.lastUpdateTime = now;
+
+        if (this.state !== 'playing') return;
+
+        this.tickAccumulator += this.sim.clock.toGameTime(elapsed);
+        while (this.tickAccumulator >= TICK_MS && this.sim.gameState === 'playing') {
+            this.sim.step();
+            this.tickAccumulator -= TICK_MS;
+        }
+        this.pendingEvents.push(...this.sim.drainEvents());
+
+        if (this.sim.gameState === 'gameOver') {
+            this.finishMatch();
+        } else if (now - this.lastSnapshotTime >= 1000 / NETWORK_CONFIG.snapshotRate) {
+            this.broadcastSnapshot();
+        }
+    }
+
+    // 对局结束：广播最终快照（包含 gameOver 事件），移出对局中离开的成员
+    finishMatch() {
+        this.state = 'finished';
+        this.broadcastSnapshot();
+        this.compactMembers();
+        this.broadcastLobby();
+        console.log(`🏆 房间 ${this.code}: 第 ${this.match} 局结束`);
+    }
+
+    // 快照消息，events 为上一个快照之后模拟产生的事件
+    createSnapshotMessage(events) {
+        return { type: 'snapshot', match: this.match, events, ...serializeSnapshot(this.sim) };
+    }
+
+    broadcastSnapshot() {
+        const message = JSON.stringify(this.createSnapshotMessage(this.pendingEvents));
+        this.pendingEvents = [];
+        this.lastSnapshotTime = performance.now();
+        this.members.forEach(member => this.send(member, message));
+    }
+
+    // 房间信息（成员在线状态、房主、断线剩余时间），每个成员收到的 you 为自己的编号
+    broadcastLobby() {
+        const now = performance.now();
+        const host = this.getHost();
+        const players = this.members.map(member => ({
+            connected: member.connected,
+            left: member.left,
+            host: member === host,
+            reconnectRemaining: member.connected || member.left ? 0 : Math.max(0, NETWORK_CONFIG.disconnectTimeout - (now - member.disconnectedAt))
+        }));
+
+        this.members.forEach((member, index) => {
+            this.send(member, { type: 'lobby', code: this.code, state: this.state, match: this.match, wrapAround: this.sim.wrapMode, you: index, players });
+        });
+    }
+
+    sendJoined(member, rejoined) {
+        this.send(member, { type: 'joined', code: this.code, token: member.token, rejoined });
+    }
+
+    // 发送消息给在线成员，message 可以是已序列化的字符串
+    send(member, message) {
+        if (!member.connected || member.socket.readyState !== member.socket.OPEN) return;
+
+        member.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+
+    // 关闭房间
+    destroy() {
+        clearInterval(this.timer);
+        this.members.forEach(member => clearTimeout(member.disconnectTimer));
+        this.onEmpty(this);
+    }
+}
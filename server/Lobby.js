@@ -0,0 +1,127 @@
+import { randomUUID } from 'node:crypto';
+import { GameRoom, isValidMessage } from './GameRoom.js';
+import { NETWORK_CONFIG } from '../src/config.js';
+
+// 房间码字符，去掉容易看错的 I、O、0、1
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * 大厅 - 管理所有房间，处理连接的创建、加入和重连，之后的消息交给所在房间
+ *
+ * 客户端 -> 服务器：
+ * - { type: 'create', wrapAround }   创建房间并成为房主
+ * - { type: 'join', code }           加入房间
+ * - { type: 'rejoin', code, token }  断线后用凭证重新加入
+ * - { type: 'start' }                房主开始对局（对局结束后再来一局）
+ * - { type: 'input', heading }       转向输入（棋盘坐标系的弧度）
+ * - { type: 'leave' }                离开房间
+ *
+ * 服务器 -> 客户端：
+ * - { type: 'joined', code, token, rejoined }                  加入成功，token 用于重连
+ * - { type: 'lobby', code, state, match, wrapAround, you, players }  房间信息
+ * - { type: 'snapshot', match, events, ...状态 }                模拟快照，格式见 src/Snapshot.js
+ * - { type: 'left' }                                           已离开房间
+ * - { type: 'error', message }
+ */
+export class Lobby {
+    constructor() {
+        this.rooms = new Map(); // 房间码 -> GameRoom
+    }
+
+    /**
+     * 接管一个新的 WebSocket 连接
+     * @param {import('ws').WebSocket} socket
+     */
+    handleConnection(socket) {
+        let room = null;
+        let member = null;
+
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                this.sendError(socket, '消息格式错误');
+                return;
+            }
+
+            if (room && member && !member.left) {
+                room.handleMessage(member, message);
+                return;
+            }
+
+            ({ room, member } = this.handleEntry(socket, message));
+        });
+
+        socket.on('close', () => {
+            // 重连后旧连接关闭时不影响新连接
+            if (room && member && member.socket === socket) {
+                room.handleDisconnect(member);
+            }
+        });
+    }
+
+    // 处理尚未进入房间的连接发来的消息
+    handleEntry(socket, message) {
+        const none = { room: null, member: null };
+
+        if (!isValidMessage(message)) {
+            this.sendError(socket, '消息格式错误');
+            return none;
+        }
+
+        switch (message.type) {
+            case 'create': {
+                const room = this.createRoom(Boolean(message.wrapAround));
+                return { room, member: room.addMember(socket, randomUUID()) };
+            }
+            case 'join': {
+                const room = this.rooms.get(String(message.code).toUpperCase());
+                if (!room) {
+                    this.sendError(socket, '房间不存在');
+                    return none;
+                }
+                if (!room.canJoin()) {
+                    this.sendError(socket, room.state === 'playing' ? '房间正在对局中' : '房间已满');
+                    return none;
+                }
+                return { room, member: room.addMember(socket, randomUUID()) };
+            }
+            case 'rejoin': {
+                const room = this.rooms.get(String(message.code).toUpperCase());
+                const member = room ? room.rejoinMember(socket, message.token) : null;
+                if (!member) {
+                    this.sendError(socket, '无法重新加入：房间已关闭或等待重连已超时');
+                    return none;
+                }
+                return { room, member };
+            }
+            default:
+                this.sendError(socket, '请先创建或加入房间');
+                return none;
+        }
+    }
+
+    // 创建房间，房间码不重复
+    createRoom(wrapAround) {
+        let code;
+        do {
+            code = Array.from({ length: NETWORK_CONFIG.roomCodeLength }, () => ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)]).join('');
+        } while (this.rooms.has(code));
+
+        const room = new GameRoom(code, {
+            wrapAround,
+            onEmpty: () => {
+                this.rooms.delete(code);
+                console.log(`🗑️ 房间 ${code} 已关闭`);
+            }
+        });
+        this.rooms.set(code, room);
+        console.log(`🏠 创建房间 ${code}${wrapAround ? '（穿越边界）' : ''}`);
+        return room;
+    }
+
+    sendError(socket, message) {
+        socket.send(JSON.stringify({ type: 'error', message }));
+    }
+}
@@ -0,0 +1,20 @@
+// 联机对战服务器 - 在本机运行权威模拟，浏览器只发送转向输入并渲染快照
+// 用法：npm run server [-- --port 8787]，也可以用环境变量 PORT 指定端口
+import { WebSocketServer } from 'ws';
+import { Lobby } from './Lobby.js';
+import { NETWORK_CONFIG } from '../src/config.js';
+
+const portArgIndex = process.argv.indexOf('--port');
+const port = Number(portArgIndex >= 0 ? process.argv[portArgIndex + 1] : process.env.PORT) || NETWORK_CONFIG.port;
+
+const lobby = new Lobby();
+const server = new WebSocketServer({ port });
+
+server.on('connection', socket => lobby.handleConnection(socket));
+server.on('listening', () => {
+    console.log(`🐍 联机服务器已启动: ws://localhost:${port}`);
+});
+server.on('error', error => {
+    console.error('❌ 联机服务器错误:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+import { SnakeSimulation } from './SnakeSimulation.js';
+import { SnakeBot } from './SnakeBot.js';
+import { ATTRACT_CONFIG, BOT_CONFIG } from './config.js';
+
+/**
+ * 待机演示 - 用独立的模拟由自动驾驶控制玩家1的蛇，实际游戏的模拟保持等待状态不受影响
+ *
+ * 自动驾驶复用电脑对手的寻路（见 src/SnakeBot.js），同样按蛇长度判断障碍物是奖励还是惩罚；
+ * 演示使用实际游戏当前的关卡、难度配置、穿越边界模式和电脑对手，种子每轮随机
+ */
+export class AttractDemo {
+    /**
+     * @param {SnakeSimulation} liveSim - 实际游戏的模拟
+     */
+    constructor(liveSim) {
+        this.sim = new SnakeSimulation({
+            difficulty: liveSim.baseDifficulty,
+            wrapAround: liveSim.wrapMode,
+            levelDefinitions: liveSim.levelDefinitions
+        });
+        this.sim.loadLevel(liveSim.levelSystem.currentLevel);
+        this.sim.setBots(liveSim.getBotDifficulties());
+
+        // 编号排在所有电脑对手之后，随机数与电脑对手互不相同
+        this.autopilot = new SnakeBot(this.sim, this.sim.players[0], ATTRACT_CONFIG.autopilotDifficulty, BOT_CONFIG.maxBots);
+        this.sim.start();
+    }
+
+    // 演示是否已结束（玩家1的蛇被淘汰）
+    isFinished() {
+        return this.sim.gameState !== 'playing';
+    }
+
+    // 执行一个模拟步，自动驾驶先转向
+    stepOnce() {
+        if (this.isFinished()) return;
+
+        this.autopilot.update();
+        this.sim.step();
+    }
+}
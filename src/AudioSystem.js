@@ -0,0 +1,427 @@
+import { AUDIO_CONFIG, MUSIC_TIERS } from './config.js';
+import { getDefaultStorage } from './Storage.js';
+
+// 本地存储的键名（音量和静音设置）
+export const AUDIO_STORAGE_KEY = 'snake3d.audio';
+
+// 背景音乐每小节的步数（八分音符），各声部的音符为 MIDI 音高，null 为休止
+const STEPS_PER_LOOP = 16;
+const MUSIC_PATTERNS = {
+    melody: [72, null, 76, null, 79, null, 76, 74, 72, null, 74, null, 76, null, null, null],
+    bass: [48, null, null, 48, 55, null, null, 55, 53, null, null, 53, 55, null, 52, null],
+    arp: [60, 64, 67, 72, 60, 64, 67, 72, 65, 69, 72, 77, 67, 71, 74, 79]
+};
+
+// 有音高的声部的音色，steps 为音符持续的步数
+const MUSIC_VOICES = {
+    melody: { type: 'triangle', steps: 1.5, volume: 0.18 },
+    bass: { type: 'sine', steps: 2, volume: 0.3 },
+    arp: { type: 'square', steps: 0.5, volume: 0.04 }
+};
+
+// 连击音效的音阶（C 大调五声音阶）
+const COMBO_NOTES = [72, 74, 76, 79, 81, 84, 86, 88];
+
+// MIDI 音高转频率
+const midiToFrequency = note => 440 * Math.pow(2, (note - 69) / 12);
+
+// 读取保存的音量设置，缺失或损坏的字段使用默认值
+function loadSettings(storage) {
+    const settings = {
+        masterVolume: AUDIO_CONFIG.masterVolume,
+        sfxVolume: AUDIO_CONFIG.sfxVolume,
+        musicVolume: AUDIO_CONFIG.musicVolume,
+        muted: false
+    };
+    if (!storage) return settings;
+
+    try {
+        const saved = JSON.parse(storage.getItem(AUDIO_STORAGE_KEY)) || {};
+        ['masterVolume', 'sfxVolume', 'musicVolume'].forEach(key => {
+            if (Number.isFinite(saved[key])) {
+                settings[key] = Math.max(0, Math.min(1, saved[key]));
+            }
+        });
+        settings.muted = saved.muted === true;
+    } catch (error) {
+        console.warn('读取音量设置失败:', error);
+    }
+    return settings;
+}
+
+/**
+ * 音效系统 - 用 Web Audio 即时合成所有音效和背景音乐，不需要音频文件
+ *
+ * 作为插件注册（见 src/PluginManager.js）：订阅游戏事件播放音效，每帧的 update 钩子中调度背景音乐。
+ * 浏览器要求用户操作后才能播放声音，首次按键、点击或触摸时才创建 AudioContext。
+ *
+ * 音量分为总音量、音效和音乐三路：音效和音乐各自经过一个增益节点，再汇入总音量节点；
+ * 静音只把总音量置零，不改变各路音量。电脑对手触发的事件不播放音效。
+ */
+export class AudioSystem {
+    /**
+     * @param {object} [options]
+     * @param {Storage} [options.storage] - 保存音量设置的存储对象，默认 window.localStorage
+     */
+    constructor(options = {}) {
+        this.name = 'audio';
+        this.storage = options.storage !== undefined ? options.storage : getDefaultStorage();
+        this.settings = loadSettings(this.storage);
+
+        this.game = null;
+        this.context = null;      // AudioContext，首次用户操作时创建
+        this.masterGain = null;
+        this.sfxGain = null;
+        this.musicGain = null;
+        this.noiseBuffer = null;  // 白噪声，用于落地、惩罚和鼓点
+
+        // 背景音乐的调度状态：下一步的播放时间和步号，tier 为当前难度等级
+        this.music = { tier: null, step: 0, nextStepTime: 0, playing: false };
+
+        this.unlock = this.unlock.bind(this);
+
+        // 游戏事件 -> 音效（回调中的 this 为本插件）
+        this.events = {
+            foodEaten(payload) {
+                if (this.isOwnEvent(payload)) this.playEat(payload.food.type !== 'NORMAL');
+            },
+            combo(payload) {
+                if (this.isOwnEvent(payload)) this.playCombo(payload.combo);
+            },
+            obstacleLanded() {
+                this.playLanding();
+            },
+            obstacleReward(payload) {
+                if (this.isOwnEvent(payload)) this.playReward();
+            },
+            obstaclePenalty(payload) {
+                if (this.isOwnEvent(payload)) this.playPenalty();
+            },
+            stunStarted(payload) {
+                if (this.isOwnEvent(payload)) this.playStun();
+            },
+            teleported(payload) {
+                if (this.isOwnEvent(payload)) this.playTeleport();
+            },
+            boundaryWarning(payload) {
+                this.playBoundaryWarning(payload.wrapAround);
+            },
+            levelCompleted() {
+                this.playLevelCompleted();
+            },
+            levelFailed() {
+                this.playGameOver();
+            },
+            gameOver() {
+                this.playGameOver();
+            }
+        };
+    }
+
+    install(game) {
+        this.game = game;
+        ['keydown', 'mousedown', 'touchstart'].forEach(type => document.addEventListener(type, this.unlock));
+    }
+
+    uninstall() {
+        ['keydown', 'mousedown', 'touchstart'].forEach(type => document.removeEventListener(type, this.unlock));
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+        this.game = null;
+    }
+
+    // 首次用户操作时创建音频图，之后恢复被浏览器挂起的 AudioContext
+    unlock() {
+        if (this.context) {
+            if (this.context.state === 'suspended') this.context.resume();
+            return;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        this.context = new AudioContextClass();
+        this.masterGain = this.context.createGain();
+        this.sfxGain = this.context.createGain();
+        this.musicGain = this.context.createGain();
+        this.sfxGain.connect(this.masterGain);
+        this.musicGain.connect(this.masterGain);
+        this.masterGain.connect(this.context.destination);
+        this.applyVolumes();
+
+        const length = this.context.sampleRate;
+        this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    }
+
+    // 事件是否来自本机玩家（电脑对手的事件不播放音效）
+    isOwnEvent(payload) {
+        return !this.game || !this.game.isBotEvent(payload);
+    }
+
+    // 音频可以播放时返回当前音频时间，否则返回 null
+    getTime() {
+        if (!this.context || this.context.state !== 'running') return null;
+        return this.context.currentTime;
+    }
+
+    // 音量设置方法
+
+    /**
+     * 设置音量并保存
+     * @param {'masterVolume'|'sfxVolume'|'musicVolume'} key
+     * @param {number} value - 0~1
+     */
+    setVolume(key, value) {
+        if (!(key in this.settings) || key === 'muted' || !Number.isFinite(value)) return;
+
+        this.settings[key] = Math.max(0, Math.min(1, value));
+        this.applyVolumes();
+        this.saveSettings();
+    }
+
+    // 切换静音，返回切换后是否静音
+    toggleMute() {
+        this.settings.muted = !this.settings.muted;
+        this.applyVolumes();
+        this.saveSettings();
+        return this.settings.muted;
+    }
+
+    // 把音量设置应用到增益节点（短暂过渡，避免爆音）
+    applyVolumes() {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        this.masterGain.gain.setTargetAtTime(this.settings.muted ? 0 : this.settings.masterVolume, now, 0.02);
+        this.sfxGain.gain.setTargetAtTime(this.settings.sfxVolume, now, 0.02);
+        this.musicGain.gain.setTargetAtTime(this.settings.musicVolume, now, 0.02);
+    }
+
+    saveSettings() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('保存音量设置失败:', error);
+        }
+    }
+
+    // 合成方法
+
+    /**
+     * 播放一个音：振荡器频率从 frequency 滑到 endFrequency，音量快速起音后指数衰减
+     * @param {AudioNode} destination - 音效或音乐的增益节点
+     * @param {object} options
+     */
+    playTone(destination, { type = 'sine', frequency, endFrequency = frequency, start, duration, volume = 0.3, attack = 0.005 }) {
+        const context = this.context;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        if (endFrequency !== frequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+        }
+
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(volume, start + attack);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        oscillator.connect(gain);
+        gain.connect(destination);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.05);
+    }
+
+    /**
+     * 播放一段经过低通滤波的白噪声
+     * @param {AudioNode} destination
+     * @param {object} options
+     */
+    playNoise(destination, { start, duration, volume = 0.3, filterFrequency = 2000 }) {
+        const context = this.context;
+        const source = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const gain = context.createGain();
+
+        source.buffer = this.noiseBuffer;
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(filterFrequency, start);
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(destination);
+        source.start(start, Math.random() * 0.5);
+        source.stop(start + duration + 0.05);
+    }
+
+    // 依次播放一串音符（琶音）
+    playNotes(notes, { type = 'triangle', interval = 0.07, duration = 0.15, volume = 0.25, delay = 0 } = {}) {
+        const now = this.getTime();
+        if (now === null) return;
+
+        notes.forEach((note, index) => {
+            this.playTone(this.sfxGain, { type, frequency: midiToFrequency(note), start: now + delay + index * interval, duration, volume });
+        });
+    }
+
+    // 游戏音效
+
+    // 吃到食物：短促上扬的“啵”，特殊食物多一个闪亮的高音
+    playEat(special) {
+        const now = this.getTime();
+        if (now === null) return;
+
+        this.playTone(this.sfxGain, { frequency: 520, endFrequency: 900, start: now, duration: 0.09, volume: 0.3 });
+        if (special) {
+            this.playTone(this.sfxGain, { type: 'triangle', frequency: 1320, endFrequency: 1760, start: now + 0.08, duration: 0.12, volume: 0.2 });
+        }
+    }
+
+    // 连击：档位越高起始音越高、音符越多
+    playCombo(combo) {
+        const tier = AUDIO_CONFIG.comboTiers.filter(threshold => combo >= threshold).length;
+        if (tier === 0) return;
+
+        const first = Math.min(tier - 1, COMBO_NOTES.length - tier - 1);
+        this.playNotes(COMBO_NOTES.slice(first, first + tier + 1), { delay: 0.08, interval: 0.06, duration: 0.12 });
+    }
+
+    // 障碍物落地：低沉的“咚”
+    playLanding() {
+        const now = this.getTime();
+        if (now === null) return;
+
+        this.playTone(this.sfxGain, { frequency: 140, endFrequency: 40, start: now, duration: 0.35, volume: 0.5 });
+        this.playNoise(this.sfxGain, { start: now, duration: 0.2, volume: 0.25, filterFrequency: 400 });
+    }
+
+    // 击破障碍物：明快的大三和弦琶音
+    playReward() {
+        this.playNotes([72, 76, 79, 84], { interval: 0.06, duration: 0.2 });
+    }
+
+    // 受到惩罚：下滑的方波加一声噪音
+    playPenalty() {
+        const now = this.getTime();
+        if (now === null) return;
+
+        this.playTone(this.sfxGain, { type: 'square', frequency: 320, endFrequency: 110, start: now, duration: 0.3, volume: 0.15 });
+        this.playNoise(this.sfxGain, { start: now, duration: 0.15, volume: 0.2, filterFrequency: 1200 });
+    }
+
+    // 眩晕：两声下滑的“嘣”
+    playStun() {
+        const now = this.getTime();
+        if (now === null) return;
+
+        this.playTone(this.sfxGain, { type: 'triangle', frequency: 440, endFrequency: 220, start: now, duration: 0.18, volume: 0.3 });
+        this.playTone(this.sfxGain, { type: 'triangle', frequency: 330, endFrequency: 165, start: now + 0.16, duration: 0.2, volume: 0.3 });
+    }
+
+    // 传送：先升后降的扫频
+    playTeleport() {
+        const now = this.getTime();
+        if (now === null) return;
+
+        this.playTone(this.sfxGain, { frequency: 200, endFrequency: 1600, start: now, duration: 0.2, volume: 0.25 });
+        this.playTone(this.sfxGain, { frequency: 1600, endFrequency: 400, start: now + 0.18, duration: 0.2, volume: 0.2 });
+    }
+
+    // 靠近边界：两声短促的提示音，穿越边界模式下更柔和
+    playBoundaryWarning(wrapAround) {
+        const now = this.getTime();
+        if (now === null) return;
+
+        const options = wrapAround
+            ? { type: 'sine', frequency: 660, duration: 0.08, volume: 0.15 }
+            : { type: 'square', frequency: 880, duration: 0.08, volume: 0.1 };
+        this.playTone(this.sfxGain, { ...options, start: now });
+        this.playTone(this.sfxGain, { ...options, start: now + 0.12 });
+    }
+
+    // 关卡完成：上行的号角
+    playLevelCompleted() {
+        this.playNotes([67, 72, 76, 79, 84], { type: 'square', interval: 0.1, duration: 0.25, volume: 0.12 });
+    }
+
+    // 游戏结束：缓慢下行的三个音
+    playGameOver() {
+        this.playNotes([67, 64, 60, 55], { type: 'sawtooth', interval: 0.22, duration: 0.4, volume: 0.12 });
+    }
+
+    // 背景音乐
+
+    /**
+     * 每帧调用：游戏进行中时按难度等级提前调度背景音乐的音符，其余状态停止
+     * @param {number} deltaTime
+     * @param {object} game
+     */
+    update(deltaTime, game) {
+        const now = this.getTime();
+        const sim = game.sim;
+        if (now === null || sim.gameState !== 'playing') {
+            this.music.playing = false;
+            return;
+        }
+
+        // 对战时按最长的蛇决定难度等级
+        const length = Math.max(...sim.getHumanPlayers().map(player => player.snake.length));
+        const tier = sim.getDifficultyLevel(length);
+        if (tier !== this.music.tier) {
+            this.music.tier = tier;
+            console.log('🎵 背景音乐:', tier, MUSIC_TIERS[tier].tempo, 'BPM');
+        }
+
+        // 重新开始播放时从小节开头起
+        if (!this.music.playing) {
+            this.music.playing = true;
+            this.music.step = 0;
+            this.music.nextStepTime = now + 0.05;
+        }
+
+        // 提前 0.1 秒调度，帧率波动时节拍仍然稳定
+        const settings = MUSIC_TIERS[tier];
+        const stepDuration = 60 / settings.tempo / 2;
+        while (this.music.nextStepTime < now + 0.1) {
+            this.scheduleMusicStep(this.music.step, this.music.nextStepTime, settings, stepDuration);
+            this.music.nextStepTime += stepDuration;
+            this.music.step = (this.music.step + 1) % STEPS_PER_LOOP;
+        }
+    }
+
+    // 调度背景音乐的一步：按当前难度等级叠加的声部播放
+    scheduleMusicStep(step, start, settings, stepDuration) {
+        settings.layers.forEach(layer => {
+            switch (layer) {
+                case 'kick':
+                    if (step % 4 === 0) {
+                        this.playTone(this.musicGain, { frequency: 120, endFrequency: 45, start, duration: 0.2, volume: 0.5 });
+                    }
+                    break;
+                case 'hat':
+                    if (step % 2 === 1) {
+                        this.playNoise(this.musicGain, { start, duration: 0.04, volume: 0.08, filterFrequency: 8000 });
+                    }
+                    break;
+                default: {
+                    const note = MUSIC_PATTERNS[layer][step];
+                    if (note === null) return;
+
+                    const { type, steps, volume } = MUSIC_VOICES[layer];
+                    this.playTone(this.musicGain, { type, volume, frequency: midiToFrequency(note + settings.transpose), start, duration: stepDuration * steps });
+                }
+            }
+        });
+    }
+}
@@ -0,0 +1,15 @@
+/**
+ * 让浏览器把文本保存为 JSON 文件（回放、关卡导出）
+ * 对象 URL 在点击后稍等一会儿再释放，立即释放会中断部分浏览器中的下载
+ * @param {string} fileName - 下载的文件名
+ * @param {string} text - 文件内容
+ */
+export function downloadJson(fileName, text) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,151 @@
+/**
+ * 游戏事件类型及其数据
+ * 所有事件数据都带有 isReplay 和 isDemo 字段，分别表示事件来自回放、待机演示而非实际游戏；
+ * 来自模拟的事件还带有 player 字段，为触发事件的玩家编号（0 为玩家1，共享的食物、障碍物系统产生的事件为 0）
+ *
+ * @typedef {object} GameEventMap
+ * @property {{score: number, seed: number, level: number}} gameStarted - 开始新的一局
+ * @property {{score: number}} gamePaused - 游戏暂停
+ * @property {{score: number}} gameResumed - 从暂停继续
+ * @property {{seed: number}} gameReset - 重新开始
+ * @property {{oldSpeed: number, newSpeed: number}} difficultyUpdated - 速度变化
+ * @property {{food: object, points: number, combo: number, length: number}} foodEaten - 吃到食物（food.type 为食物类型）
+ * @property {{food: object}} foodSpawned - 生成食物
+ * @property {{food: object}} foodExpired - 限时食物消失
+ * @property {{combo: number, points: number, player: number}} combo - 连击（连击数大于1时触发）
+ * @property {{obstacle: object, count: number}} obstacleSpawned - 生成障碍物
+ * @property {{obstacle: object}} obstacleLanded - 障碍物落地
+ * @property {{obstacle: object, effect: string, points: number, combo: number, snakeLength: number, obstacleLevel: number}} obstacleReward - 撞到可获得奖励的障碍物
+ * @property {{obstacle: object, effect: string, snakeLength: number, newLength: number, obstacleLevel: number}} obstaclePenalty - 撞到会受惩罚的障碍物
+ * @property {{duration: number}} stunStarted - 眩晕开始
+ * @property {{}} stunEnded - 眩晕结束
+ * @property {{duration: number}} invulnerabilityStarted - 无敌开始
+ * @property {{}} invulnerabilityEnded - 无敌结束
+ * @property {{duration: number, multiplier: number}} speedBoostStarted - 加速开始
+ * @property {{}} speedBoostEnded - 加速结束
+ * @property {{x: number, y: number}} teleported - 蛇头传送
+ * @property {{sides: string[], wrapAround: boolean}} boundaryWarning - 玩家1的蛇头刚靠近棋盘边缘（显示警告墙体），sides 为靠近的边
+ * @property {{x: number, y: number, dx: number, dy: number}} wrapped - 穿越边界模式下蛇头从对侧进入，dx/dy 为平移的格数
+ * @property {{penalty: number, score: number, length: number}} obstacleDecay - 障碍物过多导致衰减
+ * @property {{level: number, score: number, length: number}} levelCompleted - 关卡完成
+ * @property {{level: number, reason: string, score: number, length: number}} levelFailed - 关卡失败
+ * @property {{score: number, length: number}} playerEliminated - 双人模式下一名玩家被淘汰，或电脑对手被淘汰
+ * @property {{x: number, y: number}} botRespawned - 被淘汰的电脑对手重新出现，x/y 为蛇头所在格子
+ * @property {{score: number, length: number, winner?: number|null, scores?: number[]}} gameOver - 游戏结束，双人模式下带有获胜玩家编号（平局为 null）和各玩家得分
+ */
+
+// 所有合法的游戏事件类型
+export const GAME_EVENTS = Object.freeze([
+    'gameStarted',
+    'gamePaused',
+    'gameResumed',
+    'gameReset',
+    'difficultyUpdated',
+    'foodEaten',
+    'foodSpawned',
+    'foodExpired',
+    'combo',
+    'obstacleSpawned',
+    'obstacleLanded',
+    'obstacleReward',
+    'obstaclePenalty',
+    'stunStarted',
+    'stunEnded',
+    'invulnerabilityStarted',
+    'invulnerabilityEnded',
+    'speedBoostStarted',
+    'speedBoostEnded',
+    'teleported',
+    'wrapped',
+    'boundaryWarning',
+    'obstacleDecay',
+    'levelCompleted',
+    'levelFailed',
+    'playerEliminated',
+    'botRespawned',
+    'gameOver'
+]);
+
+/**
+ * 带类型检查的事件发射器
+ * 只允许订阅和发出预先声明的事件类型，拼错事件名会立即报错
+ */
+export class EventEmitter {
+    /**
+     * @param {string[]} eventTypes - 允许的事件类型
+     */
+    constructor(eventTypes) {
+        this.eventTypes = new Set(eventTypes);
+        this.listeners = new Map();
+    }
+
+    // 检查事件类型是否已声明
+    assertEventType(type) {
+        if (!this.eventTypes.has(type)) {
+            throw new Error(`未知的游戏事件: ${type}`);
+        }
+    }
+
+    /**
+     * 订阅事件
+     * @param {string} type - 事件类型
+     * @param {Function} handler - 回调，参数为事件数据
+     * @returns {Function} 取消订阅的函数
+     */
+    on(type, handler) {
+        this.assertEventType(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * 订阅一次性事件
+     * @param {string} type - 事件类型
+     * @param {Function} handler - 回调，参数为事件数据
+     * @returns {Function} 取消订阅的函数
+     */
+    once(type, handler) {
+        const wrapper = (payload) => {
+            this.off(type, wrapper);
+            handler(payload);
+        };
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * 取消订阅
+     * @param {string} type - 事件类型
+     * @param {Function} handler - 订阅时传入的回调
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * 发出事件，单个回调出错不影响其他回调
+     * @param {string} type - 事件类型
+     * @param {object} payload - 事件数据
+     */
+    emit(type, payload) {
+        this.assertEventType(type);
+
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`事件 ${type} 的回调出错:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * 游戏时钟 - 所有玩法计时器的唯一时间来源
+ * （关卡倒计时、障碍物生成、连击窗口、状态效果、食物存在时间、存活时间、障碍物衰减）
+ *
+ * 时钟只在模拟步中按固定步长前进，暂停时不走；
+ * 时间缩放（慢动作效果、调试加速）改变的是每秒真实时间内执行的模拟步数，
+ * 模拟本身仍然按固定步长推进，回放只记录模拟步，不受时间缩放影响
+ */
+export class GameClock {
+    /**
+     * @param {number} tickMs - 每个模拟步的游戏时长（毫秒）
+     * @param {object} [options]
+     * @param {Function} [options.getEffectScale] - 返回状态效果带来的时间缩放倍率
+     */
+    constructor(tickMs, options = {}) {
+        this.tickMs = tickMs;
+        this.getEffectScale = options.getEffectScale || (() => 1);
+        this.baseTimeScale = 1; // 调试或设置中指定的整体倍率，重置时保留
+        this.reset();
+    }
+
+    // 回到零点并解除暂停
+    reset() {
+        this.time = 0;
+        this.paused = false;
+    }
+
+    // 当前游戏时间（毫秒）
+    now() {
+        return this.time;
+    }
+
+    // 前进一个模拟步，暂停时不走
+    tick() {
+        if (this.paused) return;
+
+        this.time += this.tickMs;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    // 当前时间缩放倍率
+    getTimeScale() {
+        return this.baseTimeScale * this.getEffectScale();
+    }
+
+    /**
+     * 设置整体时间缩放倍率
+     * @param {number} scale - 大于 0 的倍率，1 为正常速度
+     */
+    setTimeScale(scale) {
+        if (!(scale > 0)) {
+            throw new Error(`时间缩放倍率必须大于 0: ${scale}`);
+        }
+        this.baseTimeScale = scale;
+    }
+
+    /**
+     * 把真实经过的时间换算为应推进的游戏时间，渲染层据此累积模拟步
+     * @param {number} realMs - 真实经过的毫秒数
+     * @returns {number}
+     */
+    toGameTime(realMs) {
+        return this.paused ? 0 : realMs * this.getTimeScale();
+    }
+}
@@ -0,0 +1,317 @@
+// 输入抽象层 - 把鼠标、键盘、手柄、触屏统一转换为期望的蛇头朝向（弧度）
+// 朝向以棋盘坐标为准：0 为 +X，PI/2 为 +Y（世界坐标 +Z），与 SnakeSimulation.targetDirection 一致
+
+// 键盘相对转向：左右键按住时每秒转过的角度
+const KEYBOARD_TURN_RATE = Math.PI;
+
+// 手柄摇杆死区
+const GAMEPAD_DEADZONE = 0.3;
+
+// 键位 -> 相对转向（-1 左转，1 右转）
+const RELATIVE_TURN_KEYS = {
+    ArrowLeft: -1,
+    KeyA: -1,
+    ArrowRight: 1,
+    KeyD: 1
+};
+
+// 键位 -> 屏幕方向 [右, 前]，绝对模式下组合成8个方向
+const ABSOLUTE_DIRECTION_KEYS = {
+    ArrowUp: [0, 1],
+    KeyW: [0, 1],
+    ArrowDown: [0, -1],
+    KeyS: [0, -1],
+    ArrowLeft: [-1, 0],
+    KeyA: [-1, 0],
+    ArrowRight: [1, 0],
+    KeyD: [1, 0]
+};
+
+// 小键盘始终是绝对8方向
+const NUMPAD_DIRECTION_KEYS = {
+    Numpad8: [0, 1],
+    Numpad2: [0, -1],
+    Numpad4: [-1, 0],
+    Numpad6: [1, 0],
+    Numpad7: [-1, 1],
+    Numpad9: [1, 1],
+    Numpad1: [-1, -1],
+    Numpad3: [1, -1]
+};
+
+// 手柄十字键按钮编号（标准映射）-> 屏幕方向
+const GAMEPAD_DPAD_BUTTONS = {
+    12: [0, 1],
+    13: [0, -1],
+    14: [-1, 0],
+    15: [1, 0]
+};
+
+// 手柄功能按钮（标准映射）
+const GAMEPAD_ACTION_BUTTONS = {
+    9: 'toggle', // Start：开始/暂停
+    0: 'toggle', // A
+    8: 'reset'   // Select/Back：重新开始
+};
+
+/**
+ * 输入管理器
+ * 跟踪最近使用的输入设备，每帧给出该设备期望的朝向
+ */
+export class InputManager {
+    /**
+     * @param {object} [options]
+     * @param {Function} [options.onAction] - 手柄功能按钮回调，参数为 'toggle' / 'reset'
+     */
+    constructor(options = {}) {
+        this.onAction = options.onAction || (() => {});
+
+        this.activeDevice = 'mouse';       // 'mouse' | 'keyboard' | 'gamepad' | 'touch'
+        this.keyboardMode = 'relative';    // 方向键/WASD：'relative' 相对转向 | 'absolute' 绝对8方向
+        this.touchMode = 'joystick';       // 触屏：'joystick' 虚拟摇杆 | 'tap' 点按指向
+        this.pressedKeys = new Set();
+
+        this.mouseHeading = null;          // 鼠标指向的朝向（由渲染层射线检测后写入）
+        this.mouseTurn = 0;                // 指针锁定时鼠标水平移动累积的相对转向（弧度）
+        this.touchHeading = null;          // 点按指向的朝向（由渲染层射线检测后写入）
+        this.touchStick = null;            // 虚拟摇杆偏移 { x, y }，屏幕坐标，范围 -1~1
+        this.gamepadButtons = [];          // 上一帧的手柄按钮状态，用于检测按下瞬间
+        this.gamepadIndex = null;
+    }
+
+    // 所有可用于转向的键位
+    isSteeringKey(code) {
+        return code in RELATIVE_TURN_KEYS || code in ABSOLUTE_DIRECTION_KEYS || code in NUMPAD_DIRECTION_KEYS;
+    }
+
+    /**
+     * 处理按键按下
+     * @param {KeyboardEvent} event
+     * @returns {boolean} 是否作为转向键被处理
+     */
+    onKeyDown(event) {
+        if (!this.isSteeringKey(event.code)) return false;
+
+        this.pressedKeys.add(event.code);
+        this.activeDevice = 'keyboard';
+        return true;
+    }
+
+    // 处理按键松开
+    onKeyUp(event) {
+        this.pressedKeys.delete(event.code);
+    }
+
+    // 窗口失去焦点时清空按键状态，避免按键“卡住”
+    releaseAllKeys() {
+        this.pressedKeys.clear();
+    }
+
+    /**
+     * 记录鼠标指向的朝向
+     * @param {number} heading - 弧度
+     */
+    setMouseHeading(heading) {
+        this.mouseHeading = heading;
+        this.activeDevice = 'mouse';
+    }
+
+    /**
+     * 累积指针锁定时鼠标水平移动对应的相对转向
+     * @param {number} angle - 弧度，正值右转
+     */
+    addMouseTurn(angle) {
+        this.mouseTurn += angle;
+        this.activeDevice = 'mouse';
+    }
+
+    /**
+     * 记录点按位置对应的朝向（点按模式）
+     * @param {number} heading - 弧度
+     */
+    setTouchHeading(heading) {
+        this.touchHeading = heading;
+        this.activeDevice = 'touch';
+    }
+
+    /**
+     * 更新虚拟摇杆偏移
+     * @param {number} x - 向右为正，-1~1
+     * @param {number} y - 向下为正，-1~1
+     */
+    setTouchStick(x, y) {
+        this.touchStick = { x, y };
+        this.activeDevice = 'touch';
+    }
+
+    // 松开虚拟摇杆，蛇保持当前方向
+    releaseTouchStick() {
+        this.touchStick = null;
+    }
+
+    // 切换触屏模式（虚拟摇杆 / 点按指向）
+    toggleTouchMode() {
+        this.touchMode = this.touchMode === 'joystick' ? 'tap' : 'joystick';
+        this.touchStick = null;
+        return this.touchMode;
+    }
+
+    // 切换方向键模式（相对转向 / 绝对8方向）
+    toggleKeyboardMode() {
+        this.keyboardMode = this.keyboardMode === 'relative' ? 'absolute' : 'relative';
+        return this.keyboardMode;
+    }
+
+    /**
+     * 计算本帧期望的朝向
+     * @param {number} deltaTime - 距上一帧的毫秒数
+     * @param {object} context
+     * @param {number} context.targetDirection - 当前目标朝向
+     * @param {number} context.cameraHeading - 相机在地面上的朝向，绝对方向以屏幕“上”为前
+     * @returns {number|null} 期望朝向，没有新输入时返回 null
+     */
+    update(deltaTime, context) {
+        const gamepadHeading = this.pollGamepad(context.cameraHeading);
+
+        switch (this.activeDevice) {
+            case 'gamepad':
+                return gamepadHeading;
+            case 'keyboard':
+                return this.getKeyboardHeading(deltaTime, context);
+            case 'touch':
+                return this.getTouchHeading(context.cameraHeading);
+            default:
+                return this.getMouseHeading(context.targetDirection);
+        }
+    }
+
+    /**
+     * 分屏双人时分别计算两名玩家本帧期望的朝向：玩家1 使用鼠标，玩家2 使用键盘
+     * 手柄只响应功能按钮
+     * @param {number} deltaTime - 距上一帧的毫秒数
+     * @param {Array<{targetDirection: number, cameraHeading: number}>} contexts - 两名玩家的目标朝向和各自相机的朝向
+     * @returns {Array<number|null>} 两名玩家的期望朝向，没有新输入时为 null
+     */
+    updateSplit(deltaTime, contexts) {
+        this.pollGamepad(contexts[0].cameraHeading);
+
+        return [this.getMouseHeading(contexts[0].targetDirection), this.getKeyboardHeading(deltaTime, contexts[1])];
+    }
+
+    // 鼠标期望朝向：指针锁定时在目标朝向上叠加累积的转向，否则为指向的朝向，都只生效一次
+    getMouseHeading(targetDirection) {
+        if (this.mouseTurn !== 0) {
+            const heading = targetDirection + this.mouseTurn;
+            this.mouseTurn = 0;
+            return heading;
+        }
+
+        const heading = this.mouseHeading;
+        this.mouseHeading = null;
+        return heading;
+    }
+
+    // 键盘期望朝向
+    getKeyboardHeading(deltaTime, context) {
+        // 小键盘优先，始终为绝对方向
+        const numpadHeading = this.getAbsoluteHeading(NUMPAD_DIRECTION_KEYS, context.cameraHeading);
+        if (numpadHeading !== null) return numpadHeading;
+
+        if (this.keyboardMode === 'absolute') {
+            return this.getAbsoluteHeading(ABSOLUTE_DIRECTION_KEYS, context.cameraHeading);
+        }
+
+        let turn = 0;
+        this.pressedKeys.forEach(code => {
+            turn += RELATIVE_TURN_KEYS[code] || 0;
+        });
+        if (turn === 0) return null;
+
+        return context.targetDirection + Math.sign(turn) * KEYBOARD_TURN_RATE * deltaTime / 1000;
+    }
+
+    // 触屏期望朝向：摇杆按住时持续给出，点按只生效一次
+    getTouchHeading(cameraHeading) {
+        if (this.touchStick) {
+            return cameraHeading + Math.atan2(this.touchStick.x, -this.touchStick.y);
+        }
+
+        const heading = this.touchHeading;
+        this.touchHeading = null;
+        return heading;
+    }
+
+    // 把按下的方向键组合成相对相机的绝对朝向
+    getAbsoluteHeading(keyMap, cameraHeading) {
+        let right = 0;
+        let forward = 0;
+        this.pressedKeys.forEach(code => {
+            const direction = keyMap[code];
+            if (direction) {
+                right += direction[0];
+                forward += direction[1];
+            }
+        });
+
+        return this.toHeading(Math.sign(right), Math.sign(forward), cameraHeading);
+    }
+
+    // 屏幕方向（右、前）转换为棋盘朝向
+    toHeading(right, forward, cameraHeading) {
+        if (right === 0 && forward === 0) return null;
+        return cameraHeading + Math.atan2(right, forward);
+    }
+
+    /**
+     * 读取手柄状态：左摇杆/十字键给出朝向，功能按钮触发回调
+     * 手柄有输入时切换为当前设备
+     * @returns {number|null}
+     */
+    pollGamepad(cameraHeading) {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+        const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected);
+        if (!gamepad) {
+            this.gamepadButtons = [];
+            return null;
+        }
+
+        if (this.gamepadIndex !== gamepad.index) {
+            this.gamepadIndex = gamepad.index;
+            console.log('🎮 手柄已连接:', gamepad.id);
+        }
+
+        // 功能按钮只在按下瞬间触发
+        gamepad.buttons.forEach((button, index) => {
+            const wasPressed = this.gamepadButtons[index];
+            if (button.pressed && !wasPressed && GAMEPAD_ACTION_BUTTONS[index]) {
+                this.activeDevice = 'gamepad';
+                this.onAction(GAMEPAD_ACTION_BUTTONS[index]);
+            }
+            this.gamepadButtons[index] = button.pressed;
+        });
+
+        // 左摇杆（上为负）
+        const stickX = gamepad.axes[0] || 0;
+        const stickY = gamepad.axes[1] || 0;
+        if (Math.hypot(stickX, stickY) > GAMEPAD_DEADZONE) {
+            this.activeDevice = 'gamepad';
+            return cameraHeading + Math.atan2(stickX, -stickY);
+        }
+
+        // 十字键
+        let right = 0;
+        let forward = 0;
+        Object.entries(GAMEPAD_DPAD_BUTTONS).forEach(([index, direction]) => {
+            if (gamepad.buttons[index] && gamepad.buttons[index].pressed) {
+                right += direction[0];
+                forward += direction[1];
+            }
+        });
+        const dpadHeading = this.toHeading(Math.sign(right), Math.sign(forward), cameraHeading);
+        if (dpadHeading !== null) {
+            this.activeDevice = 'gamepad';
+        }
+        return dpadHeading;
+    }
+}
@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+
+// 未指定实例颜色时使用白色，即材质本身的颜色
+const WHITE = new THREE.Color(0xFFFFFF);
+
+/**
+ * 可扩容的 InstancedMesh - 同一几何体和材质的物体（蛇身、同类障碍物）共用一次绘制调用
+ *
+ * 每帧先 begin()，再对每个实例调用 add(matrix, color)，最后 end() 提交；
+ * 实例数超过容量时按两倍重新创建 InstancedMesh，几何体和材质由调用方持有，不随批次释放。
+ * 实例每帧移动，包围球不会自动更新，因此关闭视锥剔除；没有实例时隐藏，不产生绘制调用。
+ */
+export class InstancedBatch {
+    /**
+     * @param {THREE.Object3D} parent - 添加到的场景或分组
+     * @param {THREE.BufferGeometry} geometry
+     * @param {THREE.Material} material - 颜色由实例颜色与材质颜色相乘，材质颜色一般为白色
+     * @param {object} [options]
+     * @param {number} [options.capacity] - 初始容量
+     * @param {boolean} [options.castShadow]
+     * @param {boolean} [options.receiveShadow]
+     */
+    constructor(parent, geometry, material, options = {}) {
+        this.parent = parent;
+        this.geometry = geometry;
+        this.material = material;
+        this.castShadow = options.castShadow === true;
+        this.receiveShadow = options.receiveShadow === true;
+
+        this.mesh = null;
+        this.capacity = 0;
+        this.count = 0;
+        this.isVisible = true;
+        this.allocate(options.capacity || 16);
+    }
+
+    get visible() {
+        return this.isVisible;
+    }
+
+    set visible(visible) {
+        this.isVisible = visible;
+        this.mesh.visible = visible && this.mesh.count > 0;
+    }
+
+    // 创建指定容量的 InstancedMesh，保留本帧已写入的实例
+    allocate(capacity) {
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        mesh.castShadow = this.castShadow;
+        mesh.receiveShadow = this.receiveShadow;
+        mesh.frustumCulled = false;
+        mesh.count = 0;
+
+        if (this.mesh) {
+            mesh.instanceMatrix.array.set(this.mesh.instanceMatrix.array.subarray(0, this.count * 16));
+            mesh.instanceColor.array.set(this.mesh.instanceColor.array.subarray(0, this.count * 3));
+            mesh.count = this.mesh.count;
+            this.parent.remove(this.mesh);
+            this.mesh.dispose();
+        }
+        mesh.visible = this.isVisible && mesh.count > 0;
+
+        this.parent.add(mesh);
+        this.mesh = mesh;
+        this.capacity = capacity;
+    }
+
+    // 开始写入本帧的实例
+    begin() {
+        this.count = 0;
+    }
+
+    /**
+     * 写入一个实例
+     * @param {THREE.Matrix4} matrix
+     * @param {THREE.Color} [color] - 与材质颜色相乘，默认白色
+     */
+    add(matrix, color = WHITE) {
+        if (this.count >= this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
+
+        this.mesh.setMatrixAt(this.count, matrix);
+        this.mesh.setColorAt(this.count, color);
+        this.count++;
+    }
+
+    // 提交本帧的实例，只绘制写入的数量
+    end() {
+        this.mesh.count = this.count;
+        this.mesh.visible = this.isVisible && this.count > 0;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    // 从场景中移除并释放实例缓冲（不释放几何体和材质）
+    dispose() {
+        this.parent.remove(this.mesh);
+        this.mesh.dispose();
+        this.mesh = null;
+    }
+}
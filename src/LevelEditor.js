@@ -0,0 +1,901 @@
+import * as THREE from 'three';
+import { parseLevel } from './LevelLoader.js';
+import { downloadJson } from './Download.js';
+import { OBSTACLE_TYPES } from './config.js';
+
+// 编辑工具
+const EDITOR_TOOLS = {
+    wall: '🧱 墙体',
+    food: '🍎 食物区域',
+    obstacle: '💎 障碍物',
+    spawn: '🐍 起点',
+    erase: '🧽 擦除'
+};
+
+// 障碍物类型显示名称
+const OBSTACLE_TYPE_NAMES = {
+    WEAK: '🟢 弱障碍（眩晕）',
+    NORMAL: '🟡 普通障碍（缩短）',
+    STRONG: '🔴 强障碍（减半）',
+    SPECIAL: '🔵 特殊障碍（传送）'
+};
+
+// 起点朝向（度）
+const HEADING_NAMES = {
+    0: '→ 向右',
+    90: '↓ 向下',
+    180: '← 向左',
+    270: '↑ 向上'
+};
+
+// 试玩时关卡定义的来源名称和关卡 id（与关卡包中的关卡区分开，编辑已有关卡时不会重复）
+const TEST_LEVEL_SOURCE = '编辑器关卡';
+const TEST_LEVEL_ID = 'editor-test';
+
+const BUTTON_STYLE = 'margin: 3px; padding: 4px 8px; color: white; border: none; border-radius: 3px; cursor: pointer;';
+const INPUT_STYLE = 'padding: 3px; border: none; border-radius: 3px;';
+
+// 放进 HTML 属性前转义用户输入
+const escapeAttribute = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+const cellKey = (x, y) => `${x},${y}`;
+const parseCellKey = key => key.split(',').map(Number);
+
+// 新关卡的默认内容
+function createEmptyLevel(boardSize = 30) {
+    const center = Math.floor(boardSize / 2);
+    return {
+        id: null,                  // 导入关卡的 id，原样导出；新关卡导出时使用文件名
+        name: '新关卡',
+        description: '',
+        boardSize,
+        wrap: false,               // 穿越边界
+        start: { x: center, y: center, heading: 0, length: 3 },
+        speed: {},                 // 导入关卡中的速度覆盖，原样导出
+        obstacleSettings: {},      // 导入关卡中的障碍物生成设置（间隔、生成表），原样导出
+        objective: { type: 'score', timeLimit: 60, targetScore: 200, targetLength: 15, maxObstacles: 3, decayRate: 0.5 },
+        walls: new Set(),          // 墙体格子
+        foodCells: new Set(),      // 食物区域格子
+        obstacles: new Map()       // 格子 -> { type, level }
+    };
+}
+
+// 把格子集合合并成尽量少的矩形：先合并每行的连续格子，再合并上下对齐的行
+function mergeCellsToRects(cells) {
+    const rows = new Map();
+    cells.forEach(key => {
+        const [x, y] = parseCellKey(key);
+        if (!rows.has(y)) rows.set(y, []);
+        rows.get(y).push(x);
+    });
+
+    const rects = [];
+    const openRects = new Map(); // "x,width" -> 正在向下延伸的矩形
+    Array.from(rows.keys()).sort((a, b) => a - b).forEach(y => {
+        const xs = rows.get(y).sort((a, b) => a - b);
+        let runStart = xs[0];
+        for (let i = 1; i <= xs.length; i++) {
+            if (i < xs.length && xs[i] === xs[i - 1] + 1) continue;
+
+            const width = xs[i - 1] - runStart + 1;
+            const key = `${runStart},${width}`;
+            const rect = openRects.get(key);
+            if (rect && rect.y + rect.height === y) {
+                rect.height++;
+            } else {
+                const newRect = { x: runStart, y, width, height: 1 };
+                rects.push(newRect);
+                openRects.set(key, newRect);
+            }
+            runStart = xs[i];
+        }
+    });
+
+    return rects;
+}
+
+// 矩形列表展开为格子集合
+function expandRectsToCells(rects) {
+    const cells = new Set();
+    rects.forEach(rect => {
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            for (let x = rect.x; x < rect.x + rect.width; x++) {
+                cells.add(cellKey(x, y));
+            }
+        }
+    });
+    return cells;
+}
+
+/**
+ * 关卡编辑器
+ * 在现有棋盘、网格线和相机上绘制墙体、食物区域、预置障碍物和起点，
+ * 可以立即试玩，或导出为 public/levels 中使用的关卡文件
+ */
+export class LevelEditor {
+    /**
+     * @param {object} game - SnakeGame 实例
+     */
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+
+        this.level = createEmptyLevel();
+        this.tool = 'wall';
+        this.obstacleType = 'WEAK';
+        this.obstacleLevel = 3;
+        this.messages = [];          // 面板中显示的校验错误或提示
+        this.messageIsError = false;
+
+        // 拖动绘制状态
+        this.stroke = null;          // { erase: boolean, lastKey: string }
+        this.pointerId = null;
+
+        // 编辑器渲染对象
+        this.group = new THREE.Group();
+        this.wallMeshes = new Map();
+        this.foodMeshes = new Map();
+        this.obstacleMeshes = new Map();
+        this.spawnMeshes = [];
+        this.wallGeometry = null;
+        this.wallMaterial = null;
+        this.foodGeometry = null;
+        this.foodMaterial = null;
+        this.spawnGeometry = null;
+        this.spawnMaterial = null;
+        this.spawnHeadMaterial = null;
+
+        this.previousCameraDistance = 0;
+        this.unregisterCameraPlugin = null;
+
+        // 编辑期间相机固定看向棋盘中心（游戏暂停时渲染层不更新相机）
+        this.cameraPlugin = {
+            name: 'level-editor-camera',
+            update: (deltaTime, game) => {
+                game.cameraTarget.position.set(0, 0, 0);
+                game.thirdPersonCamera.update(deltaTime);
+            }
+        };
+
+        this.createMaterials();
+        this.createUI();
+        this.setupEventListeners();
+    }
+
+    // 编辑器共享的几何体和材质
+    createMaterials() {
+        const gridSize = this.game.GRID_SIZE;
+
+        this.wallGeometry = new THREE.BoxGeometry(gridSize, gridSize, gridSize);
+        this.wallMaterial = new THREE.MeshLambertMaterial({ color: 0x8B7355 }); // 木头色墙体
+
+        this.foodGeometry = new THREE.PlaneGeometry(gridSize * 0.9, gridSize * 0.9);
+        this.foodMaterial = new THREE.MeshBasicMaterial({ color: 0xFF6B6B, transparent: true, opacity: 0.35 });
+
+        this.spawnGeometry = new THREE.BoxGeometry(gridSize * 0.8, gridSize * 0.8, gridSize * 0.8);
+        this.spawnMaterial = new THREE.MeshLambertMaterial({ color: 0xFF8C00, transparent: true, opacity: 0.6 });
+        this.spawnHeadMaterial = new THREE.MeshLambertMaterial({ color: 0xFFD700, transparent: true, opacity: 0.8 });
+    }
+
+    // 创建编辑面板和导入用的文件选择框
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'level-editor';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '10px';
+        this.panel.style.right = '10px';
+        this.panel.style.width = '280px';
+        this.panel.style.maxHeight = 'calc(100vh - 40px)';
+        this.panel.style.overflowY = 'auto';
+        this.panel.style.color = 'white';
+        this.panel.style.fontSize = '13px';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.backgroundColor = 'rgba(0,0,0,0.85)';
+        this.panel.style.padding = '15px';
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.zIndex = '1001';
+        this.panel.style.display = 'none';
+        document.body.appendChild(this.panel);
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                this.importFile(file);
+            }
+        });
+        document.body.appendChild(this.fileInput);
+    }
+
+    // 画布上的指针事件：左键（或单指）绘制，右键拖拽仍由相机处理
+    // 监听画布的容器，修改抗锯齿设置重新创建画布后仍然有效
+    setupEventListeners() {
+        const canvas = this.game.canvasContainer;
+
+        // 阻止左键按下传到相机的旋转处理
+        canvas.addEventListener('mousedown', (event) => {
+            if (this.isOpen && event.button === 0) {
+                event.stopPropagation();
+            }
+        });
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (!this.isOpen || event.button !== 0 || !event.isPrimary) return;
+
+            const cell = this.getCellFromPointer(event);
+            if (!cell) return;
+
+            this.pointerId = event.pointerId;
+            event.target.setPointerCapture(event.pointerId);
+            this.beginStroke(cell);
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!this.stroke || event.pointerId !== this.pointerId) return;
+
+            const cell = this.getCellFromPointer(event);
+            if (cell) {
+                this.continueStroke(cell);
+            }
+        });
+
+        const endStroke = (event) => {
+            if (!this.stroke || event.pointerId !== this.pointerId) return;
+
+            this.stroke = null;
+            this.pointerId = null;
+            this.renderPanel();
+        };
+        canvas.addEventListener('pointerup', endStroke);
+        canvas.addEventListener('pointercancel', endStroke);
+    }
+
+    // 编辑器打开时的按键处理，Esc 关闭编辑器
+    onKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    // 打开编辑器：暂停游戏，隐藏游戏对象，显示编辑中的关卡
+    open() {
+        if (this.isOpen) return;
+
+        const game = this.game;
+        if (game.replayViewer) {
+            game.exitReplay();
+        }
+        // 编辑器只使用玩家1的视角，放弃进行中的双人对战
+        if (game.sim.players.length > 1) {
+            game.resetGame();
+            game.setPlayerCount(1);
+        }
+        if (game.sim.gameState === 'playing') {
+            game.pauseGame();
+        }
+        game.hideLevelSelect();
+        game.clearAllDialogs();
+
+        this.isOpen = true;
+        this.setGameObjectsVisible(false);
+        game.levelPanel.style.display = 'none';
+        game.progressBar.style.display = 'none';
+
+        // 拉远相机以看到整个棋盘
+        const camera = game.thirdPersonCamera;
+        this.previousCameraDistance = camera.config.distance;
+        camera.config.distance = Math.min(camera.config.maxDistance, this.level.boardSize * game.GRID_SIZE * 0.9);
+
+        game.scene.add(this.group);
+        this.applyBoardSize();
+        this.unregisterCameraPlugin = game.registerPlugin(this.cameraPlugin);
+
+        this.messages = [];
+        this.renderPanel();
+        this.panel.style.display = 'block';
+    }
+
+    // 关闭编辑器，恢复游戏画面
+    close() {
+        if (!this.isOpen) return;
+
+        const game = this.game;
+        this.isOpen = false;
+        this.stroke = null;
+        this.panel.style.display = 'none';
+
+        if (this.unregisterCameraPlugin) {
+            this.unregisterCameraPlugin();
+            this.unregisterCameraPlugin = null;
+        }
+        game.scene.remove(this.group);
+        game.thirdPersonCamera.config.distance = this.previousCameraDistance;
+
+        this.setGameObjectsVisible(true);
+        game.levelPanel.style.display = '';
+        game.syncViewsToSimulation();
+    }
+
+    // 显示/隐藏蛇、食物和障碍物
+    setGameObjectsVisible(visible) {
+        const game = this.game;
+        game.snakeHeadMesh.visible = visible;
+        game.snakeBodyBatch.visible = visible;
+        game.foodViews.forEach(mesh => mesh.visible = visible);
+        if (game.wallMesh) {
+            game.wallMesh.visible = visible;
+        }
+        game.obstacleBatches.forEach(batch => batch.visible = visible);
+        game.obstacleShadowBatch.visible = visible;
+        game.hideAllWarningWalls();
+    }
+
+    // 让渲染层的棋盘大小与编辑中的关卡一致，并重建所有编辑器对象
+    applyBoardSize() {
+        const game = this.game;
+        if (game.BOARD_SIZE !== this.level.boardSize) {
+            game.BOARD_SIZE = this.level.boardSize;
+            game.rebuildBoard();
+        }
+        this.rebuildMeshes();
+    }
+
+    // 编辑器方法 - 绘制
+
+    // 指针所在的格子，不在棋盘上时返回 null
+    getCellFromPointer(event) {
+        const game = this.game;
+        const rect = game.renderer.domElement.getBoundingClientRect();
+        const point = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(point, game.camera);
+        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const intersection = new THREE.Vector3();
+        if (!raycaster.ray.intersectPlane(plane, intersection)) return null;
+
+        const half = (this.level.boardSize * game.GRID_SIZE) / 2;
+        const x = Math.floor((intersection.x + half) / game.GRID_SIZE);
+        const y = Math.floor((intersection.z + half) / game.GRID_SIZE);
+        if (x < 0 || y < 0 || x >= this.level.boardSize || y >= this.level.boardSize) return null;
+
+        return { x, y };
+    }
+
+    // 开始一笔：墙体和食物区域从已绘制的格子开始拖动时为擦除
+    beginStroke(cell) {
+        const key = cellKey(cell.x, cell.y);
+        let erase = this.tool === 'erase';
+        if (this.tool === 'wall') erase = this.level.walls.has(key);
+        if (this.tool === 'food') erase = this.level.foodCells.has(key);
+
+        this.stroke = { erase, lastKey: null };
+        this.messages = [];
+        this.continueStroke(cell);
+    }
+
+    // 把当前工具应用到格子上（同一格子只处理一次）
+    continueStroke(cell) {
+        const key = cellKey(cell.x, cell.y);
+        if (key === this.stroke.lastKey) return;
+        this.stroke.lastKey = key;
+
+        switch (this.tool) {
+            case 'wall':
+                if (this.stroke.erase) {
+                    this.removeWall(key);
+                } else {
+                    this.removeFood(key);
+                    this.removeObstacle(key);
+                    this.addWall(key);
+                }
+                break;
+            case 'food':
+                if (this.stroke.erase) {
+                    this.removeFood(key);
+                } else if (!this.level.walls.has(key)) {
+                    this.addFood(key);
+                }
+                break;
+            case 'obstacle':
+                this.removeWall(key);
+                this.setObstacle(key, { type: this.obstacleType, level: this.obstacleLevel });
+                break;
+            case 'spawn':
+                this.level.start.x = cell.x;
+                this.level.start.y = cell.y;
+                this.updateSpawnMeshes();
+                break;
+            case 'erase':
+                this.removeWall(key);
+                this.removeFood(key);
+                this.removeObstacle(key);
+                break;
+        }
+    }
+
+    addWall(key) {
+        if (this.level.walls.has(key)) return;
+        this.level.walls.add(key);
+        this.wallMeshes.set(key, this.createCellMesh(key, this.wallGeometry, this.wallMaterial, this.game.GRID_SIZE / 2));
+    }
+
+    removeWall(key) {
+        if (!this.level.walls.delete(key)) return;
+        this.group.remove(this.wallMeshes.get(key));
+        this.wallMeshes.delete(key);
+    }
+
+    addFood(key) {
+        if (this.level.foodCells.has(key)) return;
+        this.level.foodCells.add(key);
+        const mesh = this.createCellMesh(key, this.foodGeometry, this.foodMaterial, 0.15);
+        mesh.rotation.x = -Math.PI / 2;
+        this.foodMeshes.set(key, mesh);
+    }
+
+    removeFood(key) {
+        if (!this.level.foodCells.delete(key)) return;
+        this.group.remove(this.foodMeshes.get(key));
+        this.foodMeshes.delete(key);
+    }
+
+    setObstacle(key, obstacle) {
+        this.removeObstacle(key);
+        this.level.obstacles.set(key, obstacle);
+        this.obstacleMeshes.set(key, this.createObstacleMesh(key, obstacle));
+    }
+
+    removeObstacle(key) {
+        if (!this.level.obstacles.delete(key)) return;
+
+        const mesh = this.obstacleMeshes.get(key);
+        this.group.remove(mesh);
+        mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+        this.obstacleMeshes.delete(key);
+    }
+
+    // 编辑器方法 - 渲染对象
+
+    // 格子中心的世界坐标
+    cellToWorld(x, y, height) {
+        const gridSize = this.game.GRID_SIZE;
+        const half = (this.level.boardSize * gridSize) / 2;
+        return new THREE.Vector3(x * gridSize - half + gridSize / 2, height, y * gridSize - half + gridSize / 2);
+    }
+
+    // 在格子上放置共享几何体的mesh
+    createCellMesh(key, geometry, material, height) {
+        const [x, y] = parseCellKey(key);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(this.cellToWorld(x, y, height));
+        this.group.add(mesh);
+        return mesh;
+    }
+
+    // 预置障碍物：与游戏中相同的形状和颜色，上方显示等级
+    createObstacleMesh(key, obstacle) {
+        const [x, y] = parseCellKey(key);
+        const typeConfig = OBSTACLE_TYPES[obstacle.type];
+        const gridSize = this.game.GRID_SIZE;
+
+        const mesh = new THREE.Mesh(
+            this.game.createObstacleGeometry(typeConfig.geometry),
+            new THREE.MeshPhongMaterial({ color: typeConfig.color, emissive: typeConfig.emissive, shininess: 80 })
+        );
+        mesh.position.copy(this.cellToWorld(x, y, gridSize / 2));
+
+        // 等级标签
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 32;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 20px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(`Lv${obstacle.level}`, 32, 16);
+
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+        label.scale.set(gridSize, gridSize / 2, 1);
+        label.position.set(0, gridSize, 0);
+        mesh.add(label);
+
+        this.group.add(mesh);
+        return mesh;
+    }
+
+    // 起点处的蛇（蛇头为金色）
+    updateSpawnMeshes() {
+        this.spawnMeshes.forEach(mesh => this.group.remove(mesh));
+        this.spawnMeshes = [];
+
+        const start = this.level.start;
+        const heading = start.heading * Math.PI / 180;
+        const dx = Math.round(Math.cos(heading));
+        const dy = Math.round(Math.sin(heading));
+        for (let i = 0; i < start.length; i++) {
+            const mesh = new THREE.Mesh(this.spawnGeometry, i === 0 ? this.spawnHeadMaterial : this.spawnMaterial);
+            mesh.position.copy(this.cellToWorld(start.x - dx * i, start.y - dy * i, this.game.GRID_SIZE / 2));
+            this.group.add(mesh);
+            this.spawnMeshes.push(mesh);
+        }
+    }
+
+    // 按当前关卡重建所有编辑器对象（棋盘大小改变或导入关卡后）
+    rebuildMeshes() {
+        const level = this.level;
+        const walls = Array.from(level.walls);
+        const foodCells = Array.from(level.foodCells);
+        const obstacles = Array.from(level.obstacles);
+
+        Array.from(level.obstacles.keys()).forEach(key => this.removeObstacle(key));
+        this.group.clear();
+        this.wallMeshes.clear();
+        this.foodMeshes.clear();
+        level.walls.clear();
+        level.foodCells.clear();
+
+        walls.forEach(key => this.addWall(key));
+        foodCells.forEach(key => this.addFood(key));
+        obstacles.forEach(([key, obstacle]) => this.setObstacle(key, obstacle));
+        this.updateSpawnMeshes();
+    }
+
+    // 编辑器方法 - 面板
+
+    // 重新生成面板内容
+    renderPanel() {
+        const level = this.level;
+        const objective = level.objective;
+        const field = (label, name, value, attributes = '') => `
+            <div style="margin: 4px 0;">${label}
+                <input value="${value}" ${attributes} onchange="game.levelEditor.setField('${name}', this.value)" style="${INPUT_STYLE} width: 90px;">
+            </div>`;
+
+        let html = '<div style="text-align: center; margin-bottom: 10px;"><strong>🛠️ 关卡编辑器</strong></div>';
+
+        html += `
+            <div style="margin: 4px 0;">名称 <input value="${escapeAttribute(level.name)}" onchange="game.levelEditor.setField('name', this.value)" style="${INPUT_STYLE} width: 180px;"></div>
+            <div style="margin: 4px 0;">描述 <input value="${escapeAttribute(level.description)}" onchange="game.levelEditor.setField('description', this.value)" style="${INPUT_STYLE} width: 180px;"></div>
+            ${field('棋盘大小', 'boardSize', level.boardSize, 'type="number" min="10" max="60"')}
+            <div style="margin: 4px 0;"><label><input type="checkbox" ${level.wrap ? 'checked' : ''} onchange="game.levelEditor.setField('wrap', this.checked)"> 穿越边界</label></div>
+        `;
+
+        // 工具
+        html += '<div style="margin-top: 10px;"><strong>工具</strong></div><div>';
+        Object.entries(EDITOR_TOOLS).forEach(([tool, label]) => {
+            const background = tool === this.tool ? '#00aa44' : '#444';
+            html += `<button onclick="game.levelEditor.setTool('${tool}')" style="${BUTTON_STYLE} background: ${background};">${label}</button>`;
+        });
+        html += '</div>';
+
+        if (this.tool === 'obstacle') {
+            html += `<div style="margin: 4px 0;">类型 <select onchange="game.levelEditor.setField('obstacleType', this.value)" style="${INPUT_STYLE}">`;
+            Object.entries(OBSTACLE_TYPE_NAMES).forEach(([type, name]) => {
+                html += `<option value="${type}" ${type === this.obstacleType ? 'selected' : ''}>${name}</option>`;
+            });
+            html += '</select></div>';
+            html += field('等级', 'obstacleLevel', this.obstacleLevel, 'type="number" min="1"');
+        }
+
+        if (this.tool === 'spawn') {
+            // 导入的关卡可能使用 -90 这样的等价角度或不是 90° 倍数的朝向，原样保留，不是 90° 倍数时单独列出
+            const normalizedHeading = (level.start.heading % 360 + 360) % 360;
+            html += `<div style="margin: 4px 0;">朝向 <select onchange="game.levelEditor.setField('heading', this.value)" style="${INPUT_STYLE}">`;
+            if (!(normalizedHeading in HEADING_NAMES)) {
+                html += `<option value="${level.start.heading}" selected>${level.start.heading}°</option>`;
+            }
+            Object.entries(HEADING_NAMES).forEach(([heading, name]) => {
+                html += `<option value="${heading}" ${Number(heading) === normalizedHeading ? 'selected' : ''}>${name}</option>`;
+            });
+            html += '</select></div>';
+            html += field('初始长度', 'length', level.start.length, 'type="number" min="1" max="20"');
+        }
+
+        html += `<div style="margin: 6px 0; font-size: 12px; color: #ccc;">
+            起点 (${level.start.x}, ${level.start.y}) · 墙体 ${level.walls.size} 格 · 食物区域 ${level.foodCells.size || '全棋盘'}${level.foodCells.size ? ' 格' : ''} · 障碍物 ${level.obstacles.size} 个
+        </div>`;
+
+        // 目标
+        html += `<div style="margin-top: 10px;"><strong>目标</strong></div>
+            <div style="margin: 4px 0;"><select onchange="game.levelEditor.setField('objectiveType', this.value)" style="${INPUT_STYLE}">`;
+        Object.entries(this.game.getModeNames()).forEach(([type, name]) => {
+            html += `<option value="${type}" ${type === objective.type ? 'selected' : ''}>${name}</option>`;
+        });
+        html += '</select></div>';
+
+        if (objective.type === 'score' || objective.type === 'length') {
+            html += field('时间限制（秒）', 'timeLimit', objective.timeLimit, 'type="number" min="1"');
+        }
+        if (objective.type === 'score') {
+            html += field('目标分数', 'targetScore', objective.targetScore, 'type="number" min="1"');
+        }
+        if (objective.type === 'length') {
+            html += field('目标长度', 'targetLength', objective.targetLength, 'type="number" min="2"');
+        }
+        if (objective.type === 'obstacle') {
+            html += field('最大障碍物', 'maxObstacles', objective.maxObstacles, 'type="number" min="0"');
+            html += field('超限衰减（/秒）', 'decayRate', objective.decayRate, 'type="number" min="0" step="0.1"');
+        }
+
+        // 校验错误或提示
+        if (this.messages.length > 0) {
+            const color = this.messageIsError ? '#ff9999' : '#99ff99';
+            html += `<div style="margin-top: 10px; font-size: 12px; color: ${color}; white-space: pre-wrap;">${this.messages.join('\n')}</div>`;
+        }
+
+        html += `
+            <div style="margin-top: 10px; text-align: center;">
+                <button onclick="game.levelEditor.playTest()" style="${BUTTON_STYLE} background: #00aa44;">▶️ 试玩</button>
+                <button onclick="game.levelEditor.exportLevel()" style="${BUTTON_STYLE} background: #0066cc;">💾 导出</button>
+                <button onclick="game.levelEditor.openFile()" style="${BUTTON_STYLE} background: #444;">📂 导入</button>
+                <button onclick="game.levelEditor.clear()" style="${BUTTON_STYLE} background: #aa4400;">🗑️ 清空</button>
+                <button onclick="game.levelEditor.close()" style="${BUTTON_STYLE} background: #888;">✖️ 关闭</button>
+            </div>
+            <div style="margin-top: 8px; font-size: 11px; color: #888;">左键绘制（在已有格子上拖动为擦除），右键拖拽旋转视角，滚轮缩放，Esc 关闭</div>
+        `;
+
+        this.panel.innerHTML = html;
+    }
+
+    // 切换工具
+    setTool(tool) {
+        this.tool = tool;
+        this.renderPanel();
+    }
+
+    // 面板输入框修改
+    setField(name, value) {
+        const level = this.level;
+        const number = Number(value);
+        this.messages = [];
+
+        switch (name) {
+            case 'name':
+            case 'description':
+                level[name] = value.trim();
+                break;
+            case 'boardSize':
+                if (!Number.isInteger(number) || number < 10 || number > 60) {
+                    this.showMessages(['棋盘大小必须是 10~60 之间的整数'], true);
+                    return;
+                }
+                this.resizeBoard(number);
+                break;
+            case 'wrap':
+                level.wrap = Boolean(value);
+                break;
+            case 'obstacleType':
+                this.obstacleType = value;
+                break;
+            case 'obstacleLevel':
+                this.obstacleLevel = Math.max(1, Math.round(number) || 1);
+                break;
+            case 'heading':
+                level.start.heading = number;
+                this.updateSpawnMeshes();
+                break;
+            case 'length':
+                level.start.length = Math.min(20, Math.max(1, Math.round(number) || 1));
+                this.updateSpawnMeshes();
+                break;
+            case 'objectiveType':
+                level.objective.type = value;
+                break;
+            default:
+                // 目标参数
+                if (Number.isFinite(number)) {
+                    level.objective[name] = number;
+                }
+        }
+
+        this.renderPanel();
+    }
+
+    // 改变棋盘大小：丢弃棋盘外的格子，起点移回棋盘内
+    resizeBoard(size) {
+        const level = this.level;
+        const inBoard = key => parseCellKey(key).every(value => value < size);
+
+        level.boardSize = size;
+        level.walls = new Set(Array.from(level.walls).filter(inBoard));
+        level.foodCells = new Set(Array.from(level.foodCells).filter(inBoard));
+        level.obstacles = new Map(Array.from(level.obstacles).filter(([key]) => inBoard(key)));
+        level.start.x = Math.min(level.start.x, size - 1);
+        level.start.y = Math.min(level.start.y, size - 1);
+
+        this.applyBoardSize();
+    }
+
+    // 清空墙体、食物区域和障碍物
+    clear() {
+        const name = this.level.name;
+        this.level = createEmptyLevel(this.level.boardSize);
+        this.level.name = name;
+        this.messages = [];
+        this.rebuildMeshes();
+        this.renderPanel();
+    }
+
+    // 在面板中显示提示或错误
+    showMessages(messages, isError) {
+        this.messages = messages;
+        this.messageIsError = isError;
+        this.renderPanel();
+    }
+
+    // 编辑器方法 - 关卡数据
+
+    // 转换为关卡文件格式（与 public/levels 中的文件相同）
+    toLevelData() {
+        const level = this.level;
+        const objective = { type: level.objective.type };
+        if (objective.type === 'score' || objective.type === 'length') {
+            objective.timeLimit = level.objective.timeLimit;
+        }
+        if (objective.type === 'score') {
+            objective.targetScore = level.objective.targetScore;
+        }
+        if (objective.type === 'length') {
+            objective.targetLength = level.objective.targetLength;
+        }
+        if (objective.type === 'obstacle') {
+            objective.maxObstacles = level.objective.maxObstacles;
+            objective.decayRate = level.objective.decayRate;
+        }
+
+        const data = {
+            id: level.id || undefined,
+            name: level.name,
+            description: level.description,
+            board: level.wrap ? { size: level.boardSize, wrap: true } : { size: level.boardSize },
+            start: { ...level.start }
+        };
+
+        if (Object.keys(level.speed).length > 0) {
+            data.speed = { ...level.speed };
+        }
+
+        const obstacles = { ...level.obstacleSettings };
+        if (level.obstacles.size > 0) {
+            obstacles.preset = Array.from(level.obstacles).map(([key, obstacle]) => {
+                const [x, y] = parseCellKey(key);
+                return { type: obstacle.type, level: obstacle.level, x, y };
+            });
+        }
+        if (Object.keys(obstacles).length > 0) {
+            data.obstacles = obstacles;
+        }
+
+        if (level.walls.size > 0) {
+            data.walls = mergeCellsToRects(level.walls);
+        }
+        if (level.foodCells.size > 0) {
+            data.food = { zones: mergeCellsToRects(level.foodCells) };
+        }
+
+        data.objective = objective;
+        return data;
+    }
+
+    // 从关卡文件内容载入编辑器（先经过与游戏相同的校验）
+    loadLevelData(data, source) {
+        const levelDef = parseLevel(data, source);
+        const level = createEmptyLevel(levelDef.boardSize);
+
+        level.id = levelDef.id; // 文件中没有 id 时与游戏加载时一样使用文件名
+        level.name = levelDef.name;
+        level.description = levelDef.description;
+        level.wrap = levelDef.wrap;
+        if (levelDef.start) {
+            // 朝向保留文件中的角度（度），重新导出时与原文件一致
+            level.start = {
+                x: levelDef.start.x,
+                y: levelDef.start.y,
+                heading: data.start.heading === undefined ? 0 : data.start.heading,
+                length: levelDef.start.length
+            };
+        }
+        level.speed = { ...levelDef.speed };
+
+        const { preset, ...obstacleSettings } = data.obstacles || {};
+        level.obstacleSettings = obstacleSettings;
+
+        level.objective.type = levelDef.type;
+        if (levelDef.timeLimit) level.objective.timeLimit = levelDef.timeLimit / 1000;
+        ['targetScore', 'targetLength', 'maxObstacles', 'decayRate'].forEach(key => {
+            if (levelDef[key] !== undefined) level.objective[key] = levelDef[key];
+        });
+
+        level.walls = expandRectsToCells(levelDef.walls);
+        level.foodCells = expandRectsToCells(levelDef.foodZones);
+        levelDef.presetObstacles.forEach(obstacle => {
+            level.obstacles.set(cellKey(obstacle.x, obstacle.y), { type: obstacle.type, level: obstacle.level });
+        });
+
+        this.level = level;
+        this.applyBoardSize();
+    }
+
+    // 打开导入文件选择框
+    openFile() {
+        this.fileInput.click();
+    }
+
+    // 导入关卡文件
+    importFile(file) {
+        file.text()
+            .then(text => {
+                this.loadLevelData(JSON.parse(text), file.name);
+                this.showMessages([`已导入 ${file.name}`], false);
+            })
+            .catch(error => {
+                console.error('关卡导入失败:', error);
+                this.showMessages(error.errors || [`关卡导入失败: ${error.message}`], true);
+            });
+    }
+
+    // 校验编辑中的关卡，失败时在面板中列出错误
+    validate() {
+        try {
+            return parseLevel(this.toLevelData(), TEST_LEVEL_SOURCE);
+        } catch (error) {
+            this.showMessages(error.errors || [error.message], true);
+            return null;
+        }
+    }
+
+    // 导出关卡文件
+    exportLevel() {
+        if (!this.validate()) return;
+
+        const data = this.toLevelData();
+        const baseName = data.name.replace(/[\\/:*?"<>|\s]+/g, '-');
+        const fileName = `${baseName}.json`;
+        // 新关卡以文件名作为 id 写入文件，之后重命名文件也不影响已保存的成绩和回放
+        if (!data.id) {
+            this.level.id = baseName;
+            data.id = baseName;
+        }
+        downloadJson(fileName, JSON.stringify(data, null, 4));
+
+        this.showMessages([`已导出 ${fileName}`, '放入 public/levels 并加入 index.json 即可出现在关卡列表中'], false);
+    }
+
+    // 立即试玩：编辑中的关卡作为最后一个关卡加载并开始
+    playTest() {
+        const levelDef = this.validate();
+        if (!levelDef) return;
+
+        levelDef.id = TEST_LEVEL_ID;
+        levelDef.isTestLevel = true;
+
+        const game = this.game;
+        const definitions = game.sim.levelDefinitions.filter(def => !def.isTestLevel);
+        definitions.push(levelDef);
+        game.sim.levelDefinitions = definitions;
+
+        this.close();
+
+        if (game.sim.gameState !== 'waiting') {
+            game.resetGame();
+        }
+        game.loadLevel(definitions.length);
+        game.startLevel();
+        console.log('🛠️ 试玩编辑器关卡:', levelDef.name);
+    }
+}
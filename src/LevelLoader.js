@@ -0,0 +1,533 @@
+import { BOARD_SIZE, DIFFICULTY_CONFIG, OBSTACLE_TYPES } from './config.js';
+
+/**
+ * 关卡文件（JSON）格式，时间单位为秒，角度单位为度：
+ * {
+ *     "id": "arena",                              // 稳定的关卡标识，成绩和回放按它记录；省略时使用文件名（不含 .json）
+ *     "name": "小小竞技场",                       // 必填
+ *     "description": "75秒内获得150分",
+ *     "board": { "size": 20, "wrap": false },     // 棋盘边长（格），10~60，默认 30；wrap 为 true 时强制穿越边界
+ *     "start": { "x": 4, "y": 10, "heading": 0, "length": 4 },
+ *                                                  // 蛇头起点、朝向（0 向 +X，90 向 +Y）、初始长度
+ *     "speed": { "baseSpeed": 1.5, "maxSpeed": 3.5 },
+ *                                                  // 覆盖 DIFFICULTY_CONFIG 中的速度参数（格/秒）
+ *     "obstacles": {
+ *         "enabled": true,                         // false 时不生成障碍物
+ *         "minInterval": 6, "maxInterval": 12,     // 生成间隔（秒）
+ *         "maxCount": 4,                           // 场上最多障碍物数量
+ *         "spawnTable": [                          // 按权重随机选择类型，等级 = 蛇长度 + levelOffset 范围内的随机数
+ *             { "type": "WEAK", "weight": 3, "levelOffset": [-3, -1] },
+ *             { "type": "SPECIAL", "weight": 1 }
+ *         ],
+ *         "preset": [                              // 开局就在棋盘上的障碍物（不计入 maxCount）
+ *             { "type": "STRONG", "level": 8, "x": 10, "y": 10 }
+ *         ]
+ *     },
+ *     "walls": [ { "x": 5, "y": 5, "width": 10, "height": 1 } ],
+ *                                                  // 静态墙体矩形（格）
+ *     "food": { "zones": [ { "x": 0, "y": 0, "width": 10, "height": 10 } ] },
+ *                                                  // 食物只在这些矩形内生成，省略时整个棋盘
+ *     "objective": {                               // 必填
+ *         "type": "score",                         // free / score / length / obstacle
+ *         "timeLimit": 75,                         // 秒，score / length 必填
+ *         "targetScore": 150,                      // score 必填
+ *         "targetLength": 15,                      // length 必填
+ *         "maxObstacles": 3, "decayRate": 0.5      // obstacle 必填
+ *     }
+ * }
+ *
+ * 关卡包目录中的 index.json 按顺序列出关卡文件：{ "levels": ["arena.json"] }
+ * 关卡的顺序和编号可以随意调整，已保存的成绩和回放按 id 对应关卡，id 不能与内置关卡或同一关卡包中的其他关卡重复
+ */
+
+// 可以被关卡覆盖的速度参数
+const SPEED_KEYS = [
+    'baseSpeed',
+    'maxSpeed',
+    'linearGrowth',
+    'exponentialGrowth',
+    'logGrowth',
+    'speedIncreaseThreshold',
+    'dynamicFactor',
+    'minSafeLength',
+    'recoveryRate'
+];
+
+const OBJECTIVE_TYPES = ['free', 'score', 'length', 'obstacle'];
+
+// 生成表未指定 levelOffset 时各类型的默认等级偏移（相对蛇长度）
+const DEFAULT_LEVEL_OFFSETS = {
+    WEAK: [-3, -1],
+    NORMAL: [-1, 1],
+    STRONG: [1, 5],
+    SPECIAL: [0, 2]
+};
+
+const MIN_BOARD_SIZE = 10;
+const MAX_BOARD_SIZE = 60;
+const MAX_START_LENGTH = 20;
+
+/**
+ * 关卡校验错误，errors 中列出所有问题
+ */
+export class LevelValidationError extends Error {
+    /**
+     * @param {string} source - 关卡文件名
+     * @param {string[]} errors - 错误列表
+     */
+    constructor(source, errors) {
+        super(`关卡 ${source} 校验失败:\n- ${errors.join('\n- ')}`);
+        this.name = 'LevelValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+// 字段检查工具
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isInteger = value => Number.isInteger(value);
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * 校验关卡文件并转换为游戏内部使用的关卡定义
+ * @param {object} data - 解析后的 JSON
+ * @param {string} [source] - 文件名，用于错误信息
+ * @returns {object} 关卡定义
+ * @throws {LevelValidationError}
+ */
+export function parseLevel(data, source = '未命名关卡') {
+    const errors = [];
+
+    if (!isObject(data)) {
+        throw new LevelValidationError(source, ['关卡文件的根节点必须是对象']);
+    }
+
+    // 关卡 id，省略时使用文件名
+    const id = data.id === undefined ? source.replace(/\.json$/i, '') : data.id;
+    if (typeof id !== 'string' || id.trim() === '') {
+        errors.push('id 必须是非空字符串');
+    }
+
+    // 名称和描述
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name 必须是非空字符串');
+    }
+    if (data.description !== undefined && typeof data.description !== 'string') {
+        errors.push('description 必须是字符串');
+    }
+
+    // 棋盘
+    let boardSize = BOARD_SIZE;
+    let wrap = false;
+    if (data.board !== undefined) {
+        if (!isObject(data.board)) {
+            errors.push('board 必须是对象');
+        } else {
+            if (data.board.size !== undefined) {
+                if (!isInteger(data.board.size) || data.board.size < MIN_BOARD_SIZE || data.board.size > MAX_BOARD_SIZE) {
+                    errors.push(`board.size 必须是 ${MIN_BOARD_SIZE}~${MAX_BOARD_SIZE} 之间的整数`);
+                } else {
+                    boardSize = data.board.size;
+                }
+            }
+            if (data.board.wrap !== undefined) {
+                if (typeof data.board.wrap !== 'boolean') {
+                    errors.push('board.wrap 必须是 true 或 false');
+                } else {
+                    wrap = data.board.wrap;
+                }
+            }
+        }
+    }
+    const inBoard = (x, y) => x >= 0 && y >= 0 && x < boardSize && y < boardSize;
+
+    // 起点
+    let start = null;
+    if (data.start !== undefined) {
+        start = parseStart(data.start, boardSize, inBoard, errors);
+    }
+
+    // 速度
+    let speed = {};
+    if (data.speed !== undefined) {
+        speed = parseSpeed(data.speed, errors);
+    }
+
+    // 障碍物生成
+    let obstacleSpawn = null;
+    if (data.obstacles !== undefined) {
+        obstacleSpawn = parseObstacles(data.obstacles, errors);
+    }
+
+    // 静态墙体
+    let walls = [];
+    if (data.walls !== undefined) {
+        walls = parseRects(data.walls, 'walls', inBoard, errors);
+    }
+    const isWall = (x, y) => walls.some(wall => x >= wall.x && x < wall.x + wall.width && y >= wall.y && y < wall.y + wall.height);
+
+    // 食物生成区域
+    let foodZones = [];
+    if (data.food !== undefined) {
+        if (!isObject(data.food)) {
+            errors.push('food 必须是对象');
+        } else if (data.food.zones !== undefined) {
+            foodZones = parseRects(data.food.zones, 'food.zones', inBoard, errors);
+        }
+    }
+
+    // 预置障碍物
+    let presetObstacles = [];
+    if (isObject(data.obstacles) && data.obstacles.preset !== undefined) {
+        presetObstacles = parsePresetObstacles(data.obstacles.preset, inBoard, isWall, errors);
+    }
+
+    // 目标
+    let objective = null;
+    if (!isObject(data.objective)) {
+        errors.push('objective 必须是对象');
+    } else {
+        objective = parseObjective(data.objective, errors);
+    }
+
+    // 墙体和预置障碍物不能压住起点处的蛇
+    if (start) {
+        const dx = Math.round(Math.cos(start.heading));
+        const dy = Math.round(Math.sin(start.heading));
+        for (let i = 0; i < start.length; i++) {
+            const x = start.x - dx * i;
+            const y = start.y - dy * i;
+            if (isWall(x, y)) {
+                errors.push(`墙体覆盖了蛇的起始位置 (${x}, ${y})`);
+                break;
+            }
+            if (presetObstacles.some(obstacle => obstacle.x === x && obstacle.y === y)) {
+                errors.push(`预置障碍物覆盖了蛇的起始位置 (${x}, ${y})`);
+                break;
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new LevelValidationError(source, errors);
+    }
+
+    return {
+        id,
+        name: data.name,
+        description: data.description || '',
+        ...objective,
+        boardSize,
+        wrap,
+        start,
+        speed,
+        obstacleSpawn,
+        presetObstacles,
+        walls,
+        foodZones,
+        source
+    };
+}
+
+// 起点：格子坐标、朝向（度 -> 弧度）、初始长度，整条蛇都要在棋盘内
+function parseStart(start, boardSize, inBoard, errors) {
+    if (!isObject(start)) {
+        errors.push('start 必须是对象');
+        return null;
+    }
+
+    const length = start.length === undefined ? DIFFICULTY_CONFIG.initialLength : start.length;
+    const headingDegrees = start.heading === undefined ? 0 : start.heading;
+    let valid = true;
+
+    if (!isInteger(start.x) || !isInteger(start.y) || !inBoard(start.x, start.y)) {
+        errors.push(`start.x / start.y 必须是棋盘内的整数坐标（0~${boardSize - 1}）`);
+        valid = false;
+    }
+    if (typeof headingDegrees !== 'number' || !Number.isFinite(headingDegrees)) {
+        errors.push('start.heading 必须是数字（度）');
+        valid = false;
+    }
+    if (!isInteger(length) || length < 1 || length > MAX_START_LENGTH) {
+        errors.push(`start.length 必须是 1~${MAX_START_LENGTH} 之间的整数`);
+        valid = false;
+    }
+    if (!valid) return null;
+
+    const heading = headingDegrees * Math.PI / 180;
+    const tailX = start.x - Math.round(Math.cos(heading)) * (length - 1);
+    const tailY = start.y - Math.round(Math.sin(heading)) * (length - 1);
+    if (!inBoard(tailX, tailY)) {
+        errors.push(`蛇身超出棋盘：起点 (${start.x}, ${start.y}) 朝向 ${headingDegrees}° 长度 ${length} 时蛇尾位于 (${tailX}, ${tailY})`);
+        return null;
+    }
+
+    return { x: start.x, y: start.y, heading, length };
+}
+
+// 速度覆盖：只允许已知参数，值必须为正数
+function parseSpeed(speed, errors) {
+    if (!isObject(speed)) {
+        errors.push('speed 必须是对象');
+        return {};
+    }
+
+    const result = {};
+    Object.entries(speed).forEach(([key, value]) => {
+        if (!SPEED_KEYS.includes(key)) {
+            errors.push(`speed.${key} 不是可覆盖的速度参数（可用: ${SPEED_KEYS.join(', ')}）`);
+        } else if (!isPositiveNumber(value)) {
+            errors.push(`speed.${key} 必须是正数`);
+        } else {
+            result[key] = value;
+        }
+    });
+
+    const baseSpeed = result.baseSpeed ?? DIFFICULTY_CONFIG.baseSpeed;
+    const maxSpeed = result.maxSpeed ?? DIFFICULTY_CONFIG.maxSpeed;
+    if (baseSpeed > maxSpeed) {
+        errors.push(`speed.baseSpeed (${baseSpeed}) 不能大于 speed.maxSpeed (${maxSpeed})`);
+    }
+
+    return result;
+}
+
+// 障碍物生成：间隔（秒 -> 毫秒）、数量上限、类型权重表
+function parseObstacles(obstacles, errors) {
+    if (!isObject(obstacles)) {
+        errors.push('obstacles 必须是对象');
+        return null;
+    }
+
+    const result = {};
+
+    if (obstacles.enabled !== undefined && typeof obstacles.enabled !== 'boolean') {
+        errors.push('obstacles.enabled 必须是 true 或 false');
+    }
+    if (obstacles.enabled === false) {
+        result.maxCount = 0;
+    }
+
+    ['minInterval', 'maxInterval'].forEach(key => {
+        if (obstacles[key] === undefined) return;
+        if (!isPositiveNumber(obstacles[key])) {
+            errors.push(`obstacles.${key} 必须是正数（秒）`);
+        } else {
+            result[key] = obstacles[key] * 1000;
+        }
+    });
+    if (result.minInterval !== undefined && result.maxInterval !== undefined && result.minInterval > result.maxInterval) {
+        errors.push('obstacles.minInterval 不能大于 obstacles.maxInterval');
+    }
+
+    if (obstacles.maxCount !== undefined) {
+        if (!isInteger(obstacles.maxCount) || obstacles.maxCount < 0) {
+            errors.push('obstacles.maxCount 必须是非负整数');
+        } else if (obstacles.enabled !== false) {
+            result.maxCount = obstacles.maxCount;
+        }
+    }
+
+    if (obstacles.spawnTable !== undefined) {
+        result.table = parseSpawnTable(obstacles.spawnTable, errors);
+    }
+
+    return result;
+}
+
+// 障碍物生成表
+function parseSpawnTable(table, errors) {
+    if (!Array.isArray(table) || table.length === 0) {
+        errors.push('obstacles.spawnTable 必须是非空数组');
+        return null;
+    }
+
+    const result = [];
+    table.forEach((entry, index) => {
+        const path = `obstacles.spawnTable[${index}]`;
+        if (!isObject(entry)) {
+            errors.push(`${path} 必须是对象`);
+            return;
+        }
+        if (!(entry.type in OBSTACLE_TYPES)) {
+            errors.push(`${path}.type 必须是 ${Object.keys(OBSTACLE_TYPES).join(' / ')} 之一`);
+            return;
+        }
+
+        const weight = entry.weight === undefined ? 1 : entry.weight;
+        if (!isPositiveNumber(weight)) {
+            errors.push(`${path}.weight 必须是正数`);
+            return;
+        }
+
+        const levelOffset = entry.levelOffset === undefined ? DEFAULT_LEVEL_OFFSETS[entry.type] : entry.levelOffset;
+        if (!Array.isArray(levelOffset) || levelOffset.length !== 2 ||
+            !isInteger(levelOffset[0]) || !isInteger(levelOffset[1]) || levelOffset[0] > levelOffset[1]) {
+            errors.push(`${path}.levelOffset 必须是 [最小, 最大] 两个整数`);
+            return;
+        }
+
+        result.push({ type: entry.type, weight, levelOffset: [levelOffset[0], levelOffset[1]] });
+    });
+
+    return result.length > 0 ? result : null;
+}
+
+// 矩形列表（墙体、食物区域），宽高默认为 1
+function parseRects(rects, name, inBoard, errors) {
+    if (!Array.isArray(rects)) {
+        errors.push(`${name} 必须是数组`);
+        return [];
+    }
+
+    const result = [];
+    rects.forEach((rect, index) => {
+        const path = `${name}[${index}]`;
+        if (!isObject(rect)) {
+            errors.push(`${path} 必须是对象`);
+            return;
+        }
+
+        const width = rect.width === undefined ? 1 : rect.width;
+        const height = rect.height === undefined ? 1 : rect.height;
+        if (!isInteger(rect.x) || !isInteger(rect.y) || !isInteger(width) || !isInteger(height) || width < 1 || height < 1) {
+            errors.push(`${path} 的 x / y / width / height 必须是整数，宽高至少为 1`);
+            return;
+        }
+        if (!inBoard(rect.x, rect.y) || !inBoard(rect.x + width - 1, rect.y + height - 1)) {
+            errors.push(`${path} 超出棋盘范围`);
+            return;
+        }
+
+        result.push({ x: rect.x, y: rect.y, width, height });
+    });
+
+    return result;
+}
+
+// 预置障碍物：类型、等级和格子位置，不能放在墙上或重叠
+function parsePresetObstacles(preset, inBoard, isWall, errors) {
+    if (!Array.isArray(preset)) {
+        errors.push('obstacles.preset 必须是数组');
+        return [];
+    }
+
+    const result = [];
+    preset.forEach((obstacle, index) => {
+        const path = `obstacles.preset[${index}]`;
+        if (!isObject(obstacle)) {
+            errors.push(`${path} 必须是对象`);
+            return;
+        }
+        if (!(obstacle.type in OBSTACLE_TYPES)) {
+            errors.push(`${path}.type 必须是 ${Object.keys(OBSTACLE_TYPES).join(' / ')} 之一`);
+            return;
+        }
+        if (!isInteger(obstacle.level) || obstacle.level < 1) {
+            errors.push(`${path}.level 必须是正整数`);
+            return;
+        }
+        if (!isInteger(obstacle.x) || !isInteger(obstacle.y) || !inBoard(obstacle.x, obstacle.y)) {
+            errors.push(`${path} 的位置必须在棋盘内`);
+            return;
+        }
+        if (isWall(obstacle.x, obstacle.y)) {
+            errors.push(`${path} 放在了墙体上 (${obstacle.x}, ${obstacle.y})`);
+            return;
+        }
+        if (result.some(other => other.x === obstacle.x && other.y === obstacle.y)) {
+            errors.push(`${path} 与其他预置障碍物重叠 (${obstacle.x}, ${obstacle.y})`);
+            return;
+        }
+
+        result.push({ type: obstacle.type, level: obstacle.level, x: obstacle.x, y: obstacle.y });
+    });
+
+    return result;
+}
+
+// 关卡目标，转换为内部字段（时间限制：秒 -> 毫秒）
+function parseObjective(objective, errors) {
+    const type = objective.type;
+    if (!OBJECTIVE_TYPES.includes(type)) {
+        errors.push(`objective.type 必须是 ${OBJECTIVE_TYPES.join(' / ')} 之一`);
+        return null;
+    }
+
+    const result = { type };
+
+    const requireField = (key, check, message) => {
+        if (objective[key] === undefined) {
+            errors.push(`${type} 类型的关卡必须设置 objective.${key}`);
+        } else if (!check(objective[key])) {
+            errors.push(`objective.${key} ${message}`);
+        } else {
+            result[key] = objective[key];
+        }
+    };
+
+    if (objective.timeLimit !== undefined || type === 'score' || type === 'length') {
+        requireField('timeLimit', isPositiveNumber, '必须是正数（秒）');
+        if (result.timeLimit !== undefined) {
+            result.timeLimit *= 1000;
+        }
+    }
+
+    if (type === 'score') {
+        requireField('targetScore', value => isInteger(value) && value > 0, '必须是正整数');
+    }
+    if (type === 'length') {
+        requireField('targetLength', value => isInteger(value) && value > 1, '必须是大于 1 的整数');
+    }
+    if (type === 'obstacle') {
+        requireField('maxObstacles', value => isInteger(value) && value >= 0, '必须是非负整数');
+        requireField('decayRate', value => typeof value === 'number' && value >= 0, '必须是非负数');
+    }
+
+    return result;
+}
+
+/**
+ * 加载关卡包：读取 index.json 中列出的所有关卡文件
+ * 单个文件出错不影响其他关卡，错误统一返回给调用方显示
+ * @param {string} baseUrl - 关卡包目录地址（以 / 结尾）
+ * @param {Function} [fetchFn] - fetch 实现
+ * @param {string[]} [reservedIds] - 已被占用的关卡 id（内置关卡），关卡包中的关卡不能使用
+ * @returns {Promise<{levels: object[], errors: string[]}>}
+ */
+export async function loadLevelPack(baseUrl, fetchFn = fetch, reservedIds = []) {
+    const readJson = async (file) => {
+        const response = await fetchFn(baseUrl + file);
+        if (!response.ok) {
+            throw new Error(`无法读取 ${file}（HTTP ${response.status}）`);
+        }
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`${file} 不是有效的 JSON`);
+        }
+    };
+
+    const index = await readJson('index.json');
+    if (!isObject(index) || !Array.isArray(index.levels)) {
+        throw new Error('index.json 必须包含 levels 数组');
+    }
+
+    const levels = [];
+    const errors = [];
+    const ids = new Set(reservedIds);
+    for (const file of index.levels) {
+        try {
+            const level = parseLevel(await readJson(file), file);
+            if (ids.has(level.id)) {
+                throw new LevelValidationError(file, [`id "${level.id}" 与其他关卡重复`]);
+            }
+            ids.add(level.id);
+            levels.push(level);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    return { levels, errors };
+}
@@ -0,0 +1,299 @@
+import { NETWORK_CONFIG } from './config.js';
+import { interpolateSnapshots } from './Snapshot.js';
+
+// sessionStorage 中保存重连凭证的键名，刷新页面后可以回到原来的房间
+const SESSION_KEY = 'threejs-snake-online-session';
+
+/**
+ * 联机对战客户端 - 连接本地权威服务器（server/index.js），消息格式见 server/Lobby.js
+ *
+ * 只发送转向输入，画面由服务器快照驱动：快照按收到的时间缓存，
+ * 渲染时落后 interpolationDelay 毫秒，在两个快照之间插值
+ *
+ * 快照中的玩家按本机视角重新编号：本机玩家总是 0 号，事件中的玩家编号同样换算
+ */
+export class NetworkClient {
+    /**
+     * @param {object} [options]
+     * @param {Function} [options.onLobby] - 房间信息更新，参数为服务器的 lobby 消息
+     * @param {Function} [options.onError] - 服务器返回错误，参数为错误信息
+     * @param {Function} [options.onStatus] - 连接状态变化，参数为 'connecting' / 'connected' / 'reconnecting' / 'closed'
+     * @param {Function} [options.onLeft] - 离开房间（主动离开、重连失败或被移出）
+     */
+    constructor(options = {}) {
+        this.onLobby = options.onLobby || (() => {});
+        this.onError = options.onError || (() => {});
+        this.onStatus = options.onStatus || (() => {});
+        this.onLeft = options.onLeft || (() => {});
+
+        this.url = null;
+        this.socket = null;
+        this.session = null;        // 当前房间 { url, code, token }
+        this.lobby = null;          // 最近的房间信息
+        this.snapshots = [];        // 快照缓冲 [{ receivedAt, snapshot, delivered }]
+        this.targetDirection = null; // 本机最近一次输入的朝向，本局还没有输入时为 null
+        this.pendingHeading = null;
+        this.lastInputTime = 0;
+        this.reconnectTimer = null;
+        this.reconnectDeadline = 0;
+        this.isRejoining = false;
+    }
+
+    // 默认服务器地址：与页面同一主机的联机端口
+    static getDefaultUrl() {
+        const host = typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost';
+        return `ws://${host}:${NETWORK_CONFIG.port}`;
+    }
+
+    // 上次保存的房间（刷新页面前所在的房间），没有时为 null
+    static getSavedSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 是否已在房间中
+    get inRoom() {
+        return this.session !== null;
+    }
+
+    // 本机在房间中的编号（也是对局中服务器端的玩家编号）
+    get playerIndex() {
+        return this.lobby ? this.lobby.you : 0;
+    }
+
+    /**
+     * 连接服务器
+     * @param {string} url - WebSocket 地址，如 ws://localhost:8787
+     * @returns {Promise<void>} 连接成功时 resolve
+     */
+    connect(url) {
+        this.disconnect();
+        this.url = url;
+        this.onStatus('connecting');
+
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(url);
+            this.socket = socket;
+
+            socket.addEventListener('open', () => {
+                this.onStatus('connected');
+                resolve();
+            });
+            socket.addEventListener('message', event => {
+                if (socket === this.socket) this.handleMessage(JSON.parse(event.data));
+            });
+            socket.addEventListener('close', () => {
+                if (socket !== this.socket) return;
+                this.socket = null;
+                reject(new Error(`无法连接到 ${url}`));
+                this.handleConnectionLost();
+            });
+        });
+    }
+
+    // 关闭连接（不离开房间，仍可重连）
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+
+    // 创建房间
+    async createRoom(url, wrapAround) {
+        await this.connect(url);
+        this.send({ type: 'create', wrapAround });
+    }
+
+    // 加入房间
+    async joinRoom(url, code) {
+        await this.connect(url);
+        this.send({ type: 'join', code: code.trim().toUpperCase() });
+    }
+
+    /**
+     * 用保存的凭证重新加入房间
+     * @param {object} session - { url, code, token }
+     */
+    async rejoinRoom(session) {
+        await this.connect(session.url);
+        this.isRejoining = true;
+        this.send({ type: 'rejoin', code: session.code, token: session.token });
+    }
+
+    // 房主开始对局
+    startMatch() {
+        this.send({ type: 'start' });
+    }
+
+    // 离开房间并断开连接
+    leaveRoom() {
+        this.send({ type: 'leave' });
+        this.clearSession();
+        this.disconnect();
+        this.onStatus('closed');
+    }
+
+    /**
+     * 记录本机的转向输入，按 inputInterval 节流发送（见 update）
+     * @param {number} heading - 弧度
+     */
+    sendInput(heading) {
+        this.targetDirection = heading;
+        this.pendingHeading = heading;
+    }
+
+    /**
+     * 每帧调用：发送节流中的输入，返回当前应渲染的快照和新到期的事件
+     * @param {number} now - performance.now()
+     * @returns {{state: object, events: Array}|null} 还没有收到快照时为 null
+     */
+    update(now) {
+        if (this.pendingHeading !== null && now - this.lastInputTime >= NETWORK_CONFIG.inputInterval) {
+            this.send({ type: 'input', heading: this.pendingHeading });
+            this.pendingHeading = null;
+            this.lastInputTime = now;
+        }
+
+        return this.sample(now);
+    }
+
+    // 取渲染时刻前后的两个快照插值，已经过去的快照中的事件按顺序交给渲染层
+    sample(now) {
+        if (this.snapshots.length === 0) return null;
+
+        const renderTime = now - NETWORK_CONFIG.interpolationDelay;
+        const events = [];
+        const deliver = entry => {
+            if (entry.delivered) return;
+            entry.delivered = true;
+            events.push(...entry.snapshot.events);
+        };
+
+        while (this.snapshots.length > 1 && this.snapshots[1].receivedAt <= renderTime) {
+            deliver(this.snapshots.shift());
+        }
+
+        const [from, to] = this.snapshots;
+        deliver(from);
+        if (!to) {
+            return { state: from.snapshot, events };
+        }
+
+        const alpha = Math.max(0, Math.min(1, (renderTime - from.receivedAt) / (to.receivedAt - from.receivedAt)));
+        return { state: interpolateSnapshots(from.snapshot, to.snapshot, alpha), events };
+    }
+
+    // 处理服务器消息
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.session = { url: this.url, code: message.code, token: message.token };
+                sessionStorage.setItem(SESSION_KEY, JSON.stringify(this.session));
+                this.snapshots = [];
+                this.isRejoining = false;
+                this.reconnectDeadline = 0;
+                break;
+            case 'lobby':
+                // 新的一局重新记录本机输入
+                if (!this.lobby || this.lobby.match !== message.match) {
+                    this.targetDirection = null;
+                    this.pendingHeading = null;
+                }
+                this.lobby = message;
+                this.onLobby(message);
+                break;
+            case 'snapshot':
+                this.snapshots.push({ receivedAt: performance.now(), snapshot: this.toLocalView(message), delivered: false });
+                break;
+            case 'left':
+                this.clearSession();
+                this.disconnect();
+                this.onLeft();
+                break;
+            case 'error':
+                this.onError(message.message);
+                // 房间已关闭或位置已超时，不再重连
+                if (this.isRejoining) {
+                    this.isRejoining = false;
+                    this.clearSession();
+                    this.disconnect();
+                    this.onLeft();
+                }
+                break;
+        }
+    }
+
+    // 把服务器的玩家编号换算为本机视角：本机玩家和 0 号互换
+    toLocalIndex(index) {
+        const local = this.playerIndex;
+        if (index === local) return 0;
+        if (index === 0) return local;
+        return index;
+    }
+
+    // 快照和其中的事件换算为本机视角
+    toLocalView(snapshot) {
+        const players = [];
+        snapshot.players.forEach(player => {
+            const index = this.toLocalIndex(player.index);
+            players[index] = { ...player, index };
+        });
+
+        const events = snapshot.events.map(event => {
+            const localEvent = { ...event, player: this.toLocalIndex(event.player) };
+            if (event.type === 'gameOver' && event.scores) {
+                localEvent.winner = event.winner === null ? null : this.toLocalIndex(event.winner);
+                localEvent.scores = players.map(player => player.score);
+                localEvent.score = players[0].score;
+                localEvent.length = players[0].snake.length;
+            }
+            return localEvent;
+        });
+
+        return { ...snapshot, players, events };
+    }
+
+    // 连接意外断开：还在房间中时定时重连，超过等待时间后放弃
+    handleConnectionLost() {
+        if (!this.session) {
+            this.onStatus('closed');
+            return;
+        }
+
+        if (!this.reconnectDeadline) {
+            this.reconnectDeadline = performance.now() + NETWORK_CONFIG.disconnectTimeout;
+        }
+        if (performance.now() > this.reconnectDeadline) {
+            this.reconnectDeadline = 0;
+            this.clearSession();
+            this.onStatus('closed');
+            this.onLeft();
+            return;
+        }
+
+        this.onStatus('reconnecting');
+        this.reconnectTimer = setTimeout(() => {
+            this.rejoinRoom(this.session).catch(() => {});
+        }, NETWORK_CONFIG.reconnectInterval);
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    clearSession() {
+        this.session = null;
+        this.lobby = null;
+        this.snapshots = [];
+        sessionStorage.removeItem(SESSION_KEY);
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * 插件管理
+ *
+ * 插件是一个普通对象，所有字段都可选：
+ * {
+ *     name: 'achievements',
+ *     install(game) {},                 // 注册时调用
+ *     uninstall(game) {},               // 注销时调用
+ *     events: { foodEaten(payload) {} }, // 订阅游戏事件
+ *     update(deltaTime, game) {},       // 每帧逻辑更新之后调用
+ *     render(deltaTime, game) {}        // 每帧渲染之前调用
+ * }
+ */
+export class PluginManager {
+    /**
+     * @param {object} game - 传给插件钩子的游戏对象
+     * @param {import('./EventEmitter.js').EventEmitter} events - 游戏事件发射器
+     */
+    constructor(game, events) {
+        this.game = game;
+        this.events = events;
+        this.plugins = [];
+    }
+
+    /**
+     * 注册插件
+     * @param {object} plugin
+     * @returns {Function} 注销插件的函数
+     */
+    register(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('插件必须是一个对象');
+        }
+        if (this.plugins.some(entry => entry.plugin === plugin)) {
+            throw new Error(`插件已注册: ${plugin.name || '未命名'}`);
+        }
+
+        // 先订阅事件，事件名错误时直接抛出，不留下半注册的插件
+        const unsubscribers = [];
+        try {
+            Object.entries(plugin.events || {}).forEach(([type, handler]) => {
+                unsubscribers.push(this.events.on(type, handler.bind(plugin)));
+            });
+        } catch (error) {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            throw error;
+        }
+
+        this.plugins.push({ plugin, unsubscribers });
+
+        if (plugin.install) {
+            plugin.install(this.game);
+        }
+
+        console.log('🧩 插件已注册:', plugin.name || '未命名');
+        return () => this.unregister(plugin);
+    }
+
+    /**
+     * 注销插件
+     * @param {object} plugin
+     */
+    unregister(plugin) {
+        const index = this.plugins.findIndex(entry => entry.plugin === plugin);
+        if (index === -1) return;
+
+        const [entry] = this.plugins.splice(index, 1);
+        entry.unsubscribers.forEach(unsubscribe => unsubscribe());
+
+        if (plugin.uninstall) {
+            plugin.uninstall(this.game);
+        }
+    }
+
+    /**
+     * 调用所有插件的某个钩子，单个插件出错不影响游戏循环
+     * @param {'update'|'render'} hook - 钩子名
+     * @param {number} deltaTime - 距上一帧的毫秒数
+     */
+    runHook(hook, deltaTime) {
+        this.plugins.forEach(({ plugin }) => {
+            if (!plugin[hook]) return;
+
+            try {
+                plugin[hook](deltaTime, this.game);
+            } catch (error) {
+                console.error(`插件 ${plugin.name || '未命名'} 的 ${hook} 钩子出错:`, error);
+            }
+        });
+    }
+}
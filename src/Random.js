@@ -0,0 +1,65 @@
+/**
+ * 可设置种子的伪随机数生成器（mulberry32）
+ * 相同种子产生完全相同的随机序列，用于复现一局游戏
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - 32位无符号整数种子
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * 返回 [0, 1) 区间的随机数，用法与 Math.random() 相同
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 返回 [0, max) 区间的随机整数
+     * @param {number} max - 上限（不包含）
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+/**
+ * 生成一个新的随机种子
+ * @returns {number} 32位无符号整数
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * 把用户输入解析为种子：纯数字直接使用，其他文本做 FNV-1a 哈希
+ * @param {string|number} value - 用户输入
+ * @returns {number|null} 32位无符号整数，输入为空时返回 null
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '') return null;
+
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
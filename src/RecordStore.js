@@ -0,0 +1,209 @@
+import { LEVEL_DEFINITIONS } from './config.js';
+import { getDefaultStorage } from './Storage.js';
+
+// 本地存储的键名和数据格式版本
+export const RECORDS_STORAGE_KEY = 'snake3d.records';
+export const RECORDS_VERSION = 2;
+
+// 每种模式保留的最高分条数
+const HIGH_SCORE_LIMIT = 10;
+
+// 旧版本数据升级函数：版本号 -> 升级到下一版本的函数
+const MIGRATIONS = {
+    // 版本 1 按关卡编号记录：内置关卡排在最前，编号不变，换成 id；
+    // 关卡包中的关卡编号会随 index.json 变化，无法确定对应哪个关卡，丢弃其个人最佳
+    1: records => {
+        const builtInId = level => (Number.isInteger(level) && LEVEL_DEFINITIONS[level - 1] ? LEVEL_DEFINITIONS[level - 1].id : null);
+
+        const levels = {};
+        Object.entries(records.levels || {}).forEach(([level, record]) => {
+            const levelId = builtInId(Number(level));
+            if (levelId !== null) levels[levelId] = record;
+        });
+
+        const highScores = {};
+        Object.entries(records.highScores || {}).forEach(([mode, entries]) => {
+            highScores[mode] = entries.map(entry => ({ ...entry, levelId: builtInId(entry.level) }));
+        });
+
+        return { version: 2, highScores, levels };
+    }
+};
+
+// 创建空记录
+function createEmptyRecords() {
+    return {
+        version: RECORDS_VERSION,
+        highScores: {},   // 模式（关卡类型）-> [{ score, length, level, levelId, seed, date }]，按分数降序，level 为当时的关卡编号，只用于显示
+        levels: {}        // 关卡 id -> { bestScore, bestLength, fastestTime, plays, completions }
+    };
+}
+
+/**
+ * 把读取到的数据升级到当前版本，无法识别时返回 null
+ * @param {object} data
+ * @returns {object|null}
+ */
+function migrateRecords(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+        return null;
+    }
+
+    let records = data;
+    while (records.version < RECORDS_VERSION) {
+        const migrate = MIGRATIONS[records.version];
+        if (!migrate) return null;
+        records = migrate(records);
+    }
+
+    if (records.version !== RECORDS_VERSION) {
+        return null;
+    }
+
+    records.highScores = records.highScores || {};
+    records.levels = records.levels || {};
+    return records;
+}
+
+/**
+ * 最高分和关卡个人最佳记录
+ * 保存在 localStorage 中，版本变化时按 MIGRATIONS 逐级升级旧数据
+ */
+export class RecordStore {
+    /**
+     * @param {object} [options]
+     * @param {Storage} [options.storage] - 存储对象，默认 window.localStorage
+     * @param {string} [options.key] - 存储键名
+     */
+    constructor(options = {}) {
+        this.key = options.key || RECORDS_STORAGE_KEY;
+        this.storage = options.storage !== undefined ? options.storage : getDefaultStorage();
+        this.records = this.load();
+    }
+
+    // 读取记录，数据损坏或版本无法识别时重新开始
+    load() {
+        if (!this.storage) return createEmptyRecords();
+
+        try {
+            const text = this.storage.getItem(this.key);
+            if (!text) return createEmptyRecords();
+
+            const records = migrateRecords(JSON.parse(text));
+            if (!records) {
+                console.warn('无法识别的记录数据，已重置');
+                return createEmptyRecords();
+            }
+            return records;
+        } catch (error) {
+            console.warn('读取记录失败:', error);
+            return createEmptyRecords();
+        }
+    }
+
+    // 写入记录
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('保存记录失败:', error);
+        }
+    }
+
+    /**
+     * 获取某种模式的最高分列表
+     * @param {string} mode - 关卡类型
+     * @returns {Array}
+     */
+    getHighScores(mode) {
+        return this.records.highScores[mode] || [];
+    }
+
+    /**
+     * 获取关卡个人最佳
+     * @param {string} levelId - 关卡 id
+     * @returns {object|null}
+     */
+    getLevelRecord(levelId) {
+        return this.records.levels[levelId] || null;
+    }
+
+    /**
+     * 记录一局结果
+     * @param {object} run
+     * @param {string} run.mode - 关卡类型
+     * @param {number|null} run.level - 关卡编号，只用于在排行榜中显示
+     * @param {string|null} run.levelId - 关卡 id，为 null 时不更新关卡个人最佳
+     * @param {number} run.score - 得分
+     * @param {number} run.length - 长度
+     * @param {number} run.seed - 随机种子
+     * @param {boolean} run.completed - 是否完成关卡
+     * @param {number} [run.completionTime] - 完成用时（毫秒）
+     * @returns {{rank: number, isHighScore: boolean, newBestScore: boolean, newBestLength: boolean, newFastestTime: boolean}}
+     */
+    recordRun(run) {
+        // 最高分榜
+        const highScores = this.getHighScores(run.mode).slice();
+        const entry = {
+            score: run.score,
+            length: run.length,
+            level: run.level,
+            levelId: run.levelId,
+            seed: run.seed,
+            date: new Date().toISOString()
+        };
+        let rank = highScores.findIndex(item => run.score > item.score);
+        if (rank === -1) rank = highScores.length;
+        highScores.splice(rank, 0, entry);
+        highScores.length = Math.min(highScores.length, HIGH_SCORE_LIMIT);
+        this.records.highScores[run.mode] = highScores;
+
+        const isHighScore = rank < HIGH_SCORE_LIMIT;
+
+        if (run.levelId === null) {
+            this.save();
+            return { rank: isHighScore ? rank + 1 : 0, isHighScore, newBestScore: false, newBestLength: false, newFastestTime: false };
+        }
+
+        // 关卡个人最佳
+        const previous = this.getLevelRecord(run.levelId);
+        const record = previous ? { ...previous } : {
+            bestScore: 0,
+            bestLength: 0,
+            fastestTime: null,
+            plays: 0,
+            completions: 0
+        };
+
+        const newBestScore = run.score > record.bestScore;
+        const newBestLength = run.length > record.bestLength;
+        const newFastestTime = run.completed && typeof run.completionTime === 'number' &&
+            (record.fastestTime === null || run.completionTime < record.fastestTime);
+
+        record.plays++;
+        if (newBestScore) record.bestScore = run.score;
+        if (newBestLength) record.bestLength = run.length;
+        if (run.completed) record.completions++;
+        if (newFastestTime) record.fastestTime = run.completionTime;
+        this.records.levels[run.levelId] = record;
+
+        this.save();
+
+        // 分数和长度在第一次游玩时不算刷新纪录；首次通关即为最快用时纪录
+        return {
+            rank: isHighScore ? rank + 1 : 0,
+            isHighScore,
+            newBestScore: Boolean(previous) && newBestScore,
+            newBestLength: Boolean(previous) && newBestLength,
+            newFastestTime
+        };
+    }
+
+    // 清空所有记录
+    clear() {
+        this.records = createEmptyRecords();
+        this.save();
+    }
+}
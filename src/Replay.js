@@ -0,0 +1,248 @@
+import { TICK_MS } from './config.js';
+import { SnakeSimulation } from './SnakeSimulation.js';
+
+// 回放文件格式版本，格式不兼容时递增
+export const REPLAY_VERSION = 1;
+
+// 方向量化精度 - 录制时把目标方向取整到该精度，回放文件更小且结果完全一致
+const DIRECTION_PRECISION = 10000;
+
+/**
+ * 录制一局游戏的输入
+ * 模拟是确定性的，只需保存初始条件（种子、关卡、难度配置、电脑对手）和每个模拟步的输入即可完整复现
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+        this.tick = 0;
+        this.lastDirection = null;
+        this.isRecording = false;
+    }
+
+    /**
+     * 开始录制，需在模拟从 waiting 进入 playing 之前调用
+     * @param {SnakeSimulation} sim - 被录制的模拟
+     * @param {boolean} levelStarted - 是否通过 beginLevel() 激活关卡开始
+     */
+    begin(sim, levelStarted) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            tickMs: TICK_MS,
+            seed: sim.seed,
+            level: sim.levelSystem.currentLevel,   // 关卡编号，只用于显示
+            levelId: sim.getCurrentLevelDefinition().id,
+            levelStarted,
+            difficulty: { ...sim.baseDifficulty },
+            wrapAround: sim.wrapMode,
+            bots: sim.getBotDifficulties(),
+            recordedAt: new Date().toISOString(),
+            ticks: 0,
+            inputs: [],  // [模拟步, 目标方向]，只记录变化
+            keys: [],    // [模拟步, 按键]
+            result: null
+        };
+        this.tick = 0;
+        this.lastDirection = null;
+        this.isRecording = true;
+    }
+
+    /**
+     * 记录即将执行的模拟步的输入，需在每次 sim.step() 之前调用
+     * @param {SnakeSimulation} sim
+     */
+    recordTick(sim) {
+        if (!this.isRecording) return;
+
+        const direction = Math.round(sim.targetDirection * DIRECTION_PRECISION) / DIRECTION_PRECISION;
+        sim.targetDirection = direction;
+
+        if (direction !== this.lastDirection) {
+            this.replay.inputs.push([this.tick, direction]);
+            this.lastDirection = direction;
+        }
+
+        this.tick++;
+    }
+
+    /**
+     * 记录按键事件（用于复盘，不影响模拟）
+     * @param {string} key
+     */
+    recordKey(key) {
+        if (!this.isRecording) return;
+
+        this.replay.keys.push([this.tick, key]);
+    }
+
+    /**
+     * 结束录制
+     * @param {SnakeSimulation} sim
+     * @returns {object|null} 录制完成的回放数据
+     */
+    finish(sim) {
+        if (!this.isRecording) return null;
+
+        this.replay.ticks = this.tick;
+        this.replay.result = { score: sim.score, length: sim.snake.length };
+        this.isRecording = false;
+
+        return this.replay;
+    }
+
+    // 放弃当前录制
+    cancel() {
+        this.replay = null;
+        this.isRecording = false;
+    }
+}
+
+/**
+ * 播放回放 - 用回放中的初始条件创建独立的模拟，并按模拟步重新输入
+ */
+export class ReplayPlayer {
+    /**
+     * @param {object} replay - 经过 parseReplay() 校验的回放数据
+     * @param {Array} [levelDefinitions] - 关卡定义列表，包含关卡文件加载的关卡
+     */
+    constructor(replay, levelDefinitions) {
+        this.replay = replay;
+        this.sim = new SnakeSimulation({ seed: replay.seed, difficulty: replay.difficulty, wrapAround: replay.wrapAround, levelDefinitions });
+        // 按关卡 id 查找关卡，关卡列表的顺序改变后回放仍对应原来的关卡；旧回放只有关卡编号
+        this.level = replay.levelId !== null ? this.sim.getLevelNumber(replay.levelId) : replay.level;
+        if (!this.sim.loadLevel(this.level)) {
+            throw new Error(`回放中的关卡 ${replay.levelId !== null ? replay.levelId : replay.level} 不存在`);
+        }
+        if (!this.sim.setBots(replay.bots)) {
+            throw new Error('回放中的电脑对手设置无效');
+        }
+        this.restart();
+    }
+
+    // 总模拟步数
+    get totalTicks() {
+        return this.replay.ticks;
+    }
+
+    // 回到回放开头
+    restart() {
+        const replay = this.replay;
+        this.sim.reset(replay.seed);
+        this.sim.loadLevel(this.level);
+
+        if (replay.levelStarted) {
+            this.sim.beginLevel();
+        } else {
+            this.sim.start();
+        }
+
+        this.tick = 0;
+        this.inputIndex = 0;
+        this.keyIndex = 0;
+        this.lastKey = null;
+    }
+
+    // 回放是否已结束
+    isFinished() {
+        return this.tick >= this.totalTicks || this.sim.gameState !== 'playing';
+    }
+
+    // 执行一个模拟步
+    stepOnce() {
+        if (this.isFinished()) return;
+
+        const { inputs, keys } = this.replay;
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= this.tick) {
+            this.sim.targetDirection = inputs[this.inputIndex][1];
+            this.inputIndex++;
+        }
+        while (this.keyIndex < keys.length && keys[this.keyIndex][0] <= this.tick) {
+            this.lastKey = keys[this.keyIndex][1];
+            this.keyIndex++;
+        }
+
+        this.sim.step();
+        this.tick++;
+    }
+
+    /**
+     * 跳转到指定模拟步，向后跳转时从头重新模拟
+     * @param {number} tick - 目标模拟步
+     */
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.totalTicks, Math.floor(tick)));
+        if (target < this.tick) {
+            this.restart();
+        }
+
+        while (this.tick < target && !this.isFinished()) {
+            this.stepOnce();
+        }
+    }
+}
+
+/**
+ * 序列化回放数据
+ * @param {object} replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * 解析并校验回放文件
+ * @param {string} text - 回放文件内容
+ * @returns {object} 回放数据
+ * @throws {Error} 格式不正确或与当前版本不兼容时抛出
+ */
+export function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (error) {
+        throw new Error('回放文件不是有效的 JSON');
+    }
+
+    if (!replay || typeof replay !== 'object') {
+        throw new Error('回放文件内容为空');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`不支持的回放版本: ${replay.version}（当前版本 ${REPLAY_VERSION}）`);
+    }
+    if (replay.tickMs !== TICK_MS) {
+        throw new Error(`回放的模拟步长 ${replay.tickMs}ms 与当前游戏 ${TICK_MS}ms 不一致`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+        throw new Error('回放缺少有效的随机种子');
+    }
+    if (!Number.isInteger(replay.level) || replay.level < 1) {
+        throw new Error('回放缺少有效的关卡编号');
+    }
+    if (!replay.difficulty || typeof replay.difficulty !== 'object') {
+        throw new Error('回放缺少难度配置');
+    }
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0) {
+        throw new Error('回放缺少有效的模拟步数');
+    }
+    if (!Array.isArray(replay.inputs) || !replay.inputs.every(isTickEntry)) {
+        throw new Error('回放的方向输入格式不正确');
+    }
+    if (!Array.isArray(replay.keys) || !replay.keys.every(isTickEntry)) {
+        throw new Error('回放的按键记录格式不正确');
+    }
+
+    if (replay.levelId !== undefined && (typeof replay.levelId !== 'string' || replay.levelId === '')) {
+        throw new Error('回放的关卡 id 格式不正确');
+    }
+
+    replay.levelId = replay.levelId !== undefined ? replay.levelId : null; // 旧回放只有关卡编号
+    replay.levelStarted = Boolean(replay.levelStarted);
+    replay.wrapAround = Boolean(replay.wrapAround); // 旧回放没有该字段，视为普通模式
+    replay.bots = Array.isArray(replay.bots) ? replay.bots : []; // 旧回放没有电脑对手
+    return replay;
+}
+
+// 校验 [模拟步, 值] 形式的记录
+function isTickEntry(entry) {
+    return Array.isArray(entry) && entry.length === 2 && Number.isInteger(entry[0]) && entry[0] >= 0;
+}
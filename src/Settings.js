@@ -0,0 +1,157 @@
+import { CAMERA_CONFIG, CAMERA_MODES } from './config.js';
+import { getDefaultStorage } from './Storage.js';
+
+// 本地存储的键名
+export const SETTINGS_STORAGE_KEY = 'snake3d.settings';
+
+// 设置界面的分组：分组键 -> 标题
+export const SETTING_GROUPS = {
+    camera: '相机',
+    controls: '操作',
+    graphics: '画面',
+    interface: '界面'
+};
+
+/**
+ * 所有可调整的设置，设置界面按这个列表生成
+ * - range: 滑块，值限制在 min~max 之间
+ * - checkbox: 开关
+ * - select: 下拉框，值只能是 options 中的一项（[值, 显示文字]）
+ */
+export const SETTING_DEFINITIONS = [
+    { key: 'cameraMode', group: 'camera', label: '相机模式', type: 'select', options: CAMERA_MODES.map(mode => [mode.id, mode.label]), default: 'orbit' },
+    { key: 'dynamicFraming', group: 'camera', label: '自动拉远视角', type: 'checkbox', default: CAMERA_CONFIG.dynamicFraming },
+    { key: 'mouseSensitivity', group: 'camera', label: '鼠标灵敏度', type: 'range', min: 0.001, max: 0.01, step: 0.0005, default: CAMERA_CONFIG.mouseSensitivity },
+    { key: 'touchSensitivity', group: 'camera', label: '触控灵敏度', type: 'range', min: 0.001, max: 0.015, step: 0.0005, default: CAMERA_CONFIG.touchSensitivity },
+    { key: 'followSpeed', group: 'camera', label: '跟随速度', type: 'range', min: 0.02, max: 0.5, step: 0.01, default: CAMERA_CONFIG.followSpeed },
+    { key: 'dampingFactor', group: 'camera', label: '旋转惯性', type: 'range', min: 0, max: 0.9, step: 0.05, default: CAMERA_CONFIG.dampingFactor },
+    { key: 'minDistance', group: 'camera', label: '最近距离', type: 'range', min: 10, max: 80, step: 5, default: CAMERA_CONFIG.minDistance },
+    { key: 'maxDistance', group: 'camera', label: '最远距离', type: 'range', min: 80, max: 300, step: 10, default: CAMERA_CONFIG.maxDistance },
+
+    { key: 'pointerLock', group: 'controls', label: '指针锁定转向', type: 'checkbox', default: false },
+    { key: 'pointerSensitivity', group: 'controls', label: '转向灵敏度', type: 'range', min: 0.001, max: 0.02, step: 0.0005, default: 0.005 },
+    { key: 'pointerInvert', group: 'controls', label: '反转转向', type: 'checkbox', default: false },
+
+    { key: 'targetFPS', group: 'graphics', label: '帧率上限', type: 'select', options: [[30, '30'], [60, '60'], [90, '90'], [120, '120'], [144, '144'], [240, '240']], default: 60 },
+    { key: 'antialias', group: 'graphics', label: '抗锯齿', type: 'checkbox', default: true },
+    { key: 'pixelRatio', group: 'graphics', label: '像素比', type: 'select', options: [[0.5, '0.5x'], [0.75, '0.75x'], [1, '1x'], [1.5, '1.5x'], [2, '2x'], ['device', '跟随屏幕']], default: 1 },
+    { key: 'shadowQuality', group: 'graphics', label: '阴影质量', type: 'select', options: [['off', '关闭'], ['low', '低'], ['medium', '中'], ['high', '高']], default: 'off' },
+
+    { key: 'hud', group: 'interface', label: 'HUD', type: 'select', options: [['full', '完整'], ['minimal', '隐藏操作说明'], ['hidden', '隐藏']], default: 'full' },
+    { key: 'showStats', group: 'interface', label: '性能监视器', type: 'checkbox', default: true },
+    { key: 'statsPanel', group: 'interface', label: '监视器内容', type: 'select', options: [[0, '帧率'], [1, '帧耗时'], [2, '内存']], default: 0 },
+    { key: 'showMeshPoolInfo', group: 'interface', label: '渲染统计', type: 'checkbox', default: true }
+];
+
+// 设置键 -> 定义
+const DEFINITIONS_BY_KEY = new Map(SETTING_DEFINITIONS.map(definition => [definition.key, definition]));
+
+/**
+ * 把输入值规范为设置允许的值，无效时返回 undefined
+ * 下拉框和滑块的值可能是字符串（来自表单控件），按定义转换类型
+ * @param {object} definition
+ * @param {*} value
+ */
+function normalizeValue(definition, value) {
+    switch (definition.type) {
+        case 'range': {
+            const number = Number(value);
+            if (value === null || value === '' || !Number.isFinite(number)) return undefined;
+            return Math.max(definition.min, Math.min(definition.max, number));
+        }
+        case 'checkbox':
+            return typeof value === 'boolean' ? value : undefined;
+        case 'select': {
+            const option = definition.options.find(([optionValue]) => String(optionValue) === String(value));
+            return option ? option[0] : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
+
+// 所有设置的默认值
+function createDefaultSettings() {
+    const settings = {};
+    SETTING_DEFINITIONS.forEach(definition => {
+        settings[definition.key] = definition.default;
+    });
+    return settings;
+}
+
+/**
+ * 玩家设置（相机、操作、画面和界面）
+ * 保存在 localStorage 中，读取时忽略未知的键和无效的值，缺少的项使用默认值
+ */
+export class SettingsStore {
+    /**
+     * @param {object} [options]
+     * @param {Storage} [options.storage] - 存储对象，默认 window.localStorage
+     * @param {string} [options.key] - 存储键名
+     */
+    constructor(options = {}) {
+        this.key = options.key || SETTINGS_STORAGE_KEY;
+        this.storage = options.storage !== undefined ? options.storage : getDefaultStorage();
+        this.values = this.load();
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * 修改一项设置并保存
+     * @param {string} key
+     * @param {*} value
+     * @returns {boolean} 值有效并且发生了变化时为 true
+     */
+    set(key, value) {
+        const definition = DEFINITIONS_BY_KEY.get(key);
+        if (!definition) {
+            console.warn('未知的设置项:', key);
+            return false;
+        }
+
+        const normalized = normalizeValue(definition, value);
+        if (normalized === undefined || normalized === this.values[key]) return false;
+
+        this.values[key] = normalized;
+        this.save();
+        return true;
+    }
+
+    // 恢复所有默认设置
+    reset() {
+        this.values = createDefaultSettings();
+        this.save();
+    }
+
+    // 读取设置，数据损坏时使用默认值
+    load() {
+        const settings = createDefaultSettings();
+        if (!this.storage) return settings;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key)) || {};
+            SETTING_DEFINITIONS.forEach(definition => {
+                const value = normalizeValue(definition, saved[definition.key]);
+                if (value !== undefined) {
+                    settings[definition.key] = value;
+                }
+            });
+        } catch (error) {
+            console.warn('读取设置失败，使用默认设置:', error);
+        }
+        return settings;
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('保存设置失败:', error);
+        }
+    }
+}
@@ -0,0 +1,383 @@
+import { BOT_DIFFICULTIES } from './config.js';
+import { SeededRandom } from './Random.js';
+
+// 相邻格子的偏移，前4个为上下左右，后4个为斜向
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// 规划路线时格子的状态，0 为可通行
+const RISKY = 1;    // 靠近其他蛇、墙体或棋盘边缘，有安全路线时不走
+const BLOCKED = 2;  // 墙体、蛇身、会受到惩罚的障碍物
+
+// 从 from 转到 to 的最小角度差 (-π, π]
+const angleDifference = (from, to) => Math.atan2(Math.sin(to - from), Math.cos(to - from));
+
+/**
+ * 电脑对手 - 控制一名玩家的转向，与玩家争夺食物
+ *
+ * 每隔 reactionTime 毫秒重新规划一次路线：把墙体、蛇身和会受到惩罚的障碍物（蛇长度 < 障碍物等级）
+ * 标记为不可通行，用广度优先搜索找到最近的食物或能击破的障碍物，两次规划之间沿路线转向；
+ * 没有路线时朝空间最大的方向躲避
+ *
+ * 只读取模拟状态并写入所控制玩家的 targetDirection，随机决策使用按本局种子派生的随机数，
+ * 同一种子下完全可复现（回放和录制不需要额外记录电脑对手的输入）
+ */
+export class SnakeBot {
+    /**
+     * @param {import('./SnakeSimulation.js').SnakeSimulation} sim
+     * @param {object} player - 控制的玩家
+     * @param {string} difficulty - 难度档位，见 BOT_DIFFICULTIES
+     * @param {number} number - 电脑对手编号（从 0 开始），用于派生随机种子和选择配色
+     */
+    constructor(sim, player, difficulty, number) {
+        this.sim = sim;
+        this.player = player;
+        this.difficulty = difficulty;
+        this.settings = BOT_DIFFICULTIES[difficulty];
+        this.number = number;
+        this.respawnTime = null; // 被淘汰后重生的时间，存活时为 null
+        this.reset();
+    }
+
+    // 按本局种子重建随机数，清空路线（开局摆放前调用，摆放位置只取决于种子和关卡布局）
+    reset() {
+        this.random = new SeededRandom(this.sim.seed ^ Math.imul(this.number + 1, 0x9E3779B1));
+        this.path = [];          // 接下来要经过的格子 [{ x, y }]
+        this.aimOffset = 0;      // 本次规划的转向偏差（弧度）
+        this.nextPlanTime = 0;
+    }
+
+    // 每个模拟步调用：到时间就重新规划路线，然后朝路线上的下一个格子转向
+    update() {
+        const now = this.sim.now();
+        if (now >= this.nextPlanTime) {
+            this.plan();
+            this.nextPlanTime = now + this.settings.reactionTime;
+        }
+        this.steer();
+    }
+
+    // 规划路线：先走保持安全距离的路线，没有时再冒险贴近危险格子，仍然没有时躲向空间最大的方向（必要时急转掉头）
+    plan() {
+        const start = this.getLeadCell();
+        const grid = this.buildGrid();
+        const targets = this.findTargets();
+
+        let path = null;
+        if (this.settings.safetyMargin > 0) {
+            path = this.findPath(start, grid, targets, RISKY);
+        }
+        if (!path) {
+            path = this.findPath(start, grid, targets, BLOCKED);
+        }
+
+        this.path = path || this.findEscape(start, grid);
+        this.aimOffset = (this.random.next() * 2 - 1) * this.settings.aimError;
+    }
+
+    // 朝路线上的下一个格子转向，已经到达或落在蛇头后方的格子从路线中移除
+    steer() {
+        const player = this.player;
+        const head = player.snake[0];
+        while (this.path.length > 1 && (this.distanceTo(head, this.path[0]) < this.sim.GRID_SIZE * 0.6 || this.isBehind(head, this.path[0]))) {
+            this.path.shift();
+        }
+        if (this.path.length === 0) return; // 没有路线时保持当前方向
+
+        const { dx, dy } = this.offsetTo(head, this.path[0]);
+        const desired = Math.atan2(dy, dx) + this.aimOffset;
+
+        // 目标方向取离当前方向最近的等价角度，模拟按差值转向时不会绕远
+        player.targetDirection = player.currentDirection + angleDifference(player.currentDirection, desired);
+    }
+
+    // 蛇头前方半格所在的格子，作为规划的起点（蛇头所在格子的中心可能已经在身后）
+    getLeadCell() {
+        const head = this.player.snake[0];
+        const lead = this.sim.GRID_SIZE / 2;
+        return this.toCell(
+            head.actualX + Math.cos(this.player.currentDirection) * lead,
+            head.actualY + Math.sin(this.player.currentDirection) * lead
+        );
+    }
+
+    // 格子是否在蛇头的侧后方（要掉头才能到达）
+    isBehind(head, cell) {
+        const { dx, dy } = this.offsetTo(head, cell);
+        return dx * Math.cos(this.player.currentDirection) + dy * Math.sin(this.player.currentDirection) < 0;
+    }
+
+    // 连续坐标所在的格子（与障碍物、食物一致，格子中心位于 x * GRID_SIZE）
+    toCell(actualX, actualY) {
+        const sim = this.sim;
+        const clamp = value => sim.wrapAround ? sim.wrapCell(value) : Math.max(0, Math.min(sim.BOARD_SIZE - 1, value));
+        return {
+            x: clamp(Math.round(actualX / sim.GRID_SIZE)),
+            y: clamp(Math.round(actualY / sim.GRID_SIZE))
+        };
+    }
+
+    // 蛇头到格子中心的偏移，普通模式下不瞄准棋盘边缘以外（0 号格子的中心就在边界上）
+    offsetTo(head, cell) {
+        const sim = this.sim;
+        let aimX = cell.x * sim.GRID_SIZE;
+        let aimY = cell.y * sim.GRID_SIZE;
+        if (!sim.wrapAround) {
+            aimX = Math.max(sim.GRID_SIZE / 2, aimX);
+            aimY = Math.max(sim.GRID_SIZE / 2, aimY);
+        }
+        return {
+            dx: sim.wrapDelta(aimX - head.actualX),
+            dy: sim.wrapDelta(aimY - head.actualY)
+        };
+    }
+
+    distanceTo(head, cell) {
+        const { dx, dy } = this.offsetTo(head, cell);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * 标记每个格子的通行状态
+     * 自己的蛇头和蛇尾（下一步就会移开）不算障碍，紧贴自己身体的格子为危险格子（贴身掉头时转弯半径不够，会撞到自己）；
+     * 其他蛇、墙体和惩罚障碍物周围 safetyMargin 格内为危险格子，其他蛇头附近多算一格，普通模式下棋盘边缘一圈也是危险格子
+     * @returns {Uint8Array} 按 y * BOARD_SIZE + x 索引的格子状态
+     */
+    buildGrid() {
+        const sim = this.sim;
+        const size = sim.BOARD_SIZE;
+        const grid = new Uint8Array(size * size);
+        const hazards = [];
+        const ownBody = [];
+        const mark = (x, y, state) => {
+            const index = this.cellIndex(x, y);
+            if (index >= 0 && grid[index] < state) grid[index] = state;
+        };
+        const addHazard = (x, y, radius) => {
+            mark(x, y, BLOCKED);
+            hazards.push({ x, y, radius });
+        };
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (sim.isWall(x, y)) addHazard(x, y, this.settings.safetyMargin);
+            }
+        }
+
+        sim.players.forEach(player => {
+            const snake = player.snake;
+            snake.forEach((segment, index) => {
+                const cell = this.toCell(segment.actualX, segment.actualY);
+                if (player !== this.player) {
+                    addHazard(cell.x, cell.y, index === 0 && player.alive ? this.settings.safetyMargin + 1 : this.settings.safetyMargin);
+                } else if (index > 0 && index < snake.length - 1) {
+                    mark(cell.x, cell.y, BLOCKED);
+                    if (index > 1) ownBody.push(cell);
+                }
+            });
+        });
+
+        // 保持安全距离时也不横穿其他蛇头正前方的两格
+        if (this.settings.safetyMargin > 0) {
+            sim.players.forEach(player => {
+                if (player === this.player || !player.alive || player.snake.length === 0) return;
+
+                const head = player.snake[0];
+                for (let step = 1; step <= 2; step++) {
+                    mark(
+                        Math.round(head.actualX / sim.GRID_SIZE + Math.cos(player.currentDirection) * step),
+                        Math.round(head.actualY / sim.GRID_SIZE + Math.sin(player.currentDirection) * step),
+                        BLOCKED
+                    );
+                }
+            });
+        }
+
+        const snakeLength = this.player.snake.length;
+        sim.obstacles.forEach(obstacle => {
+            if (snakeLength < obstacle.level) addHazard(obstacle.x, obstacle.y, this.settings.safetyMargin);
+        });
+
+        hazards.forEach(({ x, y, radius }) => {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    mark(x + dx, y + dy, RISKY);
+                }
+            }
+        });
+
+        ownBody.forEach(({ x, y }) => {
+            NEIGHBORS.forEach(([dx, dy]) => mark(x + dx, y + dy, RISKY));
+        });
+
+        if (!sim.wrapAround) {
+            for (let i = 0; i < size; i++) {
+                mark(i, 0, RISKY);
+                mark(i, size - 1, RISKY);
+                mark(0, i, RISKY);
+                mark(size - 1, i, RISKY);
+            }
+        }
+
+        return grid;
+    }
+
+    /**
+     * 要争夺的目标：不会缩短蛇身的食物，seeksRewards 时还包括已落地、能击破的障碍物
+     * safetyMargin 不为 0 时不去抢其他蛇头离得更近的目标，避免迎面相撞
+     */
+    findTargets() {
+        const sim = this.sim;
+        const targets = new Set();
+        const add = (x, y) => {
+            if (this.settings.safetyMargin === 0 || !this.isContested(x, y)) targets.add(y * sim.BOARD_SIZE + x);
+        };
+
+        sim.foods.forEach(food => {
+            if (sim.foodTypes[food.type].growth >= 0) add(food.x, food.y);
+        });
+
+        if (this.settings.seeksRewards) {
+            const snakeLength = this.player.snake.length;
+            sim.obstacles.forEach(obstacle => {
+                if (obstacle.hasLanded && snakeLength >= obstacle.level) add(obstacle.x, obstacle.y);
+            });
+        }
+        return targets;
+    }
+
+    // 是否有其他存活的蛇头离格子更近（一样近时也让开）
+    isContested(x, y) {
+        const cell = { x, y };
+        const distance = this.distanceTo(this.player.snake[0], cell);
+        return this.sim.players.some(player => player !== this.player && player.alive && player.snake.length > 0 &&
+            this.distanceTo(player.snake[0], cell) <= distance);
+    }
+
+    /**
+     * 广度优先搜索到最近目标的路线，第一步只能向前或向两侧（不原地掉头）
+     * @param {{x: number, y: number}} start
+     * @param {Uint8Array} grid
+     * @param {Set<number>} targets - 目标格子索引
+     * @param {number} limit - 状态不小于该值的格子不可通行
+     * @returns {Array|null} 不含起点的格子列表，没有可达目标时为 null
+     */
+    findPath(start, grid, targets, limit) {
+        const size = this.sim.BOARD_SIZE;
+        const startIndex = start.y * size + start.x;
+        const previous = new Int32Array(size * size).fill(-1);
+        previous[startIndex] = startIndex;
+        const queue = [startIndex];
+        const backward = this.getBackwardCells(start);
+
+        for (let head = 0; head < queue.length; head++) {
+            const index = queue[head];
+            if (index !== startIndex && targets.has(index) && this.hasRoomAt(index, grid)) {
+                return this.buildPath(previous, startIndex, index);
+            }
+
+            this.forEachNeighbor(index % size, Math.floor(index / size), grid, limit, next => {
+                if (previous[next] !== -1 || (index === startIndex && backward.has(next))) return;
+                previous[next] = index;
+                queue.push(next);
+            });
+        }
+        return null;
+    }
+
+    // 起点正后方和两侧后方的三个格子索引
+    getBackwardCells(start) {
+        const backward = this.player.currentDirection + Math.PI;
+        const cells = new Set();
+        [-Math.PI / 4, 0, Math.PI / 4].forEach(offset => {
+            cells.add(this.cellIndex(start.x + Math.round(Math.cos(backward + offset)), start.y + Math.round(Math.sin(backward + offset))));
+        });
+        return cells;
+    }
+
+    // checksSpace 时目标所在的空间要放得下自己的身体，避免钻进死角
+    hasRoomAt(index, grid) {
+        if (!this.settings.checksSpace) return true;
+
+        const size = this.sim.BOARD_SIZE;
+        const needed = this.player.snake.length + 2;
+        return this.measureSpace({ x: index % size, y: Math.floor(index / size) }, grid, needed) >= needed;
+    }
+
+    // 从格子出发能到达的可通行格子数量（最多数到 limit）
+    measureSpace(start, grid, limit) {
+        const size = this.sim.BOARD_SIZE;
+        const startIndex = start.y * size + start.x;
+        const visited = new Uint8Array(size * size);
+        visited[startIndex] = 1;
+        const queue = [startIndex];
+
+        for (let head = 0; head < queue.length && queue.length < limit; head++) {
+            const index = queue[head];
+            this.forEachNeighbor(index % size, Math.floor(index / size), grid, BLOCKED, next => {
+                if (visited[next]) return;
+                visited[next] = 1;
+                queue.push(next);
+            });
+        }
+        return Math.min(queue.length, limit);
+    }
+
+    // 没有可达目标时朝能到达空间最大的相邻格子躲避，空间相同时选转向最小的
+    findEscape(start, grid) {
+        const size = this.sim.BOARD_SIZE;
+        const limit = this.player.snake.length * 3;
+        const head = this.player.snake[0];
+        let best = null;
+
+        this.forEachNeighbor(start.x, start.y, grid, BLOCKED, index => {
+            const cell = { x: index % size, y: Math.floor(index / size) };
+            const space = this.measureSpace(cell, grid, limit);
+            const { dx, dy } = this.offsetTo(head, cell);
+            const turn = Math.abs(angleDifference(this.player.currentDirection, Math.atan2(dy, dx)));
+            if (!best || space > best.space || (space === best.space && turn < best.turn)) {
+                best = { cell, space, turn };
+            }
+        });
+
+        return best ? [best.cell] : [];
+    }
+
+    /**
+     * 遍历可通行的相邻格子，斜向移动要求两侧的直向格子也可通行（不切墙角）
+     * @param {Function} callback - 参数为格子索引
+     */
+    forEachNeighbor(x, y, grid, limit, callback) {
+        for (const [dx, dy] of NEIGHBORS) {
+            const index = this.cellIndex(x + dx, y + dy);
+            if (index < 0 || grid[index] >= limit) continue;
+            if (dx !== 0 && dy !== 0) {
+                const sideX = this.cellIndex(x + dx, y);
+                const sideY = this.cellIndex(x, y + dy);
+                if (sideX < 0 || grid[sideX] >= limit || sideY < 0 || grid[sideY] >= limit) continue;
+            }
+            callback(index);
+        }
+    }
+
+    // 格子索引 y * BOARD_SIZE + x，穿越边界模式下折回棋盘内，普通模式下棋盘外的格子为 -1
+    cellIndex(x, y) {
+        const size = this.sim.BOARD_SIZE;
+        if (this.sim.wrapAround) {
+            x = ((x % size) + size) % size;
+            y = ((y % size) + size) % size;
+        } else if (x < 0 || y < 0 || x >= size || y >= size) {
+            return -1;
+        }
+        return y * size + x;
+    }
+
+    // 从搜索记录中还原路线（不含起点）
+    buildPath(previous, startIndex, endIndex) {
+        const size = this.sim.BOARD_SIZE;
+        const path = [];
+        for (let index = endIndex; index !== startIndex; index = previous[index]) {
+            path.push({ x: index % size, y: Math.floor(index / size) });
+        }
+        return path.reverse();
+    }
+}
@@ -0,0 +1,1765 @@
+import {
+    GRID_SIZE,
+    BOARD_SIZE,
+    TURN_SPEED,
+    SMOOTH_FACTOR,
+    TICK_MS,
+    DIFFICULTY_CONFIG,
+    OBSTACLE_TYPES,
+    OBSTACLE_CONFIG,
+    FOOD_TYPES,
+    FOOD_CONFIG,
+    LEVEL_DEFINITIONS,
+    MAX_PLAYERS,
+    BOT_CONFIG,
+    BOT_DIFFICULTIES
+} from './config.js';
+import { SeededRandom, createRandomSeed } from './Random.js';
+import { StatusEffectManager } from './StatusEffects.js';
+import { GameClock } from './GameClock.js';
+import { SnakeBot } from './SnakeBot.js';
+
+/**
+ * 贪吃蛇纯逻辑模拟
+ * 只维护游戏状态（蛇、食物、障碍物、得分、关卡），不依赖 document / window / WebGL，
+ * 可以直接在 Node 中运行。渲染层通过读取状态和 drainEvents() 返回的事件来表现画面。
+ */
+export class SnakeSimulation {
+    /**
+     * @param {object} [options]
+     * @param {Function} [options.now] - 返回当前毫秒时间的函数，默认使用模拟时钟
+     * @param {number} [options.seed] - 随机种子，不传则随机生成
+     * @param {object} [options.difficulty] - 覆盖默认难度配置的字段
+     * @param {Array} [options.levelDefinitions] - 关卡定义列表
+     * @param {boolean} [options.wrapAround] - 是否开启穿越边界模式
+     */
+    constructor(options = {}) {
+        // 棋盘配置
+        this.GRID_SIZE = GRID_SIZE;
+        this.BOARD_SIZE = BOARD_SIZE;
+        this.TURN_SPEED = TURN_SPEED;
+        this.SMOOTH_FACTOR = SMOOTH_FACTOR;
+        this.TICK_MS = TICK_MS;
+        this.baseDifficulty = { ...DIFFICULTY_CONFIG, ...options.difficulty };
+        this.DIFFICULTY_CONFIG = { ...this.baseDifficulty };
+
+        // 障碍物配置
+        this.obstacleTypes = OBSTACLE_TYPES;
+        this.obstacleMinInterval = OBSTACLE_CONFIG.minInterval;
+        this.obstacleMaxInterval = OBSTACLE_CONFIG.maxInterval;
+        this.maxObstacles = OBSTACLE_CONFIG.maxObstacles;
+        this.obstacleSpawnTable = null; // 关卡自定义的障碍物生成表，为空时按蛇长度自适应
+
+        // 食物配置
+        this.foodTypes = FOOD_TYPES;
+
+        // 关卡起点 { x, y, heading, length }，为空时使用默认起点
+        this.levelStart = null;
+
+        // 关卡静态墙体、食物生成区域 [{ x, y, width, height }]，预置障碍物 [{ type, level, x, y }]
+        this.walls = [];
+        this.foodZones = [];
+        this.presetObstacles = [];
+        this.wallGrid = null;           // 按格子索引的墙体标记（Uint8Array），没有墙体时为空
+
+        // 穿越边界模式：蛇头从一侧边缘离开后从对侧进入
+        // wrapMode 是玩家的选择，关卡也可以强制开启，wrapAround 为实际生效的状态
+        this.wrapMode = Boolean(options.wrapAround);
+        this.wrapAround = this.wrapMode;
+
+        // 时间来源 - 游戏时钟每个模拟步前进 TICK_MS，暂停时不走，相同输入下结果完全可复现
+        // 时钟由所有玩家共享，任一玩家的慢动作效果都会放慢整局游戏
+        this.clock = new GameClock(TICK_MS, {
+            getEffectScale: () => this.players.reduce((scale, player) => scale * player.effects.getTimeScale(), 1)
+        });
+        this.now = options.now || (() => this.clock.now());
+
+        // 关卡定义
+        this.levelDefinitions = options.levelDefinitions || LEVEL_DEFINITIONS;
+
+        // 关卡系统
+        this.levelSystem = {
+            currentLevel: 1,               // 当前关卡
+            levelType: 'free',             // 关卡类型：'free', 'score', 'length', 'obstacle'
+            isActive: false,               // 关卡是否激活
+            startTime: 0,                  // 关卡开始时间
+            timeLimit: 0,                  // 时间限制（毫秒）
+            targetScore: 0,                // 目标分数
+            targetLength: 0,               // 目标长度
+            maxObstacles: 0,               // 最大障碍物数量
+            decayRate: 0,                  // 衰减速率
+            lastDecayTime: 0,              // 上次衰减时间
+            completed: false,              // 是否完成
+            failed: false                  // 是否失败
+        };
+
+        // 待渲染层处理的事件队列
+        this.events = [];
+
+        // 障碍物、食物唯一ID计数
+        this.nextObstacleId = 1;
+        this.nextFoodId = 1;
+
+        // 玩家 - 每条蛇有独立的方向、得分、连击、速度和状态效果（无敌、眩晕、加速等），食物和障碍物共享
+        // 模拟逻辑通过 this.snake、this.score 等字段读写当前处理中的玩家，默认是玩家1（见 forEachPlayer）
+        // 电脑对手也是玩家，排在所有玩家之后，由 SnakeBot 控制转向
+        this.players = [this.createPlayer(0)];
+        this.activePlayer = this.players[0];
+
+        this.reset(options.seed);
+        this.loadLevel(1);
+    }
+
+    // 记录一个游戏事件，player 为触发事件的玩家编号（共享的食物、障碍物系统产生的事件为 0）
+    emit(type, payload = {}) {
+        this.events.push({ type, player: this.activePlayer.index, ...payload });
+    }
+
+    // 取出并清空所有未处理事件
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    /**
+     * 创建玩家状态
+     * @param {number} index - 玩家编号，0 为玩家1
+     */
+    createPlayer(index) {
+        return {
+            index,
+            snake: [],
+            targetDirection: 0,      // 目标方向（弧度）
+            currentDirection: 0,     // 当前方向（弧度）
+            score: 0,
+            comboCount: 0,           // 连击计数
+            lastFoodTime: -Infinity, // 上次吃食物时间
+            consecutiveAvoids: 0,    // 连续躲避障碍物计数
+            moveSpeed: this.baseDifficulty.baseSpeed,
+            effects: new StatusEffectManager(this),
+            alive: true,             // 双人模式下被淘汰后为 false
+            bot: null                // 电脑对手的控制器（SnakeBot），玩家为 null
+        };
+    }
+
+    /**
+     * 依次把每个玩家设为当前玩家并执行回调，结束后恢复为玩家1
+     * @param {Function} callback - 参数为玩家状态
+     * @param {boolean} [aliveOnly] - 为 true 时跳过已淘汰的玩家
+     */
+    forEachPlayer(callback, aliveOnly = false) {
+        this.players.forEach(player => {
+            if (aliveOnly && !player.alive) return;
+            this.activePlayer = player;
+            callback(player);
+        });
+        this.activePlayer = this.players[0];
+    }
+
+    /**
+     * 设置玩家数量（1 为单人，2 为分屏双人），只在开局前生效，电脑对手保持不变
+     * @param {number} count
+     * @returns {boolean} 是否设置成功
+     */
+    setPlayerCount(count) {
+        if (this.gameState !== 'waiting' || !Number.isInteger(count) || count < 1 || count > MAX_PLAYERS) {
+            return false;
+        }
+
+        this.rebuildPlayers(count, this.getBotDifficulties());
+        return true;
+    }
+
+    /**
+     * 设置电脑对手，只在开局前生效
+     * @param {string[]} difficulties - 每个电脑对手的难度档位（见 BOT_DIFFICULTIES），空数组为没有电脑对手
+     * @returns {boolean} 是否设置成功
+     */
+    setBots(difficulties) {
+        if (this.gameState !== 'waiting' || !Array.isArray(difficulties) || difficulties.length > BOT_CONFIG.maxBots ||
+            !difficulties.every(difficulty => BOT_DIFFICULTIES[difficulty])) {
+            return false;
+        }
+
+        this.rebuildPlayers(this.getHumanPlayers().length, difficulties);
+        return true;
+    }
+
+    // 当前电脑对手的难度档位列表
+    getBotDifficulties() {
+        return this.players.filter(player => player.bot).map(player => player.bot.difficulty);
+    }
+
+    // 由人操作的玩家（不含电脑对手）
+    getHumanPlayers() {
+        return this.players.filter(player => !player.bot);
+    }
+
+    // 是否为多名玩家之间的对战（分屏双人、联机），电脑对手不算对战的一方
+    isMatch() {
+        return this.getHumanPlayers().length > 1;
+    }
+
+    // 按玩家数量和电脑对手重建玩家列表，并重新摆放开局
+    rebuildPlayers(humanCount, botDifficulties) {
+        const count = humanCount + botDifficulties.length;
+        this.players = Array.from({ length: count }, (_, index) => {
+            const player = this.players[index] || this.createPlayer(index);
+            const botNumber = index - humanCount;
+            player.bot = botNumber >= 0 ? new SnakeBot(this, player, botDifficulties[botNumber], botNumber) : null;
+            return player;
+        });
+        this.activePlayer = this.players[0];
+        this.forEachPlayer(() => this.resetPlayer());
+        this.placeLevelStart();
+        this.forEachPlayer(() => this.updateDifficulty());
+    }
+
+    // 重置当前玩家的得分、连击、速度和状态效果
+    resetPlayer() {
+        this.score = 0;
+        this.comboCount = 0;
+        this.lastFoodTime = -Infinity;
+        this.consecutiveAvoids = 0;
+        this.moveSpeed = this.DIFFICULTY_CONFIG.baseSpeed;
+        this.effects.clear();
+        this.activePlayer.alive = true;
+    }
+
+    /**
+     * 玩家起点 { x, y, heading, length }（电脑对手见 findBotStart）
+     * 单人使用关卡起点；双人时玩家2从玩家1起点的中心对称位置反向出发，两者太近时改为棋盘上下两侧对向出发
+     * @param {number} index - 玩家编号
+     */
+    getPlayerStart(index) {
+        const start = this.levelStart || { x: 15, y: 15, heading: 0 };
+        if (!this.isMatch()) return start;
+
+        const mirror = origin => ({
+            ...origin,
+            x: this.BOARD_SIZE - 1 - origin.x,
+            y: this.BOARD_SIZE - 1 - origin.y,
+            heading: origin.heading + Math.PI
+        });
+        const length = start.length || this.DIFFICULTY_CONFIG.initialLength;
+        const mirrored = mirror(start);
+        if (Math.hypot(mirrored.x - start.x, mirrored.y - start.y) > length * 2) {
+            return index === 0 ? start : mirrored;
+        }
+
+        const side = { x: Math.floor(this.BOARD_SIZE / 2), y: Math.floor(this.BOARD_SIZE / 4), heading: 0, length: start.length };
+        return index === 0 ? side : mirror(side);
+    }
+
+    // 创建初始蛇身，从起点沿朝向反方向排列
+    createInitialSnake(start) {
+        const length = start.length || this.DIFFICULTY_CONFIG.initialLength;
+        const dx = Math.round(Math.cos(start.heading));
+        const dy = Math.round(Math.sin(start.heading));
+
+        const snake = [];
+        for (let i = 0; i < length; i++) {
+            const x = start.x - dx * i;
+            const y = start.y - dy * i;
+            snake.push({
+                x: x,
+                y: y,
+                actualX: x * this.GRID_SIZE,
+                actualY: y * this.GRID_SIZE,
+                targetX: x * this.GRID_SIZE,
+                targetY: y * this.GRID_SIZE,
+                rotation: start.heading
+            });
+        }
+        return snake;
+    }
+
+    // 摆放关卡开局状态：起点处的蛇、预置障碍物、空地上的电脑对手，食物不在棋盘内或被占用时重新生成
+    placeLevelStart() {
+        this.players.forEach(player => {
+            if (player.bot) player.snake = [];
+        });
+
+        this.forEachPlayer(player => {
+            if (player.bot) return;
+
+            const start = this.getPlayerStart(player.index);
+            this.snake = this.createInitialSnake(start);
+
+            // 目标方向和当前方向（弧度）
+            this.targetDirection = start.heading;
+            this.currentDirection = start.heading;
+        });
+        this.obstacles = this.presetObstacles.map(preset => this.createObstacle(preset.x, preset.y, preset.type, preset.level, true));
+
+        // 电脑对手的位置只取决于种子和关卡布局，与开局前的操作顺序无关
+        this.forEachPlayer(player => {
+            if (!player.bot) return;
+
+            player.bot.reset();
+            this.spawnBot();
+        });
+
+        this.foods = this.foods.filter(food => {
+            const foodOutside = food.x >= this.BOARD_SIZE || food.y >= this.BOARD_SIZE;
+            const foodOnSnake = this.players.some(player => player.snake.some(segment => segment.x === food.x && segment.y === food.y));
+            const foodOnObstacle = this.obstacles.some(obstacle => obstacle.x === food.x && obstacle.y === food.y);
+            return !(foodOutside || foodOnSnake || foodOnObstacle || this.isWall(food.x, food.y));
+        });
+        if (!this.foods.some(food => food.type === 'NORMAL')) {
+            this.generateFood('NORMAL');
+        }
+    }
+
+    /**
+     * 设置随机种子，之后所有游戏随机决策都从该种子派生
+     * @param {number} [seed] - 32位无符号整数，不传则随机生成
+     */
+    setSeed(seed) {
+        this.seed = seed === undefined || seed === null ? createRandomSeed() : seed >>> 0;
+        this.random = new SeededRandom(this.seed);
+    }
+
+    /**
+     * 重置一局游戏的状态（保留当前关卡选择和类型）
+     * @param {number} [seed] - 本局使用的随机种子，不传则随机生成
+     */
+    reset(seed) {
+        this.setSeed(seed);
+
+        this.gameState = 'waiting'; // 'waiting', 'playing', 'paused', 'gameOver'
+        this.clock.reset();
+
+        this.gameStartTime = null;     // 游戏开始时间
+        this.survivalTime = 0;         // 存活时间
+        this.forEachPlayer(() => this.resetPlayer());
+
+        this.foods = [this.createFood(20, 20, 'NORMAL')];
+        this.nextFoodTime = 0;
+
+        this.obstacles = [];
+        this.nextObstacleTime = 0;
+
+        this.placeLevelStart();
+
+        this.levelSystem.isActive = false;
+        this.levelSystem.completed = false;
+        this.levelSystem.failed = false;
+        this.levelSystem.startTime = 0;
+        this.levelSystem.lastDecayTime = 0;
+
+        this.forEachPlayer(() => this.updateDifficulty());
+    }
+
+    /**
+     * 难度控制曲线函数 - 根据蛇的长度计算移动速度
+     * 使用组合曲线：线性 + 指数 + 对数增长，确保平滑且有挑战性的难度提升
+     * @param {number} length - 当前蛇的长度
+     * @returns {number} 计算出的移动速度
+     */
+    calculateSpeedFromLength(length) {
+        const config = this.DIFFICULTY_CONFIG;
+        const lengthDiff = Math.max(0, length - config.initialLength);
+
+        if (lengthDiff === 0) {
+            return config.baseSpeed;
+        }
+
+        // 分阶段增长曲线
+        let speedIncrease = 0;
+
+        // 第一阶段：线性增长 (长度3-8)
+        if (lengthDiff <= 10) {
+            speedIncrease = lengthDiff * config.linearGrowth;
+        }
+        // 第二阶段：指数增长 (长度8-15)
+        else if (lengthDiff <= 30) {
+            const baseIncrease = 5 * config.linearGrowth;
+            const exponentialPart = (lengthDiff - 5) * config.linearGrowth * Math.pow(config.exponentialGrowth, (lengthDiff - 5) * 0.1);
+            speedIncrease = baseIncrease + exponentialPart;
+        }
+        // 第三阶段：对数增长 (长度15+) - 防止速度过快
+        else {
+            const baseIncrease = 5 * config.linearGrowth;
+            const exponentialPart = 7 * config.linearGrowth * Math.pow(config.exponentialGrowth, 0.7);
+            const logPart = Math.log(lengthDiff - 7) * config.logGrowth;
+            speedIncrease = baseIncrease + exponentialPart + logPart;
+        }
+
+        // 动态平衡机制
+        this.updateSurvivalTime();
+
+        // 如果蛇长度较短，减缓速度增长
+        if (length < config.minSafeLength) {
+            speedIncrease *= config.dynamicFactor;
+        } else {
+            // 长度足够时，根据存活时间逐步恢复难度
+            const survivalBonus = Math.min(1, this.survivalTime / config.maxRecoveryTime);
+            speedIncrease *= (1 + survivalBonus * config.recoveryRate);
+        }
+
+        // 连击奖励机制
+        if (this.comboCount > 3) {
+            speedIncrease *= Math.pow(config.comboMultiplier, Math.min(this.comboCount - 3, 5));
+        }
+
+        // 计算最终速度并限制在最大值内
+        const finalSpeed = config.baseSpeed + speedIncrease;
+        return Math.min(finalSpeed, config.maxSpeed);
+    }
+
+    /**
+     * 获取当前难度等级描述
+     * @param {number} length - 当前蛇的长度
+     * @returns {string} 难度等级描述
+     */
+    getDifficultyLevel(length) {
+        if (length <= 12) return "简单";
+        if (length <= 25) return "普通";
+        if (length <= 40) return "困难";
+        if (length <= 60) return "极难";
+        return "地狱";
+    }
+
+    /**
+     * 更新存活时间
+     */
+    updateSurvivalTime() {
+        if (this.gameState === 'playing' && this.gameStartTime !== null) {
+            this.survivalTime = this.now() - this.gameStartTime;
+        }
+    }
+
+    /**
+     * 根据当前长度重新计算移动速度
+     */
+    updateDifficulty() {
+        const oldSpeed = this.moveSpeed;
+        this.moveSpeed = this.calculateSpeedFromLength(this.snake.length);
+        this.emit('difficultyUpdated', { oldSpeed, newSpeed: this.moveSpeed });
+    }
+
+    // 加载关卡
+    loadLevel(levelNumber) {
+        if (levelNumber < 1 || levelNumber > this.levelDefinitions.length) {
+            return false;
+        }
+
+        const levelDef = this.levelDefinitions[levelNumber - 1];
+        this.levelSystem.currentLevel = levelNumber;
+        this.levelSystem.levelType = levelDef.type;
+        this.levelSystem.isActive = false;
+        this.levelSystem.completed = false;
+        this.levelSystem.failed = false;
+        this.levelSystem.startTime = 0;
+        this.levelSystem.lastDecayTime = 0;
+
+        // 设置关卡参数
+        this.levelSystem.timeLimit = levelDef.timeLimit || 0;
+        this.levelSystem.targetScore = levelDef.targetScore || 0;
+        this.levelSystem.targetLength = levelDef.targetLength || 0;
+        this.levelSystem.maxObstacles = levelDef.maxObstacles || 0;
+        this.levelSystem.decayRate = levelDef.decayRate || 0;
+
+        this.applyLevelLayout(levelDef);
+
+        // 还没开始时按新关卡的布局重新摆放蛇
+        if (this.gameState === 'waiting') {
+            this.placeLevelStart();
+            this.forEachPlayer(() => this.updateDifficulty());
+        }
+
+        return true;
+    }
+
+    // 应用关卡布局（棋盘大小、起点、速度、障碍物生成），关卡未指定的部分使用默认配置
+    applyLevelLayout(levelDef) {
+        this.BOARD_SIZE = levelDef.boardSize || BOARD_SIZE;
+        this.levelStart = levelDef.start || null;
+        this.DIFFICULTY_CONFIG = { ...this.baseDifficulty, ...levelDef.speed };
+
+        const spawn = levelDef.obstacleSpawn || {};
+        this.obstacleMinInterval = spawn.minInterval ?? OBSTACLE_CONFIG.minInterval;
+        this.obstacleMaxInterval = spawn.maxInterval ?? OBSTACLE_CONFIG.maxInterval;
+        this.maxObstacles = spawn.maxCount ?? OBSTACLE_CONFIG.maxObstacles;
+        this.obstacleSpawnTable = spawn.table || null;
+        this.walls = levelDef.walls || [];
+        this.wallGrid = this.buildWallGrid(this.walls);
+        this.foodZones = levelDef.foodZones || [];
+        this.presetObstacles = levelDef.presetObstacles || [];
+        this.wrapAround = this.wrapMode || Boolean(levelDef.wrap);
+    }
+
+    // 切换穿越边界模式，只在开局前生效
+    setWrapMode(enabled) {
+        if (this.gameState !== 'waiting') return false;
+
+        this.wrapMode = Boolean(enabled);
+        const levelDef = this.getCurrentLevelDefinition();
+        this.wrapAround = this.wrapMode || Boolean(levelDef && levelDef.wrap);
+        return true;
+    }
+
+    // 获取当前关卡定义
+    getCurrentLevelDefinition() {
+        return this.levelDefinitions[this.levelSystem.currentLevel - 1];
+    }
+
+    /**
+     * 按关卡 id 查找关卡编号
+     * @param {string} levelId
+     * @returns {number} 关卡编号，找不到时为 0
+     */
+    getLevelNumber(levelId) {
+        return this.levelDefinitions.findIndex(levelDef => levelDef.id === levelId) + 1;
+    }
+
+    // 激活当前关卡并开始游戏（挑战关卡需先 reset）
+    beginLevel() {
+        this.levelSystem.isActive = true;
+        this.levelSystem.completed = false;
+        this.levelSystem.failed = false;
+
+        if (this.levelSystem.levelType !== 'free') {
+            this.levelSystem.startTime = this.now();
+            this.levelSystem.lastDecayTime = this.now();
+        }
+
+        this.start();
+    }
+
+    // 获取关卡已进行时间
+    getLevelElapsed() {
+        return this.now() - this.levelSystem.startTime;
+    }
+
+    // 开始或继续游戏
+    start() {
+        this.clock.resume();
+        if (this.gameState === 'waiting') {
+            this.gameState = 'playing';
+            this.gameStartTime = this.now(); // 记录游戏开始时间
+            this.forEachPlayer(() => this.updateDifficulty());
+            this.scheduleNextObstacle(); // 安排第一个障碍物
+            this.scheduleNextFood();
+        } else if (this.gameState === 'paused') {
+            // 继续游戏不改变模拟状态（如重新计算速度）：回放不记录暂停，暂停过的对局也要能原样复现
+            this.gameState = 'playing';
+        }
+    }
+
+    // 暂停游戏
+    pause() {
+        this.gameState = 'paused';
+        this.clock.pause();
+    }
+
+    /**
+     * 推进一个固定时长（TICK_MS）的模拟步
+     * 渲染层按真实经过时间累积并调用若干次，保证不同刷新率下游戏速度一致
+     */
+    step() {
+        if (this.gameState !== 'playing') return;
+
+        this.clock.tick();
+
+        // 电脑对手决定转向，等待重生的电脑对手回到棋盘
+        this.forEachPlayer(player => player.bot && player.bot.update(), true);
+        this.updateBotRespawns();
+
+        // 移动所有蛇头
+        this.forEachPlayer(() => this.moveHead(), true);
+        if (this.gameState !== 'playing' || this.checkMatchEnd()) return;
+
+        // 更新障碍物系统
+        this.updateObstacleSpawning();
+        this.updateObstacleFalling();
+        this.forEachPlayer(() => this.effects.update(), true);
+
+        // 更新食物系统
+        this.updateFoodSpawning();
+        this.updateFoodExpiry();
+
+        // 更新关卡系统
+        this.updateLevelSystem();
+
+        // 碰撞检测和蛇身跟随
+        this.forEachPlayer(() => this.resolveCollisions(), true);
+        this.checkMatchEnd();
+    }
+
+    // 转向并移动当前玩家的蛇头，越过棋盘边缘时穿越到对侧或结束游戏
+    moveHead() {
+        // 圆滑转弯 - 插值当前方向到目标方向
+        let angleDiff = this.targetDirection - this.currentDirection;
+
+        // 处理角度环绕
+        if (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
+        if (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
+
+        this.currentDirection += angleDiff * this.TURN_SPEED;
+
+        // 移动蛇头 - 使用目标位置实现平滑移动（速度单位：格/秒）
+        const head = this.snake[0];
+        let moveSpeedFactor = this.getEffectiveSpeed() * this.GRID_SIZE * this.TICK_MS / 1000;
+
+        // 如果蛇头眩晕，添加后仰效果
+        let currentDirection = this.currentDirection;
+        if (this.effects.has('stun')) {
+            // 眩晕时后仰（反方向移动）
+            const stunProgress = this.effects.getProgress('stun');
+            if (stunProgress < 0.5) { // 前半段时间后仰
+                currentDirection = this.currentDirection + Math.PI; // 反方向
+                moveSpeedFactor *= 0.5; // 后仰速度较慢
+            }
+        }
+
+        head.targetX += Math.cos(currentDirection) * moveSpeedFactor;
+        head.targetY += Math.sin(currentDirection) * moveSpeedFactor;
+        head.rotation = this.currentDirection;
+
+        // 平滑插值到目标位置
+        head.actualX += (head.targetX - head.actualX) * this.SMOOTH_FACTOR;
+        head.actualY += (head.targetY - head.actualY) * this.SMOOTH_FACTOR;
+
+        if (this.wrapAround) {
+            // 穿越边界 - 蛇头越过棋盘边缘后移到对侧
+            const shift = this.wrapSegment(head);
+            if (shift) {
+                this.emit('wrapped', { x: shift.x, y: shift.y, dx: shift.dx, dy: shift.dy });
+            }
+        } else {
+            // 检查边界碰撞 - 蛇头出地图就游戏结束
+            const minBoundary = 0;
+            const maxBoundary = this.BOARD_SIZE * this.GRID_SIZE;
+
+            if (head.actualX < minBoundary || head.actualX >= maxBoundary ||
+                head.actualY < minBoundary || head.actualY >= maxBoundary) {
+                this.gameOver();
+                return;
+            }
+        }
+
+        // 更新网格位置
+        head.x = this.wrapCell(Math.floor(head.actualX / this.GRID_SIZE));
+        head.y = this.wrapCell(Math.floor(head.actualY / this.GRID_SIZE));
+    }
+
+    // 当前玩家的碰撞检测和蛇身跟随
+    resolveCollisions() {
+        // 检查障碍物碰撞（在眩晕状态下也要检查）
+        this.checkObstacleCollision();
+
+        // 墙体碰撞检测
+        if (this.checkWallCollision()) {
+            this.gameOver();
+            return;
+        }
+
+        // 优化的自身碰撞检测（跳过前3个段避免误判）
+        if (this.checkSelfCollision()) {
+            this.gameOver();
+            return;
+        }
+
+        // 撞到其他玩家的蛇
+        if (this.checkSnakeCollision()) {
+            this.gameOver();
+            return;
+        }
+
+        // 食物碰撞检测
+        this.checkFoodCollision();
+
+        // 蛇身跟随
+        this.updateBodyFollow();
+    }
+
+    // 检查蛇头是否撞到自己的身体
+    checkSelfCollision() {
+        const head = this.snake[0];
+        const collisionRadius = this.GRID_SIZE * 0.8;
+        const collisionRadiusSq = collisionRadius * collisionRadius; // 使用平方距离避免开方运算
+
+        for (let i = 3; i < this.snake.length; i++) {
+            const segment = this.snake[i];
+            const dx = this.wrapDelta(head.actualX - segment.actualX);
+            const dy = this.wrapDelta(head.actualY - segment.actualY);
+
+            if (dx * dx + dy * dy < collisionRadiusSq) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // 检查蛇头是否撞到其他玩家的蛇（包括对方蛇头，迎面相撞时双方都被淘汰）
+    checkSnakeCollision() {
+        const head = this.snake[0];
+        const collisionRadius = this.GRID_SIZE * 0.8;
+        const collisionRadiusSq = collisionRadius * collisionRadius;
+
+        return this.players.some(player => player !== this.activePlayer && player.snake.some(segment => {
+            const dx = this.wrapDelta(head.actualX - segment.actualX);
+            const dy = this.wrapDelta(head.actualY - segment.actualY);
+            return dx * dx + dy * dy < collisionRadiusSq;
+        }));
+    }
+
+    // 食物碰撞检测 - 使用实际坐标距离检测，只要蛇头碰到食物就算吃到
+    checkFoodCollision() {
+        const head = this.snake[0];
+        const foodCollisionRadius = this.GRID_SIZE * 0.7; // 碰撞半径，比网格稍小以保持合理性
+
+        for (let i = 0; i < this.foods.length; i++) {
+            const food = this.foods[i];
+            const dx = this.wrapDelta(head.actualX - food.x * this.GRID_SIZE);
+            const dy = this.wrapDelta(head.actualY - food.y * this.GRID_SIZE);
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance < foodCollisionRadius) {
+                this.eatFood(food, i);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // 吃掉食物：得分、长度变化和食物效果
+    eatFood(food, index) {
+        const foodType = this.foodTypes[food.type];
+
+        // 连击机制
+        const currentTime = this.now();
+        if (currentTime - this.lastFoodTime < 3000) { // 3秒内算连击
+            this.comboCount++;
+        } else {
+            this.comboCount = 1;
+        }
+        this.lastFoodTime = currentTime;
+
+        // 根据连击和食物类型计算得分
+        const baseScore = 10;
+        const comboBonus = this.comboCount > 1 ? (this.comboCount - 1) * 5 : 0;
+        const totalScore = (baseScore + comboBonus) * foodType.scoreMultiplier;
+
+        this.score += totalScore;
+
+        // 长度变化 - 增长时复制蛇尾并添加到末尾，缩短时去掉蛇尾
+        for (let i = 0; i < foodType.growth; i++) {
+            this.snake.push(this.createNewSnakeSegment());
+        }
+        const minLength = Math.min(this.snake.length, FOOD_CONFIG.minLength);
+        for (let i = 0; i > foodType.growth && this.snake.length > minLength; i--) {
+            this.snake.pop();
+        }
+
+        if (foodType.effect) {
+            this.effects.apply(foodType.effect, foodType.effectDuration);
+        }
+
+        // 更新难度（根据新长度计算速度）
+        this.updateDifficulty();
+
+        // 更新障碍物奖励预判（因为蛇长度变化了）
+        this.updateObstacleRewards();
+
+        // 普通食物被吃掉后立即生成新的，额外食物按计划生成
+        this.foods.splice(index, 1);
+        if (food.type === 'NORMAL') {
+            this.generateFood('NORMAL');
+        }
+
+        this.emit('foodEaten', {
+            food,
+            points: totalScore,
+            combo: this.comboCount,
+            length: this.snake.length
+        });
+    }
+
+    // 蛇身平滑跟随
+    updateBodyFollow() {
+        const gridSizeSq = this.GRID_SIZE * this.GRID_SIZE;
+
+        for (let i = 1; i < this.snake.length; i++) {
+            const current = this.snake[i];
+            const target = this.snake[i - 1];
+
+            // 穿越边界时沿最短方向跟随，身体跨过边缘接到对侧
+            const dx = this.wrapDelta(target.actualX - current.actualX);
+            const dy = this.wrapDelta(target.actualY - current.actualY);
+            const distanceSq = dx * dx + dy * dy;
+
+            if (distanceSq > gridSizeSq) {
+                const distance = Math.sqrt(distanceSq); // 只有需要时才计算平方根
+                const ratio = (distance - this.GRID_SIZE) / distance * 0.8; // 减少跟随速度
+                current.targetX = current.actualX + dx * ratio;
+                current.targetY = current.actualY + dy * ratio;
+            }
+
+            // 平滑插值到目标位置
+            current.actualX += (current.targetX - current.actualX) * this.SMOOTH_FACTOR;
+            current.actualY += (current.targetY - current.actualY) * this.SMOOTH_FACTOR;
+            if (this.wallGrid) {
+                this.pushSegmentOutOfWall(current);
+            }
+            if (this.wrapAround) {
+                this.wrapSegment(current);
+            }
+            current.x = this.wrapCell(Math.floor(current.actualX / this.GRID_SIZE));
+            current.y = this.wrapCell(Math.floor(current.actualY / this.GRID_SIZE));
+        }
+    }
+
+    // 游戏结束
+    gameOver() {
+        // 电脑对手被淘汰后稍后重生；双人模式下只淘汰当前玩家，由 checkMatchEnd 结束对局
+        if (this.activePlayer.bot || this.isMatch()) {
+            this.eliminatePlayer();
+            return;
+        }
+
+        // 在关卡模式下，转为关卡失败
+        if (this.levelSystem.isActive && !this.levelSystem.completed && !this.levelSystem.failed) {
+            this.levelFailed('撞墙或撞到自己！');
+            return;
+        }
+
+        this.gameState = 'gameOver';
+        this.obstacles = [];
+        this.nextObstacleTime = 0;
+        this.players.forEach(player => player.effects.clear());
+
+        this.emit('gameOver', { score: this.score, length: this.snake.length });
+    }
+
+    // 淘汰当前玩家（双人模式或电脑对手），蛇留在原地直到对局结束或电脑对手重生
+    eliminatePlayer() {
+        this.activePlayer.alive = false;
+        this.effects.clear();
+        if (this.activePlayer.bot) {
+            this.activePlayer.bot.respawnTime = this.now() + BOT_CONFIG.respawnDelay;
+        }
+
+        this.emit('playerEliminated', { score: this.score, length: this.snake.length });
+    }
+
+    /**
+     * 判负指定玩家（联机对战中断线超时），双人时由另一名玩家获胜，单人时游戏结束
+     * @param {number} index - 玩家编号
+     * @returns {boolean} 是否判负成功
+     */
+    forfeitPlayer(index) {
+        const player = this.players[index];
+        if (!player || !player.alive || (this.gameState !== 'playing' && this.gameState !== 'paused')) {
+            return false;
+        }
+
+        this.activePlayer = player;
+        this.gameOver();
+        this.activePlayer = this.players[0];
+        this.checkMatchEnd();
+        return true;
+    }
+
+    /**
+     * 双人模式下存活的玩家不超过一名时结束对局，同一步内全部被淘汰为平局（电脑对手不影响胜负）
+     * @returns {boolean} 对局是否结束
+     */
+    checkMatchEnd() {
+        if (!this.isMatch()) return false;
+
+        const survivors = this.getHumanPlayers().filter(player => player.alive);
+        if (survivors.length > 1) return false;
+
+        this.gameState = 'gameOver';
+        this.obstacles = [];
+        this.nextObstacleTime = 0;
+        this.players.forEach(player => player.effects.clear());
+
+        this.emit('gameOver', {
+            score: this.score,
+            length: this.snake.length,
+            winner: survivors.length === 1 ? survivors[0].index : null,
+            scores: this.players.map(player => player.score)
+        });
+        return true;
+    }
+
+    /**
+     * 让当前电脑对手在空地出发（开局或重生），找不到空地时稍后重试
+     * @returns {boolean} 是否出发成功
+     */
+    spawnBot() {
+        const bot = this.activePlayer.bot;
+        this.snake = [];
+
+        const start = this.findBotStart();
+        if (!start) {
+            this.activePlayer.alive = false;
+            bot.respawnTime = this.now() + BOT_CONFIG.respawnDelay;
+            return false;
+        }
+
+        this.snake = this.createInitialSnake(start);
+        this.targetDirection = start.heading;
+        this.currentDirection = start.heading;
+        this.activePlayer.alive = true;
+        bot.respawnTime = null;
+        bot.path = [];
+        bot.nextPlanTime = 0;
+        return true;
+    }
+
+    // 随机选择电脑对手的起点（使用电脑对手自己的随机数），找不到时为 null
+    findBotStart() {
+        const random = this.activePlayer.bot.random;
+        const length = this.DIFFICULTY_CONFIG.initialLength;
+
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const start = {
+                x: random.nextInt(this.BOARD_SIZE),
+                y: random.nextInt(this.BOARD_SIZE),
+                heading: random.nextInt(4) * Math.PI / 2,
+                length
+            };
+            if (this.isBotStartClear(start)) return start;
+        }
+        return null;
+    }
+
+    // 起点的蛇身和前方3格都是空地（不检查食物，重叠的食物由 placeLevelStart 重新生成），且远离其他蛇头
+    isBotStartClear(start) {
+        const dx = Math.round(Math.cos(start.heading));
+        const dy = Math.round(Math.sin(start.heading));
+
+        for (let i = -3; i < start.length; i++) {
+            const x = start.x - dx * i;
+            const y = start.y - dy * i;
+            const inBoard = x > 0 && y > 0 && x < this.BOARD_SIZE - 1 && y < this.BOARD_SIZE - 1;
+            if (!inBoard && !this.wrapAround) return false;
+            if (this.isWall(x, y)) return false;
+
+            const cellX = this.wrapCell(x);
+            const cellY = this.wrapCell(y);
+            const onSnake = this.players.some(player => player.snake.some(segment => segment.x === cellX && segment.y === cellY));
+            const onObstacle = this.obstacles.some(obstacle => obstacle.x === cellX && obstacle.y === cellY);
+            if (onSnake || onObstacle) return false;
+        }
+
+        return this.players.every(player => {
+            if (player === this.activePlayer || player.snake.length === 0) return true;
+            const head = player.snake[0];
+            const distance = Math.hypot(this.wrapDelta(head.actualX - start.x * this.GRID_SIZE), this.wrapDelta(head.actualY - start.y * this.GRID_SIZE));
+            return distance >= BOT_CONFIG.spawnDistance * this.GRID_SIZE;
+        });
+    }
+
+    // 被淘汰的电脑对手等待 respawnDelay 后以初始长度重生，得分和状态重新开始
+    updateBotRespawns() {
+        this.forEachPlayer(player => {
+            if (!player.bot || player.alive || this.now() < player.bot.respawnTime) return;
+
+            this.resetPlayer();
+            if (this.spawnBot()) {
+                this.updateDifficulty();
+                this.emit('botRespawned', { x: this.snake[0].x, y: this.snake[0].y });
+            }
+        });
+    }
+
+    // 创建食物对象
+    createFood(x, y, type) {
+        const lifetime = this.foodTypes[type].lifetime;
+        return {
+            id: this.nextFoodId++,
+            x: x,
+            y: y,
+            type: type,
+            spawnTime: this.now(),
+            expireTime: lifetime > 0 ? this.now() + lifetime : null // 为空时不会消失
+        };
+    }
+
+    /**
+     * 生成食物
+     * @param {string} type - 食物类型
+     * @returns {object} 生成的食物
+     */
+    generateFood(type) {
+        const position = this.findFoodPosition();
+        const food = this.createFood(position.x, position.y, type);
+
+        this.foods.push(food);
+        this.emit('foodSpawned', { food });
+        return food;
+    }
+
+    // 为新食物选择位置
+    findFoodPosition() {
+        // 关卡指定了食物区域时，只在区域内的空格子中生成
+        if (this.foodZones.length > 0) {
+            const cells = this.getFreeCellsInZones(this.foodZones);
+            if (cells.length > 0) {
+                return cells[this.random.nextInt(cells.length)];
+            }
+        }
+
+        let position;
+        let attempts = 0;
+        do {
+            position = {
+                x: this.random.nextInt(this.BOARD_SIZE),
+                y: this.random.nextInt(this.BOARD_SIZE)
+            };
+            attempts++;
+        } while (this.isPositionOccupied(position.x, position.y) && attempts < 100);
+
+        if (attempts >= 100) {
+            // 如果找不到位置，随机选择一个不与蛇身和墙体重叠的位置
+            do {
+                position = {
+                    x: this.random.nextInt(this.BOARD_SIZE),
+                    y: this.random.nextInt(this.BOARD_SIZE)
+                };
+            } while (this.isWall(position.x, position.y) || this.players.some(player => player.snake.some(segment =>
+                Math.floor(segment.actualX / this.GRID_SIZE) === position.x &&
+                Math.floor(segment.actualY / this.GRID_SIZE) === position.y
+            )));
+        }
+
+        return position;
+    }
+
+    // 按权重随机选择额外食物的类型
+    pickExtraFoodType() {
+        const candidates = Object.entries(this.foodTypes).filter(([, config]) => config.weight > 0);
+        const totalWeight = candidates.reduce((sum, [, config]) => sum + config.weight, 0);
+        let roll = this.random.next() * totalWeight;
+        for (const [type, config] of candidates) {
+            roll -= config.weight;
+            if (roll < 0) return type;
+        }
+        return candidates[candidates.length - 1][0];
+    }
+
+    // 更新额外食物生成
+    updateFoodSpawning() {
+        if (this.now() < this.nextFoodTime) return;
+
+        const extraCount = this.foods.filter(food => food.type !== 'NORMAL').length;
+        if (extraCount < FOOD_CONFIG.maxExtraFoods) {
+            this.generateFood(this.pickExtraFoodType());
+        }
+        this.scheduleNextFood();
+    }
+
+    // 安排下一个额外食物的生成时间
+    scheduleNextFood() {
+        const interval = FOOD_CONFIG.minInterval + this.random.next() * (FOOD_CONFIG.maxInterval - FOOD_CONFIG.minInterval);
+        this.nextFoodTime = this.now() + interval;
+    }
+
+    // 移除超过存在时间的食物
+    updateFoodExpiry() {
+        const currentTime = this.now();
+        for (let i = this.foods.length - 1; i >= 0; i--) {
+            const food = this.foods[i];
+            if (food.expireTime !== null && currentTime >= food.expireTime) {
+                this.foods.splice(i, 1);
+                this.emit('foodExpired', { food });
+            }
+        }
+    }
+
+    // 列出矩形区域内所有未被占用的格子（重叠区域只计一次）
+    getFreeCellsInZones(zones) {
+        const seen = new Set();
+        const cells = [];
+        zones.forEach(zone => {
+            for (let y = zone.y; y < zone.y + zone.height; y++) {
+                for (let x = zone.x; x < zone.x + zone.width; x++) {
+                    const key = y * this.BOARD_SIZE + x;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    if (!this.isPositionOccupied(x, y)) {
+                        cells.push({ x, y });
+                    }
+                }
+            }
+        });
+        return cells;
+    }
+
+    // 检查位置是否被占用
+    isPositionOccupied(x, y) {
+        // 检查是否是墙
+        if (this.isWall(x, y)) {
+            return true;
+        }
+
+        // 检查是否与蛇身重叠
+        for (let player of this.players) {
+            for (let segment of player.snake) {
+                if (segment.x === x && segment.y === y) {
+                    return true;
+                }
+            }
+        }
+
+        // 检查是否与食物重叠
+        for (let food of this.foods) {
+            if (food.x === x && food.y === y) {
+                return true;
+            }
+        }
+
+        // 检查是否与其他障碍物重叠
+        for (let obstacle of this.obstacles) {
+            if (obstacle.x === x && obstacle.y === y) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // 生成障碍物等级和类型
+    generateObstacleLevel() {
+        if (this.obstacleSpawnTable) {
+            return this.pickObstacleFromTable(this.obstacleSpawnTable);
+        }
+
+        const snakeLength = this.getLeadingPlayer().snake.length;
+
+        // 根据蛇长度智能选择障碍物类型
+        const typeChance = this.random.next();
+        let obstacleType, level;
+
+        if (snakeLength <= 5) {
+            // 早期：主要是弱障碍物
+            if (typeChance < 0.6) {
+                obstacleType = 'WEAK';
+                level = Math.max(1, snakeLength - 2);
+            } else if (typeChance < 0.9) {
+                obstacleType = 'NORMAL';
+                level = snakeLength;
+            } else {
+                obstacleType = 'STRONG';
+                level = snakeLength + 2;
+            }
+        } else if (snakeLength <= 15) {
+            // 中期：平衡分布
+            if (typeChance < 0.3) {
+                obstacleType = 'WEAK';
+                level = Math.max(1, snakeLength - 3);
+            } else if (typeChance < 0.7) {
+                obstacleType = 'NORMAL';
+                level = snakeLength + this.random.nextInt(3) - 1;
+            } else if (typeChance < 0.95) {
+                obstacleType = 'STRONG';
+                level = snakeLength + this.random.nextInt(5) + 1;
+            } else {
+                obstacleType = 'SPECIAL';
+                level = snakeLength + this.random.nextInt(3);
+            }
+        } else {
+            // 后期：更多危险障碍物
+            if (typeChance < 0.2) {
+                obstacleType = 'WEAK';
+                level = Math.max(1, snakeLength - 5);
+            } else if (typeChance < 0.5) {
+                obstacleType = 'NORMAL';
+                level = snakeLength + this.random.nextInt(3);
+            } else if (typeChance < 0.9) {
+                obstacleType = 'STRONG';
+                level = snakeLength + this.random.nextInt(8) + 2;
+            } else {
+                obstacleType = 'SPECIAL';
+                level = snakeLength + this.random.nextInt(5);
+            }
+        }
+
+        return { type: obstacleType, level: level };
+    }
+
+    // 穿越边界模式下把坐标差换算为环形棋盘上的最短差值，普通模式原样返回
+    wrapDelta(delta) {
+        if (!this.wrapAround) return delta;
+
+        const span = this.BOARD_SIZE * this.GRID_SIZE;
+        return delta - span * Math.round(delta / span);
+    }
+
+    // 穿越边界模式下把格子坐标折回棋盘内，普通模式原样返回
+    wrapCell(cell) {
+        if (!this.wrapAround) return cell;
+
+        return ((cell % this.BOARD_SIZE) + this.BOARD_SIZE) % this.BOARD_SIZE;
+    }
+
+    /**
+     * 把越过棋盘边缘的蛇段移到对侧，目标位置一起平移以保持移动方向
+     * 棋盘边缘在格子中心外半格处，与渲染的棋盘边缘一致
+     * @returns {{x: number, y: number, dx: number, dy: number}|null} 移动后的格子和平移的格数，没有越界时为 null
+     */
+    wrapSegment(segment) {
+        const span = this.BOARD_SIZE * this.GRID_SIZE;
+        const edge = -this.GRID_SIZE / 2;
+        const shiftX = Math.floor((segment.actualX - edge) / span);
+        const shiftY = Math.floor((segment.actualY - edge) / span);
+        if (shiftX === 0 && shiftY === 0) return null;
+
+        segment.actualX -= shiftX * span;
+        segment.actualY -= shiftY * span;
+        segment.targetX -= shiftX * span;
+        segment.targetY -= shiftY * span;
+        return {
+            x: Math.round(segment.actualX / this.GRID_SIZE),
+            y: Math.round(segment.actualY / this.GRID_SIZE),
+            dx: (0 - shiftX) * this.BOARD_SIZE,
+            dy: (0 - shiftY) * this.BOARD_SIZE
+        };
+    }
+
+    // 把墙体矩形展开为格子标记，碰撞和占用检查只需一次数组访问
+    buildWallGrid(walls) {
+        if (walls.length === 0) return null;
+
+        const grid = new Uint8Array(this.BOARD_SIZE * this.BOARD_SIZE);
+        walls.forEach(wall => {
+            for (let y = wall.y; y < wall.y + wall.height; y++) {
+                for (let x = wall.x; x < wall.x + wall.width; x++) {
+                    grid[y * this.BOARD_SIZE + x] = 1;
+                }
+            }
+        });
+        return grid;
+    }
+
+    // 格子是否是墙（穿越边界模式下棋盘外的格子对应对侧的格子）
+    isWall(x, y) {
+        x = this.wrapCell(x);
+        y = this.wrapCell(y);
+        if (!this.wallGrid || x < 0 || y < 0 || x >= this.BOARD_SIZE || y >= this.BOARD_SIZE) {
+            return false;
+        }
+        return this.wallGrid[y * this.BOARD_SIZE + x] === 1;
+    }
+
+    // 连续坐标所在的格子是否是墙（与障碍物、食物一致，格子中心位于 x * GRID_SIZE）
+    isWallAt(actualX, actualY) {
+        return this.isWall(Math.round(actualX / this.GRID_SIZE), Math.round(actualY / this.GRID_SIZE));
+    }
+
+    // 蛇头碰撞半径内是否有墙
+    checkWallCollision() {
+        if (!this.wallGrid) return false;
+
+        const head = this.snake[0];
+        const radius = this.GRID_SIZE * 0.3;
+        const corners = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+        return corners.some(([dx, dy]) => this.isWallAt(head.actualX + dx * radius, head.actualY + dy * radius));
+    }
+
+    /**
+     * 蛇身按绳索方式跟随前一段，转弯或传送后被拖动时会切过墙角
+     * 把进入墙格的身体段推回到穿透最浅的一侧空地，让身体沿墙滑动而不是穿墙
+     */
+    pushSegmentOutOfWall(segment) {
+        const cellX = Math.round(segment.actualX / this.GRID_SIZE);
+        const cellY = Math.round(segment.actualY / this.GRID_SIZE);
+        if (!this.isWall(cellX, cellY)) return;
+
+        const isInBoard = (x, y) => this.wrapAround || (x >= 0 && y >= 0 && x < this.BOARD_SIZE && y < this.BOARD_SIZE);
+        const isOpen = (x, y) => isInBoard(x, y) && !this.isWall(x, y);
+        const offsetX = segment.actualX - cellX * this.GRID_SIZE;
+        const offsetY = segment.actualY - cellY * this.GRID_SIZE;
+        const edge = this.GRID_SIZE * 0.51; // 略超过半格，确保落在相邻格子内
+
+        const exits = [
+            { open: isOpen(cellX - 1, cellY), depth: this.GRID_SIZE / 2 + offsetX, x: cellX * this.GRID_SIZE - edge, y: segment.actualY },
+            { open: isOpen(cellX + 1, cellY), depth: this.GRID_SIZE / 2 - offsetX, x: cellX * this.GRID_SIZE + edge, y: segment.actualY },
+            { open: isOpen(cellX, cellY - 1), depth: this.GRID_SIZE / 2 + offsetY, x: segment.actualX, y: cellY * this.GRID_SIZE - edge },
+            { open: isOpen(cellX, cellY + 1), depth: this.GRID_SIZE / 2 - offsetY, x: segment.actualX, y: cellY * this.GRID_SIZE + edge }
+        ].filter(exit => exit.open);
+        if (exits.length === 0) return;
+
+        const exit = exits.reduce((best, candidate) => candidate.depth < best.depth ? candidate : best);
+        segment.actualX = exit.x;
+        segment.actualY = exit.y;
+        segment.targetX = exit.x;
+        segment.targetY = exit.y;
+    }
+
+    // 按关卡生成表的权重选择障碍物类型，等级为蛇长度加上该类型的随机偏移
+    pickObstacleFromTable(table) {
+        const totalWeight = table.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = this.random.next() * totalWeight;
+        let entry = table[table.length - 1];
+        for (const candidate of table) {
+            roll -= candidate.weight;
+            if (roll < 0) {
+                entry = candidate;
+                break;
+            }
+        }
+
+        const [minOffset, maxOffset] = entry.levelOffset;
+        const offset = minOffset + this.random.nextInt(maxOffset - minOffset + 1);
+        return { type: entry.type, level: Math.max(1, this.getLeadingPlayer().snake.length + offset) };
+    }
+
+    /**
+     * 创建障碍物对象
+     * @param {boolean} [landed] - 为 true 时直接放在地面上（关卡预置障碍物），否则从高空落下
+     */
+    createObstacle(x, y, type, level, landed = false) {
+        const obstacleTypeConfig = this.obstacleTypes[type];
+        const startY = this.GRID_SIZE * 8;
+        const targetY = this.GRID_SIZE / 2;
+
+        return {
+            id: this.nextObstacleId++,
+            x: x,
+            y: y,
+            level: level,
+            type: type,
+            effect: obstacleTypeConfig.effect,
+            isPreset: landed,
+            // 下落动画相关
+            isFalling: !landed,
+            fallSpeed: 0,
+            height: landed ? targetY : startY,    // 当前高度，从高空开始
+            startY: startY,
+            targetY: targetY,
+            hasLanded: landed,
+            // 碰撞预判
+            willGetReward: this.getShortestSnakeLength() >= level
+        };
+    }
+
+    // 生成障碍物
+    generateObstacle() {
+        // 检查是否达到最大障碍物数量（预置障碍物不计入）
+        const spawnedCount = this.obstacles.filter(obstacle => !obstacle.isPreset).length;
+        if (spawnedCount >= this.maxObstacles) {
+            return null;
+        }
+
+        // 随机生成位置，确保不与蛇身和食物重叠
+        let position;
+        let attempts = 0;
+        do {
+            position = {
+                x: this.random.nextInt(this.BOARD_SIZE),
+                y: this.random.nextInt(this.BOARD_SIZE)
+            };
+            attempts++;
+        } while (this.isPositionOccupied(position.x, position.y) && attempts < 50);
+
+        if (attempts >= 50) {
+            return null;
+        }
+
+        // 生成障碍物等级和类型
+        const obstacleInfo = this.generateObstacleLevel();
+        const obstacle = this.createObstacle(position.x, position.y, obstacleInfo.type, obstacleInfo.level);
+
+        this.obstacles.push(obstacle);
+        this.emit('obstacleSpawned', { obstacle, count: this.obstacles.length });
+
+        return obstacle;
+    }
+
+    // 更新障碍物生成
+    updateObstacleSpawning() {
+        if (this.gameState !== 'playing') return;
+
+        // 检查是否到了生成下一个障碍物的时间
+        if (this.now() >= this.nextObstacleTime) {
+            this.generateObstacle();
+            this.scheduleNextObstacle();
+        }
+    }
+
+    // 安排下一个障碍物的生成时间
+    scheduleNextObstacle() {
+        // 根据游戏难度调整生成频率
+        const difficultyMultiplier = this.getDifficultyMultiplier();
+        const minInterval = this.obstacleMinInterval / difficultyMultiplier;
+        const maxInterval = this.obstacleMaxInterval / difficultyMultiplier;
+
+        const interval = minInterval + this.random.next() * (maxInterval - minInterval);
+        this.nextObstacleTime = this.now() + interval;
+    }
+
+    // 当前实际移动速度：难度决定的速度乘以状态效果的倍率（格/秒）
+    getEffectiveSpeed() {
+        return this.moveSpeed * this.effects.getSpeedMultiplier();
+    }
+
+    // 最长的蛇所属的玩家（长度相同时取编号小的），障碍物等级和生成频率按领先的玩家计算，不考虑电脑对手
+    getLeadingPlayer() {
+        return this.getHumanPlayers().reduce((leader, player) => player.snake.length > leader.snake.length ? player : leader);
+    }
+
+    // 最短的蛇的长度，双人模式下障碍物只有对所有玩家都是奖励时才预判为奖励（电脑对手按自己的长度判断）
+    getShortestSnakeLength() {
+        return Math.min(...this.getHumanPlayers().map(player => player.snake.length));
+    }
+
+    // 获取难度倍数
+    getDifficultyMultiplier() {
+        const leader = this.getLeadingPlayer();
+        const baseMultiplier = 1.0;
+        const lengthBonus = (leader.snake.length - 3) * 0.1; // 每增加一段，生成频率增加10%
+        const scoreBonus = leader.score * 0.001; // 每10分，生成频率增加1%
+
+        return Math.max(baseMultiplier + lengthBonus + scoreBonus, 0.3); // 最少是原来的3倍频率
+    }
+
+    // 更新障碍物下落（只有落地后的障碍物才能被碰撞）
+    updateObstacleFalling() {
+        this.obstacles.forEach(obstacle => {
+            if (!obstacle.isFalling) return;
+
+            obstacle.fallSpeed += 0.5; // 重力加速度
+            obstacle.height -= obstacle.fallSpeed;
+
+            if (obstacle.height <= obstacle.targetY) {
+                obstacle.height = obstacle.targetY;
+                obstacle.isFalling = false;
+                obstacle.hasLanded = true;
+                this.emit('obstacleLanded', { obstacle });
+            }
+        });
+    }
+
+    // 根据当前蛇长度重新判断所有障碍物的奖励/惩罚状态
+    updateObstacleRewards() {
+        const snakeLength = this.getShortestSnakeLength();
+        this.obstacles.forEach(obstacle => {
+            obstacle.willGetReward = snakeLength >= obstacle.level;
+        });
+    }
+
+    // 检查障碍物碰撞
+    checkObstacleCollision() {
+        // 如果处于无敌状态，跳过碰撞检测
+        if (this.effects.has('invulnerable')) {
+            return false;
+        }
+
+        const head = this.snake[0];
+        const collisionRadius = this.GRID_SIZE * 0.7;
+
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.obstacles[i];
+
+            // 只有已落地的障碍物才能被碰撞
+            if (!obstacle.hasLanded) {
+                continue;
+            }
+
+            const dx = this.wrapDelta(head.actualX - obstacle.x * this.GRID_SIZE);
+            const dy = this.wrapDelta(head.actualY - obstacle.y * this.GRID_SIZE);
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance < collisionRadius) {
+                this.handleObstacleCollision(obstacle, i);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // 处理障碍物碰撞
+    handleObstacleCollision(obstacle, index) {
+        const snakeLength = this.snake.length;
+        const obstacleLevel = obstacle.level;
+
+        // 移除障碍物（不管结果如何，障碍物都会消失）
+        this.obstacles.splice(index, 1);
+
+        // 根据障碍物类型和蛇长度关系决定效果
+        if (snakeLength >= obstacleLevel) {
+            // 蛇长度 >= 障碍物等级，获得奖励
+            this.handleObstacleReward(obstacle, snakeLength, obstacleLevel);
+        } else {
+            // 蛇长度 < 障碍物等级，受到惩罚
+            this.handleObstaclePenalty(obstacle, snakeLength, obstacleLevel);
+        }
+
+        // 更新难度（因为蛇长度变化了）
+        this.updateDifficulty();
+
+        // 更新障碍物奖励预判（因为蛇长度变化了）
+        this.updateObstacleRewards();
+    }
+
+    // 处理障碍物奖励
+    handleObstacleReward(obstacle, snakeLength, obstacleLevel) {
+        let points = 0;
+
+        // 根据障碍物类型给予不同奖励
+        switch (obstacle.effect) {
+            case 'stun':
+                // 弱障碍物：得分奖励
+                points = 20;
+                break;
+            case 'shrink':
+                // 普通障碍物：增加连击
+                this.comboCount++;
+                points = 30 * this.comboCount;
+                break;
+            case 'halve':
+                // 强障碍物：增加蛇长度
+                this.snake.push(this.createNewSnakeSegment());
+                points = 50;
+                break;
+            case 'teleport':
+                // 特殊障碍物：激活无敌状态
+                this.effects.apply('invulnerable', this.DIFFICULTY_CONFIG.safetyBuffDuration);
+                points = 100;
+                break;
+        }
+
+        this.score += points;
+
+        this.emit('obstacleReward', {
+            obstacle,
+            effect: obstacle.effect,
+            points,
+            combo: this.comboCount,
+            snakeLength,
+            obstacleLevel
+        });
+    }
+
+    // 处理障碍物惩罚
+    handleObstaclePenalty(obstacle, snakeLength, obstacleLevel) {
+        let newLength = snakeLength;
+
+        // 根据障碍物类型给予不同惩罚
+        switch (obstacle.effect) {
+            case 'stun':
+                // 弱障碍物：短暂眩晕
+                this.effects.apply('stun', 800);
+                break;
+            case 'shrink':
+                // 普通障碍物：减少1-2段
+                newLength = Math.max(3, snakeLength - this.random.nextInt(2) - 1);
+                break;
+            case 'halve':
+                // 强障碍物：减半
+                newLength = Math.max(3, Math.floor(snakeLength / 2));
+                break;
+            case 'teleport':
+                // 特殊障碍物：随机传送蛇头
+                this.teleportSnakeHead();
+                break;
+        }
+
+        // 应用长度变化
+        if (newLength < snakeLength) {
+            this.snake = this.snake.slice(0, newLength);
+        }
+
+        // 重置连击
+        this.comboCount = 0;
+
+        this.emit('obstaclePenalty', {
+            obstacle,
+            effect: obstacle.effect,
+            snakeLength,
+            newLength,
+            obstacleLevel
+        });
+
+        // 检查是否需要安全期
+        if (newLength <= this.DIFFICULTY_CONFIG.minSafeLength) {
+            this.effects.apply('invulnerable', this.DIFFICULTY_CONFIG.safetyBuffDuration);
+        }
+
+        // 触发蛇头眩晕
+        this.effects.apply('stun', 600);
+    }
+
+    // 创建新的蛇身段
+    createNewSnakeSegment() {
+        const tail = this.snake[this.snake.length - 1];
+        return {
+            x: tail.x,
+            y: tail.y,
+            actualX: tail.actualX,
+            actualY: tail.actualY,
+            targetX: tail.actualX,
+            targetY: tail.actualY,
+            rotation: tail.rotation
+        };
+    }
+
+    // 传送蛇头到随机位置
+    teleportSnakeHead() {
+        const head = this.snake[0];
+        let newX, newY;
+        let attempts = 0;
+
+        // 尝试找到一个安全的传送位置
+        do {
+            newX = this.random.nextInt(this.BOARD_SIZE);
+            newY = this.random.nextInt(this.BOARD_SIZE);
+            attempts++;
+        } while (this.isPositionOccupied(newX, newY) && attempts < 50);
+
+        if (attempts < 50) {
+            head.x = newX;
+            head.y = newY;
+            head.actualX = newX * this.GRID_SIZE;
+            head.actualY = newY * this.GRID_SIZE;
+            head.targetX = head.actualX;
+            head.targetY = head.actualY;
+
+            this.emit('teleported', { x: newX, y: newY });
+        }
+    }
+
+    // 更新关卡系统
+    updateLevelSystem() {
+        if (!this.levelSystem.isActive || this.gameState !== 'playing') {
+            return;
+        }
+
+        const currentTime = this.now();
+
+        // 检查时间限制
+        if (this.levelSystem.timeLimit > 0) {
+            const elapsed = currentTime - this.levelSystem.startTime;
+            if (elapsed >= this.levelSystem.timeLimit) {
+                this.checkLevelCompletion();
+                if (!this.levelSystem.completed) {
+                    this.levelFailed('时间到！');
+                    return;
+                }
+            }
+        }
+
+        // 检查障碍物控制关卡的衰减机制
+        if (this.levelSystem.maxObstacles > 0) {
+            if (this.obstacles.length > this.levelSystem.maxObstacles) {
+                // 超过限制，每秒衰减一次
+                if (currentTime - this.levelSystem.lastDecayTime >= 1000) {
+                    this.applyObstacleDecay();
+                    this.levelSystem.lastDecayTime = currentTime;
+                }
+            } else {
+                // 重置衰减时间
+                this.levelSystem.lastDecayTime = currentTime;
+            }
+        }
+
+        // 检查关卡完成条件
+        this.checkLevelCompletion();
+    }
+
+    // 检查关卡完成条件
+    checkLevelCompletion() {
+        if (this.levelSystem.completed || this.levelSystem.failed) {
+            return;
+        }
+
+        let completed = false;
+
+        switch (this.levelSystem.levelType) {
+            case 'free':
+                // 自由模式没有完成条件
+                completed = false;
+                break;
+
+            case 'score':
+                // 分数挑战：达到目标分数
+                completed = this.score >= this.levelSystem.targetScore;
+                break;
+
+            case 'length':
+                // 长度挑战：达到目标长度
+                completed = this.snake.length >= this.levelSystem.targetLength;
+                break;
+
+            case 'obstacle':
+                // 障碍物控制：持续30秒保持在限制内
+                if (this.obstacles.length <= this.levelSystem.maxObstacles) {
+                    completed = this.getLevelElapsed() >= 30000;
+                }
+                break;
+        }
+
+        if (completed) {
+            this.levelCompleted();
+        }
+    }
+
+    // 关卡完成
+    levelCompleted() {
+        this.levelSystem.completed = true;
+        this.levelSystem.isActive = false;
+        this.pause();
+
+        this.emit('levelCompleted', {
+            level: this.levelSystem.currentLevel,
+            score: this.score,
+            length: this.snake.length
+        });
+    }
+
+    // 关卡失败
+    levelFailed(reason) {
+        this.levelSystem.failed = true;
+        this.levelSystem.isActive = false;
+        this.pause();
+
+        this.emit('levelFailed', {
+            level: this.levelSystem.currentLevel,
+            reason,
+            score: this.score,
+            length: this.snake.length
+        });
+    }
+
+    // 应用障碍物衰减
+    applyObstacleDecay() {
+        const decayAmount = this.levelSystem.decayRate;
+        const penalty = Math.floor(decayAmount * 10);
+
+        // 减少分数
+        this.score = Math.max(0, this.score - penalty);
+
+        // 减少蛇长度
+        if (this.snake.length > 3 && this.random.next() < decayAmount * 0.1) {
+            this.snake.pop();
+            this.updateDifficulty();
+        }
+
+        this.emit('obstacleDecay', { penalty, score: this.score, length: this.snake.length });
+    }
+}
+
+// 每个玩家独立的字段，模拟逻辑中的 this.snake、this.score 等读写当前处理中的玩家
+const PLAYER_FIELDS = ['snake', 'targetDirection', 'currentDirection', 'score', 'comboCount', 'lastFoodTime', 'consecutiveAvoids', 'moveSpeed', 'effects'];
+
+PLAYER_FIELDS.forEach(field => {
+    Object.defineProperty(SnakeSimulation.prototype, field, {
+        get() {
+            return this.activePlayer[field];
+        },
+        set(value) {
+            this.activePlayer[field] = value;
+        }
+    });
+});
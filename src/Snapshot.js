@@ -0,0 +1,147 @@
+import { GRID_SIZE } from './config.js';
+
+// 快照中坐标、角度的量化精度，减小消息体积
+const POSITION_PRECISION = 100;
+
+// 两个快照之间蛇段移动超过该距离（传送、穿越边界等）时不插值，直接使用较早快照的位置
+const MAX_INTERPOLATION_DISTANCE = GRID_SIZE * 3;
+
+const round = value => Math.round(value * POSITION_PRECISION) / POSITION_PRECISION;
+
+/**
+ * 序列化模拟状态，供联机服务器广播给客户端
+ * 只包含渲染需要的状态（蛇、食物、障碍物、得分、状态效果），客户端不运行模拟
+ * @param {import('./SnakeSimulation.js').SnakeSimulation} sim
+ * @returns {object}
+ */
+export function serializeSnapshot(sim) {
+    return {
+        time: sim.now(),
+        gameState: sim.gameState,
+        seed: sim.seed,
+        boardSize: sim.BOARD_SIZE,
+        wrapAround: sim.wrapAround,
+        players: sim.players.map(player => ({
+            index: player.index,
+            alive: player.alive,
+            score: player.score,
+            comboCount: player.comboCount,
+            moveSpeed: player.moveSpeed,
+            targetDirection: round(player.targetDirection),
+            currentDirection: round(player.currentDirection),
+            // 蛇段 [格子x, 格子y, 实际x, 实际y, 朝向]
+            snake: player.snake.map(segment => [segment.x, segment.y, round(segment.actualX), round(segment.actualY), round(segment.rotation)]),
+            effects: Array.from(player.effects.active.values()).map(effect => ({ ...effect }))
+        })),
+        foods: sim.foods.map(food => ({ ...food })),
+        obstacles: sim.obstacles.map(obstacle => ({ ...obstacle, height: round(obstacle.height) }))
+    };
+}
+
+/**
+ * 在两个快照之间插值，离散状态（得分、食物、状态效果等）取较早的快照
+ * @param {object} from - 较早的快照
+ * @param {object} to - 较晚的快照
+ * @param {number} alpha - 插值比例 0~1
+ * @returns {object} 插值后的快照
+ */
+export function interpolateSnapshots(from, to, alpha) {
+    if (alpha <= 0 || from.match !== to.match) return from;
+
+    const boardWidth = from.boardSize * GRID_SIZE;
+    const lerpCoordinate = (start, end) => {
+        let delta = end - start;
+        // 穿越边界时按最短距离插值
+        if (from.wrapAround && Math.abs(delta) > boardWidth / 2) {
+            delta -= Math.sign(delta) * boardWidth;
+        }
+        return start + delta * alpha;
+    };
+    const lerpAngle = (start, end) => start + Math.atan2(Math.sin(end - start), Math.cos(end - start)) * alpha;
+
+    const obstacleHeights = new Map(to.obstacles.map(obstacle => [obstacle.id, obstacle.height]));
+
+    return {
+        ...from,
+        time: from.time + (to.time - from.time) * alpha,
+        players: from.players.map((player, playerIndex) => {
+            const target = to.players[playerIndex];
+            if (!target) return player;
+
+            return {
+                ...player,
+                snake: player.snake.map((segment, index) => {
+                    const next = target.snake[index];
+                    if (!next) return segment;
+
+                    const x = lerpCoordinate(segment[2], next[2]);
+                    const y = lerpCoordinate(segment[3], next[3]);
+                    if (Math.hypot(x - segment[2], y - segment[3]) > MAX_INTERPOLATION_DISTANCE) return segment;
+
+                    return [segment[0], segment[1], x, y, lerpAngle(segment[4], next[4])];
+                })
+            };
+        }),
+        obstacles: from.obstacles.map(obstacle => {
+            const height = obstacleHeights.get(obstacle.id);
+            return height === undefined ? obstacle : { ...obstacle, height: obstacle.height + (height - obstacle.height) * alpha };
+        })
+    };
+}
+
+/**
+ * 把快照写入客户端的镜像模拟，渲染层照常读取模拟状态
+ * 食物、障碍物按ID原地更新，渲染对象持有的引用保持有效
+ * @param {import('./SnakeSimulation.js').SnakeSimulation} sim
+ * @param {object} snapshot
+ */
+export function applySnapshot(sim, snapshot) {
+    sim.clock.time = snapshot.time;
+    sim.gameState = snapshot.gameState;
+    sim.seed = snapshot.seed;
+    sim.BOARD_SIZE = snapshot.boardSize;
+    sim.wrapAround = snapshot.wrapAround;
+
+    // 玩家数量变化时（新的一局）重建玩家列表
+    if (sim.players.length !== snapshot.players.length) {
+        sim.players = snapshot.players.map((_, index) => sim.players[index] || sim.createPlayer(index));
+        sim.activePlayer = sim.players[0];
+    }
+
+    snapshot.players.forEach((data, index) => {
+        const player = sim.players[index];
+        player.alive = data.alive;
+        player.score = data.score;
+        player.comboCount = data.comboCount;
+        player.moveSpeed = data.moveSpeed;
+        player.targetDirection = data.targetDirection;
+        player.currentDirection = data.currentDirection;
+
+        // 复用蛇段对象，减少每帧的对象分配
+        player.snake.length = data.snake.length;
+        data.snake.forEach(([x, y, actualX, actualY, rotation], segmentIndex) => {
+            const segment = player.snake[segmentIndex] || (player.snake[segmentIndex] = {});
+            segment.x = x;
+            segment.y = y;
+            segment.actualX = actualX;
+            segment.actualY = actualY;
+            segment.targetX = actualX;
+            segment.targetY = actualY;
+            segment.rotation = rotation;
+        });
+
+        player.effects.active = new Map(data.effects.map(effect => [effect.id, effect]));
+    });
+
+    sim.foods = syncById(sim.foods, snapshot.foods);
+    sim.obstacles = syncById(sim.obstacles, snapshot.obstacles);
+}
+
+// 按ID更新对象列表：已有的对象原地更新，新的对象直接加入
+function syncById(current, incoming) {
+    const existing = new Map(current.map(item => [item.id, item]));
+    return incoming.map(data => {
+        const item = existing.get(data.id);
+        return item ? Object.assign(item, data) : { ...data };
+    });
+}
@@ -0,0 +1,207 @@
+/**
+ * 状态效果（增益/减益）定义，所有字段除 name、icon 外都可选：
+ * {
+ *     name: '眩晕',
+ *     icon: '😵',                     // HUD 中显示的图标
+ *     stacking: 'refresh',            // 再次施加时：'refresh' 刷新持续时间（取较长者）/ 'stack' 叠加层数并刷新 / 'extend' 累加剩余时间
+ *     maxStacks: 1,                   // stacking 为 'stack' 时的最大层数
+ *     speedMultiplier: 0.3,           // 每层对移动速度的倍率，多个效果相乘
+ *     timeScale: 0.5,                 // 每层对游戏时钟的时间缩放倍率（见 GameClock.js），多个效果相乘
+ *     onApply(sim, effect) {},        // 效果从无到有时调用
+ *     onStack(sim, effect) {},        // 已有效果再次施加时调用
+ *     onRemove(sim, effect) {}        // 效果到期或被移除时调用
+ * }
+ *
+ * 速度、时间缩放等状态不直接修改模拟字段，而是每次读取时由激活的效果计算，
+ * 效果结束时不需要恢复，也不会和难度更新互相覆盖
+ */
+export const STATUS_EFFECTS = {
+    invulnerable: {
+        name: '无敌',
+        icon: '🛡️',
+        stacking: 'refresh',
+        onApply(sim, effect) {
+            sim.emit('invulnerabilityStarted', { duration: effect.duration });
+        },
+        onRemove(sim) {
+            sim.emit('invulnerabilityEnded');
+        }
+    },
+    stun: {
+        name: '眩晕',
+        icon: '😵',
+        stacking: 'refresh',
+        speedMultiplier: 0.3, // 眩晕期间减速
+        onApply(sim, effect) {
+            sim.emit('stunStarted', { duration: effect.duration });
+        },
+        onRemove(sim) {
+            sim.emit('stunEnded');
+        }
+    },
+    speedBoost: {
+        name: '加速',
+        icon: '🌶️',
+        stacking: 'stack',
+        maxStacks: 2,
+        speedMultiplier: 1.3,
+        onApply(sim, effect) {
+            sim.emit('speedBoostStarted', { duration: effect.duration, multiplier: effect.speedMultiplier });
+        },
+        onStack(sim, effect) {
+            sim.emit('speedBoostStarted', { duration: effect.duration, multiplier: Math.pow(effect.speedMultiplier, effect.stacks) });
+        },
+        onRemove(sim) {
+            sim.emit('speedBoostEnded');
+        }
+    },
+    slowMotion: {
+        name: '慢动作',
+        icon: '⏳',
+        stacking: 'extend',
+        timeScale: 0.6
+    }
+};
+
+/**
+ * 管理模拟中激活的状态效果，时间全部来自模拟时钟
+ */
+export class StatusEffectManager {
+    /**
+     * @param {import('./SnakeSimulation.js').SnakeSimulation} sim
+     * @param {object} [definitions] - 状态效果定义，默认 STATUS_EFFECTS
+     */
+    constructor(sim, definitions = STATUS_EFFECTS) {
+        this.sim = sim;
+        this.definitions = definitions;
+        this.active = new Map(); // 效果ID -> { id, stacks, startTime, endTime, duration, speedMultiplier, timeScale }
+    }
+
+    /**
+     * 施加状态效果
+     * @param {string} id - 效果ID
+     * @param {number} duration - 持续时间（毫秒）
+     * @returns {object} 激活中的效果
+     */
+    apply(id, duration) {
+        const definition = this.definitions[id];
+        if (!definition) {
+            throw new Error(`未知的状态效果: ${id}`);
+        }
+
+        const now = this.sim.now();
+        const existing = this.active.get(id);
+
+        if (!existing) {
+            const effect = {
+                id,
+                stacks: 1,
+                startTime: now,
+                endTime: now + duration,
+                duration,
+                speedMultiplier: definition.speedMultiplier ?? 1,
+                timeScale: definition.timeScale ?? 1
+            };
+            this.active.set(id, effect);
+            if (definition.onApply) definition.onApply(this.sim, effect);
+            return effect;
+        }
+
+        switch (definition.stacking) {
+            case 'stack':
+                existing.stacks = Math.min(definition.maxStacks || 1, existing.stacks + 1);
+                existing.endTime = Math.max(existing.endTime, now + duration);
+                break;
+            case 'extend':
+                existing.endTime += duration;
+                break;
+            default:
+                existing.endTime = Math.max(existing.endTime, now + duration);
+        }
+
+        // 重新计时，进度类表现（如眩晕后仰）从头开始
+        existing.startTime = now;
+        existing.duration = existing.endTime - now;
+        if (definition.onStack) definition.onStack(this.sim, existing);
+        return existing;
+    }
+
+    /**
+     * 移除状态效果
+     * @param {string} id - 效果ID
+     * @param {boolean} [silent] - 为 true 时不调用 onRemove（重置游戏时使用）
+     */
+    remove(id, silent = false) {
+        const effect = this.active.get(id);
+        if (!effect) return;
+
+        this.active.delete(id);
+        const definition = this.definitions[id];
+        if (!silent && definition.onRemove) definition.onRemove(this.sim, effect);
+    }
+
+    // 移除全部效果，不发出结束事件
+    clear() {
+        this.active.clear();
+    }
+
+    // 每个模拟步调用，移除到期的效果
+    update() {
+        const now = this.sim.now();
+        Array.from(this.active.values()).forEach(effect => {
+            if (now >= effect.endTime) {
+                this.remove(effect.id);
+            }
+        });
+    }
+
+    // 效果是否激活
+    has(id) {
+        return this.active.has(id);
+    }
+
+    // 获取激活中的效果，未激活时返回 null
+    get(id) {
+        return this.active.get(id) || null;
+    }
+
+    // 效果已进行的比例（0~1），未激活时为 0
+    getProgress(id) {
+        const effect = this.active.get(id);
+        if (!effect || effect.duration <= 0) return 0;
+        return Math.min(1, (this.sim.now() - effect.startTime) / effect.duration);
+    }
+
+    // 所有激活效果对移动速度的总倍率
+    getSpeedMultiplier() {
+        let multiplier = 1;
+        this.active.forEach(effect => {
+            multiplier *= Math.pow(effect.speedMultiplier, effect.stacks);
+        });
+        return multiplier;
+    }
+
+    // 所有激活效果对游戏时钟的总时间缩放倍率
+    getTimeScale() {
+        let scale = 1;
+        this.active.forEach(effect => {
+            scale *= Math.pow(effect.timeScale, effect.stacks);
+        });
+        return scale;
+    }
+
+    /**
+     * 列出激活中的效果，供 HUD 显示
+     * @returns {Array<{id: string, name: string, icon: string, stacks: number, remaining: number}>}
+     */
+    list() {
+        const now = this.sim.now();
+        return Array.from(this.active.values()).map(effect => ({
+            id: effect.id,
+            name: this.definitions[effect.id].name,
+            icon: this.definitions[effect.id].icon,
+            stacks: effect.stacks,
+            remaining: Math.max(0, effect.endTime - now)
+        }));
+    }
+}
@@ -0,0 +1,13 @@
+/**
+ * 获取浏览器的 localStorage，不可用时返回 null
+ * 隐私模式下访问 localStorage 可能抛出异常，Node 环境中没有 localStorage；
+ * 拿到 null 的调用方（成绩记录、设置、音量）只在内存中保留数据，刷新页面后丢失
+ * @returns {Storage|null}
+ */
+export function getDefaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,211 @@
+// 游戏配置常量 - 纯数据，模拟层与渲染层共享
+
+// 棋盘配置
+export const GRID_SIZE = 10;
+export const BOARD_SIZE = 30;
+export const TURN_SPEED = 0.16; // 每个模拟步的转向插值比例
+export const SMOOTH_FACTOR = 0.6; // 每个模拟步的平滑移动因子
+
+// 固定步长模拟配置 - 与显示器刷新率无关
+export const TICK_RATE = 60;              // 每秒模拟步数
+export const TICK_MS = 1000 / TICK_RATE;  // 每步时长（毫秒）
+export const MAX_FRAME_TIME = 250;        // 单帧最多累积的时间，防止卡顿后追帧过多
+
+// 难度控制配置（速度单位：格/秒）
+export const DIFFICULTY_CONFIG = {
+    baseSpeed: 1.26,           // 基础移动速度（格/秒）
+    initialLength: 3,          // 初始蛇长度
+    maxSpeed: 3.0,             // 最大移动速度（格/秒）
+    linearGrowth: 0.096,       // 线性增长系数（格/秒）
+    exponentialGrowth: 1.05,   // 指数增长系数
+    logGrowth: 0.24,           // 对数增长系数（格/秒）
+    speedIncreaseThreshold: 5, // 每增长多少长度显著提升速度
+    // 新增动态平衡参数
+    dynamicFactor: 0.6,        // 动态调节系数
+    minSafeLength: 8,          // 安全长度阈值
+    recoveryRate: 0.15,        // 恢复速率
+    maxRecoveryTime: 15000,    // 最大恢复时间(毫秒)
+    comboMultiplier: 1.2,      // 连击倍数
+    safetyBuffDuration: 3000   // 安全期持续时间
+};
+
+// 障碍物类型 - 儿童友好色彩
+export const OBSTACLE_TYPES = {
+    WEAK: { color: 0x98FB98, emissive: 0x004400, geometry: 'box', effect: 'stun' }, // 淡绿色，温和
+    NORMAL: { color: 0xFFE135, emissive: 0x664400, geometry: 'octahedron', effect: 'shrink' }, // 明亮黄色，阳光感
+    STRONG: { color: 0xFF6B6B, emissive: 0x440000, geometry: 'tetrahedron', effect: 'halve' }, // 温暖红色，不太刺眼
+    SPECIAL: { color: 0x74C0FC, emissive: 0x004466, geometry: 'sphere', effect: 'teleport' } // 天蓝色，梦幻感
+};
+
+// 食物类型
+// scoreMultiplier: 得分倍率（基础分和连击加成一起翻倍）；growth: 吃到后长度变化；lifetime: 存在时间（毫秒，0 为不消失）
+// weight: 额外食物的生成权重（0 为不作为额外食物生成）；effect: 吃到后施加的状态效果（见 StatusEffects.js），持续 effectDuration 毫秒
+export const FOOD_TYPES = {
+    NORMAL: { name: '果子', color: 0xFFD700, emissive: 0x664400, geometry: 'sphere', scoreMultiplier: 1, growth: 1, lifetime: 0, weight: 0, effect: null }, // 金黄色，像阳光一样温暖
+    GOLDEN: { name: '金果', color: 0xFFC125, emissive: 0x886600, geometry: 'dodecahedron', scoreMultiplier: 3, growth: 1, lifetime: 12000, weight: 3, effect: null }, // 闪亮金色，三倍得分
+    CHILI: { name: '辣椒', color: 0xFF4500, emissive: 0x551100, geometry: 'cone', scoreMultiplier: 1, growth: 1, lifetime: 10000, weight: 2, effect: 'speedBoost', effectDuration: 4000 }, // 火红色，短暂加速
+    SHRINK: { name: '缩小莓', color: 0xBA55D3, emissive: 0x330044, geometry: 'icosahedron', scoreMultiplier: 1, growth: -1, lifetime: 15000, weight: 2, effect: null }, // 浆果紫，蛇身减一段
+    BONUS: { name: '限时果', color: 0x7CFC00, emissive: 0x225500, geometry: 'torus', scoreMultiplier: 5, growth: 1, lifetime: 5000, weight: 1, effect: null }, // 草绿色，几秒后消失
+    HOURGLASS: { name: '沙漏果', color: 0x40E0D0, emissive: 0x004444, geometry: 'octahedron', scoreMultiplier: 1, growth: 1, lifetime: 10000, weight: 1, effect: 'slowMotion', effectDuration: 3000 } // 青绿色，放慢时间
+};
+
+// 食物生成配置 - 场上始终有一个普通食物，额外食物定时生成
+export const FOOD_CONFIG = {
+    minInterval: 6000,  // 额外食物最小生成间隔（毫秒）
+    maxInterval: 12000, // 额外食物最大生成间隔（毫秒）
+    maxExtraFoods: 2,   // 场上最多额外食物数量
+    minLength: 3,       // 缩小莓不会让蛇短于该长度
+    expireWarning: 2000 // 剩余时间少于该值时闪烁提示（毫秒）
+};
+
+// 障碍物生成配置
+export const OBSTACLE_CONFIG = {
+    minInterval: 8000,  // 最小生成间隔（毫秒）
+    maxInterval: 15000, // 最大生成间隔（毫秒）
+    maxObstacles: 5     // 最大障碍物数量
+};
+
+// 多人模式 - 同一棋盘上的蛇的最大数量（分屏双人）
+export const MAX_PLAYERS = 2;
+
+// 每条蛇的配色（按玩家编号），玩家1为番茄红蛇头、热粉色蛇身
+export const SNAKE_COLORS = [
+    { head: 0xFF6347, body: 0xFF69B4, emissive: 0x441100 },
+    { head: 0x1E90FF, body: 0x7FFFD4, emissive: 0x002244 } // 道奇蓝蛇头、碧绿色蛇身
+];
+
+// 电脑对手 - 与玩家在同一棋盘上争夺食物，排在玩家之后，被淘汰后稍后在空地重生
+export const BOT_CONFIG = {
+    maxBots: 3,          // 最多电脑对手数量
+    respawnDelay: 3000,  // 被淘汰后重生的等待时间（毫秒）
+    spawnDistance: 6     // 重生位置与其他蛇头的最小距离（格）
+};
+
+// 电脑对手难度档位
+// reactionTime: 两次重新规划路线的间隔（毫秒），越短对局面变化反应越快
+// aimError: 每次规划时转向的最大随机偏差（弧度）
+// safetyMargin: 规划路线时与其他蛇、墙体和棋盘边缘保持的距离（格），0 为贴身而过，没有安全路线时才冒险
+// seeksRewards: 是否把能击破的障碍物（蛇长度 >= 障碍物等级）当作目标
+// checksSpace: 是否避开放不下自己身体的死角
+export const BOT_DIFFICULTIES = {
+    easy: { name: '简单', reactionTime: 450, aimError: 0.35, safetyMargin: 0, seeksRewards: false, checksSpace: false },
+    normal: { name: '普通', reactionTime: 220, aimError: 0.15, safetyMargin: 1, seeksRewards: true, checksSpace: false },
+    hard: { name: '困难', reactionTime: 80, aimError: 0, safetyMargin: 1, seeksRewards: true, checksSpace: true }
+};
+
+// 电脑对手的配色（按电脑对手编号），与玩家的配色区分
+export const BOT_COLORS = [
+    { head: 0x32CD32, body: 0xADFF2F, emissive: 0x113300 }, // 酸橙绿蛇头、黄绿色蛇身
+    { head: 0xFF8C00, body: 0xFFD39B, emissive: 0x442200 }, // 深橙色蛇头、浅杏色蛇身
+    { head: 0x9370DB, body: 0xE6E6FA, emissive: 0x220044 }  // 中紫色蛇头、薰衣草色蛇身
+];
+
+// 联机对战 - 本地权威服务器（server/index.js）与浏览器客户端共用
+export const NETWORK_CONFIG = {
+    port: 8787,               // 服务器默认端口
+    snapshotRate: 20,         // 服务器每秒广播的快照数
+    interpolationDelay: 100,  // 客户端渲染落后于最新快照的时间（毫秒），在两个快照之间插值
+    inputInterval: 33,        // 客户端发送转向输入的最小间隔（毫秒）
+    disconnectTimeout: 15000, // 断线后保留位置等待重连的时间（毫秒），超时判负
+    reconnectInterval: 1000,  // 客户端断线后自动重连的间隔（毫秒）
+    minPlayers: 2,            // 开始对局所需的最少在线玩家数
+    roomCodeLength: 4         // 房间码长度
+};
+
+// 第三人称相机默认配置，部分项可以在设置界面中调整（见 src/Settings.js）
+export const CAMERA_CONFIG = {
+    fov: 60,               // 基础视野（度）
+    distance: 80,          // 相机距离目标的距离
+    minDistance: 30,       // 最小距离
+    maxDistance: 150,      // 最大距离
+    height: 40,            // 相机高度偏移
+    rotationSpeed: 0.05,   // 旋转速度
+    followSpeed: 0.1,      // 跟随速度
+    lookAtSpeed: 0.1,      // 看向目标的速度
+    mouseSensitivity: 0.003, // 鼠标敏感度
+    touchSensitivity: 0.005, // 双指旋转敏感度
+    dampingFactor: 0.35,   // 阻尼因子
+    minPolarAngle: 0.1,    // 最小极角
+    maxPolarAngle: Math.PI - 0.1, // 最大极角
+    modeTransitionTime: 600, // 切换相机模式的过渡时间（毫秒）
+    topDownPadding: 1.1,   // 俯视模式在棋盘四周留出的比例
+    topDownTilt: 0.05,     // 俯视模式的轻微倾斜，正对地面时无法确定屏幕的“上”方向
+    chaseDistance: 50,     // 追尾模式在蛇头后方的距离
+    chaseHeight: 25,       // 追尾模式的高度
+    chaseLookAhead: 40,    // 追尾模式看向蛇头前方的距离
+    firstPersonHeight: 8,  // 第一人称的视点高度（蛇头顶部附近）
+    firstPersonForward: 5, // 第一人称视点在蛇头中心前方的距离，避免看到蛇头内部
+    firstPersonLookAhead: 60, // 第一人称看向前方的距离
+    // 动态取景：在玩家缩放的距离上按倍率拉远，倍率 = 1 + 蛇长拉远 + 速度拉远，且足以看到附近的物体
+    dynamicFraming: true,  // 是否开启动态取景
+    framingPerSegment: 0.02, // 超出初始长度后每段蛇身增加的倍率
+    framingLengthMax: 0.8, // 蛇长拉远的倍率上限
+    framingSpeedPull: 0.3, // 达到最大速度时增加的倍率
+    framingFovBoost: 10,   // 达到最大速度时视野增加的度数
+    framingRadius: 80,     // 蛇头周围多远的食物和已落地障碍物需要留在画面中
+    framingMargin: 1.1,    // 看到这些物体时在画面边缘留出的比例
+    framingMaxScale: 2.2,  // 动态取景的最大倍率，超出时不再保证物体在画面中
+    framingSpeed: 0.03     // 倍率和视野的平滑系数（按60FPS标准化）
+};
+
+// 相机模式（C键或设置界面切换）
+export const CAMERA_MODES = [
+    { id: 'orbit', label: '环绕' },         // 围绕蛇头的轨道相机，可拖拽旋转、滚轮缩放
+    { id: 'topDown', label: '俯视全局' },   // 固定在棋盘正上方，看到整个棋盘
+    { id: 'chase', label: '追尾' },         // 跟在蛇头后方，朝向前进方向
+    { id: 'firstPerson', label: '第一人称' } // 蛇头视角
+];
+
+// 阴影质量对应的阴影贴图尺寸，0 为关闭阴影
+export const SHADOW_MAP_SIZES = {
+    off: 0,
+    low: 512,
+    medium: 1024,
+    high: 2048
+};
+
+// 音效与背景音乐（src/AudioSystem.js），音量为 0~1 的默认值，玩家调整后保存在 localStorage 中
+export const AUDIO_CONFIG = {
+    masterVolume: 0.8,     // 总音量
+    sfxVolume: 0.8,        // 音效音量
+    musicVolume: 0.4,      // 背景音乐音量
+    comboTiers: [2, 5, 10] // 连击音效的档位：连击数达到各档位时音阶更高、音符更多
+};
+
+// 背景音乐随难度等级（SnakeSimulation.getDifficultyLevel）变化：速度（每分钟拍数）、移调（半音）和叠加的声部
+export const MUSIC_TIERS = {
+    '简单': { tempo: 96, transpose: 0, layers: ['bass', 'melody'] },
+    '普通': { tempo: 108, transpose: 0, layers: ['bass', 'melody', 'hat'] },
+    '困难': { tempo: 120, transpose: 2, layers: ['bass', 'melody', 'hat', 'kick'] },
+    '极难': { tempo: 132, transpose: 2, layers: ['bass', 'melody', 'hat', 'kick', 'arp'] },
+    '地狱': { tempo: 144, transpose: 5, layers: ['bass', 'melody', 'hat', 'kick', 'arp'] }
+};
+
+// 待机演示：等待开始时无人操作一段时间后，由自动驾驶控制蛇循环演示（适合在展台上一直开着）
+export const ATTRACT_CONFIG = {
+    idleDelay: 20000,            // 等待开始后无操作多久进入演示（毫秒）
+    autopilotDifficulty: 'hard', // 自动驾驶使用的电脑对手难度档位，见 BOT_DIFFICULTIES
+    orbitSpeed: 0.15,            // 演示中相机环绕蛇头的速度（弧度/秒）
+    restartDelay: 3000           // 演示的蛇被淘汰后多久开始新一轮演示（毫秒）
+};
+
+// 预定义关卡 - id 是稳定的关卡标识，成绩和回放按 id 记录，关卡编号（位置）只用于显示
+export const LEVEL_DEFINITIONS = [
+    // 自由模式关卡
+    { id: 'free', type: 'free', name: '自由探索', description: '熟悉游戏操作' },
+
+    // 分数挑战关卡
+    { id: 'speed-score', type: 'score', name: '速度得分', timeLimit: 60000, targetScore: 200, description: '60秒内获得200分' },
+    { id: 'score-rush', type: 'score', name: '高分冲刺', timeLimit: 90000, targetScore: 500, description: '90秒内获得500分' },
+
+    // 长度挑战关卡
+    { id: 'growth', type: 'length', name: '成长之路', timeLimit: 120000, targetLength: 15, description: '2分钟内达到15段长度' },
+    { id: 'giant-snake', type: 'length', name: '巨蛇传说', timeLimit: 180000, targetLength: 25, description: '3分钟内达到25段长度' },
+
+    // 障碍物控制关卡
+    { id: 'cleaner', type: 'obstacle', name: '清理专家', maxObstacles: 3, decayRate: 0.5, description: '保持场上障碍物不超过3个' },
+    { id: 'extreme-control', type: 'obstacle', name: '极限控制', maxObstacles: 2, decayRate: 1.0, description: '保持场上障碍物不超过2个' },
+
+    // 混合挑战关卡
+    { id: 'ultimate', type: 'score', name: '终极挑战', timeLimit: 300000, targetScore: 1000, description: '5分钟内获得1000分' }
+];
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLevel, loadLevelPack, LevelValidationError } from '../src/LevelLoader.js';
+
+// 合法的最小关卡：20×20 棋盘，蛇头在 (5, 10) 向右，长度 3
+function createLevelData(overrides = {}) {
+    return {
+        name: '测试关卡',
+        board: { size: 20 },
+        start: { x: 5, y: 10, heading: 0, length: 3 },
+        objective: { type: 'free' },
+        ...overrides
+    };
+}
+
+// 校验应失败，并且错误列表与 expected 完全一致
+function assertErrors(data, expected) {
+    assert.throws(() => parseLevel(data, 'test.json'), error => {
+        assert.ok(error instanceof LevelValidationError);
+        assert.equal(error.source, 'test.json');
+        assert.deepEqual(error.errors, expected);
+        return true;
+    });
+}
+
+// 按文件名返回关卡包内容的 fetch
+function createFetch(files) {
+    return async (url) => {
+        const file = url.slice('levels/'.length);
+        if (!(file in files)) {
+            return { ok: false, status: 404 };
+        }
+        return { ok: true, status: 200, json: async () => files[file] };
+    };
+}
+
+test('合法关卡转换为关卡定义，id 默认为文件名', () => {
+    const level = parseLevel(createLevelData(), 'test.json');
+
+    assert.equal(level.id, 'test');
+    assert.equal(level.boardSize, 20);
+    assert.deepEqual(level.start, { x: 5, y: 10, heading: 0, length: 3 });
+    assert.equal(level.type, 'free');
+});
+
+test('蛇头或蛇尾超出棋盘时报错', () => {
+    assertErrors(createLevelData({ start: { x: 20, y: 10 } }), [
+        'start.x / start.y 必须是棋盘内的整数坐标（0~19）'
+    ]);
+    assertErrors(createLevelData({ start: { x: 1, y: 10, heading: 0, length: 4 } }), [
+        '蛇身超出棋盘：起点 (1, 10) 朝向 0° 长度 4 时蛇尾位于 (-2, 10)'
+    ]);
+    assertErrors(createLevelData({ start: { x: 5, y: 17, heading: -90, length: 5 } }), [
+        '蛇身超出棋盘：起点 (5, 17) 朝向 -90° 长度 5 时蛇尾位于 (5, 21)'
+    ]);
+});
+
+test('墙体或预置障碍物压住起点处的蛇时报错', () => {
+    assertErrors(createLevelData({ walls: [{ x: 4, y: 8, width: 1, height: 5 }] }), [
+        '墙体覆盖了蛇的起始位置 (4, 10)'
+    ]);
+    assertErrors(createLevelData({ obstacles: { preset: [{ type: 'WEAK', level: 2, x: 3, y: 10 }] } }), [
+        '预置障碍物覆盖了蛇的起始位置 (3, 10)'
+    ]);
+});
+
+test('speed 中的未知参数和非正数报错', () => {
+    assertErrors(createLevelData({ speed: { baseSpeed: 2, turbo: 3, maxSpeed: 0 } }), [
+        'speed.turbo 不是可覆盖的速度参数（可用: baseSpeed, maxSpeed, linearGrowth, exponentialGrowth, logGrowth, speedIncreaseThreshold, dynamicFactor, minSafeLength, recoveryRate）',
+        'speed.maxSpeed 必须是正数'
+    ]);
+});
+
+test('目标缺少必填字段时报错', () => {
+    assertErrors(createLevelData({ objective: { type: 'score', timeLimit: 60 } }), [
+        'score 类型的关卡必须设置 objective.targetScore'
+    ]);
+    assertErrors(createLevelData({ objective: { type: 'obstacle', maxObstacles: 3 } }), [
+        'obstacle 类型的关卡必须设置 objective.decayRate'
+    ]);
+    assertErrors(createLevelData({ objective: undefined }), [
+        'objective 必须是对象'
+    ]);
+});
+
+test('障碍物生成表的条目不合法时逐条报错', () => {
+    assertErrors(createLevelData({ obstacles: { spawnTable: [] } }), [
+        'obstacles.spawnTable 必须是非空数组'
+    ]);
+    assertErrors(createLevelData({
+        obstacles: {
+            spawnTable: [
+                { type: 'GIANT' },
+                { type: 'WEAK', weight: 0 },
+                { type: 'NORMAL', levelOffset: [2, 1] },
+                { type: 'STRONG', weight: 2 }
+            ]
+        }
+    }), [
+        'obstacles.spawnTable[0].type 必须是 WEAK / NORMAL / STRONG / SPECIAL 之一',
+        'obstacles.spawnTable[1].weight 必须是正数',
+        'obstacles.spawnTable[2].levelOffset 必须是 [最小, 最大] 两个整数'
+    ]);
+});
+
+test('一次列出关卡中的所有问题', () => {
+    assertErrors(createLevelData({ id: '', name: '', board: { size: 5 } }), [
+        'id 必须是非空字符串',
+        'name 必须是非空字符串',
+        'board.size 必须是 10~60 之间的整数'
+    ]);
+});
+
+test('关卡包中重复的 id 报错，其余关卡照常加载', async () => {
+    const fetchFn = createFetch({
+        'index.json': { levels: ['a.json', 'b.json', 'c.json', 'd.json'] },
+        'a.json': createLevelData({ id: 'arena' }),
+        'b.json': createLevelData({ id: 'arena' }),
+        'c.json': createLevelData({ id: 'free' }),
+        'd.json': createLevelData()
+    });
+
+    const { levels, errors } = await loadLevelPack('levels/', fetchFn, ['free']);
+
+    assert.deepEqual(levels.map(level => level.id), ['arena', 'd']);
+    assert.deepEqual(errors, [
+        new LevelValidationError('b.json', ['id "arena" 与其他关卡重复']).message,
+        new LevelValidationError('c.json', ['id "free" 与其他关卡重复']).message
+    ]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnakeSimulation } from '../src/SnakeSimulation.js';
+import { SnakeBot } from '../src/SnakeBot.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay } from '../src/Replay.js';
+
+const MAX_TICKS = 3600;
+
+/**
+ * 用自动驾驶录制一局，返回录制结束时的模拟和经过序列化、解析的回放
+ * @param {object} options
+ * @param {number} options.seed
+ * @param {boolean} [options.wrapAround]
+ * @param {object} [options.difficulty] - 覆盖难度配置
+ * @param {string[]} [options.bots] - 电脑对手难度
+ * @param {number} [options.pauseEvery] - 每隔多少步暂停再继续一次（暂停期间不推进模拟，也不录制）
+ */
+function recordRun({ seed, wrapAround = false, difficulty, bots = [], pauseEvery = 0 }) {
+    const sim = new SnakeSimulation({ seed, wrapAround, difficulty });
+    sim.loadLevel(1);
+    sim.setBots(bots);
+    const pilot = new SnakeBot(sim, sim.players[0], 'normal', bots.length);
+    const recorder = new ReplayRecorder();
+
+    recorder.begin(sim, false);
+    sim.start();
+    for (let tick = 0; tick < MAX_TICKS && sim.gameState === 'playing'; tick++) {
+        if (pauseEvery > 0 && tick > 0 && tick % pauseEvery === 0) {
+            sim.pause();
+            sim.start();
+        }
+        pilot.update();
+        recorder.recordTick(sim);
+        sim.step();
+        sim.drainEvents();
+    }
+
+    return { sim, replay: parseReplay(serializeReplay(recorder.finish(sim))) };
+}
+
+// 对局状态摘要：所有玩家的得分、长度、存活和蛇头位置，以及场上的食物和障碍物
+function getSignature(sim) {
+    return JSON.stringify({
+        players: sim.players.map(player => [player.score, player.snake.length, player.alive, player.snake[0].actualX, player.snake[0].actualY]),
+        foods: sim.foods.map(food => [food.x, food.y, food.type]),
+        obstacles: sim.obstacles.map(obstacle => [obstacle.x, obstacle.y, obstacle.type, obstacle.level]),
+        state: sim.gameState
+    });
+}
+
+const CASES = [
+    { name: '单人', options: { seed: 99 } },
+    { name: '穿越边界', options: { seed: 42, wrapAround: true } },
+    { name: '电脑对手', options: { seed: 7, bots: ['easy', 'normal', 'hard'] } },
+    // 安全长度等于初始长度时速度从开局就随存活时间变化，继续游戏时重新计算速度会让回放偏离
+    { name: '中途暂停', options: { seed: 1, difficulty: { minSafeLength: 3 }, pauseEvery: 30 } }
+];
+
+CASES.forEach(({ name, options }) => {
+    test(`回放完整复现录制的对局（${name}，种子 ${options.seed}）`, () => {
+        const { sim, replay } = recordRun(options);
+        const expected = getSignature(sim);
+        assert.ok(replay.ticks > 0);
+
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.ticks);
+        assert.equal(player.tick, replay.ticks);
+        assert.equal(getSignature(player.sim), expected);
+        assert.equal(player.sim.score, replay.result.score);
+        assert.equal(player.sim.snake.length, replay.result.length);
+
+        // 向后跳转从头重新模拟，再跳到结尾结果不变
+        const middle = Math.floor(replay.ticks / 2);
+        player.seek(middle);
+        assert.equal(player.tick, middle);
+        player.seek(replay.ticks);
+        assert.equal(getSignature(player.sim), expected);
+    });
+});
@@ -0,0 +1,250 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnakeSimulation } from '../src/SnakeSimulation.js';
+import { parseLevel } from '../src/LevelLoader.js';
+
+const SEED = 12345;
+
+/**
+ * 用关卡文件格式创建测试关卡：30×30 棋盘，蛇头在 (10, 15) 向右，没有障碍物
+ * @param {object} [overrides] - 覆盖关卡文件中的字段
+ */
+function createLevel(overrides = {}) {
+    return parseLevel({
+        id: 'test',
+        name: '测试关卡',
+        board: { size: 30 },
+        start: { x: 10, y: 15, heading: 0, length: 3 },
+        obstacles: { enabled: false },
+        objective: { type: 'free' },
+        ...overrides
+    }, 'test.json');
+}
+
+// 创建只有一个测试关卡的模拟
+function createSimulation(overrides) {
+    return new SnakeSimulation({ seed: SEED, levelDefinitions: [createLevel(overrides)] });
+}
+
+// 把食物放在蛇头正前方 distance 格处，并移除其他食物
+function placeFoodAhead(sim, distance) {
+    const head = sim.snake[0];
+    sim.foods = [sim.createFood(head.x + distance, head.y, 'NORMAL')];
+}
+
+// 推进模拟直到 predicate 为真或超过 maxTicks 步，返回推进的步数
+function stepUntil(sim, predicate, maxTicks = 1000) {
+    let ticks = 0;
+    while (!predicate() && ticks < maxTicks && sim.gameState === 'playing') {
+        sim.step();
+        ticks++;
+    }
+    return ticks;
+}
+
+test('蛇按朝向前进，蛇身跟随蛇头', () => {
+    const sim = createSimulation();
+    sim.start();
+    sim.foods = [];
+    const startX = sim.snake[0].actualX;
+
+    for (let i = 0; i < 60; i++) sim.step();
+
+    const [head, ...body] = sim.snake;
+    assert.equal(sim.gameState, 'playing');
+    assert.ok(head.actualX > startX, '蛇头应向 +X 方向移动');
+    assert.equal(head.y, 15);
+    body.forEach((segment, index) => {
+        const previous = sim.snake[index];
+        assert.ok(segment.actualX < previous.actualX, `第 ${index + 1} 段应在前一段之后`);
+    });
+});
+
+test('相同种子和输入得到完全相同的结果', () => {
+    const run = () => {
+        const sim = createSimulation();
+        sim.start();
+        for (let i = 0; i < 300 && sim.gameState === 'playing'; i++) {
+            if (i === 40) sim.targetDirection = Math.PI / 2;
+            if (i === 120) sim.targetDirection = 0;
+            sim.step();
+        }
+        return JSON.stringify({ snake: sim.snake, foods: sim.foods, score: sim.score, state: sim.gameState });
+    };
+
+    assert.equal(run(), run());
+});
+
+test('吃到普通食物得 10 分并变长一节', () => {
+    const sim = createSimulation();
+    sim.start();
+    placeFoodAhead(sim, 2);
+    const length = sim.snake.length;
+
+    stepUntil(sim, () => sim.score > 0);
+
+    assert.equal(sim.score, 10);
+    assert.equal(sim.snake.length, length + 1);
+    const eaten = sim.drainEvents().find(event => event.type === 'foodEaten');
+    assert.equal(eaten.points, 10);
+    assert.equal(eaten.combo, 1);
+    assert.ok(sim.foods.some(food => food.type === 'NORMAL'), '吃掉普通食物后应立即生成新的');
+});
+
+test('3 秒内连续吃到食物有连击加分', () => {
+    const sim = createSimulation();
+    sim.start();
+
+    placeFoodAhead(sim, 2);
+    stepUntil(sim, () => sim.score > 0);
+    placeFoodAhead(sim, 2);
+    stepUntil(sim, () => sim.score > 10);
+
+    assert.equal(sim.comboCount, 2);
+    assert.equal(sim.score, 10 + 15);
+});
+
+test('撞到墙体时游戏结束', () => {
+    const sim = createSimulation({ walls: [{ x: 14, y: 10, width: 1, height: 10 }] });
+    sim.start();
+    sim.foods = [];
+
+    stepUntil(sim, () => false);
+
+    assert.equal(sim.gameState, 'gameOver');
+    assert.ok(sim.snake[0].x < 15, '蛇头应停在墙体处');
+    assert.ok(sim.drainEvents().some(event => event.type === 'gameOver'));
+});
+
+test('驶出棋盘边缘时游戏结束，穿越边界模式下从对侧进入', () => {
+    const sim = createSimulation();
+    sim.start();
+    sim.foods = [];
+    stepUntil(sim, () => false);
+    assert.equal(sim.gameState, 'gameOver');
+
+    const wrapped = createSimulation({ board: { size: 30, wrap: true } });
+    wrapped.start();
+    wrapped.foods = [];
+    stepUntil(wrapped, () => wrapped.snake[0].x < 10);
+    assert.equal(wrapped.gameState, 'playing');
+    assert.ok(wrapped.drainEvents().some(event => event.type === 'wrapped'));
+});
+
+test('分数关卡达到目标分数时完成并暂停', () => {
+    const sim = createSimulation({ objective: { type: 'score', timeLimit: 60, targetScore: 10 } });
+    sim.beginLevel();
+    placeFoodAhead(sim, 2);
+
+    stepUntil(sim, () => sim.levelSystem.completed);
+
+    assert.equal(sim.levelSystem.completed, true);
+    assert.equal(sim.gameState, 'paused');
+    const completed = sim.drainEvents().find(event => event.type === 'levelCompleted');
+    assert.equal(completed.level, 1);
+    assert.equal(completed.score, 10);
+});
+
+test('长度关卡超时未达到目标时失败', () => {
+    const sim = createSimulation({
+        start: { x: 2, y: 15, heading: 0, length: 3 },
+        objective: { type: 'length', timeLimit: 1, targetLength: 10 }
+    });
+    sim.beginLevel();
+    sim.foods = [];
+
+    stepUntil(sim, () => sim.levelSystem.failed);
+
+    assert.equal(sim.levelSystem.failed, true);
+    assert.equal(sim.gameState, 'paused');
+    const failed = sim.drainEvents().find(event => event.type === 'levelFailed');
+    assert.equal(failed.reason, '时间到！');
+});
+
+/**
+ * 创建蛇头正前方 3 格处有一个预置障碍物的模拟，蛇头在 (14, 15) 向右
+ * @param {string} type - 障碍物类型（WEAK / NORMAL / STRONG / SPECIAL）
+ * @param {number} level - 障碍物等级
+ * @param {number} [length] - 蛇的初始长度
+ */
+function createObstacleSimulation(type, level, length = 3) {
+    const sim = createSimulation({
+        start: { x: 14, y: 15, heading: 0, length },
+        obstacles: { enabled: false, preset: [{ type, level, x: 17, y: 15 }] }
+    });
+    sim.start();
+    sim.foods = [];
+    return sim;
+}
+
+// 推进到撞上障碍物，返回奖励或惩罚事件
+function hitObstacle(sim) {
+    stepUntil(sim, () => sim.obstacles.length === 0);
+    assert.equal(sim.obstacles.length, 0, '撞到的障碍物应被移除');
+    return sim.drainEvents().find(event => event.type === 'obstacleReward' || event.type === 'obstaclePenalty');
+}
+
+test('蛇长度不小于障碍物等级时获得奖励，否则受到惩罚', () => {
+    const equal = createObstacleSimulation('WEAK', 3);
+    assert.equal(equal.obstacles[0].willGetReward, true);
+    assert.equal(hitObstacle(equal).type, 'obstacleReward');
+
+    const higher = createObstacleSimulation('WEAK', 4);
+    assert.equal(higher.obstacles[0].willGetReward, false);
+    assert.equal(hitObstacle(higher).type, 'obstaclePenalty');
+});
+
+test('障碍物奖励：弱障碍得分，普通障碍加连击，强障碍变长，特殊障碍无敌', () => {
+    const weak = createObstacleSimulation('WEAK', 1);
+    const weakEvent = hitObstacle(weak);
+    assert.equal(weakEvent.effect, 'stun');
+    assert.equal(weakEvent.points, 20);
+    assert.equal(weak.score, 20);
+    assert.equal(weak.snake.length, 3);
+
+    const normal = createObstacleSimulation('NORMAL', 1);
+    const normalEvent = hitObstacle(normal);
+    assert.equal(normalEvent.points, 30);
+    assert.equal(normal.comboCount, 1);
+    assert.equal(normal.score, 30);
+
+    const strong = createObstacleSimulation('STRONG', 1);
+    const strongEvent = hitObstacle(strong);
+    assert.equal(strongEvent.points, 50);
+    assert.equal(strong.snake.length, 4);
+
+    const special = createObstacleSimulation('SPECIAL', 1);
+    const specialEvent = hitObstacle(special);
+    assert.equal(specialEvent.points, 100);
+    assert.equal(special.effects.has('invulnerable'), true);
+});
+
+test('障碍物惩罚：弱障碍眩晕，普通障碍减 1-2 段，强障碍减半，特殊障碍传送蛇头', () => {
+    const weak = createObstacleSimulation('WEAK', 20, 12);
+    const weakEvent = hitObstacle(weak);
+    assert.equal(weakEvent.effect, 'stun');
+    assert.equal(weakEvent.newLength, 12);
+    assert.equal(weak.effects.has('stun'), true);
+    assert.equal(weak.score, 0);
+
+    const normal = createObstacleSimulation('NORMAL', 20, 12);
+    const normalEvent = hitObstacle(normal);
+    assert.ok(normalEvent.newLength === 10 || normalEvent.newLength === 11, `长度应减少 1-2 段，实际 ${normalEvent.newLength}`);
+    assert.equal(normal.snake.length, normalEvent.newLength);
+    assert.equal(normal.comboCount, 0);
+
+    const strong = createObstacleSimulation('STRONG', 20, 12);
+    const strongEvent = hitObstacle(strong);
+    assert.equal(strongEvent.newLength, 6);
+    assert.equal(strong.snake.length, 6);
+    assert.equal(strong.effects.has('invulnerable'), true, '缩短到安全长度以下时应获得安全期');
+
+    const special = createObstacleSimulation('SPECIAL', 20, 12);
+    stepUntil(special, () => special.obstacles.length === 0);
+    const events = special.drainEvents();
+    const teleported = events.find(event => event.type === 'teleported');
+    assert.ok(events.some(event => event.type === 'obstaclePenalty' && event.effect === 'teleport'));
+    assert.ok(teleported, '特殊障碍惩罚应传送蛇头');
+    assert.deepEqual([special.snake[0].x, special.snake[0].y], [teleported.x, teleported.y]);
+    assert.equal(special.snake.length, 12);
+});